@@ -5,6 +5,7 @@ import { audio } from './systems/audio.js';
 export const BULLET_RADIUS = 5;
 const SOFT_CAP = 200;
 const FADE_DURATION = 0.3; // seconds for soft-cap fade-out
+const EXTRA_SPAWN_SPREAD = 0.15; // rad — copies from a raised spawn rate veer off this far
 
 export class Bullet extends Entity {
   constructor() {
@@ -18,15 +19,22 @@ export class Bullet extends Entity {
     this.alpha = 1;
     this.fading = false;
     this.fadeTimer = 0;
+    this.delay = 0;       // seconds held in place before moving
+    this.accel = 0;       // px/s² along the heading
+    this.homing = 0;      // rad/s turn rate toward `target`
+    this.target = null;
   }
 
-  /** Activate this bullet with the given parameters. */
-  init({ x, y, vx, vy, color = '#ff4444', radius = BULLET_RADIUS, lifetime = 5 }) {
+  /**
+   * Activate this bullet with the given parameters. `delay`, `accel`,
+   * `homing` and `target` come from bullet patterns (bulletPatterns.js).
+   */
+  init({ x, y, vx, vy, color = '#ff4444', radius = BULLET_RADIUS, lifetime = 5, delay = 0, accel = 0, homing = 0, target = null }) {
     this.x = x;
     this.y = y;
     this.vx = vx;
     this.vy = vy;
-    this.color = '#ff4444';
+    this.color = color;
     this.radius = radius;
     this.width = radius * 2;
     this.height = radius * 2;
@@ -36,14 +44,28 @@ export class Bullet extends Entity {
     this.alpha = 1;
     this.fading = false;
     this.fadeTimer = 0;
+    this.delay = delay;
+    this.accel = accel;
+    this.homing = homing;
+    this.target = target;
+
+    // Reused from the pool — don't interpolate from the previous life
+    this.prevX = x;
+    this.prevY = y;
   }
 
   update(dt) {
     if (!this.active) return;
 
-    // Move
-    this.x += this.vx * dt;
-    this.y += this.vy * dt;
+    // Delayed bullets hang in place until their delay runs out
+    if (this.lifetime >= this.delay) {
+      if (this.homing > 0 && this.target) this._steer(dt);
+      if (this.accel !== 0) this._accelerate(dt);
+
+      // Move
+      this.x += this.vx * dt;
+      this.y += this.vy * dt;
+    }
 
     // Age
     this.lifetime += dt;
@@ -85,6 +107,29 @@ export class Bullet extends Entity {
     return null;
   }
 
+  /** Turn toward the target, at most `homing` rad/s. */
+  _steer(dt) {
+    const heading = Math.atan2(this.vy, this.vx);
+    let diff = Math.atan2(this.target.y - this.y, this.target.x - this.x) - heading;
+    if (diff > Math.PI) diff -= Math.PI * 2;
+    if (diff < -Math.PI) diff += Math.PI * 2;
+
+    const maxTurn = this.homing * dt;
+    const angle = heading + Math.max(-maxTurn, Math.min(maxTurn, diff));
+    const speed = Math.sqrt(this.vx * this.vx + this.vy * this.vy);
+    this.vx = Math.cos(angle) * speed;
+    this.vy = Math.sin(angle) * speed;
+  }
+
+  /** Speed up (or slow down) along the current heading. */
+  _accelerate(dt) {
+    const speed = Math.sqrt(this.vx * this.vx + this.vy * this.vy);
+    if (speed <= 0) return;
+    const scale = Math.max(0, speed + this.accel * dt) / speed;
+    this.vx *= scale;
+    this.vy *= scale;
+  }
+
   /** Start the soft-cap fade-out. */
   startFade() {
     if (this.fading) return;
@@ -98,8 +143,8 @@ export class Bullet extends Entity {
     ctx.globalAlpha = this.alpha;
     ctx.fillStyle = this.color;
 
-    // Stretch along velocity direction
-    const speed = Math.sqrt(this.vx * this.vx + this.vy * this.vy);
+    // Stretch along velocity direction — not while held by a delay
+    const speed = this.lifetime >= this.delay ? Math.sqrt(this.vx * this.vx + this.vy * this.vy) : 0;
     if (speed > 1) {
       const angle = Math.atan2(this.vy, this.vx);
       ctx.translate(this.x, this.y);
@@ -123,13 +168,35 @@ export class BulletPool {
   constructor(initialSize = 256) {
     this.pool = [];
     this.wallHits = [];
+    this.spawnRate = 1;       // bullets per spawn() — raised by the bullet hell mutator
+    this._extraSpawns = 0;    // fractional copies owed at spawn rates like 1.5
+    this._extraSide = 1;      // copies alternate veering left and right
     for (let i = 0; i < initialSize; i++) {
       this.pool.push(new Bullet());
     }
   }
 
-  /** Spawn a bullet. Returns the bullet instance (or null if pool somehow fails). */
+  /**
+   * Spawn a bullet. Returns the bullet instance (or null if pool somehow fails).
+   * A spawnRate above 1 adds copies fanned out either side of it.
+   */
   spawn(opts) {
+    const bullet = this._spawnOne(opts);
+    audio.playSFX('bulletFire', opts.x, opts.y);
+
+    this._extraSpawns += this.spawnRate - 1;
+    while (this._extraSpawns >= 1) {
+      this._extraSpawns -= 1;
+      this._extraSide = -this._extraSide;
+      const angle = EXTRA_SPAWN_SPREAD * this._extraSide;
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      this._spawnOne({ ...opts, vx: opts.vx * cos - opts.vy * sin, vy: opts.vx * sin + opts.vy * cos });
+    }
+    return bullet;
+  }
+
+  _spawnOne(opts) {
     // Find an inactive bullet to reuse
     let bullet = null;
     for (let i = 0; i < this.pool.length; i++) {
@@ -146,20 +213,30 @@ export class BulletPool {
     }
 
     bullet.init(opts);
-    audio.playSFX('bulletFire', opts.x, opts.y);
     return bullet;
   }
 
-  /** Update all active bullets. Check wall collision and enforce soft cap. */
-  update(dt, walls) {
+  /**
+   * Update all active bullets. Check wall collision and enforce soft cap.
+   * @param {number} dt
+   * @param {{x:number,y:number,w:number,h:number}[]} walls
+   * @param {{x: number, y: number, radius: number, factor: number}} [slowZone] -
+   *   bullets inside this circle run at `factor` speed
+   */
+  update(dt, walls, slowZone = null) {
     const active = [];
     this.wallHits = [];
+    const slowR2 = slowZone ? slowZone.radius * slowZone.radius : 0;
 
     for (let i = 0; i < this.pool.length; i++) {
       const b = this.pool[i];
       if (!b.active) continue;
 
-      b.update(dt);
+      if (slowZone && (b.x - slowZone.x) ** 2 + (b.y - slowZone.y) ** 2 <= slowR2) {
+        b.update(dt * slowZone.factor);
+      } else {
+        b.update(dt);
+      }
       if (!b.active) continue;
 
       const hit = b.checkWalls(walls);
@@ -210,6 +287,30 @@ export class BulletPool {
     return count;
   }
 
+  /**
+   * Turn bullets heading into a circle round (cx, cy) back toward `target`,
+   * keeping their speed. Bullets flying outward (fired from inside) pass.
+   * @returns {number} Count of bullets reflected.
+   */
+  reflectInRadius(cx, cy, radius, target) {
+    const r2 = radius * radius;
+    let count = 0;
+    for (let i = 0; i < this.pool.length; i++) {
+      const b = this.pool[i];
+      if (!b.active) continue;
+      const dx = cx - b.x;
+      const dy = cy - b.y;
+      if (dx * dx + dy * dy > r2 || dx * b.vx + dy * b.vy <= 0) continue;
+
+      const speed = Math.sqrt(b.vx * b.vx + b.vy * b.vy);
+      const angle = Math.atan2(target.y - b.y, target.x - b.x);
+      b.vx = Math.cos(angle) * speed;
+      b.vy = Math.sin(angle) * speed;
+      count++;
+    }
+    return count;
+  }
+
   /** Count of currently active bullets. */
   get activeCount() {
     let count = 0;
@@ -0,0 +1,179 @@
+// Declarative bullet patterns. Each entry of BULLET_PATTERNS describes one
+// volley; a BulletPattern fires it through a BulletPool and keeps whatever
+// carries over between volleys (a ring's rotation, a spiral's angle).
+//
+// Shapes:
+//   ring   — `count` bullets evenly spaced round the origin, turned by
+//            `rotation` rad after each volley
+//   spread — `count` bullets `spread` rad apart, centred on the aim: the
+//            angle passed to fire(), else the target (led if `lead` is set)
+//   spiral — `arms` bullets every `interval` s, turning `step` rad per shot,
+//            for `duration` s (driven by update())
+//
+// Bullet modifiers, for any shape:
+//   speed    — px/s
+//   lifetime — seconds (default 5)
+//   radius   — px out from the origin the bullets appear
+//   delay    — seconds each bullet hangs in place before it flies
+//   accel    — px/s² gained along its heading
+//   homing   — rad/s it turns toward the target
+//
+// Speed and accel scale up with the firing enemy's difficulty, and spiral
+// intervals shrink with it.
+
+const BULLET_COLOR = '#ff4444';
+const DEFAULT_LIFETIME = 5;
+const MIN_INTERVAL = 0.04;  // seconds — fastest a spiral may fire
+
+export const BULLET_PATTERNS = {
+  // Enemies
+  cowboyShot:        { shape: 'spread', count: 1, speed: 200, lead: true },
+  controllerCross:   { shape: 'ring', count: 4, speed: 160 },
+  controllerSaltire: { shape: 'ring', count: 4, speed: 160, angle: Math.PI / 4 },
+  gopherBurst:       { shape: 'ring', count: 8, speed: 120 },
+  topSpiral:         { shape: 'spiral', arms: 1, speed: 100, interval: 0.1, step: Math.PI / 12, duration: 2 },
+  simonShot:         { shape: 'spread', count: 1, speed: 170, lifetime: 10 },
+  runeEruption:      { shape: 'ring', count: 8, speed: 150, lifetime: 1.2 },
+
+  // Bosses
+  bossRing:    { shape: 'ring', count: 14, speed: 150, rotation: 0.2 },
+  bossFan:     { shape: 'spread', count: 5, spread: 0.22, speed: 150 },
+  bossSpiral:  { shape: 'spiral', arms: 3, speed: 150, interval: 0.1, step: 0.35, duration: 1.5 },
+  bossSeekers: { shape: 'ring', count: 6, speed: 90, homing: 1.2, lifetime: 3, rotation: Math.PI / 6 },
+  bossMines:   { shape: 'ring', count: 12, speed: 170, radius: 110, delay: 0.8, rotation: Math.PI / 12 },
+  bossRush:    { shape: 'spread', count: 3, spread: 0.35, speed: 60, accel: 320 },
+};
+
+export class BulletPattern {
+  /**
+   * @param {string} name - key of BULLET_PATTERNS
+   * @param {object} [opts]
+   * @param {number} [opts.difficulty=1] - the firing enemy's difficulty
+   * @param {number} [opts.angle=0] - starting rotation for rings and spirals
+   */
+  constructor(name, { difficulty = 1.0, angle = 0 } = {}) {
+    const spec = BULLET_PATTERNS[name];
+    if (!spec) throw new Error(`Unknown bullet pattern: ${name}`);
+
+    this.name = name;
+    this.spec = spec;
+    this.speed = spec.speed * difficulty;
+    this.accel = (spec.accel || 0) * difficulty;
+    this.interval = Math.max(MIN_INTERVAL, (spec.interval || 0) / difficulty);
+    this.angle = angle + (spec.angle || 0);
+
+    // Spiral in progress
+    this.running = false;
+    this._timer = 0;
+    this._elapsed = 0;
+    this._target = null;
+    this._color = null;
+  }
+
+  /**
+   * Start a volley from (x, y). Rings and spreads fire at once; a spiral
+   * starts running and fires from update() until its duration is up.
+   * @param {import('./bullet.js').BulletPool} bullets
+   * @param {object} opts
+   * @param {number} opts.x
+   * @param {number} opts.y
+   * @param {{x: number, y: number, vx?: number, vy?: number}} [opts.target] - aimed at / homed on
+   * @param {number} [opts.angle] - aim for spreads, overriding the target
+   * @param {string} [opts.color]
+   */
+  fire(bullets, { x, y, target = null, angle = null, color = null }) {
+    const spec = this.spec;
+    switch (spec.shape) {
+      case 'ring':
+        for (let i = 0; i < spec.count; i++) {
+          this._spawn(bullets, x, y, this.angle + (i / spec.count) * Math.PI * 2, target, color);
+        }
+        this.angle += spec.rotation || 0;
+        break;
+
+      case 'spread': {
+        const aim = angle ?? this._aimAt(x, y, target);
+        for (let i = 0; i < spec.count; i++) {
+          this._spawn(bullets, x, y, aim + (i - (spec.count - 1) / 2) * (spec.spread || 0), target, color);
+        }
+        break;
+      }
+
+      case 'spiral':
+        this.running = true;
+        this._timer = 0;
+        this._elapsed = 0;
+        this._target = target;
+        this._color = color;
+        break;
+    }
+  }
+
+  /**
+   * Keep a running spiral going from (x, y) — the emitter may have moved.
+   * @param {number} dt
+   * @param {import('./bullet.js').BulletPool} bullets
+   * @param {number} x
+   * @param {number} y
+   */
+  update(dt, bullets, x, y) {
+    if (!this.running) return;
+    const spec = this.spec;
+
+    this._timer += dt;
+    this._elapsed += dt;
+    while (this._timer >= this.interval) {
+      this._timer -= this.interval;
+      for (let arm = 0; arm < spec.arms; arm++) {
+        this._spawn(bullets, x, y, this.angle + (arm / spec.arms) * Math.PI * 2, this._target, this._color);
+      }
+      this.angle += spec.step;
+    }
+
+    if (this._elapsed >= spec.duration) {
+      this.running = false;
+    }
+  }
+
+  /** Cut a running spiral short. */
+  stop() {
+    this.running = false;
+  }
+
+  // ── Private ───────────────────────────────────────────────────────
+
+  /** Angle from (x, y) to the target — or where it will be, for `lead`. */
+  _aimAt(x, y, target) {
+    if (!target) return Math.PI / 2;
+
+    let tx = target.x;
+    let ty = target.y;
+    if (this.spec.lead && this.speed > 0) {
+      const t = Math.hypot(tx - x, ty - y) / this.speed;
+      tx += (target.vx || 0) * t;
+      ty += (target.vy || 0) * t;
+    }
+    return Math.atan2(ty - y, tx - x);
+  }
+
+  _spawn(bullets, x, y, angle, target, color) {
+    if (!bullets) return;
+    const spec = this.spec;
+    const dirX = Math.cos(angle);
+    const dirY = Math.sin(angle);
+    const offset = spec.radius || 0;
+
+    bullets.spawn({
+      x: x + dirX * offset,
+      y: y + dirY * offset,
+      vx: dirX * this.speed,
+      vy: dirY * this.speed,
+      color: color || spec.color || BULLET_COLOR,
+      lifetime: spec.lifetime ?? DEFAULT_LIFETIME,
+      delay: spec.delay || 0,
+      accel: this.accel,
+      homing: spec.homing || 0,
+      target: spec.homing ? target : null,
+    });
+  }
+}
@@ -1,4 +1,7 @@
 import { CANVAS_WIDTH, CANVAS_HEIGHT } from './game.js';
+import { rng, RNG_STREAMS } from './systems/rng.js';
+
+const fxRng = rng.stream(RNG_STREAMS.COSMETIC);
 
 const HALF_W = CANVAS_WIDTH / 2;
 const HALF_H = CANVAS_HEIGHT / 2;
@@ -48,7 +51,7 @@ export class Camera {
     this.shakeOffsetY = 0;
     this.shakeDecay = 4;        // trauma units per second
     this.shakeMaxOffset = 16;   // max pixel displacement
-    this._shakeSeed = Math.random() * 1000;
+    this._shakeSeed = fxRng.next() * 1000;
     this._shakeTime = 0;
   }
 
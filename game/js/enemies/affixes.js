@@ -0,0 +1,119 @@
+// Elite affixes — modifiers rolled onto ordinary enemies on deeper floors
+// (see enemySpawner.js). An enemy carrying any affix is an elite: it gets a
+// colored outline, a harder QTE and bonus score. Each affix is carried out
+// by the system it touches:
+//   shielded   — the first QTE only breaks the shield (gameplayScene)
+//   splitting  — bursts into two minis on death (spawnSplitMinis)
+//   hasted     — runs its whole update faster (Enemy.timeScale)
+//   reflecting — turns bullets fired at it back on the player (BulletPool.reflectInRadius)
+//   cloaked    — only a shimmer until the player gets close (renderElite)
+
+// ── Tuning constants ───────────────────────────────────────────────────
+const SHIELD_LAYERS         = 1;     // extra QTEs a shielded elite takes
+const HASTE_TIME_SCALE      = 1.35;  // hasted elites live this much faster
+export const REFLECT_RADIUS = 44;    // px — bullets this close bounce off
+const CLOAK_REVEAL_DISTANCE = 150;   // px — cloak drops when the player is this close
+const OUTLINE_PAD           = 4;     // px between the body and the first outline
+const OUTLINE_STEP          = 3;     // px between outlines, one per affix
+
+export const ELITE_AFFIXES = {
+  shielded:   { label: 'SHIELDED',   color: '#66ccff' },
+  splitting:  { label: 'SPLITTING',  color: '#ff66cc' },
+  hasted:     { label: 'HASTED',     color: '#ffdd33' },
+  reflecting: { label: 'REFLECTING', color: '#e8e8ff' },
+  cloaked:    { label: 'CLOAKED',    color: '#8a7fd0' },
+};
+
+/**
+ * Pick `count` distinct affix ids.
+ * @param {{pick: Function}} stream - RNG stream to draw from
+ * @param {number} count
+ * @returns {string[]}
+ */
+export function rollAffixes(stream, count) {
+  const pool = Object.keys(ELITE_AFFIXES);
+  const ids = [];
+  while (ids.length < count && pool.length > 0) {
+    const id = stream.pick(pool);
+    pool.splice(pool.indexOf(id), 1);
+    ids.push(id);
+  }
+  return ids;
+}
+
+/**
+ * Turn an enemy into an elite carrying the given affixes.
+ * @param {import('./enemy.js').Enemy} enemy
+ * @param {string[]} ids - keys of ELITE_AFFIXES
+ */
+export function applyAffixes(enemy, ids) {
+  enemy.affixes = [...ids];
+  if (enemy.hasAffix('shielded')) enemy.shield = SHIELD_LAYERS;
+  if (enemy.hasAffix('hasted')) enemy.timeScale = HASTE_TIME_SCALE;
+}
+
+/**
+ * Whether a cloaked elite is hidden from the player right now. It shows
+ * itself while dropping in, telegraphing, or with the player close by.
+ */
+export function isCloaked(enemy, player) {
+  if (!enemy.hasAffix('cloaked') || enemy.falling || enemy.isAnticipating) return false;
+  if (!player) return true;
+  return Math.hypot(player.x - enemy.x, player.y - enemy.y) > CLOAK_REVEAL_DISTANCE;
+}
+
+/**
+ * Draw an elite: a faint shimmer while cloaked, otherwise the enemy itself
+ * with one outline per affix and a bubble while its shield holds.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {import('./enemy.js').Enemy} enemy
+ * @param {import('../player.js').Player} [player]
+ */
+export function renderElite(ctx, enemy, player) {
+  if (isCloaked(enemy, player)) {
+    _renderShimmer(ctx, enemy);
+    return;
+  }
+
+  enemy.render(ctx);
+  if (enemy.falling) return;
+
+  const w = enemy.width * enemy.scaleX;
+  const h = enemy.height * enemy.scaleY;
+  const pulse = 0.7 + 0.3 * Math.sin(performance.now() / 150);
+
+  ctx.save();
+  ctx.globalAlpha = pulse;
+  ctx.lineWidth = 2;
+  enemy.affixes.forEach((id, i) => {
+    const pad = OUTLINE_PAD + i * OUTLINE_STEP;
+    ctx.strokeStyle = ELITE_AFFIXES[id].color;
+    ctx.strokeRect(enemy.x - w / 2 - pad, enemy.y - h / 2 - pad, w + pad * 2, h + pad * 2);
+  });
+
+  if (enemy.shield > 0) {
+    const radius = Math.max(w, h) * 0.5 + OUTLINE_PAD + enemy.affixes.length * OUTLINE_STEP + 4;
+    ctx.globalAlpha = 0.15;
+    ctx.fillStyle = ELITE_AFFIXES.shielded.color;
+    ctx.beginPath();
+    ctx.arc(enemy.x, enemy.y, radius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.globalAlpha = 0.5 * pulse;
+    ctx.strokeStyle = ELITE_AFFIXES.shielded.color;
+    ctx.stroke();
+  }
+  ctx.restore();
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────────
+
+/** Cloaked elite: a flickering outline in the cloak color. */
+function _renderShimmer(ctx, enemy) {
+  const t = performance.now() / 1000;
+  ctx.save();
+  ctx.globalAlpha = 0.12 + 0.08 * Math.sin(t * 9 + enemy.x * 0.05);
+  ctx.strokeStyle = ELITE_AFFIXES.cloaked.color;
+  ctx.lineWidth = 1;
+  ctx.strokeRect(enemy.x - enemy.width / 2, enemy.y - enemy.height / 2, enemy.width, enemy.height);
+  ctx.restore();
+}
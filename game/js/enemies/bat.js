@@ -1,6 +1,9 @@
 import { Enemy } from './enemy.js';
 import { resolveWallCollision } from '../collision.js';
 import { audio } from '../systems/audio.js';
+import { rng, RNG_STREAMS } from '../systems/rng.js';
+
+const aiRng = rng.stream(RNG_STREAMS.AI);
 
 // ── Tuning constants ───────────────────────────────────────────────────
 const BAT_SPEED         = 100;   // px/s during flutter
@@ -12,6 +15,7 @@ const LUNGE_MAX_DIST    = 250;   // px — max travel before returning to flutte
 const DIR_CHANGE_MIN    = 0.4;   // seconds between random direction changes
 const DIR_CHANGE_MAX    = 1.2;
 const LUNGE_RADIUS      = 12;    // collision radius during lunge
+const LEASH_DISTANCE    = 500;   // px — chases a player this far from its spawn into other rooms
 
 // Color transition
 const BASE_COLOR   = '#8855cc';  // purple
@@ -20,13 +24,13 @@ const COLOR_FADE_BACK = 0.3;     // seconds to fade from red → purple after lu
 
 export class Bat extends Enemy {
   constructor({ x = 0, y = 0, difficulty = 1.0 } = {}) {
-    super({ x, y, enemyType: 'bat', difficulty });
+    super({ x, y, enemyType: 'bat', difficulty, leash: LEASH_DISTANCE });
 
     this.speed = BAT_SPEED * this.difficulty;
     this.lungeRadius = LUNGE_RADIUS;
 
     // Flutter direction
-    this.moveAngle = Math.random() * Math.PI * 2;
+    this.moveAngle = aiRng.next() * Math.PI * 2;
     this.dirChangeTimer = 0;
     this.nextDirChange = _rand(DIR_CHANGE_MIN, DIR_CHANGE_MAX);
 
@@ -64,7 +68,7 @@ export class Bat extends Enemy {
   onStateEnter(state) {
     if (state === 'flutter') {
       this.flutterDuration = _rand(FLUTTER_MIN, FLUTTER_MAX);
-      this.moveAngle = Math.random() * Math.PI * 2;
+      this.moveAngle = aiRng.next() * Math.PI * 2;
       this.dirChangeTimer = 0;
       this.nextDirChange = _rand(DIR_CHANGE_MIN, DIR_CHANGE_MAX);
       this._colorFadeTimer = 0; // start fading back from red
@@ -80,7 +84,7 @@ export class Bat extends Enemy {
     this.setState('flutter');
   }
 
-  update(dt, walls, player, bullets) {
+  update(dt, walls, player, bullets, nav) {
     if (!this.active) return;
     if (this.falling) {
       this.fallTimer += dt;
@@ -100,17 +104,24 @@ export class Bat extends Enemy {
     }
 
     switch (this.state) {
-      case 'flutter': this._flutter(dt, walls); break;
+      case 'flutter': this._flutter(dt, walls, player, nav); break;
       case 'windup':  this._windup(dt, player); break;
       case 'lunge':   this._lunge(dt, walls);   break;
     }
   }
 
-  _flutter(dt, walls) {
+  _flutter(dt, walls, player, nav) {
+    // Player in another room — fly there through the doorways
+    const waypoint = this.getTravelWaypoint(player, nav);
+    if (waypoint) {
+      this.moveAngle = Math.atan2(waypoint.y - this.y, waypoint.x - this.x);
+      this.dirChangeTimer = 0;
+    }
+
     // Periodically change direction for chaotic movement
     this.dirChangeTimer += dt;
     if (this.dirChangeTimer >= this.nextDirChange) {
-      this.moveAngle = Math.random() * Math.PI * 2;
+      this.moveAngle = aiRng.next() * Math.PI * 2;
       this.dirChangeTimer = 0;
       this.nextDirChange = _rand(DIR_CHANGE_MIN, DIR_CHANGE_MAX);
     }
@@ -124,13 +135,14 @@ export class Bat extends Enemy {
       const preX = this.x;
       const preY = this.y;
       resolveWallCollision(this, walls);
-      if (this.x !== preX || this.y !== preY) {
-        this.moveAngle = Math.random() * Math.PI * 2;
+      if ((this.x !== preX || this.y !== preY) && !waypoint) {
+        this.moveAngle = aiRng.next() * Math.PI * 2;
       }
     }
 
-    // Time to wind up?
-    if (this.stateTimer >= this.flutterDuration) {
+    // Time to wind up? Only with the player in the same room
+    const inSight = !nav || !player || nav.sameArea(this, player);
+    if (this.stateTimer >= this.flutterDuration && inSight) {
       this.setState('windup');
     }
   }
@@ -227,7 +239,7 @@ export class Bat extends Enemy {
 }
 
 function _rand(min, max) {
-  return min + Math.random() * (max - min);
+  return min + aiRng.next() * (max - min);
 }
 
 function _lerpColor(hexA, hexB, t) {
@@ -0,0 +1,288 @@
+import { Enemy } from './enemy.js';
+import { resolveWallCollision } from '../collision.js';
+
+// ── Tuning constants ───────────────────────────────────────────────────
+const BOSS_SIZE            = 72;    // px — hitbox and body
+const DRIFT_SPEED          = 35;    // px/s — slow advance on the player
+const WINDUP_DURATION      = 0.5;   // seconds — telegraph before each volley
+const PHASE_BREAK_DURATION = 1.6;   // seconds stunned (and untouchable) between phases
+const KNOCKBACK_RESIST     = 0.15;  // fraction of knockback force a boss takes
+
+// Boss roster, rotated every 5 floors. Each phase is broken by clearing its
+// QTE chain back to back; volleys cycle through the phase's bullet patterns
+// (names from BULLET_PATTERNS).
+export const BOSS_TYPES = [
+  {
+    id: 'warden',
+    name: 'WARDEN',
+    color: '#c0392b',
+    phases: [
+      { patterns: ['bossRing'],                         interval: 1.8, chain: ['bat', 'gopher'] },
+      { patterns: ['bossRing', 'bossFan'],              interval: 1.4, chain: ['letter', 'cowboy', 'spinningTop'] },
+      { patterns: ['bossFan', 'bossRing', 'bossRush'],  interval: 1.0, chain: ['simon', 'bat', 'letter', 'heart'] },
+    ],
+  },
+  {
+    id: 'hydra',
+    name: 'HYDRA',
+    color: '#16a085',
+    phases: [
+      { patterns: ['bossSpiral'],                       interval: 2.2, chain: ['spinningTop', 'tap'] },
+      { patterns: ['bossSpiral', 'bossSeekers'],        interval: 1.6, chain: ['gopher', 'heart', 'cowboy'] },
+      { patterns: ['bossSpiral', 'bossMines'],          interval: 1.2, chain: ['rune', 'letter', 'bat', 'clock'] },
+    ],
+  },
+  {
+    id: 'oracle',
+    name: 'ORACLE',
+    color: '#8e44ad',
+    phases: [
+      { patterns: ['bossFan'],                          interval: 1.2, chain: ['simon', 'clock'] },
+      { patterns: ['bossSeekers', 'bossSpiral'],        interval: 1.0, chain: ['rune', 'cowboy', 'lockpick'] },
+      { patterns: ['bossMines', 'bossFan', 'bossRush'], interval: 0.9, chain: ['simon', 'rune', 'letter', 'heart'] },
+    ],
+  },
+];
+
+/**
+ * The boss for a boss floor: floor 5 gets the first, floor 10 the second,
+ * and so on round the roster.
+ * @param {number} levelDepth
+ * @returns {object} an entry of BOSS_TYPES
+ */
+export function getBossType(levelDepth) {
+  const index = Math.max(0, Math.floor(levelDepth / 5) - 1) % BOSS_TYPES.length;
+  return BOSS_TYPES[index];
+}
+
+export class Boss extends Enemy {
+  /**
+   * @param {object} opts
+   * @param {number} opts.x
+   * @param {number} opts.y
+   * @param {object} [opts.bossType] - an entry of BOSS_TYPES
+   * @param {number} [opts.phaseCount] - fight only the first N phases
+   * @param {number} [opts.difficulty=1]
+   */
+  constructor({ x = 0, y = 0, bossType = BOSS_TYPES[0], phaseCount = bossType.phases.length, difficulty = 1.0 } = {}) {
+    super({ x, y, enemyType: bossType.id, difficulty });
+
+    this.isBoss = true;
+    this.name = bossType.name;
+    this.color = bossType.color;
+    this.width = BOSS_SIZE;
+    this.height = BOSS_SIZE;
+
+    this.phases = bossType.phases.slice(0, Math.max(1, phaseCount));
+    this.phaseIndex = 0;
+    this.maxHP = this.phases.reduce((sum, phase) => sum + phase.chain.length, 0);
+    this.hp = this.maxHP;
+
+    this.speed = DRIFT_SPEED * this.difficulty;
+    this.volleyCount = 0;
+    this.volleyPattern = null;  // BulletPattern of the current volley
+    this._patterns = {};        // BulletPattern per name, so rings keep turning
+    this.playerRef = null;
+    this.bulletsRef = null;
+
+    this.setState('attack');
+  }
+
+  // ── Phases ────────────────────────────────────────────────────────────
+
+  get phase() {
+    return this.phases[this.phaseIndex];
+  }
+
+  /** QTE ids QTEScene runs back to back to break the current phase. */
+  get qteChain() {
+    return this.phase.chain;
+  }
+
+  /**
+   * HP values where one phase's segments end and the next begin, for the
+   * HUD's boss bar (segments below hp are filled).
+   * @returns {number[]}
+   */
+  get phaseBreaks() {
+    const breaks = [];
+    let hp = this.maxHP;
+    for (const phase of this.phases.slice(0, -1)) {
+      hp -= phase.chain.length;
+      breaks.push(hp);
+    }
+    return breaks;
+  }
+
+  /**
+   * The current phase's chain was cleared — drop its HP and move on.
+   * @returns {boolean} true if that was the last phase
+   */
+  clearPhase() {
+    this.hp = Math.max(0, this.hp - this.phase.chain.length);
+    this.phaseIndex++;
+    if (this.phaseIndex >= this.phases.length) {
+      this.phaseIndex = this.phases.length - 1;
+      return true;
+    }
+    this.volleyCount = 0;
+    this.setState('phaseBreak');
+    return false;
+  }
+
+  // ── QTE gate ──────────────────────────────────────────────────────────
+
+  get canTriggerQTE() {
+    return this.active && this.state !== 'phaseBreak' && !this.falling && !this.justLanded;
+  }
+
+  get isAnticipating() {
+    return this.state === 'windup';
+  }
+
+  // ── State hooks ───────────────────────────────────────────────────────
+
+  onStateEnter(state) {
+    if (state === 'windup') {
+      const patterns = this.phase.patterns;
+      this.volleyPattern = this._getPattern(patterns[this.volleyCount % patterns.length]);
+      this.volleyCount++;
+    } else if (state === 'volley') {
+      this.volleyPattern.fire(this.bulletsRef, { x: this.x, y: this.y, target: this.playerRef });
+      // Rings and fans are done at once; spirals keep the volley going
+      if (!this.volleyPattern.running) this.setState('attack');
+    } else if (state === 'phaseBreak') {
+      this.flashWhite(6);
+      this.squash(0.4, 0.3);
+    }
+  }
+
+  onStateExit(state) {
+    if (state === 'volley') this.volleyPattern.stop();
+  }
+
+  resetToIdle() {
+    // Knockback doesn't cut a phase break short
+    if (this.state !== 'phaseBreak') this.setState('attack');
+  }
+
+  /** Bosses barely budge. */
+  applyKnockback(fromX, fromY, force) {
+    super.applyKnockback(fromX, fromY, force * KNOCKBACK_RESIST);
+  }
+
+  // ── Update ────────────────────────────────────────────────────────────
+
+  update(dt, walls, player, bullets) {
+    if (!this.active) return;
+    if (this.falling) {
+      this.fallTimer += dt;
+      if (this.fallTimer >= this.fallDuration) {
+        this.falling = false;
+        this.justLanded = true;
+      }
+      return;
+    }
+    this.stateTimer += dt;
+    this._updateKnockback(dt);
+    this._updateScale(dt);
+
+    this.playerRef = player;
+    this.bulletsRef = bullets;
+
+    switch (this.state) {
+      case 'attack':     this._attack(dt, player); break;
+      case 'windup':     this._windup(dt);         break;
+      case 'volley':     this._volley(dt);         break;
+      case 'phaseBreak': this._phaseBreak(dt);     break;
+    }
+
+    if (walls) {
+      resolveWallCollision(this, walls);
+    }
+  }
+
+  _attack(dt, player) {
+    if (player) {
+      const dx = player.x - this.x;
+      const dy = player.y - this.y;
+      const dist = Math.sqrt(dx * dx + dy * dy);
+      if (dist > 0) {
+        this.x += (dx / dist) * this.speed * dt;
+        this.y += (dy / dist) * this.speed * dt;
+      }
+    }
+
+    if (this.stateTimer >= this.phase.interval / this.difficulty) {
+      this.setState('windup');
+    }
+  }
+
+  _windup(dt) {
+    if (this.stateTimer >= WINDUP_DURATION) {
+      this.setState('volley');
+    }
+  }
+
+  _volley(dt) {
+    this.volleyPattern.update(dt, this.bulletsRef, this.x, this.y);
+    if (!this.volleyPattern.running) {
+      this.setState('attack');
+    }
+  }
+
+  _phaseBreak(dt) {
+    if (this.stateTimer >= PHASE_BREAK_DURATION) {
+      this.setState('attack');
+    }
+  }
+
+  // ── Bullet patterns ───────────────────────────────────────────────────
+
+  _getPattern(name) {
+    if (!this._patterns[name]) this._patterns[name] = this.createBulletPattern(name);
+    return this._patterns[name];
+  }
+
+  // ── Render ────────────────────────────────────────────────────────────
+
+  render(ctx) {
+    if (this.falling) { this._renderFalling(ctx); return; }
+
+    const w = this.width * this.scaleX;
+    const h = this.height * this.scaleY;
+
+    // Stunned between phases — shudder in place
+    const shake = this.state === 'phaseBreak' ? Math.sin(this.stateTimer * 60) * 3 : 0;
+    const x = this.x - w / 2 + shake;
+    const y = this.y - h / 2;
+
+    ctx.fillStyle = this._getColor();
+    ctx.fillRect(x, y, w, h);
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(x + 1, y + 1, w - 2, h - 2);
+
+    // Eye — closed while stunned
+    ctx.fillStyle = '#ffffff';
+    if (this.state === 'phaseBreak') {
+      ctx.fillRect(this.x - 14 + shake, this.y - 2, 28, 4);
+    } else {
+      ctx.beginPath();
+      ctx.arc(this.x, this.y, 12, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = '#000000';
+      ctx.beginPath();
+      ctx.arc(this.x, this.y, 5, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    // Phase pips along the top edge
+    for (let i = 0; i < this.phases.length; i++) {
+      ctx.fillStyle = i < this.phaseIndex ? 'rgba(255, 255, 255, 0.25)' : '#ffffff';
+      ctx.fillRect(x + 8 + i * 12, y + 6, 8, 4);
+    }
+
+    this._renderAnticipation(ctx, w, h);
+  }
+}
@@ -1,5 +1,8 @@
 import { Enemy } from './enemy.js';
 import { resolveWallCollision } from '../collision.js';
+import { rng, RNG_STREAMS } from '../systems/rng.js';
+
+const aiRng = rng.stream(RNG_STREAMS.AI);
 
 // ── Tuning constants ───────────────────────────────────────────────────
 const FLOAT_SPEED = 0.5;          // angular velocity for figure-8 (rad/s)
@@ -16,7 +19,7 @@ export class Clock extends Enemy {
     this._bulletLifetime = BULLET_LIFETIME * Math.min(this.difficulty, 1.5);
     this.spawnX = x;
     this.spawnY = y;
-    this.floatAngle = Math.random() * Math.PI * 2;
+    this.floatAngle = aiRng.next() * Math.PI * 2;
     this.bulletTimer = 0;
     this.setState('idle');
   }
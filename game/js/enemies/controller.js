@@ -4,19 +4,19 @@ import { resolveWallCollision } from '../collision.js';
 // ── Tuning constants ───────────────────────────────────────────────────
 const SHOT_INTERVAL    = 2.0;  // seconds between shot cycles
 const FLASH_DURATION   = 0.5;  // seconds — direction telegraph before firing
-const BULLET_SPEED     = 160;  // px/s
 const BULLET_COLOR     = '#ff4444';
 const BOB_AMPLITUDE    = 4;    // px vertical sine bob
 const BOB_FREQUENCY    = 2;    // cycles per second
 
-// Cardinal directions (↑↓←→)
+// Telegraph lines for the two bullet patterns it alternates between
+// Cardinal directions (↑↓←→) — controllerCross
 const CARDINAL = [
   { x:  0, y: -1 },
   { x:  0, y:  1 },
   { x: -1, y:  0 },
   { x:  1, y:  0 },
 ];
-// Diagonal directions (↗↘↙↖)
+// Diagonal directions (↗↘↙↖) — controllerSaltire
 const DIAGONAL = [
   { x:  0.7071, y: -0.7071 },
   { x:  0.7071, y:  0.7071 },
@@ -28,7 +28,8 @@ export class Controller extends Enemy {
   constructor({ x = 0, y = 0, difficulty = 1.0 } = {}) {
     super({ x, y, enemyType: 'controller', difficulty });
 
-    this._bulletSpeed = BULLET_SPEED * this.difficulty;
+    this._cross = this.createBulletPattern('controllerCross');
+    this._saltire = this.createBulletPattern('controllerSaltire');
     this._shotInterval = Math.max(0.8, SHOT_INTERVAL / this.difficulty);
     this.baseY = y;
     this.bobTimer = 0;
@@ -102,28 +103,13 @@ export class Controller extends Enemy {
 
   onStateEnter(state) {
     if (state === 'firing') {
-      this._fireBurst();
+      const pattern = this.useCardinal ? this._cross : this._saltire;
+      pattern.fire(this.bulletsRef, { x: this.x, y: this.y });
       this.useCardinal = !this.useCardinal; // alternate for next cycle
       this.setState('idle');
     }
   }
 
-  _fireBurst() {
-    if (!this.bulletsRef) return;
-
-    const dirs = this.useCardinal ? CARDINAL : DIAGONAL;
-    for (const dir of dirs) {
-      this.bulletsRef.spawn({
-        x: this.x,
-        y: this.y,
-        vx: dir.x * this._bulletSpeed,
-        vy: dir.y * this._bulletSpeed,
-        color: BULLET_COLOR,
-        lifetime: 5,
-      });
-    }
-  }
-
   // ── Render ────────────────────────────────────────────────────────────
 
   render(ctx) {
@@ -1,5 +1,8 @@
 import { Enemy } from './enemy.js';
 import { resolveWallCollision } from '../collision.js';
+import { rng, RNG_STREAMS } from '../systems/rng.js';
+
+const aiRng = rng.stream(RNG_STREAMS.AI);
 
 // ── Tuning constants ───────────────────────────────────────────────────
 const RUN_SPEED          = 120;  // px/s
@@ -9,14 +12,13 @@ const RUN_MIN            = 2.0;  // min seconds running before telegraph
 const RUN_MAX            = 3.5;
 const TELEGRAPH_DURATION = 0.6;  // seconds — visual wind-up
 const COOLDOWN_DURATION  = 0.5;  // seconds — pause after firing
-const BULLET_SPEED       = 200;  // px/s
-const BULLET_COLOR       = '#ff4444';
+const LEASH_DISTANCE     = 650;  // px — chases a player this far from its spawn into other rooms
 
 export class Cowboy extends Enemy {
   constructor({ x = 0, y = 0, difficulty = 1.0 } = {}) {
-    super({ x, y, enemyType: 'cowboy', difficulty });
+    super({ x, y, enemyType: 'cowboy', difficulty, leash: LEASH_DISTANCE });
 
-    this._bulletSpeed = BULLET_SPEED * this.difficulty;
+    this._shot = this.createBulletPattern('cowboyShot');
     this._runSpeed = RUN_SPEED * this.difficulty;
     this._telegraphDuration = Math.max(0.3, TELEGRAPH_DURATION / this.difficulty);
     this.bulletsRef = null;
@@ -42,7 +44,7 @@ export class Cowboy extends Enemy {
 
   // ── Update ────────────────────────────────────────────────────────────
 
-  update(dt, walls, player, bullets) {
+  update(dt, walls, player, bullets, nav) {
     if (!this.active) return;
     if (this.falling) {
       this.fallTimer += dt;
@@ -61,7 +63,7 @@ export class Cowboy extends Enemy {
     this.playerRef = player;
 
     switch (this.state) {
-      case 'running':   this._running(dt, player); break;
+      case 'running':   this._running(dt, player, nav); break;
       case 'telegraph': this._telegraph(dt);       break;
       case 'firing':    /* handled by onStateEnter */ break;
       case 'cooldown':  this._cooldown(dt);        break;
@@ -74,9 +76,18 @@ export class Cowboy extends Enemy {
 
   // ── State behaviors ───────────────────────────────────────────────────
 
-  _running(dt, player) {
+  _running(dt, player, nav) {
     if (!player) return;
 
+    // Player in another room — run there through the doorways, holding fire
+    const waypoint = this.getTravelWaypoint(player, nav);
+    if (waypoint) {
+      this._moveToward(waypoint.x, waypoint.y, this._runSpeed, dt);
+      return;
+    }
+    // Out of reach in another room — wait for them to come back
+    if (nav && !nav.sameArea(this, player)) return;
+
     const dx = player.x - this.x;
     const dy = player.y - this.y;
     const dist = Math.sqrt(dx * dx + dy * dy);
@@ -128,44 +139,14 @@ export class Cowboy extends Enemy {
 
   onStateEnter(state) {
     if (state === 'firing') {
-      this._firePredictiveBullet();
+      // Aimed where the player will be when the bullet arrives
+      if (this.playerRef) {
+        this._shot.fire(this.bulletsRef, { x: this.x, y: this.y, target: this.playerRef });
+      }
       this.setState('cooldown');
     }
   }
 
-  _firePredictiveBullet() {
-    const player = this.playerRef;
-    if (!this.bulletsRef || !player) return;
-
-    // Vector from cowboy to player
-    const dx = player.x - this.x;
-    const dy = player.y - this.y;
-    const dist = Math.sqrt(dx * dx + dy * dy);
-
-    // Estimated travel time
-    const t = dist / this._bulletSpeed;
-
-    // Predicted position = current + velocity * time
-    const predX = player.x + (player.vx || 0) * t;
-    const predY = player.y + (player.vy || 0) * t;
-
-    // Aim at predicted position
-    const aimDx = predX - this.x;
-    const aimDy = predY - this.y;
-    const aimDist = Math.sqrt(aimDx * aimDx + aimDy * aimDy);
-    const dirX = aimDist > 0 ? aimDx / aimDist : 1;
-    const dirY = aimDist > 0 ? aimDy / aimDist : 0;
-
-    this.bulletsRef.spawn({
-      x: this.x,
-      y: this.y,
-      vx: dirX * this._bulletSpeed,
-      vy: dirY * this._bulletSpeed,
-      color: BULLET_COLOR,
-      lifetime: 5,
-    });
-  }
-
   // ── Render ────────────────────────────────────────────────────────────
 
   render(ctx) {
@@ -204,5 +185,5 @@ export class Cowboy extends Enemy {
 }
 
 function _randomRunDuration() {
-  return RUN_MIN + Math.random() * (RUN_MAX - RUN_MIN);
+  return RUN_MIN + aiRng.next() * (RUN_MAX - RUN_MIN);
 }
@@ -1,12 +1,16 @@
 import { Entity } from '../entity.js';
 import { resolveWallCollision } from '../collision.js';
+import { BulletPattern } from '../bulletPatterns.js';
 import { audio } from '../systems/audio.js';
+import { rng, RNG_STREAMS } from '../systems/rng.js';
+
+const aiRng = rng.stream(RNG_STREAMS.AI);
 
 const KNOCKBACK_FRICTION = 5; // exponential decay rate
 const ENEMY_DROP_HEIGHT = 300;
 
 // Distinct color per enemy type (colored squares for prototype)
-const ENEMY_COLORS = {
+export const ENEMY_COLORS = {
   bat:         '#8855cc',
   gopher:      '#8b6914',
   spinningTop: '#ff8800',
@@ -15,6 +19,8 @@ const ENEMY_COLORS = {
   controller:  '#9b59b6',
   heart:       '#ff69b4',
   clock:       '#3498db',
+  simon:       '#cfcfcf',
+  rune:        '#5dd6c0',
 };
 
 export class Enemy extends Entity {
@@ -23,15 +29,29 @@ export class Enemy extends Entity {
    * @param {number}  opts.x
    * @param {number}  opts.y
    * @param {string} [opts.enemyType='bat'] - Enemy type id (bat, gopher, etc.)
+   * @param {Object<string, number>} [opts.qtePool] - weighted QTE ids to pick from
+   *   on contact (see qteRegistry); defaults to the QTE sharing the enemy's id
+   * @param {number} [opts.leash=0] - px from its spawn point a player can be and
+   *   still be chased into other rooms; 0 keeps the enemy in its own room
    */
-  constructor({ x = 0, y = 0, enemyType = 'bat', difficulty = 1.0 } = {}) {
+  constructor({ x = 0, y = 0, enemyType = 'bat', difficulty = 1.0, qtePool = null, leash = 0 } = {}) {
     const color = ENEMY_COLORS[enemyType] || '#ff0000';
     super({ x, y, width: 32, height: 32, color });
 
     this.enemyType = enemyType;
-    this.qteType = enemyType; // QTE mini-game type maps 1:1 with enemy type
+    this.qtePool = qtePool || { [enemyType]: 1 };
     this.difficulty = difficulty;
 
+    // Cross-room pursuit (see getTravelWaypoint)
+    this.homeX = x;
+    this.homeY = y;
+    this.leash = leash;
+
+    // Elite affixes (see affixes.js)
+    this.affixes = [];
+    this.shield = 0;      // QTEs left that only break the shield
+    this.timeScale = 1;   // update speed multiplier
+
     // State machine (string-based, subclasses add their own states)
     this.state = 'idle';
     this.stateTimer = 0;
@@ -82,8 +102,64 @@ export class Enemy extends Entity {
   /** Override in subclasses for per-state teardown. */
   onStateExit(state) {}
 
+  // ── Navigation ─────────────────────────────────────────────────────
+
+  /** Whether `target` is further than the leash from this enemy's spawn point. */
+  isPastLeash(target) {
+    return Math.hypot(target.x - this.homeX, target.y - this.homeY) > this.leash;
+  }
+
+  /**
+   * Where to head when travelling between rooms: the next doorway toward
+   * `target` while it's in another room and within the leash, or back
+   * toward home once it's out of reach. Null when there's nowhere to
+   * travel — the target shares this area, or this enemy is home.
+   * @param {{x: number, y: number}} target
+   * @param {import('../levels/navGraph.js').NavGraph} [nav]
+   * @returns {{x: number, y: number}|null}
+   */
+  getTravelWaypoint(target, nav) {
+    if (!nav || !target) return null;
+    const goal = this.isPastLeash(target) ? { x: this.homeX, y: this.homeY } : target;
+    if (nav.sameArea(this, goal)) return null;
+    return nav.nextWaypoint(this, goal);
+  }
+
+  /** Step toward (x, y) at `speed` px/s. */
+  _moveToward(x, y, speed, dt) {
+    const dx = x - this.x;
+    const dy = y - this.y;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    if (dist <= 0) return;
+    const step = Math.min(dist, speed * dt);
+    this.x += (dx / dist) * step;
+    this.y += (dy / dist) * step;
+  }
+
+  // ── Elite ──────────────────────────────────────────────────────────
+
+  /** Whether any affix was rolled onto this enemy. */
+  get isElite() {
+    return this.affixes.length > 0;
+  }
+
+  /** @param {string} id - key of ELITE_AFFIXES */
+  hasAffix(id) {
+    return this.affixes.includes(id);
+  }
+
   // ── Combat ─────────────────────────────────────────────────────────
 
+  /**
+   * A bullet pattern (see bulletPatterns.js) scaled to this enemy's difficulty.
+   * @param {string} name - key of BULLET_PATTERNS
+   * @param {number} [angle=0] - starting rotation for rings and spirals
+   * @returns {BulletPattern}
+   */
+  createBulletPattern(name, angle = 0) {
+    return new BulletPattern(name, { difficulty: this.difficulty, angle });
+  }
+
   /**
    * Whether this enemy can currently trigger a QTE on player contact.
    * Subclasses override to add restrictions (e.g., Bat cannot be QTE'd mid-lunge).
@@ -134,7 +210,7 @@ export class Enemy extends Entity {
       dirY = dy / dist;
     } else {
       // Enemy at exact blast center — random direction
-      const angle = Math.random() * Math.PI * 2;
+      const angle = aiRng.next() * Math.PI * 2;
       dirX = Math.cos(angle);
       dirY = Math.sin(angle);
     }
@@ -174,8 +250,10 @@ export class Enemy extends Entity {
    * @param {number} dt - Delta time in seconds
    * @param {{x:number,y:number,w:number,h:number}[]} walls - Wall segments for collision
    * @param {import('../player.js').Player} [player] - Player reference for targeting
+   * @param {import('../bullet.js').BulletPool} [bullets] - Pool to fire into
+   * @param {import('../levels/navGraph.js').NavGraph} [nav] - Room graph for cross-room pursuit
    */
-  update(dt, walls, player, bullets) {
+  update(dt, walls, player, bullets, nav) {
     if (!this.active) return;
 
     if (this.falling) {
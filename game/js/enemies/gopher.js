@@ -1,5 +1,8 @@
 import { Enemy } from './enemy.js';
 import { resolveWallCollision } from '../collision.js';
+import { rng, RNG_STREAMS } from '../systems/rng.js';
+
+const aiRng = rng.stream(RNG_STREAMS.AI);
 
 // ── Tuning constants ───────────────────────────────────────────────────
 const EMERGE_DURATION   = 0.4;   // seconds (rising animation)
@@ -7,9 +10,6 @@ const IDLE_DURATION     = 1.0;   // seconds (sitting still after firing)
 const BURROW_DURATION   = 0.6;   // seconds (burrowing animation)
 const UNDERGROUND_MIN   = 1.5;   // min time underground
 const UNDERGROUND_MAX   = 3.0;   // max time underground
-const BULLET_SPEED      = 120;   // px/s
-const BULLET_COUNT      = 8;
-const BULLET_COLOR      = '#ff4444';
 const SPAWN_MARGIN      = 0.1;   // keep away from room edges (0–1)
 const BURROW_GRACE      = 0.15;  // seconds after burrowing where QTE still works
 
@@ -17,7 +17,7 @@ export class Gopher extends Enemy {
   constructor({ x = 0, y = 0, difficulty = 1.0 } = {}) {
     super({ x, y, enemyType: 'gopher', difficulty });
 
-    this._bulletSpeed = BULLET_SPEED * this.difficulty;
+    this._burst = this.createBulletPattern('gopherBurst');
     this._undergroundMin = Math.max(0.5, UNDERGROUND_MIN / this.difficulty);
     this._undergroundMax = Math.max(0.5, UNDERGROUND_MAX / this.difficulty);
     this.undergroundTimer = 0;
@@ -50,8 +50,8 @@ export class Gopher extends Enemy {
       // Teleport now so the dirt indicator shows at the correct spot
       if (this.roomBounds) {
         const m = SPAWN_MARGIN;
-        const rx = m + Math.random() * (1 - 2 * m);
-        const ry = m + Math.random() * (1 - 2 * m);
+        const rx = m + aiRng.next() * (1 - 2 * m);
+        const ry = m + aiRng.next() * (1 - 2 * m);
         this.x = this.roomBounds.x + rx * this.roomBounds.width;
         this.y = this.roomBounds.y + ry * this.roomBounds.height;
       }
@@ -111,16 +111,7 @@ export class Gopher extends Enemy {
     // Fire on the first frame of this state
     if (!this.hasFired && bullets) {
       this.hasFired = true;
-      for (let i = 0; i < BULLET_COUNT; i++) {
-        const angle = (i / BULLET_COUNT) * Math.PI * 2;
-        bullets.spawn({
-          x: this.x,
-          y: this.y,
-          vx: Math.cos(angle) * this._bulletSpeed,
-          vy: Math.sin(angle) * this._bulletSpeed,
-          color: BULLET_COLOR,
-        });
-      }
+      this._burst.fire(bullets, { x: this.x, y: this.y });
     }
     // Immediately transition to idle after firing
     this.setState('idle');
@@ -199,5 +190,5 @@ export class Gopher extends Enemy {
 }
 
 function _rand(min, max) {
-  return min + Math.random() * (max - min);
+  return min + aiRng.next() * (max - min);
 }
@@ -0,0 +1,151 @@
+import { Enemy } from './enemy.js';
+import { resolveWallCollision } from '../collision.js';
+
+// ── Tuning constants ───────────────────────────────────────────────────
+const STALK_SPEED         = 55;    // px/s — creeps toward the player
+const STALK_DURATION      = 2.5;   // seconds between inscriptions
+const INSCRIBE_DURATION   = 1.1;   // seconds — telegraph: circle drawn under the player
+const SIGIL_RADIUS        = 48;    // px — size of the inscribed circle
+const SIGIL_COLOR         = '#5dd6c0';
+const LEASH_DISTANCE      = 500;   // px — stalks a player this far from its spawn into other rooms
+
+export class Rune extends Enemy {
+  constructor({ x = 0, y = 0, difficulty = 1.0 } = {}) {
+    super({ x, y, enemyType: 'rune', difficulty, leash: LEASH_DISTANCE });
+
+    this.speed = STALK_SPEED * this.difficulty;
+    this._inscribeDuration = Math.max(0.6, INSCRIBE_DURATION / this.difficulty);
+    this._eruption = this.createBulletPattern('runeEruption');
+
+    // Where the current sigil is inscribed (locked at the start of the telegraph)
+    this.sigilX = 0;
+    this.sigilY = 0;
+    this.playerRef = null;
+    this.bulletsRef = null;
+
+    this.setState('stalk');
+  }
+
+  // ── QTE gate ──────────────────────────────────────────────────────────
+
+  get canTriggerQTE() {
+    return this.active && this.state !== 'stunned' && !this.falling && !this.justLanded;
+  }
+
+  get isAnticipating() {
+    return this.state === 'inscribe';
+  }
+
+  // ── State hooks ───────────────────────────────────────────────────────
+
+  onStateEnter(state) {
+    if (state === 'inscribe' && this.playerRef) {
+      this.sigilX = this.playerRef.x;
+      this.sigilY = this.playerRef.y;
+    } else if (state === 'erupt') {
+      // Short-lived ring bursting out of the sigil's centre — step out of the circle
+      this._eruption.fire(this.bulletsRef, { x: this.sigilX, y: this.sigilY });
+      this.setState('stalk');
+    }
+  }
+
+  resetToIdle() {
+    this.setState('stalk');
+  }
+
+  // ── Update ────────────────────────────────────────────────────────────
+
+  update(dt, walls, player, bullets, nav) {
+    if (!this.active) return;
+    if (this.falling) {
+      this.fallTimer += dt;
+      if (this.fallTimer >= this.fallDuration) {
+        this.falling = false;
+        this.justLanded = true;
+      }
+      return;
+    }
+    this.stateTimer += dt;
+    this._updateKnockback(dt);
+    this._updateScale(dt);
+
+    this.playerRef = player;
+    this.bulletsRef = bullets;
+
+    switch (this.state) {
+      case 'stalk':    this._stalk(dt, player, nav); break;
+      case 'inscribe': this._inscribe(dt);      break;
+    }
+
+    if (walls) {
+      resolveWallCollision(this, walls);
+    }
+  }
+
+  _stalk(dt, player, nav) {
+    // Player in another room — follow through the doorways before inscribing
+    const waypoint = this.getTravelWaypoint(player, nav);
+    if (waypoint) {
+      this._moveToward(waypoint.x, waypoint.y, this.speed, dt);
+      return;
+    }
+    if (nav && player && !nav.sameArea(this, player)) return;
+
+    if (player) {
+      const dx = player.x - this.x;
+      const dy = player.y - this.y;
+      const dist = Math.sqrt(dx * dx + dy * dy);
+      if (dist > 0) {
+        this.x += (dx / dist) * this.speed * dt;
+        this.y += (dy / dist) * this.speed * dt;
+      }
+    }
+
+    if (this.stateTimer >= STALK_DURATION) {
+      this.setState('inscribe');
+    }
+  }
+
+  _inscribe(dt) {
+    if (this.stateTimer >= this._inscribeDuration) {
+      this.setState('erupt');
+    }
+  }
+
+  // ── Render ────────────────────────────────────────────────────────────
+
+  render(ctx) {
+    if (this.falling) { this._renderFalling(ctx); return; }
+
+    // Sigil on the floor — the circle closes as the telegraph completes
+    if (this.state === 'inscribe') {
+      const t = Math.min(this.stateTimer / this._inscribeDuration, 1);
+      ctx.strokeStyle = SIGIL_COLOR;
+      ctx.lineWidth = 2;
+      ctx.globalAlpha = 0.4 + 0.5 * t;
+      ctx.beginPath();
+      ctx.arc(this.sigilX, this.sigilY, SIGIL_RADIUS, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * t);
+      ctx.stroke();
+
+      // Inner star, drawn once the circle is half done
+      if (t > 0.5) {
+        ctx.beginPath();
+        for (let i = 0; i <= 5; i++) {
+          const angle = -Math.PI / 2 + (i * 2 * Math.PI * 2) / 5;
+          const px = this.sigilX + Math.cos(angle) * SIGIL_RADIUS * 0.8;
+          const py = this.sigilY + Math.sin(angle) * SIGIL_RADIUS * 0.8;
+          if (i === 0) ctx.moveTo(px, py);
+          else ctx.lineTo(px, py);
+        }
+        ctx.stroke();
+      }
+      ctx.globalAlpha = 1;
+    }
+
+    const w = this.width * this.scaleX;
+    const h = this.height * this.scaleY;
+    ctx.fillStyle = this._getColor();
+    ctx.fillRect(this.x - w / 2, this.y - h / 2, w, h);
+    this._renderAnticipation(ctx, w, h);
+  }
+}
@@ -0,0 +1,184 @@
+import { Enemy } from './enemy.js';
+import { resolveWallCollision } from '../collision.js';
+import { rng, RNG_STREAMS } from '../systems/rng.js';
+import { SIMON_PADS } from '../qtes/simonQte.js';
+
+const aiRng = rng.stream(RNG_STREAMS.AI);
+
+// ── Tuning constants ───────────────────────────────────────────────────
+const DRIFT_SPEED      = 45;    // px/s — slow wander between chants
+const DRIFT_MIN        = 2;     // min seconds before chanting
+const DRIFT_MAX        = 3.5;   // max seconds before chanting
+const CHANT_LENGTH     = 2;     // directions per chant
+const CHANT_STEP       = 0.45;  // seconds — telegraph: each direction flashes this long
+const FIRE_STAGGER     = 0.2;   // seconds between shots
+const MARKER_SIZE      = 10;    // px — chant arrow drawn on the facing side
+
+const PAD_IDS = Object.keys(SIMON_PADS);
+
+export class Simon extends Enemy {
+  constructor({ x = 0, y = 0, difficulty = 1.0 } = {}) {
+    super({ x, y, enemyType: 'simon', difficulty });
+
+    this.speed = DRIFT_SPEED * this.difficulty;
+    this._chantStep = Math.max(0.25, CHANT_STEP / this.difficulty);
+    this._shot = this.createBulletPattern('simonShot');
+
+    this.moveAngle = aiRng.next() * Math.PI * 2;
+    this.driftDuration = _rand(DRIFT_MIN, DRIFT_MAX);
+
+    // Directions chanted this cycle, fired in the same order
+    this.chant = [];
+    this.shotsFired = 0;
+    this.bulletsRef = null;
+
+    this.setState('drift');
+  }
+
+  // ── QTE gate ──────────────────────────────────────────────────────────
+
+  get canTriggerQTE() {
+    return this.active && this.state !== 'stunned' && !this.falling && !this.justLanded;
+  }
+
+  get isAnticipating() {
+    return this.state === 'chant';
+  }
+
+  /** Direction id currently being chanted, or null. */
+  get chantedPad() {
+    if (this.state !== 'chant') return null;
+    const index = Math.floor(this.stateTimer / this._chantStep);
+    return this.chant[index] || null;
+  }
+
+  // ── State hooks ───────────────────────────────────────────────────────
+
+  onStateEnter(state) {
+    if (state === 'drift') {
+      this.moveAngle = aiRng.next() * Math.PI * 2;
+      this.driftDuration = _rand(DRIFT_MIN, DRIFT_MAX);
+    } else if (state === 'chant') {
+      this.chant = Array.from({ length: CHANT_LENGTH }, () => aiRng.pick(PAD_IDS));
+    } else if (state === 'fire') {
+      this.shotsFired = 0;
+    }
+  }
+
+  resetToIdle() {
+    this.chant = [];
+    this.setState('drift');
+  }
+
+  // ── Update ────────────────────────────────────────────────────────────
+
+  update(dt, walls, player, bullets) {
+    if (!this.active) return;
+    if (this.falling) {
+      this.fallTimer += dt;
+      if (this.fallTimer >= this.fallDuration) {
+        this.falling = false;
+        this.justLanded = true;
+      }
+      return;
+    }
+    this.stateTimer += dt;
+    this._updateKnockback(dt);
+    this._updateScale(dt);
+
+    this.bulletsRef = bullets;
+
+    switch (this.state) {
+      case 'drift': this._drift(dt, walls); break;
+      case 'chant': this._chanting(dt);     break;
+      case 'fire':  this._firing(dt);       break;
+    }
+
+    if (walls) {
+      resolveWallCollision(this, walls);
+    }
+  }
+
+  _drift(dt, walls) {
+    this.x += Math.cos(this.moveAngle) * this.speed * dt;
+    this.y += Math.sin(this.moveAngle) * this.speed * dt;
+
+    // Wall collision — pick new direction on bounce
+    if (walls) {
+      const preX = this.x;
+      const preY = this.y;
+      resolveWallCollision(this, walls);
+      if (this.x !== preX || this.y !== preY) {
+        this.moveAngle = aiRng.next() * Math.PI * 2;
+      }
+    }
+
+    if (this.stateTimer >= this.driftDuration) {
+      this.setState('chant');
+    }
+  }
+
+  _chanting(dt) {
+    if (this.stateTimer >= this.chant.length * this._chantStep) {
+      this.setState('fire');
+    }
+  }
+
+  _firing(dt) {
+    // One shot per chanted direction, staggered so the order reads
+    while (this.shotsFired < this.chant.length && this.stateTimer >= this.shotsFired * FIRE_STAGGER) {
+      const pad = SIMON_PADS[this.chant[this.shotsFired]];
+      this._shot.fire(this.bulletsRef, {
+        x: this.x,
+        y: this.y,
+        angle: Math.atan2(pad.dy, pad.dx),
+        color: pad.color,
+      });
+      this.shotsFired++;
+    }
+
+    if (this.shotsFired >= this.chant.length) {
+      this.setState('drift');
+    }
+  }
+
+  // ── Render ────────────────────────────────────────────────────────────
+
+  render(ctx) {
+    if (this.falling) { this._renderFalling(ctx); return; }
+
+    const w = this.width * this.scaleX;
+    const h = this.height * this.scaleY;
+    ctx.fillStyle = this._getColor();
+    ctx.fillRect(this.x - w / 2, this.y - h / 2, w, h);
+    this._renderAnticipation(ctx, w, h);
+
+    // Chant telegraph — the side facing the upcoming shot lights up
+    const id = this.chantedPad;
+    if (id) {
+      const pad = SIMON_PADS[id];
+      const tipX = this.x + pad.dx * (w / 2 + MARKER_SIZE);
+      const tipY = this.y + pad.dy * (h / 2 + MARKER_SIZE);
+      const baseX = this.x + pad.dx * (w / 2);
+      const baseY = this.y + pad.dy * (h / 2);
+
+      ctx.fillStyle = pad.color;
+      ctx.fillRect(
+        this.x - w / 2 + (pad.dx > 0 ? w - 4 : 0),
+        this.y - h / 2 + (pad.dy > 0 ? h - 4 : 0),
+        pad.dx !== 0 ? 4 : w,
+        pad.dy !== 0 ? 4 : h
+      );
+      ctx.beginPath();
+      ctx.moveTo(tipX, tipY);
+      ctx.lineTo(baseX + pad.dy * MARKER_SIZE, baseY + pad.dx * MARKER_SIZE);
+      ctx.lineTo(baseX - pad.dy * MARKER_SIZE, baseY - pad.dx * MARKER_SIZE);
+      ctx.closePath();
+      ctx.fill();
+    }
+  }
+}
+
+function _rand(min, max) {
+  return min + aiRng.next() * (max - min);
+}
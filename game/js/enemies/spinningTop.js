@@ -1,26 +1,21 @@
 import { Enemy } from './enemy.js';
 import { resolveWallCollision } from '../collision.js';
+import { rng, RNG_STREAMS } from '../systems/rng.js';
+
+const aiRng = rng.stream(RNG_STREAMS.AI);
 
 // ── Tuning constants ───────────────────────────────────────────────────
 const IDLE_MIN         = 1.5;   // min rest before winding (seconds)
 const IDLE_MAX         = 2.5;   // max rest
 const WINDUP_DURATION  = 0.8;   // wobble animation before firing
-const FIRE_DURATION    = 2.0;   // spiral shooting phase
 const TOPPLE_DURATION  = 1.0;   // fallen over, resting
-const FIRE_INTERVAL    = 0.1;   // one bullet every 0.1s
-const ROTATION_STEP    = Math.PI / 12; // 15° per shot
-const BULLET_SPEED     = 100;   // px/s
-const BULLET_COLOR     = '#ff4444';
 
 export class SpinningTop extends Enemy {
   constructor({ x = 0, y = 0, difficulty = 1.0 } = {}) {
     super({ x, y, enemyType: 'spinningTop', difficulty });
 
-    this._bulletSpeed = BULLET_SPEED * this.difficulty;
-    this._fireInterval = Math.max(0.04, FIRE_INTERVAL / this.difficulty);
     this.idleDuration = _rand(IDLE_MIN, IDLE_MAX);
-    this.fireAngle = Math.random() * Math.PI * 2; // start at random angle
-    this.fireTimer = 0;
+    this._spiral = this.createBulletPattern('topSpiral', aiRng.next() * Math.PI * 2); // start at random angle
     this.setState('idle');
   }
 
@@ -39,11 +34,14 @@ export class SpinningTop extends Enemy {
   onStateEnter(state) {
     if (state === 'idle') {
       this.idleDuration = _rand(IDLE_MIN, IDLE_MAX);
-    } else if (state === 'firing') {
-      this.fireTimer = 0;
     }
   }
 
+  onStateExit(state) {
+    // Knocked out of a spin — the next one starts fresh
+    if (state === 'firing') this._spiral.stop();
+  }
+
   resetToIdle() {
     this.setState('idle');
   }
@@ -89,19 +87,11 @@ export class SpinningTop extends Enemy {
   }
 
   _firing(dt, bullets) {
-    this.fireTimer += dt;
-    while (this.fireTimer >= this._fireInterval && bullets) {
-      this.fireTimer -= this._fireInterval;
-      bullets.spawn({
-        x: this.x,
-        y: this.y,
-        vx: Math.cos(this.fireAngle) * this._bulletSpeed,
-        vy: Math.sin(this.fireAngle) * this._bulletSpeed,
-        color: BULLET_COLOR,
-      });
-      this.fireAngle += ROTATION_STEP;
+    if (!this._spiral.running) {
+      this._spiral.fire(bullets, { x: this.x, y: this.y });
     }
-    if (this.stateTimer >= FIRE_DURATION) {
+    this._spiral.update(dt, bullets, this.x, this.y);
+    if (!this._spiral.running) {
       this.setState('toppling');
     }
   }
@@ -175,5 +165,5 @@ export class SpinningTop extends Enemy {
 }
 
 function _rand(min, max) {
-  return min + Math.random() * (max - min);
+  return min + aiRng.next() * (max - min);
 }
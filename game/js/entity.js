@@ -41,11 +41,11 @@ export class Entity {
   }
 
   /**
-   * Flash the entity white for a number of frames.
+   * Flash the entity white for a number of frames (at 60fps).
    * @param {number} frames - Number of frames to stay white
    */
   flashWhite(frames = 3) {
-    this._flashTimer = frames;
+    this._flashTimer = frames / 60;
   }
 
   /**
@@ -60,7 +60,7 @@ export class Entity {
    * Call from subclass update() methods.
    */
   _updateScale(dt) {
-    if (this._flashTimer > 0) this._flashTimer--;
+    if (this._flashTimer > 0) this._flashTimer -= dt;
 
     if (!this._scaleTween) return;
 
@@ -1,6 +1,10 @@
 export const CANVAS_WIDTH = 800;
 export const CANVAS_HEIGHT = 600;
 
+// Fixed simulation rate — Game.update always advances by exactly SIM_DT
+export const SIM_HZ = 120;
+export const SIM_DT = 1 / SIM_HZ;
+
 export class Game {
   constructor() {
     this.scenes = [];
@@ -31,9 +35,16 @@ export class Game {
     if (current && current.update) current.update(dt);
   }
 
-  render(ctx) {
+  /**
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} [alpha=1] - fraction of a step since the last update, for
+   *   interpolation. Only the current scene is simulating, so scenes beneath
+   *   it render at their exact state.
+   */
+  render(ctx, alpha = 1) {
+    const current = this.currentScene();
     for (const scene of this.scenes) {
-      if (scene.render) scene.render(ctx);
+      if (scene.render) scene.render(ctx, scene === current ? alpha : 1);
     }
   }
 
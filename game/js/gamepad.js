@@ -0,0 +1,239 @@
+import { CANVAS_WIDTH, CANVAS_HEIGHT } from './game.js';
+import { input } from './input.js';
+
+// Polls the Gamepad API once per frame and turns what changed into the same
+// plain events input.normalizeEvent() produces, so gamepad input reaches
+// scenes, InputManager and replays exactly like keyboard/mouse input:
+//   buttons     → keydown/keyup with 'Pad…' codes (bindable in the action map)
+//   left stick  → 'padstick' analog events + 'PadStick…' digital codes
+//   right stick → virtual cursor (mousemove), RT → left mouse button
+
+// Standard-mapping button index → code
+const BUTTON_CODES = [
+  'PadA', 'PadB', 'PadX', 'PadY',
+  'PadLB', 'PadRB', 'PadLT', 'PadRT',
+  'PadSelect', 'PadStart', 'PadL3', 'PadR3',
+  'PadUp', 'PadDown', 'PadLeft', 'PadRight',
+];
+
+/**
+ * Codes a player may bind in Settings. RT is the cursor click and Select
+ * cancels rebinding, so neither is offered.
+ */
+export const BINDABLE_PAD_CODES = BUTTON_CODES.filter(code => code !== 'PadRT' && code !== 'PadSelect');
+
+const CURSOR_BUTTON = 7;          // RT
+const BUTTON_THRESHOLD = 0.5;     // analog triggers count as pressed above this
+
+// Sticks
+const STICK_DEADZONE = 0.2;
+const STICK_STEPS = 20;           // analog values are rounded to 1/20ths (keeps replays small)
+const DIGITAL_PRESS = 0.5;        // stick past this presses a 'PadStick…' code
+const DIGITAL_RELEASE = 0.35;     // …and releases it below this
+const CURSOR_SPEED = 700;         // px/s at full right-stick deflection
+
+// Virtual cursor look
+const CURSOR_RADIUS = 9;
+const CURSOR_COLOR = '#00ffff';
+
+const STICK_DIRECTIONS = [
+  { code: 'PadStickLeft',  axis: 'x', sign: -1 },
+  { code: 'PadStickRight', axis: 'x', sign: 1 },
+  { code: 'PadStickUp',    axis: 'y', sign: -1 },
+  { code: 'PadStickDown',  axis: 'y', sign: 1 },
+];
+
+class GamepadManager {
+  constructor() {
+    this.connected = false;
+    this.cursorActive = false;  // true while the right stick drives the pointer
+
+    this._index = -1;
+    this._buttons = [];         // pressed state per button index, last poll
+    this._stick = { x: 0, y: 0 };
+    this._stickCodes = new Set();
+    this._cursor = { x: CANVAS_WIDTH / 2, y: CANVAS_HEIGHT / 2 };
+  }
+
+  init() {
+    window.addEventListener('gamepadconnected', (e) => {
+      if (this._index < 0) this._index = e.gamepad.index;
+      this.connected = true;
+    });
+    window.addEventListener('gamepaddisconnected', (e) => {
+      if (e.gamepad.index === this._index) this._index = -1;
+    });
+    // A real mouse takes the pointer back
+    window.addEventListener('mousemove', () => { this.cursorActive = false; });
+  }
+
+  /**
+   * Read the active gamepad and return events for whatever changed since the
+   * last poll. Call once per rendered frame, before simulation steps.
+   * @param {number} dt - real seconds since the last poll
+   * @returns {object[]} normalized events
+   */
+  poll(dt) {
+    const pad = this._getPad();
+    if (!pad) {
+      this.connected = false;
+      return this._releaseAll();
+    }
+    this.connected = true;
+
+    const events = [];
+    this._pollButtons(pad, events);
+    this._pollLeftStick(pad, events);
+    this._pollRightStick(pad, dt, events);
+    return events;
+  }
+
+  /** Draw the virtual cursor while the right stick is steering it. */
+  render(ctx) {
+    if (!this.cursorActive) return;
+
+    const { x, y } = input.getScreenMousePos();
+    ctx.save();
+    ctx.strokeStyle = CURSOR_COLOR;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(x, y, CURSOR_RADIUS, 0, Math.PI * 2);
+    ctx.moveTo(x - CURSOR_RADIUS - 4, y);
+    ctx.lineTo(x - 3, y);
+    ctx.moveTo(x + 3, y);
+    ctx.lineTo(x + CURSOR_RADIUS + 4, y);
+    ctx.moveTo(x, y - CURSOR_RADIUS - 4);
+    ctx.lineTo(x, y - 3);
+    ctx.moveTo(x, y + 3);
+    ctx.lineTo(x, y + CURSOR_RADIUS + 4);
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  // ── Internal ───────────────────────────────────────────────────────────
+
+  _getPad() {
+    if (typeof navigator === 'undefined' || !navigator.getGamepads) return null;
+    const pads = navigator.getGamepads();
+    if (this._index >= 0 && pads[this._index]) return pads[this._index];
+
+    // Fall back to the first connected pad (e.g. no connect event yet)
+    for (const pad of pads) {
+      if (pad && pad.connected) {
+        this._index = pad.index;
+        return pad;
+      }
+    }
+    return null;
+  }
+
+  _pollButtons(pad, events) {
+    for (let i = 0; i < BUTTON_CODES.length && i < pad.buttons.length; i++) {
+      const button = pad.buttons[i];
+      const pressed = button.pressed || button.value > BUTTON_THRESHOLD;
+      if (pressed === !!this._buttons[i]) continue;
+      this._buttons[i] = pressed;
+
+      events.push(_keyEvent(pressed ? 'keydown' : 'keyup', BUTTON_CODES[i]));
+      if (i === CURSOR_BUTTON) {
+        const pos = input.getScreenMousePos();
+        events.push({
+          type: pressed ? 'mousedown' : 'mouseup',
+          button: 0,
+          x: pos.x,
+          y: pos.y,
+          onCanvas: true,
+          fromGamepad: true,
+        });
+      }
+    }
+  }
+
+  _pollLeftStick(pad, events) {
+    const { x, y } = _applyDeadzone(pad.axes[0] || 0, pad.axes[1] || 0);
+
+    if (x !== this._stick.x || y !== this._stick.y) {
+      this._stick = { x, y };
+      events.push({ type: 'padstick', x, y, fromGamepad: true });
+    }
+
+    // Digital directions with hysteresis, for menus and action checks
+    for (const dir of STICK_DIRECTIONS) {
+      const amount = this._stick[dir.axis] * dir.sign;
+      const held = this._stickCodes.has(dir.code);
+      if (!held && amount > DIGITAL_PRESS) {
+        this._stickCodes.add(dir.code);
+        events.push(_keyEvent('keydown', dir.code));
+      } else if (held && amount < DIGITAL_RELEASE) {
+        this._stickCodes.delete(dir.code);
+        events.push(_keyEvent('keyup', dir.code));
+      }
+    }
+  }
+
+  _pollRightStick(pad, dt, events) {
+    const { x, y } = _applyDeadzone(pad.axes[2] || 0, pad.axes[3] || 0);
+    if (x === 0 && y === 0) return;
+
+    // Pick up from wherever the real mouse left the pointer
+    if (!this.cursorActive) {
+      this._cursor = input.getScreenMousePos();
+      this.cursorActive = true;
+    }
+    this._cursor.x = Math.max(0, Math.min(CANVAS_WIDTH, this._cursor.x + x * CURSOR_SPEED * dt));
+    this._cursor.y = Math.max(0, Math.min(CANVAS_HEIGHT, this._cursor.y + y * CURSOR_SPEED * dt));
+
+    events.push({
+      type: 'mousemove',
+      button: 0,
+      x: Math.round(this._cursor.x),
+      y: Math.round(this._cursor.y),
+      onCanvas: true,
+      fromGamepad: true,
+    });
+  }
+
+  /** Release everything that was held when the pad went away. */
+  _releaseAll() {
+    const events = [];
+    this._buttons.forEach((pressed, i) => {
+      if (pressed) events.push(_keyEvent('keyup', BUTTON_CODES[i]));
+    });
+    if (this._buttons[CURSOR_BUTTON]) {
+      const pos = input.getScreenMousePos();
+      events.push({ type: 'mouseup', button: 0, x: pos.x, y: pos.y, onCanvas: true, fromGamepad: true });
+    }
+    for (const code of this._stickCodes) events.push(_keyEvent('keyup', code));
+    if (this._stick.x !== 0 || this._stick.y !== 0) {
+      events.push({ type: 'padstick', x: 0, y: 0, fromGamepad: true });
+    }
+
+    this._buttons = [];
+    this._stickCodes.clear();
+    this._stick = { x: 0, y: 0 };
+    this.cursorActive = false;
+    return events;
+  }
+}
+
+export const gamepad = new GamepadManager();
+
+// ── Helpers ──────────────────────────────────────────────────────────────
+
+function _keyEvent(type, code) {
+  return { type, code, key: code, repeat: false, fromGamepad: true };
+}
+
+/**
+ * Radial deadzone, rescaled so movement starts from 0 at its edge, then
+ * rounded to 1/STICK_STEPS.
+ */
+function _applyDeadzone(x, y) {
+  const mag = Math.hypot(x, y);
+  if (mag < STICK_DEADZONE) return { x: 0, y: 0 };
+  const scaled = Math.min(1, (mag - STICK_DEADZONE) / (1 - STICK_DEADZONE)) / mag;
+  return {
+    x: Math.round(x * scaled * STICK_STEPS) / STICK_STEPS || 0,
+    y: Math.round(y * scaled * STICK_STEPS) / STICK_STEPS || 0,
+  };
+}
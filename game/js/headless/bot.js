@@ -0,0 +1,188 @@
+import { input } from '../input.js';
+import { QTEScene } from '../scenes/qteScene.js';
+import { GameplayScene } from '../scenes/gameplayScene.js';
+import { PerkDraftScene } from '../scenes/perkDraftScene.js';
+import { RandomStream } from '../systems/rng.js';
+
+// Scripted input for headless runs. A policy looks at the gameplay scene and
+// returns the movement it wants; the driver turns that into the same key
+// events a player would produce. QTEs are resolved by a success roll instead
+// of playing each minigame, and perk drafts by taking a card at random.
+
+const ARRIVE_DISTANCE = 24; // px — close enough to a waypoint to take the next
+
+// ── Policies ─────────────────────────────────────────────────────────────
+// (scene: GameplayScene) => { moveX: -1|0|1, moveY: -1|0|1, dash: boolean }
+
+/** Stands still for the whole run. */
+export function idlePolicy() {
+  return { moveX: 0, moveY: 0, dash: false };
+}
+
+/**
+ * Heads for whatever currently matters: the open exit, the key, the next
+ * generator, then the nearest enemy. Crosses rooms via Level.findPath.
+ */
+export function seekPolicy(scene) {
+  const target = _pickTarget(scene);
+  if (!target) return idlePolicy();
+
+  const player = scene.player;
+  const waypoint = _nextWaypoint(scene.level, player, target);
+  const dx = waypoint.x - player.x;
+  const dy = waypoint.y - player.y;
+
+  return {
+    moveX: Math.abs(dx) > ARRIVE_DISTANCE / 2 ? Math.sign(dx) : 0,
+    moveY: Math.abs(dy) > ARRIVE_DISTANCE / 2 ? Math.sign(dy) : 0,
+    dash: false,
+  };
+}
+
+// ── Driver ───────────────────────────────────────────────────────────────
+
+export class BotDriver {
+  /**
+   * @param {object} [opts]
+   * @param {Function} [opts.policy] - movement policy, see above
+   * @param {number} [opts.qteSuccessRate] - chance each QTE is passed (0-1)
+   * @param {number} [opts.qteReactionTime] - seconds into a QTE before it resolves
+   * @param {number} [opts.seed] - seed for the bot's own rolls; kept separate
+   *        from the game's streams so the bot never shifts a run's layout
+   */
+  constructor({ policy = idlePolicy, qteSuccessRate = 1, qteReactionTime = 0.5, seed = 1 } = {}) {
+    this.policy = policy;
+    this.qteSuccessRate = qteSuccessRate;
+    this.qteReactionTime = qteReactionTime;
+    this._rng = new RandomStream(seed);
+    this._held = new Set();
+  }
+
+  /**
+   * Feed this step's input. Call before Game.update.
+   * @param {import('../game.js').Game} game
+   */
+  step(game) {
+    const scene = game.currentScene();
+
+    if (scene instanceof QTEScene) {
+      this._release();
+      this._resolveQTE(scene);
+      return;
+    }
+    if (scene instanceof PerkDraftScene) {
+      this._release();
+      scene.pick(this._rng.int(scene.choices.length));
+      return;
+    }
+    if (!(scene instanceof GameplayScene) || scene.transition || scene.player.dead) {
+      this._release();
+      return;
+    }
+
+    const intent = this.policy(scene);
+    const actions = new Set();
+    if (intent.moveX < 0) actions.add('moveLeft');
+    if (intent.moveX > 0) actions.add('moveRight');
+    if (intent.moveY < 0) actions.add('moveUp');
+    if (intent.moveY > 0) actions.add('moveDown');
+    // Dash fires on press, so it is tapped rather than held
+    if (intent.dash && !this._held.has('dash')) actions.add('dash');
+    this._hold(actions);
+  }
+
+  // ── Internals ──────────────────────────────────────────────────────────
+
+  _resolveQTE(scene) {
+    const qte = scene.qte;
+    if (!qte || !scene.splashDone || qte.completed) return;
+    if (qte.elapsed < this.qteReactionTime) return;
+
+    if (this._rng.chance(this.qteSuccessRate)) {
+      qte.succeed();
+    } else {
+      qte.fail();
+    }
+  }
+
+  /** Press/release keys so exactly `actions` are held. */
+  _hold(actions) {
+    for (const action of this._held) {
+      if (!actions.has(action)) this._key('keyup', action);
+    }
+    for (const action of actions) {
+      if (!this._held.has(action)) this._key('keydown', action);
+    }
+    this._held = actions;
+  }
+
+  _release() {
+    this._hold(new Set());
+  }
+
+  _key(type, action) {
+    const code = input.getActionMap()[action][0];
+    input.applyEvent({ type, code, key: '', repeat: false });
+  }
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────────
+
+function _pickTarget(scene) {
+  if (scene.exitHole && !scene.challengeFleeMode) return scene.exitHole;
+  if (scene.keyItem && !scene.keyItem.collected) return scene.keyItem;
+
+  const gen = scene.generators.find(g => !g.completed);
+  if (gen) return gen;
+
+  let nearest = null;
+  let nearestDist = Infinity;
+  for (const enemy of scene.enemies) {
+    if (!enemy.active) continue;
+    const d = (enemy.x - scene.player.x) ** 2 + (enemy.y - scene.player.y) ** 2;
+    if (d < nearestDist) {
+      nearestDist = d;
+      nearest = enemy;
+    }
+  }
+  return nearest;
+}
+
+/** First waypoint on the room path toward `target`, or the target itself. */
+function _nextWaypoint(level, from, target) {
+  const fromRoom = _roomIndexAt(level, from.x, from.y);
+  const toRoom = _roomIndexAt(level, target.x, target.y);
+  if (toRoom === -1 || fromRoom === toRoom) return target;
+
+  // In a hallway — carry on into whichever end is closer to the target
+  if (fromRoom === -1) {
+    const hallway = level.hallways.find(h =>
+      from.x >= h.floor.x && from.x <= h.floor.x + h.floor.w &&
+      from.y >= h.floor.y && from.y <= h.floor.y + h.floor.h);
+    if (!hallway) return target;
+
+    const [a, b] = hallway.openings.map(o => o.roomIndex);
+    if (a === toRoom || b === toRoom) return target;
+    const next = level.findPath(a, toRoom).length <= level.findPath(b, toRoom).length ? a : b;
+    const room = level.rooms[next];
+    return { x: room.floorX + room.floorWidth / 2, y: room.floorY + room.floorHeight / 2 };
+  }
+
+  const path = level.findPath(fromRoom, toRoom);
+  for (const wp of path) {
+    const d = Math.hypot(wp.x - from.x, wp.y - from.y);
+    if (d > ARRIVE_DISTANCE) return wp;
+  }
+  return target;
+}
+
+function _roomIndexAt(level, x, y) {
+  for (let i = 0; i < level.rooms.length; i++) {
+    const r = level.rooms[i];
+    if (x >= r.floorX && x <= r.floorX + r.floorWidth &&
+        y >= r.floorY && y <= r.floorY + r.floorHeight) {
+      return i;
+    }
+  }
+  return -1;
+}
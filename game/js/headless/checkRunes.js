@@ -0,0 +1,49 @@
+// Check of the RuneQTE recognizer: clean traces of every rune pass at the
+// strictest tolerance, and a straight swipe fails every rune at the loosest.
+// Runs every check under node:test and exits non-zero if any failed.
+//
+//   node game/js/headless/checkRunes.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RUNES, strokeDistance, resample } from '../qtes/runeRecognizer.js';
+import { getRuneTolerance } from '../systems/difficulty.js';
+
+const STRICTEST = getRuneTolerance(20);
+const LOOSEST = getRuneTolerance(1);
+const GLYPH_SIZE = 150;  // px, about as drawn on screen
+
+/** A rune traced exactly, as dense pointer samples in screen pixels. */
+function trace(runeId) {
+  const points = RUNES[runeId].points.map(([x, y]) => ({ x: x * GLYPH_SIZE, y: y * GLYPH_SIZE }));
+  return resample(points, 64);
+}
+
+/** A straight swipe of GLYPH_SIZE px at `degrees` from the x axis. */
+function line(degrees) {
+  const t = degrees * Math.PI / 180;
+  return resample([{ x: 0, y: 0 }, { x: Math.cos(t) * GLYPH_SIZE, y: Math.sin(t) * GLYPH_SIZE }], 64);
+}
+
+test('a clean trace passes its own rune', () => {
+  for (const id of Object.keys(RUNES)) {
+    const distance = strokeDistance(trace(id), id);
+    assert.ok(distance <= STRICTEST, `${id}: ${distance.toFixed(3)} > ${STRICTEST.toFixed(3)}`);
+  }
+});
+
+test('a clean trace passes drawn from the other end', () => {
+  for (const id of Object.keys(RUNES)) {
+    const distance = strokeDistance(trace(id).reverse(), id);
+    assert.ok(distance <= STRICTEST, `${id}: ${distance.toFixed(3)} > ${STRICTEST.toFixed(3)}`);
+  }
+});
+
+test('a straight line fails every rune', () => {
+  for (const id of Object.keys(RUNES)) {
+    for (let degrees = 0; degrees < 360; degrees += 5) {
+      const distance = strokeDistance(line(degrees), id);
+      assert.ok(distance > LOOSEST, `${id} at ${degrees}°: ${distance.toFixed(3)} <= ${LOOSEST.toFixed(3)}`);
+    }
+  }
+});
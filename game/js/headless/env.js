@@ -0,0 +1,30 @@
+// Minimal browser globals for running the simulation under Node.
+//
+// Several systems read localStorage when their module is first evaluated, so
+// this file must be imported before anything from the game itself.
+
+class MemoryStorage {
+  constructor() {
+    this._data = new Map();
+  }
+
+  getItem(key) {
+    return this._data.has(key) ? this._data.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this._data.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this._data.delete(key);
+  }
+
+  clear() {
+    this._data.clear();
+  }
+}
+
+if (typeof globalThis.localStorage === 'undefined') {
+  globalThis.localStorage = new MemoryStorage();
+}
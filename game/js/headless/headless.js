@@ -0,0 +1,159 @@
+import './env.js';
+import { readFileSync } from 'node:fs';
+import { Game, SIM_DT } from '../game.js';
+import { input } from '../input.js';
+import { GameplayScene } from '../scenes/gameplayScene.js';
+import { QTEScene } from '../scenes/qteScene.js';
+import { achievements } from '../systems/achievements.js';
+import { replay } from '../systems/replay.js';
+import { controllerPacks } from '../qtes/controllerPacks.js';
+import { BotDriver, idlePolicy, seekPolicy } from './bot.js';
+
+// Runs the real Game / GameplayScene loop under Node with no rendering.
+// Audio, CRT and storage are already safe without a browser: audio stays
+// uninitialised, the CRT never builds its canvases unless asked to draw, and
+// env.js supplies an in-memory localStorage.
+//
+//   const run = new HeadlessRun({ seed: 42, forceChallengeType: 'KILL_ALL' });
+//   run.runFor(30);
+//   run.stats.livesLost; // → N
+
+// main.js fetches level packs; under Node they are read straight from disk
+const PACK_PATHS = ['packs/controller/default.json'];
+for (const path of PACK_PATHS) {
+  const pack = JSON.parse(readFileSync(new URL(`../../${path}`, import.meta.url), 'utf8'));
+  controllerPacks.register(pack, path);
+}
+
+export class HeadlessRun {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.seed] - run seed (random if omitted)
+   * @param {BotDriver} [opts.bot] - input driver (an idle bot if omitted)
+   * @param {string} [opts.forceChallengeType] - use this challenge on every floor
+   * @param {string} [opts.layoutSource] - see LevelManager's LAYOUT_SOURCES
+   */
+  constructor({ seed = null, bot = null, forceChallengeType = null, layoutSource } = {}) {
+    this.bot = bot || new BotDriver();
+    this.game = new Game();
+
+    // Each run starts from a clean slate — input and achievements are singletons
+    input.applyEvent({ type: 'blur' });
+    input.endFrame();
+    achievements.suspended = true;
+
+    this.scene = new GameplayScene(this.game, { seed, forceChallengeType, layoutSource });
+    this.game.pushScene(this.scene);
+    // Nothing to save a replay for — the seed alone reproduces a bot run
+    replay.stopRecording();
+
+    this.seed = this.scene.runSeed;
+    this.stats = {
+      steps: 0,
+      time: 0,            // simulated seconds
+      livesLost: 0,
+      livesGained: 0,
+      floorsCleared: 0,
+      enemiesKilled: 0,
+      qtesPassed: 0,
+      qtesFailed: 0,
+      floors: [],         // { depth, challengeType, time, livesLost }
+    };
+
+    this._lastLives = this.scene.player.lives;
+    this._lastDepth = this.scene.levelManager.levelDepth;
+    this._floorStart = 0;
+    this._floorLivesLost = 0;
+    this._floorChallenge = this.scene.levelManager.challengeType;
+  }
+
+  /** True once the run has ended (death or timer expiry). */
+  get over() {
+    return this.scene.gameOverPushed;
+  }
+
+  get levelDepth() {
+    return this.scene.levelManager.levelDepth;
+  }
+
+  /** Advance the simulation by one fixed step. */
+  step() {
+    if (this.over) return;
+
+    const current = this.game.currentScene();
+    this.bot.step(this.game);
+    this.game.update(SIM_DT);
+    input.endFrame();
+
+    this.stats.steps++;
+    this.stats.time += SIM_DT;
+    this._track(current);
+  }
+
+  /**
+   * Simulate up to `seconds` of game time, stopping early if the run ends.
+   * @returns {object} stats
+   */
+  runFor(seconds) {
+    const steps = Math.round(seconds / SIM_DT);
+    for (let i = 0; i < steps && !this.over; i++) {
+      this.step();
+    }
+    return this.stats;
+  }
+
+  /**
+   * Simulate until `count` more floors are cleared, the run ends, or
+   * `maxSeconds` of game time pass.
+   * @returns {object} stats
+   */
+  runFloors(count, maxSeconds = 600) {
+    const target = this.stats.floorsCleared + count;
+    const steps = Math.round(maxSeconds / SIM_DT);
+    for (let i = 0; i < steps && !this.over && this.stats.floorsCleared < target; i++) {
+      this.step();
+    }
+    return this.stats;
+  }
+
+  // ── Internals ──────────────────────────────────────────────────────────
+
+  _track(stepScene) {
+    const stats = this.stats;
+    const scene = this.scene;
+
+    const lives = scene.player.lives;
+    if (lives < this._lastLives) {
+      stats.livesLost += this._lastLives - lives;
+      this._floorLivesLost += this._lastLives - lives;
+    } else if (lives > this._lastLives) {
+      stats.livesGained += lives - this._lastLives;
+    }
+    this._lastLives = lives;
+
+    if (stepScene instanceof QTEScene && stepScene.qte && stepScene.qte.completed &&
+        !this.game.scenes.includes(stepScene)) {
+      if (stepScene.qte.result === 'success') stats.qtesPassed++;
+      else stats.qtesFailed++;
+    }
+
+    stats.enemiesKilled = scene.enemiesKilled;
+
+    const depth = scene.levelManager.levelDepth;
+    if (depth !== this._lastDepth) {
+      stats.floors.push({
+        depth: this._lastDepth,
+        challengeType: this._floorChallenge,
+        time: stats.time - this._floorStart,
+        livesLost: this._floorLivesLost,
+      });
+      stats.floorsCleared++;
+      this._lastDepth = depth;
+      this._floorStart = stats.time;
+      this._floorLivesLost = 0;
+      this._floorChallenge = scene.levelManager.challengeType;
+    }
+  }
+}
+
+export { BotDriver, idlePolicy, seekPolicy };
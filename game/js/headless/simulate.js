@@ -0,0 +1,114 @@
+// Balance runner — simulates many bot runs and prints aggregate stats.
+//
+//   node game/js/headless/simulate.js --runs 200 --bot seek --floors 10
+//   node game/js/headless/simulate.js --bot idle --challenge KILL_ALL --seconds 30
+//
+// Options:
+//   --runs N          number of runs (default 20)
+//   --seed HEX        seed of the first run; run i uses seed + i (default random)
+//   --bot idle|seek   movement policy (default seek)
+//   --qte RATE        QTE success rate 0-1 (default 0.8)
+//   --reaction SEC    seconds into a QTE before the bot resolves it (default 0.8)
+//   --challenge TYPE  force a challenge type on every floor
+//   --layouts SOURCE  mixed|handmade|procedural (default mixed)
+//   --seconds N       stop each run after N seconds of game time (default 600)
+//   --floors N        stop each run after N cleared floors
+//
+// Node 20.19+ loads the game's ES modules directly; no build step is needed.
+
+import { HeadlessRun, BotDriver, idlePolicy, seekPolicy } from './headless.js';
+import { CHALLENGE_TYPES, LAYOUT_SOURCES } from '../levels/levelManager.js';
+import { generateSeed, formatSeed, parseSeed } from '../systems/rng.js';
+
+const POLICIES = { idle: idlePolicy, seek: seekPolicy };
+
+function parseArgs(argv) {
+  const opts = {
+    runs: 20,
+    seed: null,
+    bot: 'seek',
+    qte: 0.8,
+    reaction: 0.8,
+    challenge: null,
+    layouts: LAYOUT_SOURCES.MIXED,
+    seconds: 600,
+    floors: Infinity,
+  };
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, '');
+    const value = argv[i + 1];
+    if (!(key in opts) || value === undefined) {
+      throw new Error(`Unknown or incomplete option: ${argv[i]}`);
+    }
+    opts[key] = typeof opts[key] === 'number' ? Number(value) : value;
+  }
+
+  if (!POLICIES[opts.bot]) throw new Error(`Unknown bot: ${opts.bot}`);
+  if (opts.challenge && !CHALLENGE_TYPES[opts.challenge]) {
+    throw new Error(`Unknown challenge type: ${opts.challenge}`);
+  }
+  if (!Object.values(LAYOUT_SOURCES).includes(opts.layouts)) {
+    throw new Error(`Unknown layout source: ${opts.layouts}`);
+  }
+  if (opts.seed !== null) {
+    opts.seed = parseSeed(opts.seed);
+    if (opts.seed === null) throw new Error('--seed must be up to 8 hex digits');
+  }
+  return opts;
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const firstSeed = opts.seed ?? generateSeed();
+
+  const totals = { time: 0, livesLost: 0, floorsCleared: 0, enemiesKilled: 0, qtesPassed: 0, qtesFailed: 0, deaths: 0 };
+  const byChallenge = {};
+  let deepest = 0;
+
+  for (let i = 0; i < opts.runs; i++) {
+    const seed = (firstSeed + i) >>> 0;
+    const bot = new BotDriver({
+      policy: POLICIES[opts.bot],
+      qteSuccessRate: opts.qte,
+      qteReactionTime: opts.reaction,
+      seed,
+    });
+    const run = new HeadlessRun({ seed, bot, forceChallengeType: opts.challenge, layoutSource: opts.layouts });
+    const stats = run.runFloors(opts.floors, opts.seconds);
+
+    for (const key of Object.keys(totals)) {
+      if (key in stats) totals[key] += stats[key];
+    }
+    if (run.over) totals.deaths++;
+    deepest = Math.max(deepest, run.levelDepth);
+
+    for (const floor of stats.floors) {
+      const c = byChallenge[floor.challengeType] ||= { count: 0, time: 0, livesLost: 0 };
+      c.count++;
+      c.time += floor.time;
+      c.livesLost += floor.livesLost;
+    }
+  }
+
+  const n = opts.runs;
+  const qtes = totals.qtesPassed + totals.qtesFailed;
+  console.log(`${n} runs  bot=${opts.bot}  qte=${opts.qte}  seeds ${formatSeed(firstSeed)}+`);
+  console.log(`  survived      ${n - totals.deaths}/${n}`);
+  console.log(`  avg time      ${(totals.time / n).toFixed(1)}s`);
+  console.log(`  avg lives lost ${(totals.livesLost / n).toFixed(2)}`);
+  console.log(`  avg floors    ${(totals.floorsCleared / n).toFixed(2)}  (deepest ${deepest})`);
+  console.log(`  avg kills     ${(totals.enemiesKilled / n).toFixed(2)}`);
+  console.log(`  qte pass rate ${qtes > 0 ? ((totals.qtesPassed / qtes) * 100).toFixed(1) : '-'}%`);
+
+  const types = Object.keys(byChallenge);
+  if (types.length > 0) {
+    console.log('  cleared floors by challenge:');
+    for (const type of types) {
+      const c = byChallenge[type];
+      console.log(`    ${type.padEnd(14)} ${String(c.count).padStart(5)}  ` +
+        `avg ${(c.time / c.count).toFixed(1)}s  lives lost ${(c.livesLost / c.count).toFixed(2)}`);
+    }
+  }
+}
+
+main();
@@ -13,6 +13,8 @@ const BOSS_SEG_GAP = 8;
 const BOSS_SEG_Y = CANVAS_HEIGHT - 44;
 const BOSS_FILLED = '#ff2266';
 const BOSS_EMPTY = '#442233';
+const BOSS_PHASE_GAP = 16;          // extra space between one phase's segments and the next
+const BOSS_PHASE_TICK = '#aaaaaa';
 
 // Bounce animation constants
 const LIVES_BOUNCE_FROM = 1.4;
@@ -31,6 +33,8 @@ export class HUD {
     this.timerActive = true;
     this.bossHP = 0;
     this.bossMaxHP = 0;
+    this.bossPhaseBreaks = [];  // HP values where a phase ends
+    this.bossName = '';
     this.generatorsDone = 0;
     this.generatorsTotal = 0;
 
@@ -45,7 +49,7 @@ export class HUD {
     this._timerFlashTimer = -1;   // green flash on bonus
   }
 
-  update(dt, { lives, maxLives, timer, levelDepth, challengeType, timerActive, bossHP, bossMaxHP, generatorsDone, generatorsTotal } = {}) {
+  update(dt, { lives, maxLives, timer, levelDepth, challengeType, timerActive, bossHP, bossMaxHP, bossPhaseBreaks, bossName, generatorsDone, generatorsTotal } = {}) {
     // Detect lives change → trigger bounce
     if (lives != null && lives !== this._prevLives) {
       this._livesBounceTimer = 0;
@@ -67,6 +71,8 @@ export class HUD {
     if (timerActive != null) this.timerActive = timerActive;
     if (bossHP != null) this.bossHP = bossHP;
     if (bossMaxHP != null) this.bossMaxHP = bossMaxHP;
+    if (bossPhaseBreaks != null) this.bossPhaseBreaks = bossPhaseBreaks;
+    if (bossName != null) this.bossName = bossName;
     if (generatorsDone != null) this.generatorsDone = generatorsDone;
     if (generatorsTotal != null) this.generatorsTotal = generatorsTotal;
 
@@ -193,11 +199,22 @@ export class HUD {
   _renderBossHP(ctx) {
     if (this.bossMaxHP <= 0) return;
 
-    const totalWidth = this.bossMaxHP * (BOSS_SEG_SIZE + BOSS_SEG_GAP) - BOSS_SEG_GAP;
+    const totalWidth = this.bossMaxHP * (BOSS_SEG_SIZE + BOSS_SEG_GAP) - BOSS_SEG_GAP
+                     + this.bossPhaseBreaks.length * BOSS_PHASE_GAP;
     const startX = (CANVAS_WIDTH - totalWidth) / 2;
 
+    let x = startX - BOSS_SEG_SIZE - BOSS_SEG_GAP;
     for (let i = 0; i < this.bossMaxHP; i++) {
-      const x = startX + i * (BOSS_SEG_SIZE + BOSS_SEG_GAP);
+      x += BOSS_SEG_SIZE + BOSS_SEG_GAP;
+
+      // Phase break — widen the gap and mark it with a tick
+      if (this.bossPhaseBreaks.includes(i)) {
+        const tickX = x + (BOSS_PHASE_GAP - BOSS_SEG_GAP) / 2;
+        ctx.fillStyle = BOSS_PHASE_TICK;
+        ctx.fillRect(tickX, BOSS_SEG_Y - 4, 2, BOSS_SEG_SIZE + 8);
+        x += BOSS_PHASE_GAP;
+      }
+
       if (i < this.bossHP) {
         ctx.fillStyle = BOSS_FILLED;
         ctx.fillRect(x, BOSS_SEG_Y, BOSS_SEG_SIZE, BOSS_SEG_SIZE);
@@ -212,7 +229,7 @@ export class HUD {
     ctx.font = '8px "Press Start 2P"';
     ctx.textAlign = 'center';
     ctx.textBaseline = 'top';
-    ctx.fillText('BOSS', CANVAS_WIDTH / 2, BOSS_SEG_Y + BOSS_SEG_SIZE + 6);
+    ctx.fillText(this.bossName || 'BOSS', CANVAS_WIDTH / 2, BOSS_SEG_Y + BOSS_SEG_SIZE + 6);
   }
 
   _renderGenerators(ctx) {
@@ -1,15 +1,39 @@
+// Gamepad buttons share the action map with keyboard codes as 'Pad…' codes
+// (see gamepad.js for the standard-mapping names).
 const DEFAULT_ACTION_MAP = {
-  moveUp:    ['KeyW', 'ArrowUp'],
-  moveDown:  ['KeyS', 'ArrowDown'],
-  moveLeft:  ['KeyA', 'ArrowLeft'],
-  moveRight: ['KeyD', 'ArrowRight'],
-  interact:  ['KeyE'],
-  dash:      ['ShiftLeft'],
-  pause:     ['Escape'],
+  moveUp:    ['KeyW', 'ArrowUp', 'PadUp'],
+  moveDown:  ['KeyS', 'ArrowDown', 'PadDown'],
+  moveLeft:  ['KeyA', 'ArrowLeft', 'PadLeft'],
+  moveRight: ['KeyD', 'ArrowRight', 'PadRight'],
+  interact:  ['KeyE', 'PadA'],
+  dash:      ['ShiftLeft', 'PadB'],
+  pause:     ['Escape', 'PadStart'],
 };
 
+// Codes that always count toward an action and can't be rebound: the left
+// stick pushed past its threshold (gamepad.js) and on-screen buttons (touch.js)
+const FIXED_CODES = {
+  moveUp:    ['PadStickUp'],
+  moveDown:  ['PadStickDown'],
+  moveLeft:  ['PadStickLeft'],
+  moveRight: ['PadStickRight'],
+  interact:  ['TouchInteract'],
+  dash:      ['TouchDash'],
+  pause:     ['TouchPause'],
+};
+
+const PAD_CODE_PREFIX = 'Pad';
+
 const STORAGE_KEY = 'qta_keybindings';
 
+/**
+ * True for gamepad codes ('PadA', 'PadStickUp', …) as opposed to keyboard codes.
+ * @param {string} code
+ */
+export function isPadCode(code) {
+  return typeof code === 'string' && code.startsWith(PAD_CODE_PREFIX);
+}
+
 class InputManager {
   constructor() {
     this._keysDown = new Set();
@@ -21,23 +45,30 @@ class InputManager {
     this._mouseJustPressed = new Set();
     this._mouseJustReleased = new Set();
 
+    // Left stick, deadzone already applied (see gamepad.js)
+    this._stick = { x: 0, y: 0 };
+
     this._canvas = null;
+    this._pointerTransform = null;
     this._actionMap = {};
     this._boundCodes = new Set();
 
+    // When false, DOM events are ignored and input is driven by applyEvent()
+    this._liveInput = true;
+
     this._loadMappings();
   }
 
   init(canvas) {
     this._canvas = canvas;
 
-    window.addEventListener('keydown', (e) => this._onKeyDown(e));
-    window.addEventListener('keyup', (e) => this._onKeyUp(e));
-    window.addEventListener('blur', () => this._onBlur());
+    window.addEventListener('keydown', (e) => { if (this._liveInput) this._onKeyDown(e); });
+    window.addEventListener('keyup', (e) => { if (this._liveInput) this._onKeyUp(e); });
+    window.addEventListener('blur', () => { if (this._liveInput) this._onBlur(); });
 
-    canvas.addEventListener('mousedown', (e) => this._onMouseDown(e));
-    canvas.addEventListener('mousemove', (e) => this._onMouseMove(e));
-    window.addEventListener('mouseup', (e) => this._onMouseUp(e));
+    canvas.addEventListener('mousedown', (e) => { if (this._liveInput) this._onMouseDown(e); });
+    canvas.addEventListener('mousemove', (e) => { if (this._liveInput) this._onMouseMove(e); });
+    window.addEventListener('mouseup', (e) => { if (this._liveInput) this._onMouseUp(e); });
     canvas.addEventListener('contextmenu', (e) => e.preventDefault());
   }
 
@@ -63,7 +94,7 @@ class InputManager {
     for (const code of codes) {
       if (this._keysDown.has(code)) return true;
     }
-    return false;
+    return (FIXED_CODES[action] || []).some(code => this._keysDown.has(code));
   }
 
   isActionJustPressed(action) {
@@ -72,15 +103,62 @@ class InputManager {
     for (const code of codes) {
       if (this._keysJustPressed.has(code)) return true;
     }
-    return false;
+    return (FIXED_CODES[action] || []).some(code => this._keysJustPressed.has(code));
+  }
+
+  // --- Polling: analog stick ---
+
+  /**
+   * Analog movement from the left stick (or the touch joystick), each axis
+   * in [-1, 1] with the deadzone removed. { x: 0, y: 0 } at rest.
+   */
+  getMoveAxis() {
+    return { x: this._stick.x, y: this._stick.y };
   }
 
   // --- Polling: mouse ---
 
+  /**
+   * Pointer position in game space — where it lands on what scenes draw in
+   * render(), i.e. with the CRT distortion undone (see setPointerTransform).
+   */
   getMousePos() {
+    if (this._pointerTransform) {
+      return this._pointerTransform(this._mousePos.x, this._mousePos.y);
+    }
+    return { x: this._mousePos.x, y: this._mousePos.y };
+  }
+
+  /**
+   * Pointer position on the displayed canvas, for UI drawn in
+   * renderOverlay() (after the CRT pass).
+   */
+  getScreenMousePos() {
     return { x: this._mousePos.x, y: this._mousePos.y };
   }
 
+  /**
+   * Map screen-space pointer positions into game space.
+   * @param {((x: number, y: number) => {x: number, y: number})|null} fn
+   */
+  setPointerTransform(fn) {
+    this._pointerTransform = fn;
+  }
+
+  /**
+   * Convert client coordinates (a mouse event, Touch, …) to screen-space
+   * canvas pixels, whatever size the canvas is displayed at.
+   * @param {{ clientX: number, clientY: number }} e
+   */
+  toCanvasPos(e) {
+    if (!this._canvas) return { x: 0, y: 0 };
+    const rect = this._canvas.getBoundingClientRect();
+    return {
+      x: ((e.clientX - rect.left) / rect.width) * this._canvas.width,
+      y: ((e.clientY - rect.top) / rect.height) * this._canvas.height,
+    };
+  }
+
   isMouseDown(button = 0) {
     return this._mouseButtons.has(button);
   }
@@ -102,6 +180,116 @@ class InputManager {
     this._mouseJustReleased.clear();
   }
 
+  // --- Replay support ---
+
+  /**
+   * Enable or disable DOM-driven input. Replay playback disables it so only
+   * recorded events reach the input state.
+   * @param {boolean} enabled
+   */
+  setLiveInput(enabled) {
+    this._liveInput = enabled;
+  }
+
+  /**
+   * Convert a DOM event into a plain, serializable event with the fields
+   * scenes read (type, code, key, repeat, button) plus canvas-space mouse
+   * coordinates. Events from gamepad.js and touch.js are already in this
+   * form (flagged fromGamepad) and pass through unchanged.
+   * @param {Event|object} e
+   * @returns {object}
+   */
+  normalizeEvent(e) {
+    if (e.fromGamepad) return e;
+    const ev = { type: e.type };
+    if (e.type === 'keydown' || e.type === 'keyup') {
+      ev.code = e.code;
+      ev.key = e.key;
+      ev.repeat = !!e.repeat;
+    } else if (e.type.startsWith('mouse')) {
+      const pos = this.toCanvasPos(e);
+      ev.button = e.button;
+      ev.x = pos.x;
+      ev.y = pos.y;
+      ev.onCanvas = e.target === this._canvas;
+    } else if (e.type === 'padstick') {
+      ev.x = e.x;
+      ev.y = e.y;
+    }
+    return ev;
+  }
+
+  /**
+   * Apply a normalized event (see normalizeEvent) exactly as the DOM
+   * listeners would have.
+   * @param {object} ev
+   */
+  applyEvent(ev) {
+    switch (ev.type) {
+      case 'keydown':
+        if (ev.repeat) return;
+        this._keysDown.add(ev.code);
+        this._keysJustPressed.add(ev.code);
+        break;
+      case 'keyup':
+        this._onKeyUp(ev);
+        break;
+      case 'blur':
+        this._onBlur();
+        break;
+      case 'mousedown':
+        // Mouse down/move listeners are attached to the canvas only
+        if (!ev.onCanvas) return;
+        this._mouseButtons.add(ev.button);
+        this._mouseJustPressed.add(ev.button);
+        this._mousePos.x = ev.x;
+        this._mousePos.y = ev.y;
+        break;
+      case 'mousemove':
+        if (!ev.onCanvas) return;
+        this._mousePos.x = ev.x;
+        this._mousePos.y = ev.y;
+        break;
+      case 'mouseup':
+        this._onMouseUp(ev);
+        break;
+      case 'padstick':
+        this._stick.x = ev.x;
+        this._stick.y = ev.y;
+        break;
+    }
+  }
+
+  /** Snapshot of held keys/buttons and mouse position. */
+  getState() {
+    return {
+      keysDown: [...this._keysDown],
+      keysJustPressed: [...this._keysJustPressed],
+      keysJustReleased: [...this._keysJustReleased],
+      mouseButtons: [...this._mouseButtons],
+      mouseJustPressed: [...this._mouseJustPressed],
+      mouseJustReleased: [...this._mouseJustReleased],
+      mouseX: this._mousePos.x,
+      mouseY: this._mousePos.y,
+      stickX: this._stick.x,
+      stickY: this._stick.y,
+    };
+  }
+
+  /** Restore a snapshot produced by getState(). */
+  setState(state) {
+    this._keysDown = new Set(state.keysDown);
+    this._keysJustPressed = new Set(state.keysJustPressed);
+    this._keysJustReleased = new Set(state.keysJustReleased);
+    this._mouseButtons = new Set(state.mouseButtons);
+    this._mouseJustPressed = new Set(state.mouseJustPressed);
+    this._mouseJustReleased = new Set(state.mouseJustReleased);
+    this._mousePos.x = state.mouseX;
+    this._mousePos.y = state.mouseY;
+    this._stick.x = state.stickX || 0;
+    this._stick.y = state.stickY || 0;
+  }
+
   // --- Remapping ---
 
   getActionMap() {
@@ -153,6 +341,8 @@ class InputManager {
     this._mouseButtons.clear();
     this._mouseJustPressed.clear();
     this._mouseJustReleased.clear();
+    this._stick.x = 0;
+    this._stick.y = 0;
   }
 
   _onMouseDown(e) {
@@ -172,9 +362,9 @@ class InputManager {
 
   _updateMousePos(e) {
     if (!this._canvas) return;
-    const rect = this._canvas.getBoundingClientRect();
-    this._mousePos.x = ((e.clientX - rect.left) / rect.width) * this._canvas.width;
-    this._mousePos.y = ((e.clientY - rect.top) / rect.height) * this._canvas.height;
+    const pos = this.toCanvasPos(e);
+    this._mousePos.x = pos.x;
+    this._mousePos.y = pos.y;
   }
 
   // --- Internal: persistence ---
@@ -195,6 +385,10 @@ class InputManager {
             // Only restore actions that exist in defaults, and validate value is string array
             if (action in DEFAULT_ACTION_MAP && Array.isArray(codes) && codes.every(c => typeof c === 'string')) {
               this._actionMap[action] = [...codes];
+              // Bindings saved before gamepad support — keep the default pad buttons
+              if (!codes.some(isPadCode)) {
+                this._actionMap[action].push(...DEFAULT_ACTION_MAP[action].filter(isPadCode));
+              }
             }
           }
         }
@@ -6,6 +6,15 @@ import { Cowboy } from '../enemies/cowboy.js';
 import { Controller } from '../enemies/controller.js';
 import { Heart } from '../enemies/heart.js';
 import { Clock } from '../enemies/clock.js';
+import { Simon } from '../enemies/simon.js';
+import { Rune } from '../enemies/rune.js';
+import { Boss, getBossType } from '../enemies/boss.js';
+import { rollAffixes, applyAffixes } from '../enemies/affixes.js';
+import { rng, RNG_STREAMS } from '../systems/rng.js';
+import { mutators } from '../systems/mutators.js';
+import { getBossPhaseCount, getEliteChance, getEliteAffixCount } from '../systems/difficulty.js';
+
+const spawnRng = rng.stream(RNG_STREAMS.SPAWN);
 
 const ENEMY_CLASSES = {
   bat: Bat,
@@ -16,12 +25,16 @@ const ENEMY_CLASSES = {
   controller: Controller,
   heart: Heart,
   clock: Clock,
+  simon: Simon,
+  rune: Rune,
 };
 
 function getAvailableTypes(levelDepth) {
   const types = ['bat', 'gopher'];
   if (levelDepth >= 3) types.push('spinningTop', 'letter');
   if (levelDepth >= 5) types.push('cowboy', 'controller');
+  if (levelDepth >= 8) types.push('simon');
+  if (levelDepth >= 10) types.push('rune');
   return types;
 }
 
@@ -37,6 +50,10 @@ const HEART_CHANCE = 0.20;
 const CLOCK_CHANCE = 0.30;
 const THEMED_CHANCE = 0.15;
 const THEMED_RATIO = 0.75;
+const THEMED_ELITE_BOOST = 2;  // the theme type is this much likelier to be elite
+const SPLIT_SIZE = 20;         // px — minis from a splitting elite
+const SPLIT_DISTANCE = 36;     // px either side of the dead elite they land
+const SPLIT_FALL_DURATION = 0.5;
 
 // ── Helpers ──────────────────────────────────────────────────────────────
 
@@ -58,10 +75,10 @@ function getEnemyCount(levelDepth, isStartRoom) {
 function pickEnemyTypes(count, themeType, availableTypes) {
   const types = [];
   for (let i = 0; i < count; i++) {
-    if (themeType && Math.random() < THEMED_RATIO) {
+    if (themeType && spawnRng.next() < THEMED_RATIO) {
       types.push(themeType);
     } else {
-      types.push(availableTypes[Math.floor(Math.random() * availableTypes.length)]);
+      types.push(spawnRng.pick(availableTypes));
     }
   }
   return types;
@@ -78,8 +95,8 @@ function findSpawnPosition(room, occupied, avoidPoints) {
   let bestMinDist = -1;
 
   for (let attempt = 0; attempt < maxRetries; attempt++) {
-    const rx = SPAWN_MARGIN + Math.random() * (1 - 2 * SPAWN_MARGIN);
-    const ry = SPAWN_MARGIN + Math.random() * (1 - 2 * SPAWN_MARGIN);
+    const rx = SPAWN_MARGIN + spawnRng.next() * (1 - 2 * SPAWN_MARGIN);
+    const ry = SPAWN_MARGIN + spawnRng.next() * (1 - 2 * SPAWN_MARGIN);
     const pos = room.spawnToWorld(rx, ry);
 
     let minDist = Infinity;
@@ -142,9 +159,9 @@ export function spawnEnemies(level, levelDepth, options) {
   const difficulty = getDifficulty(levelDepth);
 
   // Decide themed level
-  const isThemed = Math.random() < THEMED_CHANCE;
+  const isThemed = spawnRng.next() < THEMED_CHANCE;
   const themeType = isThemed
-    ? availableTypes[Math.floor(Math.random() * availableTypes.length)]
+    ? spawnRng.pick(availableTypes)
     : null;
 
   // Build avoid-points list (player, key, generators)
@@ -179,19 +196,22 @@ export function spawnEnemies(level, levelDepth, options) {
         };
       }
 
+      const boost = type === themeType ? THEMED_ELITE_BOOST : 1;
+      _rollElite(enemy, levelDepth, getEliteChance(levelDepth) * boost);
+
       enemies.push(enemy);
       occupied.push(pos);
     }
   }
 
   // Heart — 20% chance, max 1 per level, spawned near hallway exit in starting room
-  if (Math.random() < HEART_CHANCE) {
+  if (spawnRng.next() < HEART_CHANCE) {
     const heart = _spawnHeart(level, enemies, difficulty);
     if (heart) enemies.push(heart);
   }
 
   // Clock — 30% chance, max 1 per level, random non-start room
-  if (Math.random() < CLOCK_CHANCE && level.rooms.length > 1) {
+  if (spawnRng.next() < CLOCK_CHANCE && level.rooms.length > 1) {
     const clock = _spawnClock(level, enemies, baseAvoidPoints, difficulty);
     if (clock) enemies.push(clock);
   }
@@ -212,7 +232,7 @@ export function spawnChallengeEnemy(room, existingEnemies, options) {
   const levelDepth = options.levelDepth || 1;
   const availableTypes = getAvailableTypes(levelDepth);
   const difficulty = getDifficulty(levelDepth);
-  const type = availableTypes[Math.floor(Math.random() * availableTypes.length)];
+  const type = spawnRng.pick(availableTypes);
 
   const pos = _pickDropPosition(room, options.playerPos, options.playerVel);
   const EnemyClass = ENEMY_CLASSES[type];
@@ -225,9 +245,65 @@ export function spawnChallengeEnemy(room, existingEnemies, options) {
     };
   }
 
+  _rollElite(enemy, levelDepth, getEliteChance(levelDepth));
   return enemy;
 }
 
+/**
+ * Two minis of a splitting elite's type, dropping in either side of where
+ * it died — square to the player, so neither lands on them.
+ *
+ * @param {import('../enemies/enemy.js').Enemy} enemy - the dead elite
+ * @param {{ x: number, y: number }} playerPos
+ * @returns {import('../enemies/enemy.js').Enemy[]}
+ */
+export function spawnSplitMinis(enemy, playerPos) {
+  const EnemyClass = ENEMY_CLASSES[enemy.enemyType];
+  if (!EnemyClass) return [];
+
+  const dx = enemy.x - playerPos.x;
+  const dy = enemy.y - playerPos.y;
+  const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+  const sideX = -dy / dist;
+  const sideY = dx / dist;
+
+  const minis = [];
+  for (const sign of [-1, 1]) {
+    const mini = new EnemyClass({
+      x: enemy.x + sideX * SPLIT_DISTANCE * sign,
+      y: enemy.y + sideY * SPLIT_DISTANCE * sign,
+      enemyType: enemy.enemyType,
+      difficulty: enemy.difficulty,
+    });
+    mini.width = SPLIT_SIZE;
+    mini.height = SPLIT_SIZE;
+    mini.homeX = enemy.homeX;
+    mini.homeY = enemy.homeY;
+    if (enemy.roomBounds) mini.roomBounds = enemy.roomBounds;
+    mini.startFall(SPLIT_FALL_DURATION);
+    minis.push(mini);
+  }
+  return minis;
+}
+
+/**
+ * Spawn the boss for a Boss floor in the middle of the room. Which boss
+ * rotates every 5 floors; deeper floors fight more of its phases.
+ *
+ * @param {import('./room.js').Room} room
+ * @param {number} levelDepth
+ * @returns {Boss}
+ */
+export function spawnBoss(room, levelDepth) {
+  return new Boss({
+    x: room.floorX + room.floorWidth / 2,
+    y: room.floorY + room.floorHeight / 2,
+    bossType: getBossType(levelDepth),
+    phaseCount: getBossPhaseCount(levelDepth),
+    difficulty: getDifficulty(levelDepth),
+  });
+}
+
 const DROP_LEAD_TIME = 0.4;   // seconds of velocity projection
 const DROP_SCATTER = 20;      // random offset radius (px)
 const DROP_MARGIN = 24;       // min distance from walls (px)
@@ -246,8 +322,8 @@ function _pickDropPosition(room, playerPos, playerVel) {
   }
 
   // Add random scatter
-  const angle = Math.random() * Math.PI * 2;
-  const dist = Math.random() * DROP_SCATTER;
+  const angle = spawnRng.next() * Math.PI * 2;
+  const dist = spawnRng.next() * DROP_SCATTER;
   tx += Math.cos(angle) * dist;
   ty += Math.sin(angle) * dist;
 
@@ -264,6 +340,17 @@ function _pickDropPosition(room, playerPos, playerVel) {
 
 // ── Internal helpers ─────────────────────────────────────────────────────
 
+/**
+ * Roll affixes onto a freshly spawned enemy with the given chance, after
+ * any run mutators have had their say. Draws nothing from the spawn stream
+ * while elites can't appear.
+ */
+function _rollElite(enemy, levelDepth, baseChance) {
+  const chance = mutators.apply('eliteChance', baseChance);
+  if (chance <= 0 || spawnRng.next() >= chance) return;
+  applyAffixes(enemy, rollAffixes(spawnRng, getEliteAffixCount(levelDepth)));
+}
+
 function _isPointInRoom(point, room) {
   return point.x >= room.floorX && point.x <= room.floorX + room.floorWidth
       && point.y >= room.floorY && point.y <= room.floorY + room.floorHeight;
@@ -332,7 +419,7 @@ function _spawnClock(level, existingEnemies, avoidPoints, difficulty) {
   }
   if (candidates.length === 0) return null;
 
-  const roomIdx = candidates[Math.floor(Math.random() * candidates.length)];
+  const roomIdx = spawnRng.pick(candidates);
   const room = level.rooms[roomIdx];
 
   const occupied = existingEnemies
@@ -0,0 +1,170 @@
+/**
+ * Procedural level layouts.
+ *
+ * Produces layouts in the same schema as LEVEL_LAYOUTS (rooms + side/offset
+ * hallways + playerStart). Rooms grow outward as a tree from the start room,
+ * so every room is reachable; each candidate room is rejected if it would
+ * crowd an existing one. The finished layout is checked with Level.validate,
+ * which runs the real hallway builder.
+ */
+
+import { Level } from './level.js';
+import { rng, RNG_STREAMS } from '../systems/rng.js';
+
+const layoutRng = rng.stream(RNG_STREAMS.LAYOUT);
+
+// Room count
+const MIN_ROOMS = 3;
+const MAX_ROOMS = 6;
+const FLOORS_PER_EXTRA_ROOM = 5;  // one more room every N floors
+
+// Room geometry (px)
+const START_ROOM = { x: 160, y: 60, width: 480, height: 480 }; // matches hand-made layouts
+const MIN_ROOM_SIZE = 320;
+const MAX_ROOM_SIZE = 640;
+const WALL_THICKNESS = 16;
+const HALLWAY_MARGIN = 64;        // hallway centre ↔ floor corner (half hallway + a wall)
+const MIN_HALLWAY_LENGTH = 80;
+const MAX_HALLWAY_LENGTH = 200;
+const ROOM_CLEARANCE = 48;        // min space between rooms that aren't connected
+const GRID = 16;                  // sizes and gaps snap to this
+
+// Retry budgets
+const PLACE_ATTEMPTS = 40;        // failed room placements before giving up on a layout
+const LAYOUT_ATTEMPTS = 8;
+
+const SIDES = ['top', 'right', 'bottom', 'left'];
+const OPPOSITE_SIDES = { top: 'bottom', bottom: 'top', left: 'right', right: 'left' };
+
+/**
+ * Number of rooms for a floor — grows with depth.
+ * @param {number} levelDepth
+ * @param {import('../systems/rng.js').RandomStream} [random]
+ */
+export function getRoomCount(levelDepth, random = layoutRng) {
+  const base = MIN_ROOMS + Math.floor((levelDepth - 1) / FLOORS_PER_EXTRA_ROOM);
+  return Math.min(MAX_ROOMS, base + random.int(2));
+}
+
+/**
+ * Generate a layout for the given floor.
+ * @param {number} levelDepth
+ * @param {import('../systems/rng.js').RandomStream} [random]
+ * @returns {object|null} a valid layout, or null if none was found — callers
+ *   should fall back to a hand-made layout
+ */
+export function generateLayout(levelDepth, random = layoutRng) {
+  for (let attempt = 0; attempt < LAYOUT_ATTEMPTS; attempt++) {
+    const layout = _tryGenerate(getRoomCount(levelDepth, random), random);
+    if (layout && Level.validate(layout).length === 0) return layout;
+  }
+  return null;
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────────
+
+function _tryGenerate(roomCount, random) {
+  const rooms = [{ ...START_ROOM }];
+  const hallways = [];
+  const usedSides = [new Set()];
+
+  let failures = 0;
+  while (rooms.length < roomCount) {
+    if (failures >= PLACE_ATTEMPTS) return null;
+
+    const from = random.int(rooms.length);
+    const freeSides = SIDES.filter(s => !usedSides[from].has(s));
+    if (freeSides.length === 0) {
+      failures++;
+      continue;
+    }
+
+    const side = random.pick(freeSides);
+    const placed = _placeRoom(rooms[from], side, random);
+    if (!_fits(placed, rooms, from)) {
+      failures++;
+      continue;
+    }
+
+    hallways.push({
+      from,
+      fromSide: side,
+      to: rooms.length,
+      toSide: OPPOSITE_SIDES[side],
+      offset: placed.offset,
+    });
+    usedSides[from].add(side);
+    usedSides.push(new Set([OPPOSITE_SIDES[side]]));
+    rooms.push(placed.room);
+  }
+
+  return {
+    rooms,
+    hallways,
+    playerStart: { room: 0, rx: 0.5, ry: 0.5 },
+  };
+}
+
+/**
+ * Size and position a new room on one side of `from`, lined up so the
+ * hallway opening sits inside both rooms' walls.
+ * @returns {{ room: object, offset: number, corridor: object }}
+ */
+function _placeRoom(from, side, random) {
+  const width = _randomSnapped(MIN_ROOM_SIZE, MAX_ROOM_SIZE, random);
+  const height = _randomSnapped(MIN_ROOM_SIZE, MAX_ROOM_SIZE, random);
+  const length = _randomSnapped(MIN_HALLWAY_LENGTH, MAX_HALLWAY_LENGTH, random);
+  const t = WALL_THICKNESS;
+  const horizontal = side === 'left' || side === 'right';
+
+  // Hallway centre along the shared axis, clear of the "from" room's corners
+  const floorStart = (horizontal ? from.y : from.x) + t;
+  const floorSize = (horizontal ? from.height : from.width) - t * 2;
+  const center = random.range(floorStart + HALLWAY_MARGIN, floorStart + floorSize - HALLWAY_MARGIN);
+  const offset = (center - floorStart) / floorSize;
+
+  // Slide the new room along that axis — anywhere that keeps the centre clear of its corners
+  const size = horizontal ? height : width;
+  const cross = Math.round(random.range(center - size + t + HALLWAY_MARGIN, center - t - HALLWAY_MARGIN));
+
+  let room;
+  if (side === 'right') room = { x: from.x + from.width + length, y: cross, width, height };
+  else if (side === 'left') room = { x: from.x - length - width, y: cross, width, height };
+  else if (side === 'bottom') room = { x: cross, y: from.y + from.height + length, width, height };
+  else room = { x: cross, y: from.y - length - height, width, height };
+
+  // Space between the two rooms the hallway runs through (walls included)
+  const half = HALLWAY_MARGIN;
+  let corridor;
+  if (side === 'right') corridor = { x: from.x + from.width, y: center - half, w: length, h: half * 2 };
+  else if (side === 'left') corridor = { x: room.x + width, y: center - half, w: length, h: half * 2 };
+  else if (side === 'bottom') corridor = { x: center - half, y: from.y + from.height, w: half * 2, h: length };
+  else corridor = { x: center - half, y: room.y + height, w: half * 2, h: length };
+
+  return { room, offset, corridor };
+}
+
+/** True if a placed room and its corridor stay clear of every existing room. */
+function _fits({ room, corridor }, rooms, fromIndex) {
+  const padded = {
+    x: room.x - ROOM_CLEARANCE,
+    y: room.y - ROOM_CLEARANCE,
+    w: room.width + ROOM_CLEARANCE * 2,
+    h: room.height + ROOM_CLEARANCE * 2,
+  };
+  for (let i = 0; i < rooms.length; i++) {
+    const r = rooms[i];
+    const rect = { x: r.x, y: r.y, w: r.width, h: r.height };
+    if (_rectsOverlap(padded, rect)) return false;
+    if (i !== fromIndex && _rectsOverlap(corridor, rect)) return false;
+  }
+  return true;
+}
+
+function _randomSnapped(min, max, random) {
+  return min + random.int((max - min) / GRID + 1) * GRID;
+}
+
+function _rectsOverlap(a, b) {
+  return a.x < b.x + b.w && a.x + a.w > b.x && a.y < b.y + b.h && a.y + a.h > b.y;
+}
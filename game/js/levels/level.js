@@ -4,6 +4,10 @@ const HALLWAY_WIDTH = 96;
 const DEFAULT_WALL_THICKNESS = 16;
 const FLOOR_COLOR = '#1a1a2e';
 const WALL_COLOR = '#3a3a5e';
+const DOOR_COLOR = '#6b4a2b';
+const DOOR_TRIM_COLOR = '#ffcc33';
+
+const OPPOSITE_SIDES = { top: 'bottom', bottom: 'top', left: 'right', right: 'left' };
 
 export class Level {
   /**
@@ -11,6 +15,8 @@ export class Level {
    */
   constructor(layoutData) {
     this.rooms = layoutData.rooms.map(r => new Room(r));
+    // Geometry problems found while building hallways — see Level.validate()
+    this.errors = [];
     this.hallways = this._buildHallways(layoutData.hallways);
     this.walls = this._buildWalls();
     this.startRoomIndex = layoutData.playerStart.room;
@@ -72,6 +78,11 @@ export class Level {
     const gapX = leftRoom.x + leftRoom.width;
     const gapW = rightRoom.x - gapX;
 
+    const label = `Hallway ${fromIdx}→${toIdx}`;
+    if (gapW < 0) this.errors.push(`${label}: room ${rightIdx} is not right of room ${leftIdx}`);
+    this._checkOpening(label, leftRoom, leftIdx, centerY, 'y');
+    this._checkOpening(label, rightRoom, rightIdx, centerY, 'y');
+
     // Floor extends into both room walls so the opening is visually clean
     const floor = {
       x: gapX - t,
@@ -100,7 +111,10 @@ export class Level {
       },
     ];
 
-    return { floor, sideWalls, openings, floorColor: FLOOR_COLOR, wallColor: WALL_COLOR };
+    // Door across the middle of the gap, solid only while locked
+    const door = { x: gapX + gapW / 2 - t / 2, y: centerY - HALLWAY_WIDTH / 2, w: t, h: HALLWAY_WIDTH };
+
+    return { floor, sideWalls, openings, door, locked: false, floorColor: FLOOR_COLOR, wallColor: WALL_COLOR };
   }
 
   _buildVerticalHallway(fromRoom, fromIdx, toRoom, toIdx, fromSide, toSide, offset) {
@@ -123,6 +137,11 @@ export class Level {
     const gapY = topRoom.y + topRoom.height;
     const gapH = bottomRoom.y - gapY;
 
+    const label = `Hallway ${fromIdx}→${toIdx}`;
+    if (gapH < 0) this.errors.push(`${label}: room ${bottomIdx} is not below room ${topIdx}`);
+    this._checkOpening(label, topRoom, topIdx, centerX, 'x');
+    this._checkOpening(label, bottomRoom, bottomIdx, centerX, 'x');
+
     const floor = {
       x: centerX - HALLWAY_WIDTH / 2,
       y: gapY - t,
@@ -149,7 +168,18 @@ export class Level {
       },
     ];
 
-    return { floor, sideWalls, openings, floorColor: FLOOR_COLOR, wallColor: WALL_COLOR };
+    const door = { x: centerX - HALLWAY_WIDTH / 2, y: gapY + gapH / 2 - t / 2, w: HALLWAY_WIDTH, h: t };
+
+    return { floor, sideWalls, openings, door, locked: false, floorColor: FLOOR_COLOR, wallColor: WALL_COLOR };
+  }
+
+  /** Record an error if a hallway opening doesn't fit inside a room's floor edge. */
+  _checkOpening(label, room, roomIdx, center, axis) {
+    const min = axis === 'x' ? room.floorX : room.floorY;
+    const max = min + (axis === 'x' ? room.floorWidth : room.floorHeight);
+    if (center - HALLWAY_WIDTH / 2 < min || center + HALLWAY_WIDTH / 2 > max) {
+      this.errors.push(`${label}: opening falls outside room ${roomIdx}'s wall`);
+    }
   }
 
   // ── Wall segment computation ──────────────────────────────────────
@@ -191,9 +221,10 @@ export class Level {
       }
     }
 
-    // Hallway side walls
+    // Hallway side walls, plus doors that are still locked
     for (const h of this.hallways) {
       walls.push(...h.sideWalls);
+      if (h.locked) walls.push(h.door);
     }
 
     return walls;
@@ -241,11 +272,97 @@ export class Level {
 
   // ── Public API ────────────────────────────────────────────────────
 
+  /**
+   * Check a layout before it is played. Hallways are built by the same code
+   * the game uses, then the room graph is checked as a whole.
+   * @param {object} layoutData - A layout in the LEVEL_LAYOUTS schema
+   * @returns {string[]} Problems found — empty when the layout is valid
+   */
+  static validate(layoutData) {
+    const rooms = layoutData.rooms || [];
+    const hallwayDefs = layoutData.hallways || [];
+    if (rooms.length === 0) return ['Layout has no rooms'];
+
+    // Malformed definitions would crash the builder, so stop at these
+    const errors = [];
+    const start = layoutData.playerStart;
+    if (!start || !rooms[start.room]) errors.push('playerStart.room is not a room');
+    hallwayDefs.forEach((def, i) => {
+      if (!rooms[def.from] || !rooms[def.to] || def.from === def.to) {
+        errors.push(`Hallway ${i}: from/to must be two different rooms`);
+      }
+      if (!OPPOSITE_SIDES[def.fromSide] || OPPOSITE_SIDES[def.fromSide] !== def.toSide) {
+        errors.push(`Hallway ${i}: ${def.fromSide} side can't connect to ${def.toSide}`);
+      }
+      if (!(def.offset >= 0 && def.offset <= 1)) {
+        errors.push(`Hallway ${i}: offset must be between 0 and 1`);
+      }
+    });
+    if (errors.length > 0) return errors;
+
+    const level = new Level(layoutData);
+    errors.push(...level.errors);
+
+    // Overlaps — rooms with rooms, hallways with unrelated rooms and each other
+    const roomRects = level.rooms.map(r => ({ x: r.x, y: r.y, w: r.width, h: r.height }));
+    for (let i = 0; i < roomRects.length; i++) {
+      for (let j = i + 1; j < roomRects.length; j++) {
+        if (_rectsOverlap(roomRects[i], roomRects[j])) errors.push(`Rooms ${i} and ${j} overlap`);
+      }
+    }
+    level.hallways.forEach((h, i) => {
+      const ends = h.openings.map(o => o.roomIndex);
+      roomRects.forEach((rect, k) => {
+        if (!ends.includes(k) && _rectsOverlap(h.floor, rect)) {
+          errors.push(`Hallway ${i} runs through room ${k}`);
+        }
+      });
+      for (let j = i + 1; j < level.hallways.length; j++) {
+        if (_rectsOverlap(h.floor, level.hallways[j].floor)) {
+          errors.push(`Hallways ${i} and ${j} overlap`);
+        }
+      }
+    });
+
+    // Connectivity — every room reachable from the start
+    if (start) {
+      const adj = level.getAdjacencyList();
+      const visited = new Set([start.room]);
+      const queue = [start.room];
+      while (queue.length > 0) {
+        for (const { room } of adj[queue.shift()]) {
+          if (!visited.has(room)) {
+            visited.add(room);
+            queue.push(room);
+          }
+        }
+      }
+      const unreachable = rooms.map((_, i) => i).filter(i => !visited.has(i));
+      if (unreachable.length > 0) {
+        errors.push(`Rooms ${unreachable.join(', ')} can't be reached from the start`);
+      }
+    }
+
+    return errors;
+  }
+
   /** All collision wall segments (rooms + hallways, with openings removed). */
   getWalls() {
     return this.walls;
   }
 
+  /**
+   * Lock or unlock a hallway's door. A locked door is a wall segment, so
+   * callers holding getWalls() must fetch it again afterwards.
+   * @param {object} hallway - one of this.hallways
+   * @param {boolean} locked
+   */
+  setHallwayLocked(hallway, locked) {
+    if (hallway.locked === locked) return;
+    hallway.locked = locked;
+    this.walls = this._buildWalls();
+  }
+
   /** Build a room adjacency list from hallway connections. */
   getAdjacencyList() {
     const adj = this.rooms.map(() => []);
@@ -336,5 +453,30 @@ export class Level {
         ctx.fillRect(wall.x, wall.y, wall.w, wall.h);
       }
     }
+
+    // 4. Locked doors — plank with a keyhole
+    for (const h of this.hallways) {
+      if (!h.locked) continue;
+      const { x, y, w, h: dh } = h.door;
+      ctx.fillStyle = DOOR_COLOR;
+      ctx.fillRect(x, y, w, dh);
+      ctx.strokeStyle = DOOR_TRIM_COLOR;
+      ctx.lineWidth = 2;
+      ctx.strokeRect(x + 1, y + 1, w - 2, dh - 2);
+
+      const cx = x + w / 2;
+      const cy = y + dh / 2;
+      ctx.fillStyle = DOOR_TRIM_COLOR;
+      ctx.beginPath();
+      ctx.arc(cx, cy - 2, 3, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillRect(cx - 1, cy, 2, 5);
+    }
   }
 }
+
+// ── Helpers ───────────────────────────────────────────────────────
+
+function _rectsOverlap(a, b) {
+  return a.x < b.x + b.w && a.x + a.w > b.x && a.y < b.y + b.h && a.y + a.h > b.y;
+}
@@ -1,4 +1,9 @@
 import { LEVEL_LAYOUTS, COFFEE_BREAK_LAYOUT, CHALLENGE_LAYOUT, POWER_UP_LAYOUT } from './levelData.js';
+import { generateLayout } from './layoutGenerator.js';
+import { getLockedDoorCount } from '../systems/difficulty.js';
+import { rng, RNG_STREAMS } from '../systems/rng.js';
+
+const layoutRng = rng.stream(RNG_STREAMS.LAYOUT);
 
 export const CHALLENGE_TYPES = {
   KILL_ALL: 'KILL_ALL',
@@ -25,10 +30,33 @@ const NORMAL_TYPES = [
   CHALLENGE_TYPES.POWER_UP,
 ];
 
+// Floors whose hallways can have locked doors
+const LOCKED_DOOR_TYPES = [
+  CHALLENGE_TYPES.KILL_ALL,
+  CHALLENGE_TYPES.FIND_THE_KEY,
+];
+
 const COFFEE_BREAK_WEIGHT = 0.1;
 
+// Where normal floors get their layout from
+export const LAYOUT_SOURCES = {
+  MIXED: 'mixed',             // hand-made or procedural, chosen per floor
+  HANDMADE: 'handmade',
+  PROCEDURAL: 'procedural',
+};
+
+const PROCEDURAL_LAYOUT_CHANCE = 0.5; // per floor, in MIXED mode
+
 export class LevelManager {
-  constructor() {
+  /**
+   * @param {object} [options]
+   * @param {string|null} [options.forceChallengeType] - use this challenge on
+   *   every floor instead of the normal rotation (headless tests)
+   * @param {string} [options.layoutSource] - one of LAYOUT_SOURCES
+   */
+  constructor({ forceChallengeType = null, layoutSource = LAYOUT_SOURCES.MIXED } = {}) {
+    this.forceChallengeType = forceChallengeType;
+    this.layoutSource = layoutSource;
     this.levelDepth = 0;
     this.challengeType = null;
     this.challengeHistory = [];
@@ -38,7 +66,8 @@ export class LevelManager {
 
   /**
    * Advance to the next level. Returns info about the new level.
-   * @returns {{ levelDepth: number, challengeType: string, displayName: string, layout: object }}
+   * @returns {{ levelDepth: number, challengeType: string, displayName: string, layout: object,
+   *   keyRoomIndex: number|null, lockedHallways: number[] }}
    */
   advance() {
     this.levelDepth++;
@@ -61,7 +90,17 @@ export class LevelManager {
     if (this.challengeType === CHALLENGE_TYPES.FIND_THE_KEY) {
       const startRoom = layout.playerStart.room;
       const candidates = layout.rooms.map((_, i) => i).filter(i => i !== startRoom);
-      keyRoomIndex = candidates[Math.floor(Math.random() * candidates.length)];
+      keyRoomIndex = layoutRng.pick(candidates);
+    }
+
+    // Hallways with a locked door (indices into layout.hallways)
+    const lockedHallways = [];
+    if (LOCKED_DOOR_TYPES.includes(this.challengeType)) {
+      const candidates = layout.hallways.map((_, i) => i);
+      const count = Math.min(getLockedDoorCount(this.levelDepth), candidates.length);
+      for (let i = 0; i < count; i++) {
+        lockedHallways.push(candidates.splice(layoutRng.int(candidates.length), 1)[0]);
+      }
     }
 
     return {
@@ -70,6 +109,7 @@ export class LevelManager {
       displayName: CHALLENGE_DISPLAY_NAMES[this.challengeType],
       layout,
       keyRoomIndex,
+      lockedHallways,
     };
   }
 
@@ -82,6 +122,26 @@ export class LevelManager {
     this._lastCoffeeBreakLevel = 0;
   }
 
+  /** Snapshot of the floor progression, for a mid-run save. */
+  getState() {
+    return {
+      levelDepth: this.levelDepth,
+      challengeType: this.challengeType,
+      challengeHistory: [...this.challengeHistory],
+      lastLayoutIndex: this._lastLayoutIndex,
+      lastCoffeeBreakLevel: this._lastCoffeeBreakLevel,
+    };
+  }
+
+  /** Restore a snapshot produced by getState(). */
+  setState(state) {
+    this.levelDepth = state.levelDepth;
+    this.challengeType = state.challengeType;
+    this.challengeHistory = [...state.challengeHistory];
+    this._lastLayoutIndex = state.lastLayoutIndex;
+    this._lastCoffeeBreakLevel = state.lastCoffeeBreakLevel;
+  }
+
   /**
    * Select challenge type using semi-random rules:
    * - Boss every 5 levels
@@ -89,6 +149,10 @@ export class LevelManager {
    * - Otherwise random from normal types
    */
   _selectChallengeType() {
+    if (this.forceChallengeType) {
+      return this.forceChallengeType;
+    }
+
     // Boss every 5 levels
     if (this.levelDepth % 5 === 0) {
       return CHALLENGE_TYPES.BOSS;
@@ -102,23 +166,34 @@ export class LevelManager {
     const lastCoffee = this._lastCoffeeBreakLevel || 0;
     if (this.levelDepth >= 11
         && this.levelDepth - lastCoffee >= 5
-        && Math.random() < COFFEE_BREAK_WEIGHT) {
+        && layoutRng.next() < COFFEE_BREAK_WEIGHT) {
       this._lastCoffeeBreakLevel = this.levelDepth;
       return CHALLENGE_TYPES.COFFEE_BREAK;
     }
 
     // Random from normal types, no back-to-back repeat (up to 3 re-rolls)
-    let pick = NORMAL_TYPES[Math.floor(Math.random() * NORMAL_TYPES.length)];
+    let pick = layoutRng.pick(NORMAL_TYPES);
     for (let i = 0; i < 3 && pick === lastType; i++) {
-      pick = NORMAL_TYPES[Math.floor(Math.random() * NORMAL_TYPES.length)];
+      pick = layoutRng.pick(NORMAL_TYPES);
     }
     return pick;
   }
 
   /**
-   * Pick a random layout, avoiding immediate repeats.
+   * Pick a procedural or hand-made layout per layoutSource. Hand-made
+   * layouts avoid immediate repeats; a failed generation falls back to them.
    */
   _selectLayout() {
+    if (this.layoutSource !== LAYOUT_SOURCES.HANDMADE) {
+      const procedural = this.layoutSource === LAYOUT_SOURCES.PROCEDURAL
+        || layoutRng.next() < PROCEDURAL_LAYOUT_CHANCE;
+      const layout = procedural ? generateLayout(this.levelDepth) : null;
+      if (layout) {
+        this._lastLayoutIndex = -1;
+        return layout;
+      }
+    }
+
     const count = LEVEL_LAYOUTS.length;
     if (count === 1) {
       this._lastLayoutIndex = 0;
@@ -127,7 +202,7 @@ export class LevelManager {
 
     let idx;
     do {
-      idx = Math.floor(Math.random() * count);
+      idx = Math.floor(layoutRng.next() * count);
     } while (idx === this._lastLayoutIndex);
 
     this._lastLayoutIndex = idx;
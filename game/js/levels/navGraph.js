@@ -0,0 +1,177 @@
+// Room-level navigation for enemies. Rooms are nodes and hallways are edges;
+// each end of a hallway has a waypoint just inside the doorway, so a route
+// runs: walk to this room's doorway, straight down the hallway to the far
+// doorway, and on from there. Locked hallways are left out of routes.
+
+// ── Tuning constants ───────────────────────────────────────────────────
+const DOOR_INSET      = 28;  // px into the room a doorway waypoint sits — lines enemies up with the hallway
+const ARRIVE_DISTANCE = 12;  // px — this close to a doorway waypoint counts as there
+const LANE_MARGIN     = 12;  // px trimmed off each side of the doorway lane
+
+export class NavGraph {
+  /**
+   * @param {import('./level.js').Level} level
+   */
+  constructor(level) {
+    this.level = level;
+    this._adjacency = level.getAdjacencyList();
+
+    // hallway → { [roomIndex]: { x, y, lane } } — waypoint and approach lane at each end
+    this._doors = new Map();
+    for (const hallway of level.hallways) {
+      const doors = {};
+      for (const opening of hallway.openings) {
+        doors[opening.roomIndex] = _buildDoor(level.rooms[opening.roomIndex], opening);
+      }
+      this._doors.set(hallway, doors);
+    }
+  }
+
+  /** Index of the room whose floor contains (x, y), or -1. */
+  roomAt(x, y) {
+    const rooms = this.level.rooms;
+    for (let i = 0; i < rooms.length; i++) {
+      const r = rooms[i];
+      if (x >= r.floorX && x <= r.floorX + r.floorWidth &&
+          y >= r.floorY && y <= r.floorY + r.floorHeight) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /** The hallway whose floor contains (x, y), or null. */
+  hallwayAt(x, y) {
+    for (const h of this.level.hallways) {
+      if (x >= h.floor.x && x <= h.floor.x + h.floor.w &&
+          y >= h.floor.y && y <= h.floor.y + h.floor.h) {
+        return h;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Whether two points are in the same room, or the same hallway.
+   * @param {{x: number, y: number}} a
+   * @param {{x: number, y: number}} b
+   */
+  sameArea(a, b) {
+    const roomA = this.roomAt(a.x, a.y);
+    const roomB = this.roomAt(b.x, b.y);
+    if (roomA !== -1 || roomB !== -1) return roomA === roomB;
+    const hallway = this.hallwayAt(a.x, a.y);
+    return hallway !== null && hallway === this.hallwayAt(b.x, b.y);
+  }
+
+  /**
+   * Where to walk next to get from `from` to `target`: the target itself
+   * when no doorway is in the way, otherwise the next doorway waypoint.
+   * @param {{x: number, y: number}} from
+   * @param {{x: number, y: number}} target
+   * @returns {{x: number, y: number}|null} null if locked doors cut the target off
+   */
+  nextWaypoint(from, target) {
+    const fromRoom = this.roomAt(from.x, from.y);
+    const toRoom = this.roomAt(target.x, target.y);
+    const toHallway = toRoom === -1 ? this.hallwayAt(target.x, target.y) : null;
+
+    // Target is off the floor plan (mid-fall) — nothing to route around
+    if (toRoom === -1 && !toHallway) return target;
+
+    // In a hallway — head out of whichever end is closer to the target
+    if (fromRoom === -1) {
+      const hallway = this.hallwayAt(from.x, from.y);
+      if (!hallway || hallway === toHallway) return target;
+
+      let bestEnd = -1;
+      let bestHops = Infinity;
+      for (const { roomIndex } of hallway.openings) {
+        const route = this._route(roomIndex, toRoom, toHallway);
+        if (route && route.hops < bestHops) {
+          bestHops = route.hops;
+          bestEnd = roomIndex;
+        }
+      }
+      return bestEnd === -1 ? null : this._doors.get(hallway)[bestEnd];
+    }
+
+    if (fromRoom === toRoom) return target;
+
+    const route = this._route(fromRoom, toRoom, toHallway);
+    if (!route) return null;
+
+    // Walk to the doorway, then once lined up in its lane, down the hallway
+    const doors = this._doors.get(route.hallway);
+    const near = doors[fromRoom];
+    return _inRect(from, near.lane) ? doors[route.room] : near;
+  }
+
+  // ── Private ───────────────────────────────────────────────────────
+
+  /**
+   * BFS over unlocked hallways from a room to the target's room, or to
+   * either end of the target's hallway.
+   * @returns {{hops: number, hallway?: object, room?: number}|null} the first
+   *   hallway and the room it leads to, or null if unreachable
+   */
+  _route(fromRoom, toRoom, toHallway) {
+    if (fromRoom === toRoom) return { hops: 0 };
+
+    const firstStep = new Map([[fromRoom, null]]);
+    const queue = [{ room: fromRoom, hops: 0 }];
+    while (queue.length > 0) {
+      const { room, hops } = queue.shift();
+
+      // Target waits in a hallway off this room — that hallway is the way in
+      if (toHallway && toHallway.openings.some(o => o.roomIndex === room)) {
+        const other = toHallway.openings.find(o => o.roomIndex !== room).roomIndex;
+        return { hops: hops + 1, ...(firstStep.get(room) || { hallway: toHallway, room: other }) };
+      }
+
+      for (const { room: next, hallway } of this._adjacency[room]) {
+        if (hallway.locked || firstStep.has(next)) continue;
+        const step = firstStep.get(room) || { hallway, room: next };
+        if (next === toRoom) return { hops: hops + 1, ...step };
+        firstStep.set(next, step);
+        queue.push({ room: next, hops: hops + 1 });
+      }
+    }
+    return null;
+  }
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────────
+
+/**
+ * Waypoint just inside a room's doorway, plus the lane in front of it —
+ * anything in the lane can walk straight down the hallway.
+ */
+function _buildDoor(room, opening) {
+  const center = (opening.start + opening.end) / 2;
+  const depth = DOOR_INSET + ARRIVE_DISTANCE;
+  const span = opening.end - opening.start - LANE_MARGIN * 2;
+
+  switch (opening.side) {
+    case 'right': {
+      const edge = room.floorX + room.floorWidth;
+      return { x: edge - DOOR_INSET, y: center, lane: { x: edge - depth, y: opening.start + LANE_MARGIN, w: depth, h: span } };
+    }
+    case 'left': {
+      const edge = room.floorX;
+      return { x: edge + DOOR_INSET, y: center, lane: { x: edge, y: opening.start + LANE_MARGIN, w: depth, h: span } };
+    }
+    case 'bottom': {
+      const edge = room.floorY + room.floorHeight;
+      return { x: center, y: edge - DOOR_INSET, lane: { x: opening.start + LANE_MARGIN, y: edge - depth, w: span, h: depth } };
+    }
+    default: {
+      const edge = room.floorY;
+      return { x: center, y: edge + DOOR_INSET, lane: { x: opening.start + LANE_MARGIN, y: edge, w: span, h: depth } };
+    }
+  }
+}
+
+function _inRect(p, r) {
+  return p.x >= r.x && p.x <= r.x + r.w && p.y >= r.y && p.y <= r.y + r.h;
+}
@@ -1,14 +1,20 @@
-import { Game, CANVAS_WIDTH, CANVAS_HEIGHT } from './game.js';
+import { Game, CANVAS_WIDTH, CANVAS_HEIGHT, SIM_DT } from './game.js';
 import { MainMenuScene } from './scenes/mainMenuScene.js';
 import { input } from './input.js';
+import { gamepad } from './gamepad.js';
+import { touch } from './touch.js';
 import { achievements } from './systems/achievements.js';
 import { audio } from './systems/audio.js';
 import { crt } from './systems/crt.js';
+import { replay } from './systems/replay.js';
+import { controllerPacks } from './qtes/controllerPacks.js';
 
 const canvas = document.getElementById('gameCanvas');
 const ctx = canvas.getContext('2d');
 
-const MAX_DT = 1 / 30;
+// Longest real frame we try to catch up on (tab switches, breakpoints).
+// Anything beyond this is dropped instead of simulated in one burst.
+const MAX_FRAME_TIME = 0.25;
 
 // --- Game instance ---
 const game = new Game();
@@ -16,26 +22,64 @@ game.pushScene(new MainMenuScene(game));
 
 // --- Input setup ---
 input.init(canvas);
+gamepad.init();
+touch.init(canvas, game);
+
+// The canvas shows the game through the CRT's barrel distortion, so pointer
+// positions are mapped back through it before scenes see them
+input.setPointerTransform((x, y) => crt.screenToGame(x, y));
 
 // --- Audio setup ---
 audio.init();
 
-// Resume AudioContext on first user interaction (required by browsers)
+// --- Content ---
+controllerPacks.load();
+
+// Resume AudioContext on first user interaction (required by browsers).
+// Touch handlers cancel the emulated click, so touchend counts too.
 const resumeAudio = () => {
   audio.resume();
   window.removeEventListener('click', resumeAudio);
   window.removeEventListener('keydown', resumeAudio);
+  window.removeEventListener('touchend', resumeAudio);
 };
 window.addEventListener('click', resumeAudio);
 window.addEventListener('keydown', resumeAudio);
+window.addEventListener('touchend', resumeAudio);
 
 // --- Input forwarding ---
 for (const type of ['keydown', 'keyup', 'mousedown', 'mousemove', 'mouseup']) {
-  window.addEventListener(type, (e) => game.handleInput(e));
+  window.addEventListener(type, (e) => {
+    // During playback live input only controls the replay itself
+    if (replay.playing) {
+      replay.onLiveInput(e);
+      return;
+    }
+    replay.captureEvent(e);
+    game.handleInput(e);
+  });
+}
+window.addEventListener('blur', (e) => replay.captureEvent(e));
+
+// Gamepad and touch events are queued rather than dispatched, so they are
+// applied to input here instead of by InputManager's DOM listeners
+function forwardPolledInput(frameTime) {
+  for (const ev of [...gamepad.poll(frameTime), ...touch.poll()]) {
+    if (replay.playing) {
+      replay.onLiveInput(ev);
+      continue;
+    }
+    replay.captureEvent(ev);
+    input.applyEvent(ev);
+    game.handleInput(ev);
+  }
 }
 
 // --- Game loop ---
+// The simulation advances in fixed SIM_DT steps regardless of display
+// refresh rate; rendering interpolates between the last two steps.
 let lastTime = -1;
+let accumulator = 0;
 
 function loop(timestamp) {
   requestAnimationFrame(loop);
@@ -45,21 +89,34 @@ function loop(timestamp) {
     return;
   }
 
-  let dt = (timestamp - lastTime) / 1000;
+  let frameTime = (timestamp - lastTime) / 1000;
   lastTime = timestamp;
 
-  if (dt > MAX_DT) {
-    dt = MAX_DT;
+  if (frameTime > MAX_FRAME_TIME) {
+    frameTime = MAX_FRAME_TIME;
   }
+  accumulator += frameTime;
+
+  forwardPolledInput(frameTime);
+
+  // Fixed-step simulation. Input edges (just pressed/released) are cleared
+  // per step, so a press is seen by exactly one update.
+  while (accumulator >= SIM_DT) {
+    replay.beginStep();
+    game.update(SIM_DT);
+    input.endFrame();
+    replay.endStep(game);
+    accumulator -= SIM_DT;
+  }
+  const alpha = accumulator / SIM_DT;
+
+  audio.update(frameTime);
+  achievements.update(frameTime);
 
   // Render everything to offscreen canvas
   const offCtx = crt.getContext();
   offCtx.clearRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
-  game.update(dt);
-  game.render(offCtx);
-
-  audio.update(dt);
-  achievements.update(dt);
+  game.render(offCtx, alpha);
 
   // Apply CRT effect (barrel distortion + scanlines + vignette) to real canvas
   ctx.clearRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
@@ -67,9 +124,10 @@ function loop(timestamp) {
 
   // Screen-space overlays — rendered after CRT so they bypass distortion
   game.renderOverlay(ctx);
+  gamepad.render(ctx);
+  touch.render(ctx);
   achievements.render(ctx);
-
-  input.endFrame();
+  replay.render(ctx);
 }
 
 requestAnimationFrame(loop);
@@ -7,16 +7,18 @@ export const NICKNAME_STORAGE_KEY = 'qta_last_nickname';
 export const MENU_ITEMS = [
   { id: 'submit',    label: 'Submit Run', enabled: true },
   { id: 'playAgain', label: 'Play Again', enabled: true },
+  { id: 'replaySeed', label: 'Replay Seed', enabled: true },
   { id: 'mainMenu',  label: 'Main Menu',  enabled: true },
 ];
 
 // Visual constants
-export const TITLE_Y = 100;
-export const STATS_START_Y = 175;
-export const STATS_SPACING = 28;
-export const NICKNAME_Y = 295;
-export const MENU_START_Y = 390;
-export const MENU_SPACING = 50;
+export const TITLE_Y = 58;
+export const STATS_START_Y = 108;
+export const STATS_SPACING = 27;
+export const NICKNAME_Y = 245;
+export const SEED_Y = 322;
+export const MENU_START_Y = 410;
+export const MENU_SPACING = 46;
 export const MENU_HITBOX_HEIGHT = 36;
 export const MENU_HITBOX_PADDING = 16;
 
@@ -22,9 +22,16 @@ export const MENU_PLAYER_START = {
 
 // Interactable objects — bottom row
 export const MENU_OBJECTS = [
-  { id: 'achievements', x: 180, y: 530, size: 40, color: '#ccaa44', label: 'TROPHIES' },
+  { id: 'practice',     x: 100, y: 530, size: 40, color: '#44bbaa', label: 'PRACTICE' },
+  { id: 'achievements', x: 250, y: 530, size: 40, color: '#ccaa44', label: 'TROPHIES' },
   { id: 'leaderboard',  x: 400, y: 530, size: 40, color: '#aa44cc', label: 'SCORES' },
-  { id: 'settings',     x: 620, y: 530, size: 40, color: '#6688cc', label: 'SETTINGS' },
+  { id: 'replays',      x: 550, y: 530, size: 40, color: '#cc5544', label: 'REPLAYS' },
+  { id: 'settings',     x: 700, y: 530, size: 40, color: '#6688cc', label: 'SETTINGS' },
+  // Beside the hole — picked right before jumping in
+  { id: 'mutators',     x: 560, y: 300, size: 40, color: '#ff8844', label: 'MUTATORS' },
+  { id: 'daily',        x: 700, y: 300, size: 40, color: '#44ddff', label: 'DAILY' },
+  // Only while a mid-run save exists
+  { id: 'continue',     x: 240, y: 300, size: 40, color: '#44ff88', label: 'CONTINUE' },
 ];
 
 export const INTERACTION_RADIUS = 40;
@@ -41,12 +41,18 @@ export const VOLUME_SPACING = 38;
 export const BOTTOM_START_Y = 462;
 export const BOTTOM_SPACING = 45;
 
-// Column positions
-export const LABEL_X = 160;
-export const SLOT1_X = 445;
-export const SLOT2_X = 575;
+// Column positions — two keyboard slots, then one gamepad slot
+export const LABEL_X = 130;
+export const SLOT1_X = 330;
+export const SLOT2_X = 450;
+export const PAD_SLOT_X = 570;
 export const SLOT_WIDTH = 110;
 export const SLOT_HEIGHT = 24;
+export const SLOT_XS = [SLOT1_X, SLOT2_X, PAD_SLOT_X];
+export const KEY_SLOT_COUNT = 2;
+export const PAD_SLOT = 2; // index into SLOT_XS
+export const SLOT_HEADERS = ['KEY 1', 'KEY 2', 'GAMEPAD'];
+export const SLOT_HEADER_Y = BINDINGS_START_Y - 26;
 
 // Volume bar
 export const VOLUME_BAR_X = 410;
@@ -69,7 +75,7 @@ export const VOLUME_BAR_BG_COLOR = '#333333';
 export const VOLUME_BAR_FILL_COLOR = '#44ff88';
 export const HINT_COLOR = '#555555';
 
-// Key display names for common codes
+// Key display names for common codes (gamepad codes default to the button name)
 const KEY_NAMES = {
   ArrowUp: 'UP', ArrowDown: 'DOWN', ArrowLeft: 'LEFT', ArrowRight: 'RIGHT',
   Space: 'SPACE', Enter: 'ENTER', Escape: 'ESC',
@@ -81,6 +87,8 @@ const KEY_NAMES = {
   Comma: ',', Period: '.', Slash: '/',
   BracketLeft: '[', BracketRight: ']', Backslash: '\\',
   Minus: '-', Equal: '=', Backquote: '`',
+  PadUp: 'D-UP', PadDown: 'D-DOWN', PadLeft: 'D-LEFT', PadRight: 'D-RIGHT',
+  PadSelect: 'SELECT', PadStart: 'START',
 };
 
 export function getKeyDisplayName(code) {
@@ -89,5 +97,6 @@ export function getKeyDisplayName(code) {
   if (code.startsWith('Key')) return code.slice(3);
   if (code.startsWith('Digit')) return code.slice(5);
   if (code.startsWith('Numpad')) return 'NUM' + code.slice(6);
+  if (code.startsWith('Pad')) return code.slice(3).toUpperCase();
   return code;
 }
@@ -18,14 +18,24 @@ const DASH_AFTERIMAGE_INTERVAL = 0.02; // seconds between afterimage spawns
 const DASH_AFTERIMAGE_LIFE = 0.2;      // seconds an afterimage lasts
 
 export class Player extends Entity {
-  constructor({ x = 0, y = 0 } = {}) {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.x]
+   * @param {number} [opts.y]
+   * @param {import('./systems/mutators.js').mutators} [opts.mutators] - run mutators
+   *   to play under; left out in the hub, where the rules are always standard
+   * @param {import('./systems/perks.js').PerkSet} [opts.perks] - the run's drafted perks
+   */
+  constructor({ x = 0, y = 0, mutators = null, perks = null } = {}) {
     super({ x, y, width: 32, height: 32, color: '#00ffff' });
     this.wallRadius = PLAYER_WALL_RADIUS;
     this.bulletRadius = PLAYER_BULLET_RADIUS;
     this.speed = PLAYER_SPEED;
     this.vx = 0;
     this.vy = 0;
-    this.lives = PLAYER_STARTING_LIVES;
+    this._mutators = mutators;
+    this._perks = perks;
+    this.lives = this._modify('startingLives', PLAYER_STARTING_LIVES);
     this.invulnerable = false;
     this.invulnTimer = 0;
     this.dead = false;
@@ -64,7 +74,7 @@ export class Player extends Entity {
 
   /**
    * Reverse the last damage() call. Used by QTE priority:
-   * if a bullet hit and QTE contact happen within 3 frames,
+   * if a bullet hit and QTE contact happen within a few frames,
    * the bullet damage is retroactively nullified.
    */
   undoDamage() {
@@ -74,16 +84,28 @@ export class Player extends Entity {
     this.dead = false;
   }
 
+  /** Cap on lives: PLAYER_MAX_LIVES, raised by perks. */
+  get maxLives() {
+    return this._modify('maxLives', PLAYER_MAX_LIVES);
+  }
+
   /**
-   * Grant an extra life, capped at PLAYER_MAX_LIVES.
+   * Grant an extra life, capped at maxLives.
    * @returns {boolean} true if a life was actually added
    */
   addLife() {
-    if (this.lives >= PLAYER_MAX_LIVES) return false;
+    if (this.lives >= this.maxLives) return false;
     this.lives++;
     return true;
   }
 
+  /** A value run through the mutators' and perks' modifiers for `hook`, if playing under any. */
+  _modify(hook, value) {
+    if (this._mutators) value = this._mutators.apply(hook, value);
+    if (this._perks) value = this._perks.apply(hook, value);
+    return value;
+  }
+
   update(dt, walls) {
     if (this.dead) return;
 
@@ -101,17 +123,26 @@ export class Player extends Entity {
       this.dashCooldown -= dt;
     }
 
-    let dx = 0;
-    let dy = 0;
-    if (input.isActionDown('moveLeft'))  dx -= 1;
-    if (input.isActionDown('moveRight')) dx += 1;
-    if (input.isActionDown('moveUp'))    dy -= 1;
-    if (input.isActionDown('moveDown'))  dy += 1;
-
-    if (dx !== 0 && dy !== 0) {
-      const inv = 1 / Math.SQRT2;
-      dx *= inv;
-      dy *= inv;
+    // Analog stick when it's pushed (partial tilt = slower), else digital keys
+    const stick = this._modify('moveAxis', input.getMoveAxis());
+    let dx = stick.x;
+    let dy = stick.y;
+    const stickLen = Math.sqrt(dx * dx + dy * dy);
+    if (stickLen > 1) {
+      dx /= stickLen;
+      dy /= stickLen;
+    } else if (stickLen === 0) {
+      if (input.isActionDown('moveLeft'))  dx -= 1;
+      if (input.isActionDown('moveRight')) dx += 1;
+      if (input.isActionDown('moveUp'))    dy -= 1;
+      if (input.isActionDown('moveDown'))  dy += 1;
+      ({ x: dx, y: dy } = this._modify('moveAxis', { x: dx, y: dy }));
+
+      if (dx !== 0 && dy !== 0) {
+        const inv = 1 / Math.SQRT2;
+        dx *= inv;
+        dy *= inv;
+      }
     }
 
     // Track last movement direction for dash
@@ -121,7 +152,8 @@ export class Player extends Entity {
     }
 
     // ── Dash initiation ──
-    if (input.isActionJustPressed('dash') && this.dashCooldown <= 0 && !this.dashing) {
+    if (input.isActionJustPressed('dash') && this.dashCooldown <= 0 && !this.dashing &&
+        this._modify('canDash', true)) {
       let ddx = dx;
       let ddy = dy;
       if (ddx === 0 && ddy === 0) {
@@ -133,8 +165,8 @@ export class Player extends Entity {
       if (len > 0) { ddx /= len; ddy /= len; }
 
       this.dashing = true;
-      this.dashTimer = DASH_DURATION;
-      this.dashCooldown = DASH_COOLDOWN;
+      this.dashTimer = this._modify('dashDuration', DASH_DURATION);
+      this.dashCooldown = this._modify('dashCooldown', DASH_COOLDOWN);
       this.dashDirX = ddx;
       this.dashDirY = ddy;
       this._predashInvuln = this.invulnerable;
@@ -1,9 +1,13 @@
 import { QTE } from './qte.js';
+import { qteRegistry } from './qteRegistry.js';
 import { CANVAS_WIDTH, CANVAS_HEIGHT } from '../game.js';
 import { input } from '../input.js';
 import { audio } from '../systems/audio.js';
 
 import { getBatSizeScale } from '../systems/difficulty.js';
+import { rng, RNG_STREAMS } from '../systems/rng.js';
+
+const qteRng = rng.stream(RNG_STREAMS.QTE);
 
 // ── Tuning constants ────────────────────────────────────────────────────
 const BASE_SPEED    = 200;    // px/s initial
@@ -25,11 +29,11 @@ export class BatQTE extends QTE {
     this.clickSize = Math.round(BASE_CLICK_SIZE * scale);
 
     // Random start position within play area
-    this.batX = MARGIN + Math.random() * (CANVAS_WIDTH - 2 * MARGIN);
-    this.batY = MARGIN + Math.random() * (CANVAS_HEIGHT - 2 * MARGIN);
+    this.batX = MARGIN + qteRng.next() * (CANVAS_WIDTH - 2 * MARGIN);
+    this.batY = MARGIN + qteRng.next() * (CANVAS_HEIGHT - 2 * MARGIN);
 
     // Random initial direction
-    this.angle = Math.random() * Math.PI * 2;
+    this.angle = qteRng.next() * Math.PI * 2;
     this.baseSpeed = BASE_SPEED;
     this.rampRate = RAMP_RATE;
 
@@ -117,5 +121,14 @@ export class BatQTE extends QTE {
 }
 
 function _jitter() {
-  return (Math.random() - 0.5) * 2 * JITTER;
+  return (qteRng.next() - 0.5) * 2 * JITTER;
 }
+
+qteRegistry.register({
+  id: 'bat',
+  name: 'BAT',
+  qteClass: BatQTE,
+  inputType: 'MOUSE',
+  taskDesc: 'CLICK THE BAT',
+  padHint: 'RIGHT STICK AIMS, RT CLICKS',
+});
@@ -0,0 +1,16 @@
+// Imports every built-in QTE module so each registers itself with
+// qteRegistry. Add new mini-games here; mods can call
+// qteRegistry.register() from their own modules instead.
+
+import './batQte.js';
+import './gopherQte.js';
+import './spinningTopQte.js';
+import './letterQte.js';
+import './cowboyQte.js';
+import './controllerQte.js';
+import './heartQte.js';
+import './clockQte.js';
+import './tapQte.js';
+import './simonQte.js';
+import './lockpickQte.js';
+import './runeQte.js';
@@ -1,7 +1,11 @@
 import { CANVAS_WIDTH, CANVAS_HEIGHT } from '../game.js';
 import { input } from '../input.js';
 import { QTE } from './qte.js';
+import { qteRegistry } from './qteRegistry.js';
 import { audio } from '../systems/audio.js';
+import { rng, RNG_STREAMS } from '../systems/rng.js';
+
+const qteRng = rng.stream(RNG_STREAMS.QTE);
 
 // ── Layout ─────────────────────────────────────────────────────────────
 const CLOCK_RADIUS = 120;
@@ -19,8 +23,8 @@ export class ClockQTE extends QTE {
     this.hideEnemyLabel = true;
 
     // Random target time — 15-minute increments
-    this.targetHour = Math.floor(Math.random() * 12);         // 0–11
-    this.targetMinute = Math.floor(Math.random() * 4) * 15;   // 0, 15, 30, 45
+    this.targetHour = Math.floor(qteRng.next() * 12);         // 0–11
+    this.targetMinute = Math.floor(qteRng.next() * 4) * 15;   // 0, 15, 30, 45
 
     // Target angles (clock convention: 12 o'clock = -π/2, clockwise)
     this.targetHourAngle = (this.targetHour / 12) * Math.PI * 2 - Math.PI / 2;
@@ -155,3 +159,12 @@ export class ClockQTE extends QTE {
     ctx.stroke();
   }
 }
+
+qteRegistry.register({
+  id: 'clock',
+  name: 'CLOCK',
+  qteClass: ClockQTE,
+  inputType: 'MOUSE',
+  taskDesc: 'SET THE TIME',
+  padHint: 'RIGHT STICK AIMS, RT CLICKS',
+});
@@ -0,0 +1,257 @@
+/**
+ * Procedural ControllerQTE maps.
+ *
+ * Lays out a left-to-right run of platforms in the pack tile vocabulary
+ * ('.', '#', 'S', 'G', 'P'), scaled by floor depth through difficulty.js.
+ * Each candidate is then played by a breadth-first search that drives the
+ * real ControllerQTE physics (controllerPhysics.js) — a map is only used if
+ * the goal can be reached with time to spare.
+ *
+ * The search can take tens of milliseconds, so a MapGeneration runs it a
+ * slice at a time — ControllerQTE advances one during the QTE splash.
+ */
+
+import { SIM_DT } from '../game.js';
+import { MAP_COLS, MAP_ROWS, getTargetDifficulty } from './controllerPacks.js';
+import { parseTiles, createCharacter, stepCharacter } from './controllerPhysics.js';
+import {
+  getControllerMaxGap,
+  getControllerSpikeChance,
+  getControllerPlatformCount,
+} from '../systems/difficulty.js';
+
+// Platform geometry (tiles)
+const EDGE_MARGIN = 1;           // empty columns kept at each side
+const END_WIDTH = 3;             // start and goal platforms
+const MIN_WIDTH = 1;
+const MAX_WIDTH = 3;
+const SPIKED_MIN_WIDTH = 3;      // room to land either side of a spike
+const SPIKED_MAX_WIDTH = 4;
+const MIN_ROW = 4;               // highest platform row
+const MAX_ROW = 8;               // lowest platform row
+const MAX_STEP = 2;              // rows up or down between neighbouring platforms
+
+// Reachability search
+const ACTION_STEPS = 6;          // sim steps an input is held (0.05s at 120 Hz)
+const MAX_SEARCH_STATES = 20000;
+const SLICE_STATES = 250;        // states searched per MapGeneration.step()
+const REACTION_ALLOWANCE = 1.0;  // seconds the fastest route must leave on the clock
+const PAR_SLACK = 1.3;           // par = fastest route × this
+
+const MAP_ATTEMPTS = 20;
+
+// Held inputs the search tries each turn. Jumps are presses at the start
+// of the hold, matching how the QTE treats a keydown.
+const ACTIONS = [
+  { left: false, right: true,  jump: false },
+  { left: false, right: true,  jump: true },
+  { left: false, right: false, jump: false },
+  { left: false, right: false, jump: true },
+  { left: true,  right: false, jump: false },
+  { left: true,  right: false, jump: true },
+];
+
+/**
+ * A map being generated for a floor, a slice of search at a time. Only the
+ * generation draws from `random` until it is done.
+ */
+export class MapGeneration {
+  /**
+   * @param {number} levelDepth
+   * @param {import('../systems/rng.js').RandomStream} random
+   * @param {number} timeLimit - QTE time limit the map must be beatable within
+   */
+  constructor(levelDepth, random, timeLimit) {
+    this.done = false;
+    this.map = null;  // once done: the map, or null if none was found
+    this._work = _generate(levelDepth, random, timeLimit);
+  }
+
+  /**
+   * Search up to SLICE_STATES more states.
+   * @returns {boolean} whether generation is done
+   */
+  step() {
+    if (!this.done) {
+      const { done, value } = this._work.next();
+      if (done) {
+        this.done = true;
+        this.map = value;
+      }
+    }
+    return this.done;
+  }
+
+  /**
+   * Run whatever is left.
+   * @returns {object|null} the map, as `map`
+   */
+  finish() {
+    while (!this.step());
+    return this.map;
+  }
+}
+
+/**
+ * Generate a map for a floor in one go.
+ * @param {number} levelDepth
+ * @param {import('../systems/rng.js').RandomStream} random
+ * @param {number} timeLimit - QTE time limit the map must be beatable within
+ * @returns {object|null} map in the pack map shape, or null if no reachable
+ *   map was found — callers should fall back to a pack map
+ */
+export function generateControllerMap(levelDepth, random, timeLimit) {
+  return new MapGeneration(levelDepth, random, timeLimit).finish();
+}
+
+/**
+ * Search for the quickest way from the player start to the goal using the
+ * QTE's own physics.
+ * @param {string[]} tileStrings - map rows
+ * @param {number} maxTime - give up on routes longer than this (seconds)
+ * @returns {number|null} seconds taken by the fastest route found, or null
+ *   if the goal was not reached within maxTime
+ */
+export function findFastestRoute(tileStrings, maxTime) {
+  const search = _searchRoute(tileStrings, maxTime);
+  let result;
+  do result = search.next(); while (!result.done);
+  return result.value;
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────────
+
+/** MapGeneration's work; yields between search slices, returns the map. */
+function* _generate(levelDepth, random, timeLimit) {
+  const maxTime = timeLimit - REACTION_ALLOWANCE;
+
+  for (let attempt = 0; attempt < MAP_ATTEMPTS; attempt++) {
+    const tiles = _buildTiles(levelDepth, random);
+    if (!tiles) continue;
+
+    const fastest = yield* _searchRoute(tiles, maxTime);
+    if (fastest === null) {
+      yield;
+      continue;
+    }
+
+    return {
+      name: 'Generated',
+      author: 'Quick Time Attack',
+      pack: 'Generated',
+      difficulty: getTargetDifficulty(levelDepth),
+      parTime: Math.ceil(fastest * PAR_SLACK * 10) / 10,
+      tiles,
+    };
+  }
+  return null;
+}
+
+/** findFastestRoute's search; yields every SLICE_STATES states. */
+function* _searchRoute(tileStrings, maxTime) {
+  const { tiles, startX, startY } = parseTiles(tileStrings);
+  const maxDepth = Math.floor(maxTime / (SIM_DT * ACTION_STEPS));
+
+  let frontier = [createCharacter(startX, startY)];
+  const seen = new Set([_stateKey(frontier[0])]);
+
+  // One breadth-first layer per held action, so the first goal found is
+  // the fastest (to ACTION_STEPS resolution)
+  for (let depth = 0; depth < maxDepth && frontier.length > 0; depth++) {
+    const next = [];
+    for (const char of frontier) {
+      const canJump = char.onGround || char.coyoteTimer > 0;
+      for (const action of ACTIONS) {
+        if (action.jump && !canJump) continue;
+
+        const moved = { ...char };
+        let result = null;
+        let steps = 0;
+        while (steps < ACTION_STEPS && !result) {
+          const controls = steps === 0 ? action : { ...action, jump: false };
+          result = stepCharacter(moved, tiles, controls, SIM_DT);
+          steps++;
+        }
+
+        if (result === 'goal') {
+          return (depth * ACTION_STEPS + steps) * SIM_DT;
+        }
+        if (result) continue;  // fell or spiked
+
+        const key = _stateKey(moved);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        if (seen.size > MAX_SEARCH_STATES) return null;
+        if (seen.size % SLICE_STATES === 0) yield;
+        next.push(moved);
+      }
+    }
+    frontier = next;
+  }
+  return null;
+}
+
+/**
+ * Lay out one candidate map.
+ * @returns {string[]|null} map rows, or null if the platforms don't fit
+ */
+function _buildTiles(levelDepth, random) {
+  const count = getControllerPlatformCount(levelDepth);
+  const maxGap = getControllerMaxGap(levelDepth);
+  const spikeChance = getControllerSpikeChance(levelDepth);
+
+  // Platforms left to right: { width, row, spike (index into width or -1) }
+  const platforms = [];
+  let row = MIN_ROW + 1 + random.int(MAX_ROW - MIN_ROW - 1);
+  for (let i = 0; i < count; i++) {
+    const isEnd = i === 0 || i === count - 1;
+    const spiked = !isEnd && random.chance(spikeChance);
+
+    let width = END_WIDTH;
+    if (spiked) width = SPIKED_MIN_WIDTH + random.int(SPIKED_MAX_WIDTH - SPIKED_MIN_WIDTH + 1);
+    else if (!isEnd) width = MIN_WIDTH + random.int(MAX_WIDTH - MIN_WIDTH + 1);
+
+    if (i > 0) {
+      row += random.int(MAX_STEP * 2 + 1) - MAX_STEP;
+      row = Math.max(MIN_ROW, Math.min(MAX_ROW, row));
+    }
+    platforms.push({ width, row, spike: spiked ? 1 + random.int(width - 2) : -1 });
+  }
+
+  // Gaps — trimmed one tile at a time (never below 1) until the run fits
+  const gaps = [];
+  for (let i = 1; i < count; i++) {
+    gaps.push(Math.max(1, maxGap - 1) + random.int(2));
+  }
+  const available = MAP_COLS - EDGE_MARGIN * 2;
+  const widths = platforms.reduce((sum, p) => sum + p.width, 0);
+  let total = widths + gaps.reduce((sum, g) => sum + g, 0);
+  while (total > available) {
+    const wide = gaps.flatMap((g, i) => (g > 1 ? [i] : []));
+    if (wide.length === 0) return null;
+    gaps[random.pick(wide)]--;
+    total--;
+  }
+
+  // Paint, centred horizontally
+  const grid = Array.from({ length: MAP_ROWS }, () => new Array(MAP_COLS).fill('.'));
+  let col = EDGE_MARGIN + Math.floor((available - total) / 2);
+  platforms.forEach((p, i) => {
+    for (let c = col; c < col + p.width; c++) grid[p.row][c] = '#';
+    if (p.spike >= 0) grid[p.row - 1][col + p.spike] = 'S';
+
+    const middle = col + Math.floor(p.width / 2);
+    if (i === 0) grid[p.row - 1][middle] = 'P';
+    if (i === count - 1) grid[p.row - 1][middle] = 'G';
+
+    col += p.width + (gaps[i] ?? 0);
+  });
+
+  return grid.map(cells => cells.join(''));
+}
+
+/** Coarse state key — positions to 2px, vertical speed to 20px/s. */
+function _stateKey(char) {
+  return `${Math.round(char.x / 2)},${Math.round(char.y / 2)},${Math.round(char.vy / 20)},` +
+    `${char.onGround ? 1 : 0}${char.coyoteTimer > 0 ? 1 : 0}`;
+}
@@ -0,0 +1,196 @@
+// ControllerQTE map packs.
+//
+// Platformer maps live in JSON level packs (exported by level-editor.html)
+// rather than in controllerQte.js, so new maps ship without code changes.
+//
+// Pack format:
+//   {
+//     "format": "qta-controller-pack", "version": 1,
+//     "name": "Default", "author": "…",
+//     "maps": [
+//       { "name": "…", "author": "…" (optional, defaults to the pack's),
+//         "difficulty": 1–5, "parTime": seconds,
+//         "tiles": [ 10 strings of 28 chars ] }
+//     ]
+//   }
+// Tiles: '.' = air, '#' = solid, 'S' = spike, 'G' = goal, 'P' = player start
+
+export const PACK_FORMAT = 'qta-controller-pack';
+export const PACK_VERSION = 1;
+
+export const MAP_COLS = 28;
+export const MAP_ROWS = 10;
+export const MIN_DIFFICULTY = 1;
+export const MAX_DIFFICULTY = 5;
+
+const FLOORS_PER_DIFFICULTY = 3;  // target difficulty rises every N floors
+
+// Packs loaded at startup, relative to index.html
+const DEFAULT_PACK_PATHS = [
+  'packs/controller/default.json',
+];
+const LOAD_TIMEOUT_MS = 5000;  // a stalled pack request is given up on after this
+
+// Used if no pack could be loaded (runs wait for `ready` before starting)
+const FALLBACK_MAP = {
+  name: 'Stepping Stones',
+  author: 'Quick Time Attack',
+  pack: 'Built-in',
+  difficulty: 1,
+  parTime: 1.6,
+  tiles: [
+    '............................',
+    '............................',
+    '............................',
+    '............................',
+    '............................',
+    '.....P................G.....',
+    '....###...##....##...###....',
+    '............................',
+    '............................',
+    '............................',
+  ],
+};
+
+class ControllerPackRegistry {
+  constructor() {
+    this.packs = [];   // { name, author, source, mapCount }
+    this.maps = [];    // flattened, each tagged with its pack name and author
+    this.failed = [];  // { source, errors } of packs that didn't load or validate
+    // Settles once load() has. Runs start only after it, so a run never picks
+    // from the fallback map where the same seed would get a pack's map
+    this.ready = Promise.resolve();
+  }
+
+  /**
+   * Fetch and register packs. Packs are registered in path order whatever
+   * order the requests finish in, so map picks stay reproducible per seed.
+   * Never rejects; a pack that fails or stalls past LOAD_TIMEOUT_MS is skipped.
+   * @param {string[]} [paths]
+   * @returns {Promise<void>} the new `ready`
+   */
+  load(paths = DEFAULT_PACK_PATHS) {
+    const requests = paths.map((path) => {
+      const abort = new AbortController();
+      const timer = setTimeout(() => abort.abort(), LOAD_TIMEOUT_MS);
+      return fetch(path, { signal: abort.signal })
+        .then(r => (r.ok ? r.json() : null))
+        .catch(() => null)
+        .finally(() => clearTimeout(timer));
+    });
+
+    this.ready = Promise.all(requests).then((packs) => {
+      packs.forEach((pack, i) => {
+        const errors = pack ? this.register(pack, paths[i]) : ['Could not be loaded'];
+        if (errors.length > 0) this.failed.push({ source: paths[i], errors });
+      });
+    });
+    return this.ready;
+  }
+
+  /**
+   * Add a parsed pack. Invalid packs are rejected as a whole.
+   * @param {object} pack
+   * @param {string} [source] - where it came from, for messages
+   * @returns {string[]} validation errors (empty if registered)
+   */
+  register(pack, source = pack?.name || 'pack') {
+    const errors = validatePack(pack);
+    if (errors.length > 0) return errors;
+
+    for (const map of pack.maps) {
+      this.maps.push({
+        name: map.name || 'Untitled',
+        author: map.author || pack.author || 'Unknown',
+        pack: pack.name || source,
+        difficulty: map.difficulty,
+        parTime: map.parTime,
+        tiles: map.tiles,
+      });
+    }
+    this.packs.push({
+      name: pack.name || source,
+      author: pack.author || 'Unknown',
+      source,
+      mapCount: pack.maps.length,
+    });
+    return [];
+  }
+
+  /** Remove every registered pack. */
+  clear() {
+    this.packs = [];
+    this.maps = [];
+  }
+
+  /**
+   * Choose a map for a floor — one rated at or just below the floor's
+   * target difficulty, falling back to the easiest available.
+   * @param {number} levelDepth
+   * @param {import('../systems/rng.js').RandomStream} random
+   * @returns {object} map
+   */
+  pickMap(levelDepth, random) {
+    if (this.maps.length === 0) return FALLBACK_MAP;
+
+    const target = getTargetDifficulty(levelDepth);
+    let candidates = this.maps.filter(m => m.difficulty <= target && m.difficulty >= target - 1);
+    if (candidates.length === 0) {
+      candidates = this.maps.filter(m => m.difficulty <= target);
+    }
+    if (candidates.length === 0) {
+      const easiest = Math.min(...this.maps.map(m => m.difficulty));
+      candidates = this.maps.filter(m => m.difficulty === easiest);
+    }
+    return random.pick(candidates);
+  }
+}
+
+export const controllerPacks = new ControllerPackRegistry();
+
+/**
+ * Difficulty rating a floor asks for.
+ * @param {number} levelDepth
+ * @returns {number} MIN_DIFFICULTY–MAX_DIFFICULTY
+ */
+export function getTargetDifficulty(levelDepth) {
+  const target = MIN_DIFFICULTY + Math.floor((Math.max(1, levelDepth) - 1) / FLOORS_PER_DIFFICULTY);
+  return Math.min(MAX_DIFFICULTY, target);
+}
+
+/**
+ * Check a pack against the format above.
+ * @param {object} pack
+ * @returns {string[]} problems found (empty if valid)
+ */
+export function validatePack(pack) {
+  if (!pack || typeof pack !== 'object') return ['Pack is not an object'];
+  if (pack.format !== PACK_FORMAT) return [`format must be "${PACK_FORMAT}"`];
+  if (pack.version !== PACK_VERSION) return [`Unsupported pack version ${pack.version}`];
+  if (!Array.isArray(pack.maps) || pack.maps.length === 0) return ['Pack has no maps'];
+
+  const errors = [];
+  pack.maps.forEach((map, i) => {
+    const label = `Map ${i}${map?.name ? ` (${map.name})` : ''}`;
+    if (!map || typeof map !== 'object') {
+      errors.push(`${label}: not an object`);
+      return;
+    }
+    if (!Number.isInteger(map.difficulty) || map.difficulty < MIN_DIFFICULTY || map.difficulty > MAX_DIFFICULTY) {
+      errors.push(`${label}: difficulty must be a whole number ${MIN_DIFFICULTY}–${MAX_DIFFICULTY}`);
+    }
+    if (typeof map.parTime !== 'number' || !(map.parTime > 0)) {
+      errors.push(`${label}: parTime must be a positive number of seconds`);
+    }
+    if (!Array.isArray(map.tiles) || map.tiles.length !== MAP_ROWS
+        || map.tiles.some(row => typeof row !== 'string' || row.length !== MAP_COLS)) {
+      errors.push(`${label}: tiles must be ${MAP_ROWS} strings of ${MAP_COLS} characters`);
+      return;
+    }
+    const all = map.tiles.join('');
+    if (/[^.#SGP]/.test(all)) errors.push(`${label}: tiles may only use . # S G P`);
+    if (all.split('P').length - 1 !== 1) errors.push(`${label}: needs exactly one player start (P)`);
+    if (!all.includes('G')) errors.push(`${label}: needs a goal (G)`);
+  });
+  return errors;
+}
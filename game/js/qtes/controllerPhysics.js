@@ -0,0 +1,213 @@
+// Platformer physics for ControllerQTE, shared with the map generator's
+// reachability check so generated maps are tested against the exact same
+// movement the player gets.
+
+import { MAP_COLS, MAP_ROWS } from './controllerPacks.js';
+
+// ── Tuning constants ────────────────────────────────────────────────────
+export const TILE_SIZE   = 16;
+export const CHAR_SIZE   = 14;     // slightly smaller than a tile
+export const GRAVITY     = 825;    // px/s²
+export const JUMP_VEL    = -285;   // px/s (negative = up)
+export const MOVE_SPEED  = 210;    // px/s horizontal
+export const COYOTE_TIME = 0.06;   // seconds — brief grace period after leaving edge
+
+// Tile types
+export const AIR   = 0;
+export const SOLID = 1;
+export const SPIKE = 2;
+export const GOAL  = 3;
+
+/**
+ * Parse map strings into a tile grid.
+ * '.' = air, '#' = solid, 'S' = spike, 'G' = goal, 'P' = player start
+ * @param {string[]} strings
+ * @returns {{ tiles: number[][], startX: number, startY: number }}
+ */
+export function parseTiles(strings) {
+  const tiles = [];
+  let startX = 0;
+  let startY = 0;
+
+  for (let row = 0; row < MAP_ROWS; row++) {
+    tiles[row] = [];
+    const line = strings[row] || '';
+    for (let col = 0; col < MAP_COLS; col++) {
+      const ch = line[col] || '.';
+      switch (ch) {
+        case '#':
+          tiles[row][col] = SOLID;
+          break;
+        case 'S':
+          tiles[row][col] = SPIKE;
+          break;
+        case 'G':
+          tiles[row][col] = GOAL;
+          break;
+        case 'P':
+          tiles[row][col] = AIR;
+          // Place character above this tile (feet on tile below)
+          startX = col * TILE_SIZE + TILE_SIZE / 2;
+          startY = row * TILE_SIZE + TILE_SIZE / 2;
+          break;
+        default:
+          tiles[row][col] = AIR;
+          break;
+      }
+    }
+  }
+  return { tiles, startX, startY };
+}
+
+/** Fresh character state at a position. */
+export function createCharacter(x, y) {
+  return { x, y, vx: 0, vy: 0, onGround: false, coyoteTimer: 0 };
+}
+
+/**
+ * Advance the character one step.
+ * @param {object} char - from createCharacter(); mutated
+ * @param {number[][]} tiles
+ * @param {{ left: boolean, right: boolean, jump: boolean }} controls -
+ *   `jump` is a press this step, not a held key
+ * @param {number} dt
+ * @returns {'fell'|'spiked'|'goal'|null} what the step ended in
+ */
+export function stepCharacter(char, tiles, controls, dt) {
+  // Horizontal movement
+  char.vx = 0;
+  if (controls.left)  char.vx -= MOVE_SPEED;
+  if (controls.right) char.vx += MOVE_SPEED;
+
+  // Jump (ground or coyote time)
+  if (controls.jump && (char.onGround || char.coyoteTimer > 0)) {
+    char.vy = JUMP_VEL;
+    char.onGround = false;
+    char.coyoteTimer = 0;
+  }
+
+  // Gravity
+  char.vy += GRAVITY * dt;
+
+  // Move X, then resolve
+  char.x += char.vx * dt;
+  _resolveX(char, tiles);
+
+  // Move Y, then resolve
+  const wasOnGround = char.onGround;
+  char.y += char.vy * dt;
+  _resolveY(char, tiles);
+
+  // Coyote time tracking
+  if (wasOnGround && !char.onGround && char.vy >= 0) {
+    char.coyoteTimer = COYOTE_TIME;
+  }
+  if (char.coyoteTimer > 0) {
+    char.coyoteTimer -= dt;
+  }
+
+  // Falling off the map (below tile area)
+  if (char.y > MAP_ROWS * TILE_SIZE + CHAR_SIZE) return 'fell';
+  if (_touchesTile(char, tiles, SPIKE)) return 'spiked';
+  if (_touchesTile(char, tiles, GOAL)) return 'goal';
+  return null;
+}
+
+// ── Collision resolution ──────────────────────────────────────────────
+
+function _resolveX(char, tiles) {
+  const half = CHAR_SIZE / 2;
+  const left   = char.x - half;
+  const right  = char.x + half;
+  const top    = char.y - half + 1; // slight inset to avoid corner snagging
+  const bottom = char.y + half - 1;
+
+  // Check tiles the character overlaps
+  const colL = Math.floor(left / TILE_SIZE);
+  const colR = Math.floor(right / TILE_SIZE);
+  const rowT = Math.floor(top / TILE_SIZE);
+  const rowB = Math.floor(bottom / TILE_SIZE);
+
+  for (let r = rowT; r <= rowB; r++) {
+    for (let c = colL; c <= colR; c++) {
+      if (_getTile(tiles, r, c) !== SOLID) continue;
+
+      const tileLeft = c * TILE_SIZE;
+      const tileRight = tileLeft + TILE_SIZE;
+
+      if (char.vx > 0) {
+        // Moving right — push left
+        char.x = tileLeft - half;
+      } else if (char.vx < 0) {
+        // Moving left — push right
+        char.x = tileRight + half;
+      }
+      char.vx = 0;
+    }
+  }
+
+  // Clamp to play area
+  char.x = Math.max(half, Math.min(MAP_COLS * TILE_SIZE - half, char.x));
+}
+
+function _resolveY(char, tiles) {
+  const half = CHAR_SIZE / 2;
+  const left   = char.x - half + 1; // slight inset
+  const right  = char.x + half - 1;
+  const top    = char.y - half;
+  const bottom = char.y + half;
+
+  const colL = Math.floor(left / TILE_SIZE);
+  const colR = Math.floor(right / TILE_SIZE);
+  const rowT = Math.floor(top / TILE_SIZE);
+  const rowB = Math.floor(bottom / TILE_SIZE);
+
+  char.onGround = false;
+
+  for (let r = rowT; r <= rowB; r++) {
+    for (let c = colL; c <= colR; c++) {
+      if (_getTile(tiles, r, c) !== SOLID) continue;
+
+      const tileTop = r * TILE_SIZE;
+      const tileBottom = tileTop + TILE_SIZE;
+
+      if (char.vy > 0) {
+        // Falling — land on top
+        char.y = tileTop - half;
+        char.vy = 0;
+        char.onGround = true;
+      } else if (char.vy < 0) {
+        // Jumping up — hit ceiling
+        char.y = tileBottom + half;
+        char.vy = 0;
+      }
+    }
+  }
+}
+
+function _getTile(tiles, row, col) {
+  if (row < 0 || row >= MAP_ROWS || col < 0 || col >= MAP_COLS) return AIR;
+  return tiles[row][col];
+}
+
+function _touchesTile(char, tiles, tileType) {
+  const half = CHAR_SIZE / 2;
+  // Shrink hitbox slightly for spike/goal checks (more forgiving)
+  const margin = 3;
+  const left   = char.x - half + margin;
+  const right  = char.x + half - margin;
+  const top    = char.y - half + margin;
+  const bottom = char.y + half - margin;
+
+  const colL = Math.floor(left / TILE_SIZE);
+  const colR = Math.floor(right / TILE_SIZE);
+  const rowT = Math.floor(top / TILE_SIZE);
+  const rowB = Math.floor(bottom / TILE_SIZE);
+
+  for (let r = rowT; r <= rowB; r++) {
+    for (let c = colL; c <= colR; c++) {
+      if (_getTile(tiles, r, c) === tileType) return true;
+    }
+  }
+  return false;
+}
@@ -1,6 +1,10 @@
 import { QTE } from './qte.js';
+import { qteRegistry } from './qteRegistry.js';
 import { CANVAS_WIDTH, CANVAS_HEIGHT } from '../game.js';
 import { audio } from '../systems/audio.js';
+import { rng, RNG_STREAMS } from '../systems/rng.js';
+
+const qteRng = rng.stream(RNG_STREAMS.QTE);
 
 // ── Tuning constants ────────────────────────────────────────────────────
 const TIME_LIMIT     = 3.0;  // seconds overall
@@ -14,7 +18,7 @@ export class CowboyQTE extends QTE {
 
     this.hideEnemyLabel = true;
     this.phase = 'waiting'; // 'waiting' | 'draw' | 'resolved'
-    this.drawDelay = DRAW_DELAY_MIN + Math.random() * (DRAW_DELAY_MAX - DRAW_DELAY_MIN);
+    this.drawDelay = DRAW_DELAY_MIN + qteRng.next() * (DRAW_DELAY_MAX - DRAW_DELAY_MIN);
     this.drawTimer = 0;      // time since "DRAW!" appeared
     this.resultText = null;   // brief text after success/fail
     this.resultTimer = 0;
@@ -53,6 +57,11 @@ export class CowboyQTE extends QTE {
     }
   }
 
+  /** Reaction time: an instant draw is 1, the last moment of the window 0. */
+  getPerformance() {
+    return Math.max(0, 1 - this.drawTimer / REACT_WINDOW);
+  }
+
   render(ctx) {
     super.render(ctx); // timer bar
 
@@ -96,3 +105,12 @@ export class CowboyQTE extends QTE {
     }
   }
 }
+
+qteRegistry.register({
+  id: 'cowboy',
+  name: 'COWBOY',
+  qteClass: CowboyQTE,
+  inputType: 'MOUSE',
+  taskDesc: 'WAIT... CLICK!',
+  padHint: 'RT TO CLICK',
+});
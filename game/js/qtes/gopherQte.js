@@ -1,10 +1,14 @@
 import { QTE } from './qte.js';
+import { qteRegistry } from './qteRegistry.js';
 import { CANVAS_WIDTH, CANVAS_HEIGHT } from '../game.js';
 import { input } from '../input.js';
 import { audio } from '../systems/audio.js';
 import {
   getGopherWhacks, getGopherPopDuration, getGopherPopInterval, getGopherMaxPops,
 } from '../systems/difficulty.js';
+import { rng, RNG_STREAMS } from '../systems/rng.js';
+
+const qteRng = rng.stream(RNG_STREAMS.QTE);
 
 // ── Tuning constants ────────────────────────────────────────────────────
 const TIME_LIMIT    = 3;      // seconds (fallback)
@@ -105,7 +109,7 @@ export class GopherQTE extends QTE {
     const inactive = this.holes.filter(h => !h.active);
     if (inactive.length === 0) return;
 
-    const hole = inactive[Math.floor(Math.random() * inactive.length)];
+    const hole = qteRng.pick(inactive);
     hole.active = true;
     hole.timer = this.popDuration;
     this.totalPops++;
@@ -171,3 +175,12 @@ export class GopherQTE extends QTE {
     }
   }
 }
+
+qteRegistry.register({
+  id: 'gopher',
+  name: 'GOPHER',
+  qteClass: GopherQTE,
+  inputType: 'MOUSE',
+  taskDesc: 'WHACK A MOLE',
+  padHint: 'RIGHT STICK AIMS, RT CLICKS',
+});
@@ -1,4 +1,5 @@
 import { QTE } from './qte.js';
+import { qteRegistry } from './qteRegistry.js';
 import { CANVAS_WIDTH, CANVAS_HEIGHT } from '../game.js';
 import { audio } from '../systems/audio.js';
 import { getHeartCount, getHeartScrollSpeed } from '../systems/difficulty.js';
@@ -36,6 +37,7 @@ export class HeartQTE extends QTE {
     }
 
     this.nextHeart = 0; // index of next heart to hit
+    this.hitOffsets = []; // |px| from the target line, per hit
   }
 
   update(dt) {
@@ -70,6 +72,7 @@ export class HeartQTE extends QTE {
       // Hit!
       audio.playSFX('qteClick');
       h.hit = true;
+      this.hitOffsets.push(dist);
       this.nextHeart++;
 
       if (this.nextHeart >= this.heartCount) {
@@ -81,6 +84,13 @@ export class HeartQTE extends QTE {
     }
   }
 
+  /** Mean timing accuracy: hits dead on the line are 1, the zone's edge 0. */
+  getPerformance() {
+    if (this.hitOffsets.length === 0) return 0;
+    const mean = this.hitOffsets.reduce((sum, d) => sum + d, 0) / this.hitOffsets.length;
+    return 1 - mean / HIT_TOLERANCE;
+  }
+
   render(ctx) {
     super.render(ctx); // timer bar
 
@@ -153,3 +163,12 @@ export class HeartQTE extends QTE {
     ctx.fillText(`${hits} / ${this.heartCount}`, CANVAS_WIDTH / 2, TRACK_Y + 50);
   }
 }
+
+qteRegistry.register({
+  id: 'heart',
+  name: 'HEART',
+  qteClass: HeartQTE,
+  inputType: 'MOUSE',
+  taskDesc: 'HIT THE BEAT',
+  padHint: 'RT TO CLICK',
+});
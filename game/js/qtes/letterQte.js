@@ -1,6 +1,11 @@
 import { QTE } from './qte.js';
+import { qteRegistry } from './qteRegistry.js';
+import { TOUCH_LAYOUTS } from '../touch.js';
 import { CANVAS_WIDTH, CANVAS_HEIGHT } from '../game.js';
 import { audio } from '../systems/audio.js';
+import { rng, RNG_STREAMS } from '../systems/rng.js';
+
+const qteRng = rng.stream(RNG_STREAMS.QTE);
 
 // ── Tuning constants ────────────────────────────────────────────────────
 const TIME_LIMIT = 2.5; // seconds (fallback)
@@ -14,16 +19,19 @@ const LONG_WORDS = [
   'LIGHTNING', 'DEATHTRAP', 'WHIRLWIND', 'POWERSHOT', 'BLACKHOLE',
 ];
 const WRONG_FLASH_DURATION = 0.2; // seconds
+const TYPO_PENALTY = 0.3;         // performance lost per wrong key
 
 export class LetterQTE extends QTE {
   constructor({ enemy = null, timeLimit = TIME_LIMIT, levelDepth = 1 } = {}) {
     super({ timeLimit, enemy });
 
     this.hideEnemyLabel = true;
+    this.touchLayout = TOUCH_LAYOUTS.KEYBOARD;
     const wordList = levelDepth > 10 ? LONG_WORDS : SHORT_WORDS;
-    this.word = wordList[Math.floor(Math.random() * wordList.length)];
+    this.word = qteRng.pick(wordList);
     this.typedIndex = 0;
     this.wrongFlash = 0;
+    this.typos = 0;
   }
 
   update(dt) {
@@ -52,9 +60,15 @@ export class LetterQTE extends QTE {
       audio.playSFX('menuBack');
       this.typedIndex = 0;
       this.wrongFlash = WRONG_FLASH_DURATION;
+      this.typos++;
     }
   }
 
+  /** Time left, minus a penalty per typo. */
+  getPerformance() {
+    return Math.max(0, this.timeFraction - this.typos * TYPO_PENALTY);
+  }
+
   render(ctx) {
     super.render(ctx); // timer bar
 
@@ -108,3 +122,11 @@ export class LetterQTE extends QTE {
     }
   }
 }
+
+qteRegistry.register({
+  id: 'letter',
+  name: 'LETTER',
+  qteClass: LetterQTE,
+  inputType: 'KEYBOARD',
+  taskDesc: 'TYPE THE WORD',
+});
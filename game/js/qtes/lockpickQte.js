@@ -0,0 +1,177 @@
+import { QTE } from './qte.js';
+import { qteRegistry } from './qteRegistry.js';
+import { TOUCH_LAYOUTS } from '../touch.js';
+import { CANVAS_WIDTH, CANVAS_HEIGHT } from '../game.js';
+import { input } from '../input.js';
+import { audio } from '../systems/audio.js';
+import {
+  getLockpickTumblerCount, getLockpickSpinSpeed, getLockpickTimeLimit,
+} from '../systems/difficulty.js';
+import { rng, RNG_STREAMS } from '../systems/rng.js';
+
+const qteRng = rng.stream(RNG_STREAMS.QTE);
+
+// ── Tuning constants ────────────────────────────────────────────────────
+const TIME_LIMIT = 5;              // seconds (fallback)
+const TUMBLER_COUNT = 3;           // fallback when no level depth is given
+const SPIN_SPEED = 3;              // rad/s (fallback)
+const SPEED_SPREAD = 0.5;          // each tumbler spins at 0.75×–1.25× the base speed
+const GATE_ANGLE = -Math.PI / 2;   // notch must line up with 12 o'clock
+const SET_WINDOW = 0.28;           // rad either side of the gate that counts as lined up
+const MISS_PENALTY = 0.35;         // performance lost per mistimed press
+const MAX_MISSES = 3;              // mistimed presses allowed — the last one fails, so mashing can't work
+const WRONG_FLASH_DURATION = 0.2;  // seconds
+
+// ── Layout ──────────────────────────────────────────────────────────────
+const DIAL_Y = CANVAS_HEIGHT / 2 + 30;
+const DIAL_RADIUS = 34;
+const DIAL_SPACING = 96;
+const NOTCH_RADIUS = 7;
+const GATE_SIZE = 9;
+const HINT_Y = DIAL_Y + 90;
+
+const DIAL_COLOR = '#2a2a3e';
+const ACTIVE_COLOR = '#ffcc33';
+const SET_COLOR = '#44ff88';
+const WRONG_COLOR = '#e74c3c';
+
+export class LockpickQTE extends QTE {
+  constructor({ enemy = null, timeLimit = TIME_LIMIT, levelDepth = 1 } = {}) {
+    super({ timeLimit, enemy });
+
+    this.touchLayout = TOUCH_LAYOUTS.LOCKPICK;
+
+    const count = levelDepth ? getLockpickTumblerCount(levelDepth) : TUMBLER_COUNT;
+    const baseSpeed = levelDepth ? getLockpickSpinSpeed(levelDepth) : SPIN_SPEED;
+    this.tumblers = Array.from({ length: count }, () => ({
+      angle: qteRng.range(0, Math.PI * 2),
+      speed: baseSpeed * (1 - SPEED_SPREAD / 2 + qteRng.next() * SPEED_SPREAD) * (qteRng.chance(0.5) ? 1 : -1),
+      set: false,
+    }));
+    this.activeIndex = 0;
+    this.misses = 0;
+    this.wrongFlash = 0;
+  }
+
+  update(dt) {
+    super.update(dt);
+    if (this.completed) return;
+
+    if (this.wrongFlash > 0) {
+      this.wrongFlash -= dt;
+    }
+
+    for (const tumbler of this.tumblers) {
+      if (!tumbler.set) tumbler.angle += tumbler.speed * dt;
+    }
+
+    if (input.isKeyJustPressed('Space') || input.isActionJustPressed('interact')) {
+      this._setActiveTumbler();
+    }
+  }
+
+  /**
+   * Graded on clean presses rather than time left — waiting for a slow
+   * notch to come round isn't the player's fault.
+   */
+  getPerformance() {
+    return Math.max(0, 1 - this.misses * MISS_PENALTY);
+  }
+
+  render(ctx) {
+    super.render(ctx); // timer bar
+
+    // Instruction text
+    ctx.fillStyle = '#ffffff';
+    ctx.font = '12px "Press Start 2P"';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('Pick the Lock!', CANVAS_WIDTH / 2, 68);
+
+    const startX = CANVAS_WIDTH / 2 - ((this.tumblers.length - 1) * DIAL_SPACING) / 2;
+    for (let i = 0; i < this.tumblers.length; i++) {
+      this._renderTumbler(ctx, this.tumblers[i], i, startX + i * DIAL_SPACING);
+    }
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.font = '8px "Press Start 2P"';
+    ctx.textAlign = 'center';
+    ctx.fillText('SPACE WHEN THE NOTCH MEETS THE GATE', CANVAS_WIDTH / 2, HINT_Y);
+
+    // Tries left
+    ctx.fillStyle = this.misses > 0 ? WRONG_COLOR : 'rgba(255, 255, 255, 0.4)';
+    ctx.fillText(`MISSES ${this.misses}/${MAX_MISSES}`, CANVAS_WIDTH / 2, HINT_Y + 20);
+  }
+
+  // ── Private ───────────────────────────────────────────────────────
+
+  _setActiveTumbler() {
+    const tumbler = this.tumblers[this.activeIndex];
+    if (_distanceToGate(tumbler.angle) <= SET_WINDOW) {
+      audio.playSFX('tumblerSet');
+      tumbler.set = true;
+      tumbler.angle = GATE_ANGLE;
+      this.activeIndex++;
+      if (this.activeIndex >= this.tumblers.length) {
+        this.succeed();
+      }
+    } else {
+      audio.playSFX('menuBack');
+      this.misses++;
+      this.wrongFlash = WRONG_FLASH_DURATION;
+      if (this.misses >= MAX_MISSES) this.fail();
+    }
+  }
+
+  _renderTumbler(ctx, tumbler, index, x) {
+    const active = index === this.activeIndex;
+    const rimColor = tumbler.set ? SET_COLOR
+      : active && this.wrongFlash > 0 ? WRONG_COLOR
+      : active ? ACTIVE_COLOR
+      : 'rgba(255, 255, 255, 0.4)';
+
+    // Dial
+    ctx.fillStyle = DIAL_COLOR;
+    ctx.beginPath();
+    ctx.arc(x, DIAL_Y, DIAL_RADIUS, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.strokeStyle = rimColor;
+    ctx.lineWidth = active ? 3 : 2;
+    ctx.stroke();
+
+    // Gate marker above the dial
+    const gateY = DIAL_Y - DIAL_RADIUS - 6;
+    ctx.fillStyle = rimColor;
+    ctx.beginPath();
+    ctx.moveTo(x, gateY);
+    ctx.lineTo(x - GATE_SIZE, gateY - GATE_SIZE);
+    ctx.lineTo(x + GATE_SIZE, gateY - GATE_SIZE);
+    ctx.closePath();
+    ctx.fill();
+
+    // Notch on the rim
+    const nx = x + Math.cos(tumbler.angle) * (DIAL_RADIUS - NOTCH_RADIUS - 3);
+    const ny = DIAL_Y + Math.sin(tumbler.angle) * (DIAL_RADIUS - NOTCH_RADIUS - 3);
+    ctx.fillStyle = tumbler.set ? SET_COLOR : '#ffffff';
+    ctx.beginPath();
+    ctx.arc(nx, ny, NOTCH_RADIUS, 0, Math.PI * 2);
+    ctx.fill();
+  }
+}
+
+/** Unsigned angular distance from `angle` to the gate, in [0, π]. */
+function _distanceToGate(angle) {
+  const diff = (angle - GATE_ANGLE) % (Math.PI * 2);
+  const wrapped = diff < 0 ? diff + Math.PI * 2 : diff;
+  return Math.min(wrapped, Math.PI * 2 - wrapped);
+}
+
+qteRegistry.register({
+  id: 'lockpick',
+  name: 'LOCKPICK',
+  qteClass: LockpickQTE,
+  inputType: 'KEYBOARD',
+  taskDesc: 'PICK THE LOCK',
+  padHint: 'A SETS EACH TUMBLER',
+  getTimeLimit: getLockpickTimeLimit,
+});
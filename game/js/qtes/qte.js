@@ -1,4 +1,5 @@
 import { CANVAS_WIDTH, CANVAS_HEIGHT } from '../game.js';
+import { TOUCH_LAYOUTS } from '../touch.js';
 
 // Timer bar layout
 const BAR_WIDTH = 400;
@@ -8,6 +9,29 @@ const BAR_BG = 'rgba(255, 255, 255, 0.2)';
 const BAR_FG = '#ffffff';
 const BAR_LOW = '#e74c3c'; // red when time < 25%
 
+// Success grades, best first
+export const QTE_GRADES = {
+  PERFECT: 'perfect',
+  GREAT: 'great',
+  GOOD: 'good',
+};
+
+// Minimum performance (0–1, see getPerformance) for each grade
+const PERFECT_PERFORMANCE = 0.7;
+const GREAT_PERFORMANCE = 0.4;
+
+export const QTE_GRADE_LABELS = {
+  perfect: 'PERFECT',
+  great: 'GREAT',
+  good: 'GOOD',
+};
+
+export const QTE_GRADE_COLORS = {
+  perfect: '#ffdd44',
+  great: '#44ff88',
+  good: '#ffffff',
+};
+
 export class QTE {
   /**
    * @param {object} opts
@@ -20,8 +44,16 @@ export class QTE {
     this.elapsed = 0;
     this.completed = false;
     this.result = null; // 'success' | 'fail' | null
+    this.grade = null;  // QTE_GRADES value once succeeded
+    this.touchLayout = TOUCH_LAYOUTS.POINTER; // on-screen controls while active (touch.js)
   }
 
+  /**
+   * Called every frame of the splash before init(). Subclasses override to
+   * spread slow setup over the splash.
+   */
+  prepare() {}
+
   /** Called once when the QTE starts. Subclasses override for setup. */
   init() {}
 
@@ -60,9 +92,10 @@ export class QTE {
 
   // ── Result signaling ──────────────────────────────────────────────
 
-  /** Mark the QTE as succeeded. Only fires once. */
+  /** Mark the QTE as succeeded and grade it. Only fires once. */
   succeed() {
     if (this.completed) return;
+    this.grade = _gradeFor(this.getPerformance());
     this.completed = true;
     this.result = 'success';
   }
@@ -74,6 +107,16 @@ export class QTE {
     this.result = 'fail';
   }
 
+  /**
+   * How well the QTE went, from 0 (scraped through) to 1 (flawless), read
+   * when it succeeds. Defaults to the fraction of time left; subclasses
+   * override with their own accuracy measure.
+   * @returns {number}
+   */
+  getPerformance() {
+    return this.timeFraction;
+  }
+
   // ── Convenience getters ───────────────────────────────────────────
 
   /** Time remaining in seconds. */
@@ -106,3 +149,11 @@ export class QTE {
     ctx.strokeRect(barX, BAR_Y, BAR_WIDTH, BAR_HEIGHT);
   }
 }
+
+// ── Helpers ──────────────────────────────────────────────────────────────
+
+function _gradeFor(performance) {
+  if (performance >= PERFECT_PERFORMANCE) return QTE_GRADES.PERFECT;
+  if (performance >= GREAT_PERFORMANCE) return QTE_GRADES.GREAT;
+  return QTE_GRADES.GOOD;
+}
@@ -0,0 +1,120 @@
+// QTE mini-game registry.
+//
+// Each QTE module registers itself when imported (see builtinQtes.js), so
+// QTEScene can build any mini-game by id and mods can add new ones with a
+// register() call instead of editing the scene.
+//
+// Definition:
+//   {
+//     id:           'bat',                 unique QTE type id
+//     name:         'BAT',                 (optional) display name, defaults to the id in capitals
+//     qteClass:     BatQTE,                constructed with { enemy, timeLimit, levelDepth }
+//     inputType:    'MOUSE' | 'KEYBOARD',  shown on the splash screen
+//     taskDesc:     'CLICK THE BAT',       splash headline
+//     padHint:      'RT TO CLICK',         (optional) splash line while a gamepad is connected
+//     getTimeLimit: (levelDepth) => s,     (optional) difficulty scaler, defaults to getQTETimeLimit
+//   }
+//
+// Enemies pick their QTE from a weighted pool, { [qteId]: weight }.
+
+import { getQTETimeLimit } from '../systems/difficulty.js';
+
+export const INPUT_TYPES = ['MOUSE', 'KEYBOARD'];
+
+class QTERegistry {
+  constructor() {
+    this._defs = new Map();  // id → definition
+  }
+
+  /**
+   * Add a QTE type. Registering an id again replaces the earlier definition.
+   * @param {object} def - see the format above
+   */
+  register(def) {
+    const errors = validateDefinition(def);
+    if (errors.length > 0) {
+      throw new Error(`QTE ${def?.id || '(no id)'} rejected: ${errors.join('; ')}`);
+    }
+    this._defs.set(def.id, {
+      name: def.id.toUpperCase(),
+      padHint: null,
+      getTimeLimit: getQTETimeLimit,
+      ...def,
+    });
+  }
+
+  /**
+   * @param {string} id
+   * @returns {object|null} the definition, or null if unknown
+   */
+  get(id) {
+    return this._defs.get(id) || null;
+  }
+
+  /** Ids of every registered QTE, in registration order. */
+  ids() {
+    return [...this._defs.keys()];
+  }
+
+  /**
+   * Build a QTE of a registered type, scaled for the floor.
+   * @param {string} id
+   * @param {object} opts
+   * @param {object} [opts.enemy] - the enemy that triggered it
+   * @param {number} [opts.levelDepth=1]
+   * @returns {import('./qte.js').QTE|null} null if the id is unknown
+   */
+  create(id, { enemy = null, levelDepth = 1 } = {}) {
+    const def = this.get(id);
+    if (!def) return null;
+    return new def.qteClass({ enemy, levelDepth, timeLimit: def.getTimeLimit(levelDepth) });
+  }
+
+  /**
+   * Choose a QTE id from a weighted pool. Unregistered ids and non-positive
+   * weights are skipped. A pool with a single candidate doesn't draw from
+   * `random`, so single-QTE enemies leave the stream untouched.
+   * @param {Object<string, number>} pool - { [qteId]: weight }
+   * @param {import('../systems/rng.js').RandomStream} random
+   * @returns {string|null} null if nothing in the pool is registered
+   */
+  pickFromPool(pool, random) {
+    const candidates = Object.entries(pool || {})
+      .filter(([id, weight]) => this._defs.has(id) && weight > 0);
+    if (candidates.length === 0) return null;
+    if (candidates.length === 1) return candidates[0][0];
+
+    const total = candidates.reduce((sum, [, weight]) => sum + weight, 0);
+    let roll = random.next() * total;
+    for (const [id, weight] of candidates) {
+      roll -= weight;
+      if (roll < 0) return id;
+    }
+    return candidates[candidates.length - 1][0];
+  }
+}
+
+export const qteRegistry = new QTERegistry();
+
+// ── Validation ───────────────────────────────────────────────────────────
+
+/**
+ * Check a QTE definition.
+ * @param {object} def
+ * @returns {string[]} problems found (empty if valid)
+ */
+export function validateDefinition(def) {
+  if (!def || typeof def !== 'object') return ['definition must be an object'];
+
+  const errors = [];
+  if (typeof def.id !== 'string' || def.id === '') errors.push('id must be a non-empty string');
+  if (def.name != null && typeof def.name !== 'string') errors.push('name must be a string');
+  if (typeof def.qteClass !== 'function') errors.push('qteClass must be a constructor');
+  if (!INPUT_TYPES.includes(def.inputType)) errors.push(`inputType must be one of ${INPUT_TYPES.join(', ')}`);
+  if (typeof def.taskDesc !== 'string') errors.push('taskDesc must be a string');
+  if (def.padHint != null && typeof def.padHint !== 'string') errors.push('padHint must be a string');
+  if (def.getTimeLimit != null && typeof def.getTimeLimit !== 'function') {
+    errors.push('getTimeLimit must be a function');
+  }
+  return errors;
+}
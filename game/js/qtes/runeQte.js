@@ -0,0 +1,167 @@
+import { QTE } from './qte.js';
+import { qteRegistry } from './qteRegistry.js';
+import { RUNES, SIMPLE_RUNES, COMPLEX_RUNES, strokeDistance, pathLength } from './runeRecognizer.js';
+import { CANVAS_WIDTH, CANVAS_HEIGHT } from '../game.js';
+import { input } from '../input.js';
+import { audio } from '../systems/audio.js';
+import { getRuneTolerance, getRuneTimeLimit } from '../systems/difficulty.js';
+import { rng, RNG_STREAMS } from '../systems/rng.js';
+
+const qteRng = rng.stream(RNG_STREAMS.QTE);
+
+// ── Tuning constants ────────────────────────────────────────────────────
+const TIME_LIMIT = 5;              // seconds (fallback)
+const TOLERANCE = 0.18;            // fallback when no level depth is given
+const COMPLEX_RUNE_DEPTH = 8;      // closed glyphs join the pool from this floor
+const MIN_POINT_SPACING = 4;       // px between recorded stroke points
+const MIN_STROKE_LENGTH = 60;      // px — shorter strokes are ignored, not judged
+const MISS_PENALTY = 0.3;          // performance lost per rejected stroke
+const WRONG_FLASH_DURATION = 0.35; // seconds the rejected stroke stays on screen
+
+// ── Layout ──────────────────────────────────────────────────────────────
+const GUIDE_SIZE = 220;
+const GUIDE_X = (CANVAS_WIDTH - GUIDE_SIZE) / 2;
+const GUIDE_Y = CANVAS_HEIGHT / 2 - 70;
+const GUIDE_WIDTH = 18;            // px — thickness of the faint rune path
+const START_RADIUS = 10;
+const STROKE_COLOR = '#ffffff';
+const WRONG_COLOR = '#e74c3c';
+
+export class RuneQTE extends QTE {
+  constructor({ enemy = null, timeLimit = TIME_LIMIT, levelDepth = 1 } = {}) {
+    super({ timeLimit, enemy });
+
+    const pool = levelDepth >= COMPLEX_RUNE_DEPTH ? [...SIMPLE_RUNES, ...COMPLEX_RUNES] : SIMPLE_RUNES;
+    this.runeId = qteRng.pick(pool);
+    this.tolerance = levelDepth ? getRuneTolerance(levelDepth) : TOLERANCE;
+
+    this.stroke = null;         // points of the stroke being drawn
+    this.rejected = null;       // last stroke that didn't match, shown briefly
+    this.wrongFlash = 0;
+    this.misses = 0;
+    this.matchDistance = null;  // strokeDistance of the accepted trace
+  }
+
+  update(dt) {
+    super.update(dt);
+    if (this.completed) return;
+
+    if (this.wrongFlash > 0) {
+      this.wrongFlash -= dt;
+      if (this.wrongFlash <= 0) this.rejected = null;
+    }
+
+    const mouse = input.getMousePos();
+    if (input.isMouseJustPressed(0)) {
+      this.stroke = [{ x: mouse.x, y: mouse.y }];
+      return;
+    }
+    if (!this.stroke) return;
+
+    const last = this.stroke[this.stroke.length - 1];
+    if (Math.hypot(mouse.x - last.x, mouse.y - last.y) >= MIN_POINT_SPACING) {
+      this.stroke.push({ x: mouse.x, y: mouse.y });
+    }
+
+    if (!input.isMouseDown(0)) {
+      this._judgeStroke();
+    }
+  }
+
+  /** How closely the accepted trace followed the rune, minus rejected strokes. */
+  getPerformance() {
+    const accuracy = 1 - this.matchDistance / this.tolerance;
+    return Math.max(0, accuracy - this.misses * MISS_PENALTY);
+  }
+
+  render(ctx) {
+    super.render(ctx); // timer bar
+
+    // Instruction text
+    ctx.fillStyle = '#ffffff';
+    ctx.font = '12px "Press Start 2P"';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('Trace the Rune!', CANVAS_WIDTH / 2, 68);
+
+    this._renderGuide(ctx);
+    if (this.rejected) this._renderStroke(ctx, this.rejected, WRONG_COLOR);
+    if (this.stroke) this._renderStroke(ctx, this.stroke, STROKE_COLOR);
+
+    // Rune name under the guide
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.font = '8px "Press Start 2P"';
+    ctx.textAlign = 'center';
+    ctx.fillText(`${RUNES[this.runeId].name} — ONE STROKE`, CANVAS_WIDTH / 2, GUIDE_Y + GUIDE_SIZE + 30);
+  }
+
+  // ── Private ───────────────────────────────────────────────────────
+
+  _judgeStroke() {
+    const stroke = this.stroke;
+    this.stroke = null;
+    if (pathLength(stroke) < MIN_STROKE_LENGTH) return;
+
+    const distance = strokeDistance(stroke, this.runeId);
+    if (distance <= this.tolerance) {
+      audio.playSFX('qteClick');
+      this.matchDistance = distance;
+      this.succeed();
+    } else {
+      audio.playSFX('menuBack');
+      this.misses++;
+      this.rejected = stroke;
+      this.wrongFlash = WRONG_FLASH_DURATION;
+    }
+  }
+
+  _renderGuide(ctx) {
+    const points = RUNES[this.runeId].points.map(([x, y]) => ({
+      x: GUIDE_X + x * GUIDE_SIZE,
+      y: GUIDE_Y + y * GUIDE_SIZE,
+    }));
+    const color = (this.enemy && this.enemy.color) || '#5dd6c0';
+
+    ctx.save();
+    ctx.globalAlpha = 0.35;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = GUIDE_WIDTH;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.beginPath();
+    ctx.moveTo(points[0].x, points[0].y);
+    for (let i = 1; i < points.length; i++) ctx.lineTo(points[i].x, points[i].y);
+    ctx.stroke();
+    ctx.restore();
+
+    // Start marker
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.arc(points[0].x, points[0].y, START_RADIUS, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  _renderStroke(ctx, stroke, color) {
+    if (stroke.length < 2) return;
+    ctx.save();
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 3;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.beginPath();
+    ctx.moveTo(stroke[0].x, stroke[0].y);
+    for (let i = 1; i < stroke.length; i++) ctx.lineTo(stroke[i].x, stroke[i].y);
+    ctx.stroke();
+    ctx.restore();
+  }
+}
+
+qteRegistry.register({
+  id: 'rune',
+  name: 'RUNE',
+  qteClass: RuneQTE,
+  inputType: 'MOUSE',
+  taskDesc: 'TRACE THE RUNE',
+  padHint: 'RIGHT STICK DRAWS, HOLD RT',
+  getTimeLimit: getRuneTimeLimit,
+});
@@ -0,0 +1,145 @@
+// Template matching for RuneQTE. A stroke and a glyph are both resampled to
+// the same number of evenly spaced points, centred on their centroid and
+// scaled so the larger side of their bounding box is 1, then compared point
+// by point. Glyphs can be traced from either end, and closed glyphs from any
+// corner.
+//
+// Normalising by the larger side stretches a thin stroke to fit any glyph, so
+// a stroke must also be about as long as the glyph once both are normalised:
+// a straight swipe is at most √2 long there, every glyph at least 2.
+
+const SAMPLE_COUNT = 32;
+const MIN_LENGTH_RATIO = 0.75;  // stroke length / glyph length, both normalised
+
+// Glyph templates — one-stroke polylines in a 0–1 box, listed from the
+// start point shown to the player
+export const RUNES = {
+  peak:      { name: 'PEAK',      points: [[0, 1], [0.5, 0], [1, 1]] },
+  zigzag:    { name: 'ZIGZAG',    points: [[0, 0], [1, 0], [0, 1], [1, 1]] },
+  bolt:      { name: 'BOLT',      points: [[0.65, 0], [0.2, 0.55], [0.8, 0.45], [0.35, 1]] },
+  hook:      { name: 'HOOK',      points: [[0.2, 0], [0.2, 1], [0.8, 1], [0.8, 0.5]] },
+  triangle:  { name: 'TRIANGLE',  points: [[0.5, 0], [1, 1], [0, 1], [0.5, 0]] },
+  square:    { name: 'SQUARE',    points: [[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]] },
+  hourglass: { name: 'HOURGLASS', points: [[0, 0], [1, 0], [0, 1], [1, 1], [0, 0]] },
+  star:      { name: 'STAR',      points: [[0.5, 0], [0.8, 1], [0, 0.38], [1, 0.38], [0.2, 1], [0.5, 0]] },
+  spiral:    { name: 'SPIRAL',    points: [[0, 0], [1, 0], [1, 1], [0, 1], [0, 0.25], [0.75, 0.25], [0.75, 0.75], [0.25, 0.75], [0.25, 0.5]] },
+};
+
+// Rune pools by difficulty
+export const SIMPLE_RUNES = ['peak', 'zigzag', 'bolt', 'hook'];
+export const COMPLEX_RUNES = ['triangle', 'square', 'hourglass', 'star', 'spiral'];
+
+/**
+ * How far a stroke is from a rune's shape: the mean distance between
+ * matching points after normalising both, in units of the shape's size.
+ * 0 is a perfect trace; a scribble is usually 0.3 or more.
+ * @param {{x: number, y: number}[]} stroke - points in drawing order
+ * @param {string} runeId - key of RUNES
+ * @returns {number} Infinity if the stroke is too short to compare, or too
+ *   short for the glyph (e.g. a straight swipe)
+ */
+export function strokeDistance(stroke, runeId) {
+  if (stroke.length < 2) return Infinity;
+
+  const a = _normalize(resample(stroke, SAMPLE_COUNT));
+  if (!a) return Infinity;
+
+  const variants = _startVariants(RUNES[runeId].points);
+  if (pathLength(a) < pathLength(_normalize(variants[0])) * MIN_LENGTH_RATIO) return Infinity;
+
+  let best = Infinity;
+  for (const template of variants) {
+    const b = _normalize(resample(template, SAMPLE_COUNT));
+    best = Math.min(best, _meanDistance(a, b), _meanDistance(a, [...b].reverse()));
+  }
+  return best;
+}
+
+/**
+ * Resample a polyline to `count` points evenly spaced along its length.
+ * @param {{x: number, y: number}[]} points
+ * @param {number} count
+ * @returns {{x: number, y: number}[]}
+ */
+export function resample(points, count) {
+  const total = pathLength(points);
+  if (total === 0) return Array.from({ length: count }, () => ({ ...points[0] }));
+
+  const step = total / (count - 1);
+  const result = [{ ...points[0] }];
+  let carried = 0;  // distance walked since the last emitted point
+
+  for (let i = 1; i < points.length && result.length < count; i++) {
+    let prev = points[i - 1];
+    const next = points[i];
+    let segment = Math.hypot(next.x - prev.x, next.y - prev.y);
+
+    while (carried + segment >= step && result.length < count) {
+      const t = (step - carried) / segment;
+      const point = { x: prev.x + (next.x - prev.x) * t, y: prev.y + (next.y - prev.y) * t };
+      result.push(point);
+      segment -= step - carried;
+      prev = point;
+      carried = 0;
+    }
+    carried += segment;
+  }
+
+  // Floating-point drift can leave the final point unplaced
+  while (result.length < count) result.push({ ...points[points.length - 1] });
+  return result;
+}
+
+/**
+ * Total length of a polyline.
+ * @param {{x: number, y: number}[]} points
+ * @returns {number}
+ */
+export function pathLength(points) {
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+  }
+  return length;
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────────
+
+/** The template as points — once per corner if it's a closed shape. */
+function _startVariants(points) {
+  const open = points.map(([x, y]) => ({ x, y }));
+  const [first, last] = [points[0], points[points.length - 1]];
+  if (first[0] !== last[0] || first[1] !== last[1]) return [open];
+
+  const corners = open.slice(0, -1);
+  return corners.map((_, i) => {
+    const loop = [...corners.slice(i), ...corners.slice(0, i)];
+    return [...loop, loop[0]];
+  });
+}
+
+/** Centre on the centroid and scale the bounding box's larger side to 1. */
+function _normalize(points) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  let cx = 0, cy = 0;
+  for (const p of points) {
+    minX = Math.min(minX, p.x); maxX = Math.max(maxX, p.x);
+    minY = Math.min(minY, p.y); maxY = Math.max(maxY, p.y);
+    cx += p.x;
+    cy += p.y;
+  }
+  const size = Math.max(maxX - minX, maxY - minY);
+  if (size === 0) return null;
+
+  cx /= points.length;
+  cy /= points.length;
+  return points.map(p => ({ x: (p.x - cx) / size, y: (p.y - cy) / size }));
+}
+
+function _meanDistance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += Math.hypot(a[i].x - b[i].x, a[i].y - b[i].y);
+  }
+  return sum / a.length;
+}
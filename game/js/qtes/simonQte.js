@@ -0,0 +1,202 @@
+import { QTE } from './qte.js';
+import { qteRegistry } from './qteRegistry.js';
+import { CANVAS_WIDTH, CANVAS_HEIGHT } from '../game.js';
+import { input } from '../input.js';
+import { audio } from '../systems/audio.js';
+import { getSimonSequenceLength, getSimonFlashDuration } from '../systems/difficulty.js';
+import { rng, RNG_STREAMS } from '../systems/rng.js';
+
+const qteRng = rng.stream(RNG_STREAMS.QTE);
+
+// The four pads, keyed by direction. The Simon enemy chants in the same colors.
+export const SIMON_PADS = {
+  up:    { color: '#44dd66', action: 'moveUp',    dx:  0, dy: -1 },
+  right: { color: '#ee4444', action: 'moveRight', dx:  1, dy:  0 },
+  down:  { color: '#4488ff', action: 'moveDown',  dx:  0, dy:  1 },
+  left:  { color: '#ffcc33', action: 'moveLeft',  dx: -1, dy:  0 },
+};
+const PAD_IDS = Object.keys(SIMON_PADS);
+
+// ── Tuning constants ────────────────────────────────────────────────────
+const TIME_LIMIT = 4;           // seconds (fallback) — counts only while repeating
+const SEQUENCE_LENGTH = 4;      // fallback when no level depth is given
+const FLASH_DURATION = 0.4;     // seconds each pad stays lit (fallback)
+const FLASH_GAP = 0.15;         // seconds dark between flashes
+const LEAD_IN = 0.4;            // seconds before the first flash
+const PRESS_FLASH = 0.15;       // seconds a pad glows after the player hits it
+const WRONG_FLASH_DURATION = 0.3;
+
+// ── Layout ──────────────────────────────────────────────────────────────
+const CENTER_X = CANVAS_WIDTH / 2;
+const CENTER_Y = CANVAS_HEIGHT / 2 + 40;
+const PAD_SIZE = 80;
+const PAD_OFFSET = 95;          // px from centre to each pad's centre
+const DIM_ALPHA = 0.25;
+const DOTS_Y = CANVAS_HEIGHT - 70;
+const DOT_SPACING = 22;
+const DOT_RADIUS = 6;
+
+export class SimonQTE extends QTE {
+  constructor({ enemy = null, timeLimit = TIME_LIMIT, levelDepth = 1 } = {}) {
+    super({ timeLimit, enemy });
+
+    const length = levelDepth ? getSimonSequenceLength(levelDepth) : SEQUENCE_LENGTH;
+    this.sequence = Array.from({ length }, () => qteRng.pick(PAD_IDS));
+    this.flashDuration = levelDepth ? getSimonFlashDuration(levelDepth) : FLASH_DURATION;
+
+    // 'watch' plays the sequence back (timer frozen), 'repeat' takes input
+    this.phase = 'watch';
+    this.watchTimer = 0;
+    this.shownIndex = -1;
+    this.inputIndex = 0;
+
+    this.litPad = null;
+    this.pressTimer = 0;
+    this.wrongFlash = 0;
+  }
+
+  update(dt) {
+    if (this.completed) return;
+
+    if (this.phase === 'watch') {
+      this._updateWatch(dt);
+      return;
+    }
+
+    super.update(dt);
+    if (this.completed) return;
+
+    if (this.pressTimer > 0) {
+      this.pressTimer -= dt;
+      if (this.pressTimer <= 0) this.litPad = null;
+    }
+
+    // Arrows, WASD, d-pad and stick all go through the movement actions
+    for (const id of PAD_IDS) {
+      if (input.isActionJustPressed(SIMON_PADS[id].action)) {
+        this._press(id);
+        if (this.completed) return;
+      }
+    }
+
+    if (input.isMouseJustPressed(0)) {
+      const mouse = input.getMousePos();
+      const id = PAD_IDS.find((padId) => _padContains(padId, mouse.x, mouse.y));
+      if (id) this._press(id);
+    }
+  }
+
+  render(ctx) {
+    super.render(ctx); // timer bar
+
+    // Instruction text
+    ctx.fillStyle = '#ffffff';
+    ctx.font = '12px "Press Start 2P"';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(this.phase === 'watch' ? 'Watch...' : 'Repeat the Pattern!', CANVAS_WIDTH / 2, 68);
+
+    for (const id of PAD_IDS) {
+      this._renderPad(ctx, id);
+    }
+    this._renderProgress(ctx);
+  }
+
+  // ── Private ───────────────────────────────────────────────────────
+
+  _updateWatch(dt) {
+    this.watchTimer += dt;
+
+    const step = this.flashDuration + FLASH_GAP;
+    const t = this.watchTimer - LEAD_IN;
+    if (t >= this.sequence.length * step) {
+      this.phase = 'repeat';
+      this.litPad = null;
+      return;
+    }
+
+    const index = t < 0 ? -1 : Math.floor(t / step);
+    const lit = index >= 0 && t - index * step < this.flashDuration;
+    this.litPad = lit ? this.sequence[index] : null;
+
+    if (index !== this.shownIndex && index >= 0) {
+      this.shownIndex = index;
+      audio.playSFX('menuHover');
+    }
+  }
+
+  _press(id) {
+    if (id === this.sequence[this.inputIndex]) {
+      audio.playSFX('qteClick');
+      this.litPad = id;
+      this.pressTimer = PRESS_FLASH;
+      this.inputIndex++;
+      if (this.inputIndex >= this.sequence.length) {
+        this.succeed();
+      }
+    } else {
+      // One slip and the pattern is lost
+      audio.playSFX('menuBack');
+      this.wrongFlash = WRONG_FLASH_DURATION;
+      this.fail();
+    }
+  }
+
+  _renderPad(ctx, id) {
+    const pad = SIMON_PADS[id];
+    const x = CENTER_X + pad.dx * PAD_OFFSET - PAD_SIZE / 2;
+    const y = CENTER_Y + pad.dy * PAD_OFFSET - PAD_SIZE / 2;
+    const lit = this.litPad === id;
+
+    ctx.globalAlpha = lit ? 1 : DIM_ALPHA;
+    ctx.fillStyle = pad.color;
+    ctx.fillRect(x, y, PAD_SIZE, PAD_SIZE);
+    ctx.globalAlpha = 1;
+
+    ctx.strokeStyle = lit ? '#ffffff' : 'rgba(255, 255, 255, 0.4)';
+    ctx.lineWidth = lit ? 3 : 1;
+    ctx.strokeRect(x, y, PAD_SIZE, PAD_SIZE);
+
+    // Arrow pointing the pad's way
+    const cx = x + PAD_SIZE / 2;
+    const cy = y + PAD_SIZE / 2;
+    const size = 14;
+    ctx.fillStyle = lit ? '#ffffff' : 'rgba(255, 255, 255, 0.6)';
+    ctx.beginPath();
+    ctx.moveTo(cx + pad.dx * size, cy + pad.dy * size);
+    ctx.lineTo(cx - pad.dx * size / 2 + pad.dy * size, cy - pad.dy * size / 2 + pad.dx * size);
+    ctx.lineTo(cx - pad.dx * size / 2 - pad.dy * size, cy - pad.dy * size / 2 - pad.dx * size);
+    ctx.closePath();
+    ctx.fill();
+  }
+
+  _renderProgress(ctx) {
+    const count = this.sequence.length;
+    const startX = CANVAS_WIDTH / 2 - ((count - 1) * DOT_SPACING) / 2;
+
+    for (let i = 0; i < count; i++) {
+      const done = i < this.inputIndex;
+      const wrong = this.wrongFlash > 0 && i === this.inputIndex;
+      ctx.fillStyle = wrong ? '#e74c3c' : done ? SIMON_PADS[this.sequence[i]].color : 'rgba(255, 255, 255, 0.2)';
+      ctx.beginPath();
+      ctx.arc(startX + i * DOT_SPACING, DOTS_Y, DOT_RADIUS, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+}
+
+function _padContains(id, x, y) {
+  const pad = SIMON_PADS[id];
+  const padX = CENTER_X + pad.dx * PAD_OFFSET;
+  const padY = CENTER_Y + pad.dy * PAD_OFFSET;
+  return Math.abs(x - padX) <= PAD_SIZE / 2 && Math.abs(y - padY) <= PAD_SIZE / 2;
+}
+
+qteRegistry.register({
+  id: 'simon',
+  name: 'SIMON',
+  qteClass: SimonQTE,
+  inputType: 'KEYBOARD',
+  taskDesc: 'REPEAT THE PATTERN',
+  padHint: 'D-PAD REPEATS',
+});
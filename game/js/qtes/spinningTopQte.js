@@ -1,4 +1,5 @@
 import { QTE } from './qte.js';
+import { qteRegistry } from './qteRegistry.js';
 import { CANVAS_WIDTH, CANVAS_HEIGHT } from '../game.js';
 import { input } from '../input.js';
 import { audio } from '../systems/audio.js';
@@ -117,3 +118,12 @@ export class SpinningTopQTE extends QTE {
     ctx.fill();
   }
 }
+
+qteRegistry.register({
+  id: 'spinningTop',
+  name: 'SPINNING TOP',
+  qteClass: SpinningTopQTE,
+  inputType: 'MOUSE',
+  taskDesc: 'SPIN THE WHEEL',
+  padHint: 'SPIN THE RIGHT STICK',
+});
@@ -1,4 +1,6 @@
 import { QTE } from './qte.js';
+import { qteRegistry } from './qteRegistry.js';
+import { TOUCH_LAYOUTS } from '../touch.js';
 import { CANVAS_WIDTH, CANVAS_HEIGHT } from '../game.js';
 import { audio } from '../systems/audio.js';
 import { getGeneratorTapTarget } from '../systems/difficulty.js';
@@ -13,6 +15,7 @@ export class TapQTE extends QTE {
     this.taps = 0;
     this.target = getGeneratorTapTarget(levelDepth);
     this.hideEnemyLabel = true;
+    this.touchLayout = TOUCH_LAYOUTS.TAP;
   }
 
   onInput(event) {
@@ -55,3 +58,12 @@ export class TapQTE extends QTE {
     ctx.fillText(`${this.taps} / ${this.target}`, CANVAS_WIDTH / 2, BAR_Y + BAR_H + 30);
   }
 }
+
+qteRegistry.register({
+  id: 'tap',
+  name: 'TAP',
+  qteClass: TapQTE,
+  inputType: 'KEYBOARD',
+  taskDesc: 'TAP RAPIDLY',
+  padHint: 'TAP RT',
+});
@@ -38,7 +38,7 @@ export class AchievementsScene {
     }
 
     // Mouse hover on BACK button
-    const mouse = input.getMousePos();
+    const mouse = input.getScreenMousePos();
     if (this.backHitbox) {
       const hb = this.backHitbox;
       this.backHovered =
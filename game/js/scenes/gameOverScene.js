@@ -9,6 +9,7 @@ import {
   STATS_START_Y,
   STATS_SPACING,
   NICKNAME_Y,
+  SEED_Y,
   MENU_START_Y,
   MENU_SPACING,
   MENU_HITBOX_HEIGHT,
@@ -28,15 +29,27 @@ import {
 import { achievements } from '../systems/achievements.js';
 import { leaderboard } from '../systems/leaderboard.js';
 import { audio } from '../systems/audio.js';
+import { formatSeed, parseSeed, SEED_LENGTH } from '../systems/rng.js';
+import { QTE_GRADE_LABELS } from '../qtes/qte.js';
+import { getScoreMultiplier } from '../systems/mutators.js';
 
 const RUNS_STORAGE_KEY = 'qta_runs';
 
 export class GameOverScene {
-  constructor(game, { levelDepth = 1, enemiesKilled = 0, runLength = 0 } = {}) {
+  constructor(game, {
+    levelDepth = 1, enemiesKilled = 0, score = 0, qteGrades = null, runLength = 0, seed = null,
+    mutators = [], resumed = false, day = null,
+  } = {}) {
     this.game = game;
     this.levelDepth = levelDepth;
     this.enemiesKilled = enemiesKilled;
+    this.score = score;
+    this.qteGrades = qteGrades || { perfect: 0, great: 0, good: 0 };
     this.runLength = runLength;
+    this.seed = seed;
+    this.mutators = mutators;
+    this.resumed = resumed;  // continued from a mid-run save
+    this.day = day;          // date key of a Daily challenge run
 
     this.selectedIndex = 0;
     this.itemHitboxes = [];
@@ -49,6 +62,11 @@ export class GameOverScene {
 
     // Nickname input hitbox (set during render)
     this.nicknameHitbox = null;
+
+    // Seed input — prefilled with this run's seed, editable to replay another
+    this.seedText = seed !== null ? formatSeed(seed) : '';
+    this.typingSeed = false;
+    this.seedHitbox = null;
   }
 
   enter() {
@@ -59,11 +77,13 @@ export class GameOverScene {
   exit() {}
 
   update(dt) {
-    // When typing nickname, skip menu navigation
-    if (this.typingNickname) {
-      // Escape or Enter exits typing mode
-      if (input.isKeyJustPressed('Escape') || input.isKeyJustPressed('Enter')) {
+    // When typing nickname or seed, skip menu navigation
+    if (this.typingNickname || this.typingSeed) {
+      // Escape or Enter exits typing mode (or pause, e.g. Start on a gamepad)
+      if (input.isKeyJustPressed('Escape') || input.isKeyJustPressed('Enter')
+          || input.isActionJustPressed('pause')) {
         this.typingNickname = false;
+        this.typingSeed = false;
       }
       return;
     }
@@ -122,6 +142,17 @@ export class GameOverScene {
           this.typingNickname = true;
         }
       }
+
+      // Click on seed input to start typing
+      if (this.seedHitbox) {
+        const sh = this.seedHitbox;
+        if (
+          mouse.x >= sh.x && mouse.x <= sh.x + sh.w &&
+          mouse.y >= sh.y && mouse.y <= sh.y + sh.h
+        ) {
+          this.typingSeed = true;
+        }
+      }
     }
   }
 
@@ -145,6 +176,9 @@ export class GameOverScene {
     // Nickname input
     this._renderNicknameInput(ctx, cx);
 
+    // Seed input
+    this._renderSeedInput(ctx, cx);
+
     // Menu items
     this._renderMenuItems(ctx, cx);
   }
@@ -157,6 +191,8 @@ export class GameOverScene {
     const stats = [
       { label: 'FLOOR REACHED', value: String(this.levelDepth) },
       { label: 'ENEMIES KILLED', value: String(this.enemiesKilled) },
+      { label: 'SCORE', value: this._formatScore() },
+      { label: 'QTE GRADES', value: this._formatGrades() },
       { label: 'RUN LENGTH', value: this._formatTime(this.runLength) },
     ];
 
@@ -228,6 +264,63 @@ export class GameOverScene {
     this.nicknameHitbox = { x: boxX, y: boxY, w: boxW, h: boxH };
   }
 
+  _renderSeedInput(ctx, cx) {
+    const y = SEED_Y;
+    const valid = parseSeed(this.seedText) !== null;
+
+    // Label
+    ctx.fillStyle = this.typingSeed ? NICKNAME_ACTIVE_COLOR : NICKNAME_INACTIVE_COLOR;
+    ctx.font = '8px "Press Start 2P"';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('SEED', cx, y);
+
+    // Input box
+    const boxW = 160;
+    const boxH = 26;
+    const boxX = cx - boxW / 2;
+    const boxY = y + 10;
+
+    ctx.fillStyle = INPUT_BG_COLOR;
+    ctx.fillRect(boxX, boxY, boxW, boxH);
+
+    ctx.strokeStyle = this.typingSeed ? NICKNAME_ACTIVE_COLOR : NICKNAME_INACTIVE_COLOR;
+    ctx.lineWidth = this.typingSeed ? 2 : 1;
+    ctx.strokeRect(boxX, boxY, boxW, boxH);
+
+    // Seed text (red while not a valid seed)
+    ctx.fillStyle = valid ? STAT_VALUE_COLOR : TITLE_COLOR;
+    ctx.font = '12px "Press Start 2P"';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    const textX = boxX + 10;
+    const textY = boxY + boxH / 2;
+    ctx.fillText(this.seedText, textX, textY);
+
+    // Blinking cursor when typing
+    if (this.typingSeed && this.seedText.length < SEED_LENGTH) {
+      const cursorPulse = Math.sin(performance.now() / 200) > 0 ? 1 : 0;
+      if (cursorPulse) {
+        const textWidth = ctx.measureText(this.seedText).width;
+        ctx.fillStyle = INPUT_CURSOR_COLOR;
+        ctx.fillRect(textX + textWidth + 2, boxY + 5, 2, boxH - 10);
+      }
+    }
+
+    // Hint
+    ctx.fillStyle = '#555555';
+    ctx.font = '6px "Press Start 2P"';
+    ctx.textAlign = 'center';
+    ctx.fillText(
+      this.typingSeed ? 'HEX 0-9 A-F, ENTER to confirm' : 'Click to enter a seed',
+      cx,
+      boxY + boxH + 10,
+    );
+
+    // Store hitbox for click detection
+    this.seedHitbox = { x: boxX, y: boxY, w: boxW, h: boxH };
+  }
+
   _renderMenuItems(ctx, cx) {
     this.itemHitboxes = [];
 
@@ -267,6 +360,10 @@ export class GameOverScene {
   }
 
   onInput(event) {
+    if (this.typingSeed) {
+      this._onSeedInput(event);
+      return;
+    }
     if (!this.typingNickname) return;
     if (event.type !== 'keydown') return;
     if (event.repeat) return;
@@ -291,6 +388,24 @@ export class GameOverScene {
     this.nickname += key.toUpperCase();
   }
 
+  _onSeedInput(event) {
+    if (event.type !== 'keydown') return;
+    if (event.repeat) return;
+
+    const key = event.key;
+
+    if (key === 'Backspace') {
+      this.seedText = this.seedText.slice(0, -1);
+      return;
+    }
+
+    // Hex digits only
+    if (key.length !== 1 || !/[0-9a-fA-F]/.test(key)) return;
+    if (this.seedText.length >= SEED_LENGTH) return;
+
+    this.seedText += key.toUpperCase();
+  }
+
   // --- Navigation helpers ---
 
   _isItemEnabled(index) {
@@ -300,6 +415,10 @@ export class GameOverScene {
     if (item.id === 'submit' && (this.submitted || this.nickname.length < NICKNAME_MIN_LENGTH)) {
       return false;
     }
+    // Disable "Replay Seed" until the seed field holds valid hex
+    if (item.id === 'replaySeed' && parseSeed(this.seedText) === null) {
+      return false;
+    }
     return true;
   }
 
@@ -339,11 +458,10 @@ export class GameOverScene {
         this._submitRun();
         break;
       case 'playAgain':
-        this.game.popScene(); // remove GameOverScene
-        this.game.popScene(); // remove dead GameplayScene
-        import('./gameplayScene.js').then(({ GameplayScene }) => {
-          this.game.pushScene(new GameplayScene(this.game, { startWithLanding: true }));
-        });
+        this._restart(null);
+        break;
+      case 'replaySeed':
+        this._restart(parseSeed(this.seedText));
         break;
       case 'mainMenu':
         audio.stopGameplayMusic();
@@ -354,6 +472,18 @@ export class GameOverScene {
     }
   }
 
+  /**
+   * Replace the dead run with a fresh one.
+   * @param {number|null} seed - seed to replay, or null for a new random run
+   */
+  _restart(seed) {
+    this.game.popScene(); // remove GameOverScene
+    this.game.popScene(); // remove dead GameplayScene
+    import('./gameplayScene.js').then(({ GameplayScene }) => {
+      this.game.pushScene(new GameplayScene(this.game, { startWithLanding: true, seed }));
+    });
+  }
+
   _submitRun() {
     if (this.submitted) return;
     if (this.nickname.length < NICKNAME_MIN_LENGTH) return;
@@ -367,7 +497,13 @@ export class GameOverScene {
       nickname: this.nickname,
       levelDepth: this.levelDepth,
       enemiesKilled: this.enemiesKilled,
+      score: this.score,
+      qteGrades: this.qteGrades,
       runLength: this.runLength,
+      seed: this.seed,
+      mutators: this.mutators,
+      resumed: this.resumed,
+      day: this.day,
       timestamp: Date.now(),
     };
     runs.push(newRun);
@@ -375,7 +511,11 @@ export class GameOverScene {
 
     achievements.onRunSubmitted(runs, newRun);
 
-    leaderboard.submitEntry(this.nickname, this.levelDepth, this.enemiesKilled, this.runLength);
+    leaderboard.submitEntry(this.nickname, this.levelDepth, this.enemiesKilled, this.runLength, {
+      mutators: this.mutators,
+      resumed: this.resumed,
+      day: this.day,
+    });
 
     this.submitted = true;
 
@@ -383,6 +523,18 @@ export class GameOverScene {
     this._moveToNextEnabled();
   }
 
+  /** Score, with the mutators' multiplier when the run had any. */
+  _formatScore() {
+    if (this.mutators.length === 0) return String(this.score);
+    return `${this.score} (x${getScoreMultiplier(this.mutators).toFixed(2)})`;
+  }
+
+  _formatGrades() {
+    return Object.entries(QTE_GRADE_LABELS)
+      .map(([grade, label]) => `${label} ${this.qteGrades[grade] || 0}`)
+      .join('  ');
+  }
+
   _formatTime(seconds) {
     const mins = Math.floor(seconds / 60);
     const secs = Math.floor(seconds % 60);
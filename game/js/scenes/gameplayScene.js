@@ -3,14 +3,17 @@ import { input } from '../input.js';
 import { PauseScene } from './pauseScene.js';
 import { GameOverScene } from './gameOverScene.js';
 import { QTEScene } from './qteScene.js';
+import { PerkDraftScene } from './perkDraftScene.js';
 import { Level } from '../levels/level.js';
 import { LevelManager, CHALLENGE_TYPES } from '../levels/levelManager.js';
+import { NavGraph } from '../levels/navGraph.js';
 import { getWallSegments, checkCircleCollision, checkAABB } from '../collision.js';
 import { Player } from '../player.js';
 import { Camera } from '../camera.js';
 import { BulletPool } from '../bullet.js';
 import { HUD } from '../hud.js';
-import { spawnEnemies, spawnChallengeEnemy } from '../levels/enemySpawner.js';
+import { spawnEnemies, spawnChallengeEnemy, spawnBoss, spawnSplitMinis } from '../levels/enemySpawner.js';
+import { renderElite, REFLECT_RADIUS, ELITE_AFFIXES } from '../enemies/affixes.js';
 import { achievements } from '../systems/achievements.js';
 import { HitstopManager } from '../systems/hitstop.js';
 import { ScreenFlash } from '../systems/screenFlash.js';
@@ -22,17 +25,40 @@ import { crt } from '../systems/crt.js';
 import {
   getLevelTimeLimit, getChallengeTimeLimit, getChallengeSafeTime,
   getChallengeSpawnInterval, getChallengeClumpSize,
-  getBossSpawnInterval, getBossClumpSize,
+  getBossSpawnInterval, getBossClumpSize, getEliteQTEBonus,
 } from '../systems/difficulty.js';
+import { rng, RNG_STREAMS, generateSeed } from '../systems/rng.js';
+import { replay } from '../systems/replay.js';
+import { mutators } from '../systems/mutators.js';
+import { PerkSet } from '../systems/perks.js';
+import { runSave, dailySave } from '../systems/runSave.js';
+import { daily, getDailySeed } from '../systems/daily.js';
+import { TOUCH_LAYOUTS } from '../touch.js';
+import { savePrevious, applyInterpolation, restorePositions } from '../systems/interpolation.js';
 
-// Number of frames within which a bullet hit is nullified by a QTE trigger
-const QTE_PRIORITY_FRAMES = 3;
+const fxRng = rng.stream(RNG_STREAMS.COSMETIC);
+const perkRng = rng.stream(RNG_STREAMS.PERK);
+
+// Window within which a bullet hit is nullified by a QTE trigger
+const QTE_PRIORITY_WINDOW = 3 / 60; // seconds (3 frames at 60fps)
 
 // QTE blast constants
 const BLAST_RADIUS = 240;          // half room width
 const KNOCKBACK_FORCE = 400;       // px/s initial impulse
 const RETREAT_KNOCKBACK_FORCE = 300; // enemy retreat force on QTE failure
 
+// Slow Field perk — bullets within this distance of the player are slowed
+const SLOW_FIELD_RADIUS = 90;
+
+// QTE grade rewards — blast radius, knockback and score multipliers
+const KILL_SCORE = 100;            // score per QTE kill before the grade multiplier
+const GRADE_REWARDS = {
+  perfect: { blast: 1.35, knockback: 1.5, score: 3 },
+  great:   { blast: 1.15, knockback: 1.2, score: 2 },
+  good:    { blast: 1,    knockback: 1,   score: 1 },
+};
+const ELITE_SCORE_MULT = 2;        // elites score double on the kill
+
 // Level timer (base value — overridden by difficulty scaling)
 const LEVEL_TIME_LIMIT = 30; // seconds (fallback)
 
@@ -48,13 +74,18 @@ const CHALLENGE_SPAWN_INTERVAL = 3;   // seconds between enemy spawns
 const CHALLENGE_SAFE_TIME = 5;        // last N seconds the hole turns green
 
 // Boss
-const BOSS_MAX_HP = 5;
-const BOSS_SPAWN_INTERVAL = 4;        // seconds between enemy spawns
+const BOSS_ENTRANCE_DURATION = 1.2;   // seconds the boss takes to drop in
+const BOSS_PHASE_SCORE = 500;         // score per phase broken, before the grade multiplier
 
 // Key follow / homing
 const KEY_FOLLOW_SPEED = 3;         // lerp factor while trailing player
 const KEY_HOMING_ACCEL = 1200;      // px/s² acceleration toward hole
 const KEY_ARRIVAL_DIST = 4;         // px — close enough to count as arrived
+const KEY_COLOR = '#ffdd44';
+
+// Locked doors
+const DOOR_TOUCH_MARGIN = 4;        // px beyond the player's wall radius that counts as touching
+const DOOR_COLOR = '#ffcc33';
 
 // Transition animation
 const FALL_DURATION = 0.4;     // seconds — player shrinks downward into hole
@@ -64,9 +95,34 @@ const SQUASH_DURATION = 0.12;  // seconds — impact squash recovery
 const LAND_DROP_HEIGHT = 300;  // pixels above landing point
 
 class GameplayScene {
-  constructor(game, { startWithLanding = false } = {}) {
+  /**
+   * @param {object} game
+   * @param {object} [options]
+   * @param {boolean} [options.startWithLanding] - play splash + landing on enter
+   * @param {number|null} [options.seed] - run seed to replay; null rolls a new one
+   * @param {string|null} [options.forceChallengeType] - see LevelManager
+   * @param {string} [options.layoutSource] - see LevelManager
+   * @param {object|null} [options.resume] - saved run to continue, from runSave or dailySave
+   * @param {string|null} [options.day] - date key (see daily.js) to play that day's Daily challenge
+   */
+  constructor(game, {
+    startWithLanding = false, seed = null, forceChallengeType = null, layoutSource, resume = null, day = null,
+  } = {}) {
     this.game = game;
     this._startWithLanding = startWithLanding;
+    this._resume = resume;
+    this._savedMutators = null;  // hub's mutators while a resumed or Daily run uses its own
+    this.resumed = resume !== null;
+    this.day = resume ? resume.day ?? null : day;
+    this._save = this.day ? dailySave : runSave;  // a Daily keeps out of the regular save
+    if (resume) {
+      this.runSeed = resume.seed;
+    } else {
+      this.runSeed = day ? getDailySeed(day) : seed ?? generateSeed();
+    }
+    this._forceChallengeType = forceChallengeType;
+    this._layoutSource = layoutSource;
+    this.touchLayout = TOUCH_LAYOUTS.WALK;
   }
 
   enter() {
@@ -74,7 +130,33 @@ class GameplayScene {
     if (this._initialized) return;
     this._initialized = true;
 
-    this.levelManager = new LevelManager();
+    const resume = this._resume;
+    this._resume = null;
+    if (resume) {
+      // Pick the streams up where the save left them, under the run's own
+      // mutators. Not recorded: a replay can only start from floor 1.
+      rng.setState(resume.rng);
+      this._savedMutators = mutators.getActive();
+      mutators.setActive(resume.mutators, { persist: false });
+    } else {
+      // The Daily is played by standard rules, once — swapped in before
+      // recording starts so the replay carries the mutators actually played
+      if (this.day) {
+        this._savedMutators = mutators.getActive();
+        mutators.setActive([], { persist: false });
+        daily.markPlayed(this.day);
+      }
+      // Seed every RNG stream before anything draws from them
+      rng.setSeed(this.runSeed);
+      replay.startRecording(this, this.runSeed);
+      // A new run replaces any saved one in its slot
+      this._discardSave();
+    }
+
+    this.levelManager = new LevelManager({
+      forceChallengeType: this._forceChallengeType,
+      layoutSource: this._layoutSource,
+    });
     this.challengeDisplayName = '';
     this.hud = new HUD();
     this.hitstop = new HitstopManager();
@@ -84,11 +166,26 @@ class GameplayScene {
     this.transition = null;
     this.enemiesKilled = 0;
     this.enemiesKilledThisFloor = 0;
+    this.score = 0;
+    this.qteGrades = { perfect: 0, great: 0, good: 0 };
+    this.mutators = mutators.getActive();
+    this.scoreMultiplier = mutators.scoreMultiplier;
+    this.perks = new PerkSet();
     this.runStartTime = performance.now();
 
+    if (resume) {
+      this.levelManager.setState(resume.levelManager);
+      this.enemiesKilled = resume.enemiesKilled;
+      this.score = resume.score;
+      this.qteGrades = { ...this.qteGrades, ...resume.qteGrades };
+      this.perks.setState(resume.perks);
+      this.runStartTime -= resume.runLength * 1000;
+    }
+
     achievements.onGameStart();
 
     this._initLevel();
+    if (resume) this._applySuspended(resume);
 
     // Start with splash + landing animation when entering from main menu
     if (this._startWithLanding) {
@@ -98,7 +195,14 @@ class GameplayScene {
     }
   }
 
-  exit() {}
+  exit() {
+    // Popped for good, not just covered by an overlay: give the hub back the
+    // mutators picked there before this run swapped in its own
+    if (this._savedMutators && !this.game.scenes.includes(this)) {
+      mutators.setActive(this._savedMutators, { persist: false });
+      this._savedMutators = null;
+    }
+  }
 
   /**
    * Build (or rebuild) the current level: layout, enemies, timer, exit state.
@@ -112,13 +216,20 @@ class GameplayScene {
     const levelInfo = this.levelManager.advance();
     this.challengeDisplayName = levelInfo.displayName;
     this.level = new Level(levelInfo.layout);
+    for (const index of levelInfo.lockedHallways) {
+      this.level.setHallwayLocked(this.level.hallways[index], true);
+    }
     this.walls = getWallSegments(this.level);
+    this.nav = new NavGraph(this.level);
+    this._doorContact = null;  // locked hallway the player is pressed against
 
     // Create or reposition the player
     if (!this.player) {
       this.player = new Player({
         x: this.level.playerStartX,
         y: this.level.playerStartY,
+        mutators,
+        perks: this.perks,
       });
     } else {
       this.player.x = this.level.playerStartX;
@@ -131,10 +242,11 @@ class GameplayScene {
 
     // Bullet pool
     this.bullets = new BulletPool();
+    this.bullets.spawnRate = mutators.apply('bulletSpawnRate', 1);
 
     // QTE priority tracking
-    this.frameCount = 0;
-    this.bulletDamageFrame = -Infinity;
+    this.simTime = 0;
+    this.bulletDamageTime = -Infinity;
     this.qteActive = false;
 
     // Level timer (scaled by difficulty)
@@ -149,6 +261,7 @@ class GameplayScene {
     // Key item (Find the Key challenge)
     this.keyItem = null;
     this.hasKey = false;
+    this._keyContact = false;
     if (levelInfo.challengeType === CHALLENGE_TYPES.FIND_THE_KEY && levelInfo.keyRoomIndex != null) {
       const keyRoom = this.level.rooms[levelInfo.keyRoomIndex];
       this.keyItem = {
@@ -178,15 +291,12 @@ class GameplayScene {
       this.timerActive = true;
     }
 
-    // Boss — continuous spawning, 5 QTEs to win
+    // Boss — the boss drops in once enemies are set up; minions trickle in
+    // while it lives, and each phase breaks on a chain of QTEs
+    this.boss = null;
     this.bossHP = 0;
     this.bossMaxHP = 0;
     this.bossSpawnTimer = 0;
-    if (levelInfo.challengeType === CHALLENGE_TYPES.BOSS) {
-      this.bossHP = BOSS_MAX_HP;
-      this.bossMaxHP = BOSS_MAX_HP;
-      this.bossSpawnTimer = BOSS_SPAWN_INTERVAL; // spawn first enemy immediately
-    }
 
     // Challenge room — hole open from start (red = flee), trickle-spawn enemies
     this.challengeFleeMode = false;
@@ -235,13 +345,22 @@ class GameplayScene {
       });
     }
 
+    if (levelInfo.challengeType === CHALLENGE_TYPES.BOSS) {
+      this.boss = spawnBoss(this.level.rooms[0], this.levelManager.levelDepth);
+      this.boss.startFall(BOSS_ENTRANCE_DURATION);
+      this.enemies.push(this.boss);
+      this.bossHP = this.boss.hp;
+      this.bossMaxHP = this.boss.maxHP;
+      this.bossSpawnTimer = 0; // first minions once the boss has landed
+    }
+
     // Permanence marks (cleared each level)
     this.wallMarks = [];
     this.corpseMarks = [];
 
     // Ambient particles
     this._ambientTimer = 0;
-    this._ambientInterval = 0.5 + Math.random() * 0.5;
+    this._ambientInterval = 0.5 + fxRng.next() * 0.5;
 
     // Floor tutorial text
     const tutorialLines = tutorials.getLines(this.levelManager.challengeType);
@@ -307,6 +426,8 @@ class GameplayScene {
   }
 
   update(dt) {
+    savePrevious(this._interpolatedObjects());
+
     // ── Always-update systems (even during hitstop and transitions) ──
     this.screenFlash.update(dt);
     this.vignette.update(dt, {
@@ -334,9 +455,9 @@ class GameplayScene {
       this._ambientTimer += dt;
       if (this._ambientTimer >= this._ambientInterval) {
         this._ambientTimer -= this._ambientInterval;
-        this._ambientInterval = 0.5 + Math.random() * 0.5;
-        const ax = this.player.x + (Math.random() - 0.5) * 600;
-        const ay = this.player.y + (Math.random() - 0.5) * 600;
+        this._ambientInterval = 0.5 + fxRng.next() * 0.5;
+        const ax = this.player.x + (fxRng.next() - 0.5) * 600;
+        const ay = this.player.y + (fxRng.next() - 0.5) * 600;
         this.particles.emit(ax, ay, {
           vxRandom: 15, vyRandom: 10,
           life: 4, lifeRandom: 1,
@@ -360,11 +481,11 @@ class GameplayScene {
 
     if (input.isActionJustPressed('pause')) {
       audio.playSFX('pause');
-      this.game.pushScene(new PauseScene(this.game));
+      this.game.pushScene(new PauseScene(this.game, { perks: this.perks, onQuit: () => this._suspendRun() }));
       return;
     }
 
-    this.frameCount++;
+    this.simTime += dt;
 
     // ── Hitstop: skip entity updates while frozen ──
     const frozen = this.hitstop.update(dt);
@@ -381,10 +502,18 @@ class GameplayScene {
           audio.stopGameplayMusic();
           this.player.dead = true;
           this.gameOverPushed = true;
+          replay.stopRecording();
+          this._discardSave();
           this.game.pushScene(new GameOverScene(this.game, {
             levelDepth: this.levelManager.levelDepth,
             enemiesKilled: this.enemiesKilled,
+            score: this.score,
+            qteGrades: { ...this.qteGrades },
             runLength: (performance.now() - this.runStartTime) / 1000,
+            seed: this.runSeed,
+            mutators: this.mutators,
+            resumed: this.resumed,
+            day: this.day,
           }));
         }
         return;
@@ -489,21 +618,24 @@ class GameplayScene {
       }, 2);
     }
 
-    this.bullets.update(dt, this.walls);
+    this.bullets.update(dt, this.walls, this._slowField());
 
     // Emit wall dust for bullet-wall collisions + spawn wall marks
     for (const hit of this.bullets.wallHits) {
       emitWallDust(this.particles, hit.x, hit.y, hit.nx, hit.ny);
       this.wallMarks.push({
         x: hit.x, y: hit.y,
-        radius: 3 + Math.random() * 2,
+        radius: 3 + fxRng.next() * 2,
         alpha: 0.5,
       });
     }
 
     // Update enemies
     for (const enemy of this.enemies) {
-      enemy.update(dt, this.walls, this.player, this.bullets);
+      enemy.update(dt * enemy.timeScale, this.walls, this.player, this.bullets, this.nav);
+      if (enemy.active && !enemy.falling && enemy.hasAffix('reflecting')) {
+        this.bullets.reflectInRadius(enemy.x, enemy.y, REFLECT_RADIUS, this.player);
+      }
     }
 
     // ── Enemy landing effects (falling animation complete) ────────────
@@ -547,13 +679,13 @@ class GameplayScene {
     }
 
     // ── Player-enemy QTE collision (AABB vs AABB, checked FIRST) ──────
-    // QTE takes priority over bullet damage within a 3-frame window.
+    // QTE takes priority over bullet damage within a short window.
     if (!this.player.dead && (!this.player.invulnerable || this.player.dashing) && !this.qteActive) {
       const qteEnemy = this._checkQTECollision();
 
       if (qteEnemy) {
         // Nullify recent bullet damage if within the priority window
-        if (this.frameCount - this.bulletDamageFrame <= QTE_PRIORITY_FRAMES) {
+        if (this.simTime - this.bulletDamageTime <= QTE_PRIORITY_WINDOW) {
           this.player.undoDamage();
         }
 
@@ -567,6 +699,18 @@ class GameplayScene {
       enemy.justLanded = false;
     }
 
+    // ── Player-locked door contact ──────────────────────────────────
+    // Pressing into a door starts the lockpick; step back to try again
+    if (!this.player.dead && !this.qteActive) {
+      const door = this._findTouchedDoor();
+      if (door && door !== this._doorContact) {
+        this._doorContact = door;
+        this._triggerDoorQTE(door);
+        return;
+      }
+      this._doorContact = door;
+    }
+
     // ── Player-generator collision (Power Up) ───────────────────────
     if (!this.player.dead && !this.qteActive && this.generators.length > 0) {
       for (const gen of this.generators) {
@@ -594,7 +738,7 @@ class GameplayScene {
         if (result.hit) {
           b.active = false;
           if (this.player.damage()) {
-            this.bulletDamageFrame = this.frameCount;
+            this.bulletDamageTime = this.simTime;
             this.hitstop.freeze(5);
             this.screenFlash.flash('#ff0000', 0.08);
             this.camera.shake(0.4);
@@ -668,8 +812,8 @@ class GameplayScene {
       }
     }
 
-    // ── Boss: continuous enemy spawning (scales with level depth) ──────
-    if (this.levelManager.challengeType === CHALLENGE_TYPES.BOSS && this.bossHP > 0) {
+    // ── Boss: minions trickle in while it lives (scales with level depth) ──
+    if (this.boss && this.bossHP > 0 && !this.boss.falling) {
       const bossInterval = getBossSpawnInterval(this.levelManager.levelDepth);
       const bossClump = getBossClumpSize(this.levelManager.levelDepth);
       this.bossSpawnTimer += dt;
@@ -686,16 +830,18 @@ class GameplayScene {
       const type = this.levelManager.challengeType;
 
       if (type === CHALLENGE_TYPES.FIND_THE_KEY) {
-        // Pick up key
-        if (this.keyItem && !this.keyItem.collected) {
+        // Pick up key — it's locked in place until the lockpick QTE is passed;
+        // step off and back on to try again
+        if (this.keyItem && !this.keyItem.collected && !this.qteActive) {
           const dx = this.player.x - this.keyItem.x;
           const dy = this.player.y - this.keyItem.y;
-          if (dx * dx + dy * dy < (this.player.wallRadius + this.keyItem.radius) ** 2) {
-            this.keyItem.collected = true;
-            this.hasKey = true;
-            audio.playSFX('keyPickup');
-            audio.playVoiceline('key');
+          const touching = dx * dx + dy * dy < (this.player.wallRadius + this.keyItem.radius) ** 2;
+          if (touching && !this._keyContact) {
+            this._keyContact = true;
+            this._triggerKeyQTE();
+            return;
           }
+          this._keyContact = touching;
         }
         // Player enters starting room with key → key starts homing to hole
         if (this.hasKey && this.keyItem && !this.keyItem.homing
@@ -791,12 +937,15 @@ class GameplayScene {
     // Update HUD
     this.hud.update(dt, {
       lives: this.player.lives,
+      maxLives: this.player.maxLives,
       timer: this.levelTimer,
       levelDepth: this.levelManager.levelDepth,
       challengeType: this.challengeDisplayName,
       timerActive: this.timerActive,
       bossHP: this.bossHP,
       bossMaxHP: this.bossMaxHP,
+      bossPhaseBreaks: this.boss ? this.boss.phaseBreaks : [],
+      bossName: this.boss ? this.boss.name : '',
       generatorsDone: this.generators.filter(g => g.completed).length,
       generatorsTotal: this.generators.length,
     });
@@ -806,10 +955,18 @@ class GameplayScene {
       this.gameOverPushed = true;
       audio.playExplosion();
       audio.stopGameplayMusic();
+      replay.stopRecording();
+      this._discardSave();
       this.game.pushScene(new GameOverScene(this.game, {
         levelDepth: this.levelManager.levelDepth,
         enemiesKilled: this.enemiesKilled,
+        score: this.score,
+        qteGrades: { ...this.qteGrades },
         runLength: (performance.now() - this.runStartTime) / 1000,
+        seed: this.runSeed,
+        mutators: this.mutators,
+        resumed: this.resumed,
+        day: this.day,
       }));
     }
   }
@@ -822,7 +979,14 @@ class GameplayScene {
     switch (this.transition.phase) {
       case 'falling':
         if (this.transition.timer >= FALL_DURATION) {
-          // Rebuild level for next floor
+          // Boss and Power Up floors pay out a perk before the next floor
+          if (this._offersPerk() && !this.transition.drafted) {
+            this.transition.drafted = true;
+            this._pushPerkDraft();
+            break;
+          }
+          // Save between floors, then rebuild level for the next one
+          this._saveRun();
           this._initLevel();
           // Switch to splash phase
           this.transition.phase = 'splash';
@@ -831,12 +995,15 @@ class GameplayScene {
           // Update HUD immediately with new depth/timer
           this.hud.update(0, {
             lives: this.player.lives,
+            maxLives: this.player.maxLives,
             timer: this.levelTimer,
             levelDepth: this.levelManager.levelDepth,
             challengeType: this.challengeDisplayName,
             timerActive: this.timerActive,
             bossHP: this.bossHP,
             bossMaxHP: this.bossMaxHP,
+            bossPhaseBreaks: this.boss ? this.boss.phaseBreaks : [],
+            bossName: this.boss ? this.boss.name : '',
             generatorsDone: this.generators.filter(g => g.completed).length,
             generatorsTotal: this.generators.length,
           });
@@ -886,6 +1053,7 @@ class GameplayScene {
         this.camera._updateShake(dt);
         if (this.transition.timer >= SQUASH_DURATION) {
           this.transition = null; // done — resume gameplay
+          this._markFloorStarted();
         }
         break;
     }
@@ -955,10 +1123,24 @@ class GameplayScene {
 
     this.game.pushScene(new QTEScene(this.game, {
       enemy,
-      levelDepth: this.levelManager.levelDepth,
-      onSuccess: (e) => {
+      levelDepth: this.levelManager.levelDepth + getEliteQTEBonus(enemy.affixes.length),
+      timeBonus: this._qteTimeBonus(),
+      onSuccess: (e, grade) => {
+        if (e.isBoss) {
+          this._onBossPhaseCleared(e, grade);
+          this.qteActive = false;
+          return;
+        }
+        if (e.shield > 0) {
+          this._onShieldBroken(e, grade);
+          this.qteActive = false;
+          return;
+        }
+
         const blastX = e.x;
         const blastY = e.y;
+        const reward = GRADE_REWARDS[grade] || GRADE_REWARDS.good;
+        const blastRadius = this._blastRadius(reward.blast);
 
         // Juice: hitstop, screen flash, shake, death burst, blast wave, zoom punch, kick
         this.hitstop.freeze(8);
@@ -966,21 +1148,21 @@ class GameplayScene {
         this.camera.shake(0.7);
         emitDeathBurst(this.particles, blastX, blastY, e.color || '#ff0000');
         emitCorpseLinger(this.particles, blastX, blastY, e.color || '#ff0000');
-        this.particles.addBlastWave(blastX, blastY, BLAST_RADIUS * 0.6, 0.4, '#ffffff');
+        this.particles.addBlastWave(blastX, blastY, blastRadius * 0.6, 0.4, '#ffffff');
         this.camera.zoomPunch(0.15);
         this.camera.kick(blastX, blastY, 25);
         audio.playSFX('qteSuccess', blastX, blastY);
         audio.playExplosion();
-        { const _v = ['easy', 'epic', 'goodjob', 'nice']; audio.playVoiceline(_v[Math.floor(Math.random() * _v.length)]); }
+        { const _v = ['easy', 'epic', 'goodjob', 'nice']; audio.playVoiceline(fxRng.pick(_v)); }
 
         // Corpse mark — colored debris on floor
         const offsets = [];
-        const numDebris = 3 + Math.floor(Math.random() * 2);
+        const numDebris = 3 + Math.floor(fxRng.next() * 2);
         for (let i = 0; i < numDebris; i++) {
           offsets.push({
-            dx: (Math.random() - 0.5) * 16,
-            dy: (Math.random() - 0.5) * 16,
-            size: 3 + Math.random() * 2,
+            dx: (fxRng.next() - 0.5) * 16,
+            dy: (fxRng.next() - 0.5) * 16,
+            size: 3 + fxRng.next() * 2,
           });
         }
         this.corpseMarks.push({
@@ -994,17 +1176,24 @@ class GameplayScene {
         e.takeDamage();
         this.enemiesKilled++;
         this.enemiesKilledThisFloor++;
+        this._addScore(KILL_SCORE * reward.score * (e.isElite ? ELITE_SCORE_MULT : 1));
+        if (grade in this.qteGrades) this.qteGrades[grade]++;
+
+        // Splitting elite: two minis drop in where it died
+        if (e.hasAffix('splitting')) {
+          this.enemies.push(...spawnSplitMinis(e, this.player));
+        }
 
         // Destroy bullets in blast radius
-        this.bullets.destroyInRadius(blastX, blastY, BLAST_RADIUS);
+        this.bullets.destroyInRadius(blastX, blastY, blastRadius);
 
         // Knockback nearby enemies
         for (const other of this.enemies) {
           if (!other.active || other === e) continue;
           const dx = other.x - blastX;
           const dy = other.y - blastY;
-          if (dx * dx + dy * dy <= BLAST_RADIUS * BLAST_RADIUS) {
-            other.applyKnockback(blastX, blastY, KNOCKBACK_FORCE);
+          if (dx * dx + dy * dy <= blastRadius * blastRadius) {
+            other.applyKnockback(blastX, blastY, KNOCKBACK_FORCE * reward.knockback);
           }
         }
 
@@ -1020,31 +1209,6 @@ class GameplayScene {
           audio.playSFX('timeBonus');
         }
 
-        // Boss: decrement HP, open exit when defeated
-        if (this.levelManager.challengeType === CHALLENGE_TYPES.BOSS && this.bossHP > 0) {
-          this.bossHP--;
-          if (this.bossHP <= 0) {
-            this.challengeComplete = true;
-            const hx = this.level.exitHoleX;
-            const hy = this.level.exitHoleY;
-            this.exitHole = { x: hx, y: hy, radius: EXIT_HOLE_RADIUS };
-            achievements.onBossDefeated();
-            // Juice: boss defeated hole opens
-            this.camera.shake(0.6);
-            this.screenFlash.flash('#44ff88', 0.15);
-            this.particles.addBlastWave(hx, hy, 90, 0.45, '#44ff88');
-            this.particles.emit(hx, hy, {
-              vx: 0, vy: 0, vxRandom: 200, vyRandom: 200,
-              life: 0.6, lifeRandom: 0.2,
-              size: 6, sizeRandom: 3, endSize: 0,
-              color: '#44ff88', endColor: '#ffffff',
-              friction: 0.9, gravity: 50,
-            }, 20);
-            audio.playSFX('bossDefeat', hx, hy);
-            audio.playAnnouncement();
-          }
-        }
-
         this.qteActive = false;
       },
       onFail: (e) => {
@@ -1062,7 +1226,7 @@ class GameplayScene {
         // Only play fail voiceline if the player survives; death screen has its own line
         if (!this.player.dead) {
           const _v = ['notdownyet', 'oof', 'youokthere', 'goodtry'];
-          audio.playVoiceline(_v[Math.floor(Math.random() * _v.length)]);
+          audio.playVoiceline(fxRng.pick(_v));
         }
 
         // Player knockback away from enemy
@@ -1083,6 +1247,101 @@ class GameplayScene {
     }));
   }
 
+  /** Award score, scaled by the run's mutator multiplier. */
+  _addScore(points) {
+    this.score += Math.round(points * this.scoreMultiplier);
+  }
+
+  /**
+   * A shielded elite's QTE was cleared: the shield breaks instead of the
+   * enemy, which is thrown clear of the player for the second round.
+   */
+  _onShieldBroken(enemy, grade) {
+    const reward = GRADE_REWARDS[grade] || GRADE_REWARDS.good;
+    enemy.shield--;
+    if (grade in this.qteGrades) this.qteGrades[grade]++;
+    this.bullets.destroyInRadius(enemy.x, enemy.y, this._blastRadius(reward.blast));
+
+    // Push the pair apart so contact doesn't retrigger straight away
+    const dx = this.player.x - enemy.x;
+    const dy = this.player.y - enemy.y;
+    const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+    this.player.x += (dx / dist) * 40;
+    this.player.y += (dy / dist) * 40;
+    enemy.applyKnockback(this.player.x, this.player.y, KNOCKBACK_FORCE * reward.knockback);
+
+    // Juice: hitstop, shake, shards in the shield color
+    const color = ELITE_AFFIXES.shielded.color;
+    this.hitstop.freeze(6);
+    this.camera.shake(0.4);
+    this.particles.addBlastWave(enemy.x, enemy.y, 50, 0.25, color);
+    emitDeathBurst(this.particles, enemy.x, enemy.y, color);
+    audio.playSFX('shieldBreak', enemy.x, enemy.y);
+  }
+
+  /**
+   * A boss's QTE chain was cleared: break the phase, or finish the boss
+   * and open the exit if it was the last one.
+   */
+  _onBossPhaseCleared(boss, grade) {
+    const reward = GRADE_REWARDS[grade] || GRADE_REWARDS.good;
+    const blastRadius = this._blastRadius(reward.blast);
+    const defeated = boss.clearPhase();
+    this.bossHP = boss.hp;
+    this._addScore(BOSS_PHASE_SCORE * reward.score);
+    if (grade in this.qteGrades) this.qteGrades[grade]++;
+
+    // Clear the air around the boss and push minions away
+    this.bullets.destroyInRadius(boss.x, boss.y, blastRadius);
+    for (const other of this.enemies) {
+      if (!other.active || other === boss) continue;
+      const dx = other.x - boss.x;
+      const dy = other.y - boss.y;
+      if (dx * dx + dy * dy <= blastRadius * blastRadius) {
+        other.applyKnockback(boss.x, boss.y, KNOCKBACK_FORCE * reward.knockback);
+      }
+    }
+
+    // Juice: hitstop, flash, shake, burst in the boss's color
+    this.hitstop.freeze(defeated ? 14 : 10);
+    this.screenFlash.flash('#ffffff', 0.12);
+    this.camera.shake(0.8);
+    this.camera.zoomPunch(0.15);
+    emitDeathBurst(this.particles, boss.x, boss.y, boss.color);
+    this.particles.addBlastWave(boss.x, boss.y, blastRadius * 0.6, 0.4, '#ffffff');
+    audio.playExplosion();
+
+    if (!defeated) {
+      audio.playSFX('bossPhaseBreak', boss.x, boss.y);
+      return;
+    }
+
+    // Boss defeated
+    emitCorpseLinger(this.particles, boss.x, boss.y, boss.color);
+    boss.takeDamage();
+    this.enemiesKilled++;
+    this.enemiesKilledThisFloor++;
+
+    this.challengeComplete = true;
+    const hx = this.level.exitHoleX;
+    const hy = this.level.exitHoleY;
+    this.exitHole = { x: hx, y: hy, radius: EXIT_HOLE_RADIUS };
+    achievements.onBossDefeated();
+    // Juice: boss defeated hole opens
+    this.camera.shake(0.6);
+    this.screenFlash.flash('#44ff88', 0.15);
+    this.particles.addBlastWave(hx, hy, 90, 0.45, '#44ff88');
+    this.particles.emit(hx, hy, {
+      vx: 0, vy: 0, vxRandom: 200, vyRandom: 200,
+      life: 0.6, lifeRandom: 0.2,
+      size: 6, sizeRandom: 3, endSize: 0,
+      color: '#44ff88', endColor: '#ffffff',
+      friction: 0.9, gravity: 50,
+    }, 20);
+    audio.playSFX('bossDefeat', hx, hy);
+    audio.playAnnouncement();
+  }
+
   /**
    * Push a TapQTE for a generator (Power Up challenge).
    */
@@ -1091,14 +1350,16 @@ class GameplayScene {
     const genProxy = {
       color: '#ffaa00',
       enemyType: 'generator',
-      qteType: 'tap',
+      qtePool: { tap: 1 },
     };
 
     this.game.pushScene(new QTEScene(this.game, {
       enemy: genProxy,
       levelDepth: this.levelManager.levelDepth,
-      onSuccess: () => {
+      timeBonus: this._qteTimeBonus(),
+      onSuccess: (proxy, grade) => {
         generator.completed = true;
+        if (grade in this.qteGrades) this.qteGrades[grade]++;
 
         // Juice: shake + flash + particles + blast wave on generator activation
         this.camera.shake(0.4);
@@ -1115,15 +1376,16 @@ class GameplayScene {
         audio.playExplosion();
         this.hitstop.freeze(6);
         this.camera.zoomPunch(0.1);
-        { const _v = ['easy', 'epic', 'goodjob', 'nice']; audio.playVoiceline(_v[Math.floor(Math.random() * _v.length)]); }
+        { const _v = ['easy', 'epic', 'goodjob', 'nice']; audio.playVoiceline(fxRng.pick(_v)); }
 
         // Destroy bullets and knock back enemies near generator
-        this.bullets.destroyInRadius(generator.x, generator.y, BLAST_RADIUS);
+        const blastRadius = this._blastRadius();
+        this.bullets.destroyInRadius(generator.x, generator.y, blastRadius);
         for (const enemy of this.enemies) {
           if (!enemy.active) continue;
           const dx = enemy.x - generator.x;
           const dy = enemy.y - generator.y;
-          if (dx * dx + dy * dy <= BLAST_RADIUS * BLAST_RADIUS) {
+          if (dx * dx + dy * dy <= blastRadius * blastRadius) {
             enemy.applyKnockback(generator.x, generator.y, KNOCKBACK_FORCE);
           }
         }
@@ -1156,9 +1418,196 @@ class GameplayScene {
     }));
   }
 
+  /**
+   * Push a LockpickQTE for the key (Find the Key challenge).
+   */
+  _triggerKeyQTE() {
+    this.qteActive = true;
+    const keyProxy = {
+      color: KEY_COLOR,
+      enemyType: 'key',
+      qtePool: { lockpick: 1 },
+    };
+
+    this.game.pushScene(new QTEScene(this.game, {
+      enemy: keyProxy,
+      levelDepth: this.levelManager.levelDepth,
+      timeBonus: this._qteTimeBonus(),
+      onSuccess: (proxy, grade) => {
+        this.keyItem.collected = true;
+        this.hasKey = true;
+        if (grade in this.qteGrades) this.qteGrades[grade]++;
+        audio.playSFX('keyPickup');
+        audio.playVoiceline('key');
+        this.qteActive = false;
+      },
+      onFail: () => {
+        this.player.damage();
+        this.qteActive = false;
+      },
+    }));
+  }
+
+  /**
+   * The locked hallway whose door the player is pressed against, or null.
+   */
+  _findTouchedDoor() {
+    const reach = this.player.wallRadius + DOOR_TOUCH_MARGIN;
+    for (const hallway of this.level.hallways) {
+      if (!hallway.locked) continue;
+      const { x, y, w, h } = hallway.door;
+      const dx = this.player.x - Math.max(x, Math.min(this.player.x, x + w));
+      const dy = this.player.y - Math.max(y, Math.min(this.player.y, y + h));
+      if (dx * dx + dy * dy <= reach * reach) return hallway;
+    }
+    return null;
+  }
+
+  /**
+   * Push a LockpickQTE for a locked hallway door.
+   */
+  _triggerDoorQTE(hallway) {
+    this.qteActive = true;
+    const doorProxy = {
+      color: DOOR_COLOR,
+      enemyType: 'door',
+      qtePool: { lockpick: 1 },
+    };
+
+    this.game.pushScene(new QTEScene(this.game, {
+      enemy: doorProxy,
+      levelDepth: this.levelManager.levelDepth,
+      timeBonus: this._qteTimeBonus(),
+      onSuccess: (proxy, grade) => {
+        this.level.setHallwayLocked(hallway, false);
+        this.walls = getWallSegments(this.level);
+        if (grade in this.qteGrades) this.qteGrades[grade]++;
+
+        // Juice: door bursts open
+        const doorX = hallway.door.x + hallway.door.w / 2;
+        const doorY = hallway.door.y + hallway.door.h / 2;
+        this.camera.shake(0.3);
+        this.particles.emit(doorX, doorY, {
+          vx: 0, vy: 0, vxRandom: 160, vyRandom: 160,
+          life: 0.4, lifeRandom: 0.15,
+          size: 4, sizeRandom: 2, endSize: 0,
+          color: DOOR_COLOR, endColor: '#6b4a2b',
+          friction: 0.9, gravity: 60,
+        }, 12);
+        audio.playSFX('doorUnlock', doorX, doorY);
+        this.qteActive = false;
+      },
+      onFail: () => {
+        this.player.damage();
+        this.qteActive = false;
+      },
+    }));
+  }
+
+  // ── Mid-run save ──────────────────────────────────────────────────────
+
+  /**
+   * Snapshot the run to its save slot, taken before the next floor is built so a
+   * continued run rolls the same floor. Replays never overwrite the save.
+   */
+  _saveRun() {
+    if (replay.playing) return;
+    this._save.save({
+      seed: this.runSeed,
+      rng: rng.getState(),
+      levelManager: this.levelManager.getState(),
+      lives: this.player.lives,
+      enemiesKilled: this.enemiesKilled,
+      score: this.score,
+      qteGrades: { ...this.qteGrades },
+      runLength: (performance.now() - this.runStartTime) / 1000,
+      mutators: this.mutators,
+      perks: this.perks.getState(),
+      day: this.day,
+    });
+  }
+
+  /** The saved floor is underway — abandoning it now ends the run. */
+  _markFloorStarted() {
+    if (!replay.playing) this._save.markFloorStarted();
+  }
+
+  /**
+   * Quitting to the menu mid-floor: keep the save, but with this moment's
+   * lives, timer and RNG, so continuing can't win back what the floor cost.
+   */
+  _suspendRun() {
+    if (replay.playing) return;
+    this._save.suspend({
+      lives: this.player.lives,
+      levelTimer: this.levelTimer,
+      rng: rng.getState(),
+      runLength: (performance.now() - this.runStartTime) / 1000,
+    });
+  }
+
+  /** After rebuilding a continued run's floor, pick up where it was quit. */
+  _applySuspended(resume) {
+    const suspended = resume.suspended;
+    if (!suspended || typeof suspended.lives !== 'number') {
+      this.player.lives = resume.lives;
+      return;
+    }
+    this.player.lives = suspended.lives;
+    this.levelTimer = suspended.levelTimer;
+    rng.setState(suspended.rng);
+    this.runStartTime = performance.now() - suspended.runLength * 1000;
+  }
+
+  /** Delete the saved run — it ended, or a new one replaced it. */
+  _discardSave() {
+    if (!replay.playing) this._save.clear();
+  }
+
+  // ── Perks ─────────────────────────────────────────────────────────────
+
+  /** QTE blast radius after Big Blast stacks, times a grade's blast scale. */
+  _blastRadius(scale = 1) {
+    return this.perks.apply('blastRadius', BLAST_RADIUS) * scale;
+  }
+
+  /** Seconds Extra Time stacks add to every QTE. */
+  _qteTimeBonus() {
+    return this.perks.apply('qteTime', 0);
+  }
+
+  /** Slow Field around the player for BulletPool.update, or null without the perk. */
+  _slowField() {
+    const factor = this.perks.apply('bulletSlow', 1);
+    if (factor >= 1) return null;
+    return { x: this.player.x, y: this.player.y, radius: SLOW_FIELD_RADIUS, factor };
+  }
+
+  /** Whether the floor just cleared pays out a perk draft. */
+  _offersPerk() {
+    const type = this.levelManager.challengeType;
+    return type === CHALLENGE_TYPES.BOSS || type === CHALLENGE_TYPES.POWER_UP;
+  }
+
+  _pushPerkDraft() {
+    this.game.pushScene(new PerkDraftScene(this.game, {
+      choices: this.perks.draft(perkRng),
+      perks: this.perks,
+      onPick: (id) => {
+        this.perks.add(id);
+        // Extra Heart raises the cap and fills the new slot straight away
+        if (id === 'extraHeart') this.player.addLife();
+      },
+    }));
+  }
+
   // ── Rendering ─────────────────────────────────────────────────────────
 
-  render(ctx) {
+  render(ctx, alpha = 1) {
+    // Draw moving objects between their last two simulated positions
+    const interpolated = this._interpolatedObjects();
+    applyInterpolation(interpolated, alpha);
+
     // Clear canvas background (screen-space, before camera transform)
     ctx.fillStyle = '#0e0e1a';
     ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
@@ -1201,7 +1650,7 @@ class GameplayScene {
 
     // Draw enemies (non-falling only — falling indicators drawn above player)
     for (const enemy of this.enemies) {
-      if (enemy.active && !enemy.falling) enemy.render(ctx);
+      if (enemy.active && !enemy.falling) this._renderEnemy(ctx, enemy);
     }
 
     // Draw bullets
@@ -1219,7 +1668,7 @@ class GameplayScene {
 
     // Draw falling enemy indicators on top of player so they're always visible
     for (const enemy of this.enemies) {
-      if (enemy.active && enemy.falling) enemy.render(ctx);
+      if (enemy.active && enemy.falling) this._renderEnemy(ctx, enemy);
     }
 
     this.camera.removeTransform(ctx);
@@ -1234,6 +1683,18 @@ class GameplayScene {
     if (this.transition && this.transition.phase === 'splash') {
       this._renderSplash(ctx);
     }
+
+    restorePositions(interpolated);
+  }
+
+  /** Objects whose positions are interpolated between simulation steps. */
+  _interpolatedObjects() {
+    const objects = [this.camera, this.player, ...this.enemies];
+    for (const b of this.bullets.pool) {
+      if (b.active) objects.push(b);
+    }
+    if (this.keyItem) objects.push(this.keyItem);
+    return objects;
   }
 
   /** Screen-space HUD — rendered after CRT with barrel-matching transforms */
@@ -1305,9 +1766,15 @@ class GameplayScene {
     ctx.strokeRect(barX, barY, barW, barH);
   }
 
+  /** Elites draw through affixes.js for their outlines and cloak. */
+  _renderEnemy(ctx, enemy) {
+    if (enemy.isElite) renderElite(ctx, enemy, this.player);
+    else enemy.render(ctx);
+  }
+
   _renderKeyItem(ctx) {
     const { x, y, radius } = this.keyItem;
-    ctx.fillStyle = '#ffdd44';
+    ctx.fillStyle = KEY_COLOR;
     ctx.fillRect(x - radius, y - radius, radius * 2, radius * 2);
     ctx.strokeStyle = '#aa8800';
     ctx.lineWidth = 2;
@@ -1,11 +1,14 @@
 import { CANVAS_WIDTH, CANVAS_HEIGHT } from '../game.js';
 import { input } from '../input.js';
-import { leaderboard } from '../systems/leaderboard.js';
+import { audio } from '../systems/audio.js';
+import { leaderboard, BOARDS } from '../systems/leaderboard.js';
 
-const TITLE_Y = 45;
-const HEADER_Y = 90;
-const ENTRIES_START_Y = 115;
+const TITLE_Y = 35;
+const TABS_Y = 68;
+const HEADER_Y = 100;
+const ENTRIES_START_Y = 125;
 const ROW_SPACING = 28;
+const LOCAL_NOTE_Y = 500;
 const BACK_Y = 545;
 const MAX_DISPLAY = 10;
 
@@ -15,16 +18,37 @@ const COL_NICKNAME = 140;
 const COL_KILLS = 440;
 const COL_FLOOR = 540;
 const COL_TIME = 660;
+const COL_MUTATORS = 700;
+const COL_RESUMED = 750;
+
+const MUTATOR_COLOR = '#ffaa44';
+const RESUMED_COLOR = '#888888';
+const LOCAL_NOTE_COLOR = '#ffaa44';
+
+// Board tabs
+const TABS = [
+  { board: BOARDS.ALL_TIME, label: 'ALL TIME' },
+  { board: BOARDS.DAILY,    label: 'DAILY' },
+];
+const TAB_SPACING = 180;
+const TAB_HITBOX_HEIGHT = 24;
+const TAB_HITBOX_PADDING = 12;
 
 export class LeaderboardScene {
   constructor(game) {
     this.game = game;
+    this.tabIndex = 0;
+    this.tabHitboxes = [];
     this.backHitbox = null;
     this.backHovered = false;
   }
 
+  get board() {
+    return TABS[this.tabIndex].board;
+  }
+
   enter() {
-    leaderboard.fetchRemoteEntries();
+    leaderboard.fetchRemoteEntries(this.board);
   }
 
   exit() {}
@@ -35,8 +59,26 @@ export class LeaderboardScene {
       return;
     }
 
+    // Keyboard tab switching
+    if (input.isActionJustPressed('moveLeft')) {
+      this._selectTab((this.tabIndex - 1 + TABS.length) % TABS.length);
+    } else if (input.isActionJustPressed('moveRight')) {
+      this._selectTab((this.tabIndex + 1) % TABS.length);
+    }
+
+    // Mouse click on a tab
+    const mouse = input.getScreenMousePos();
+    if (input.isMouseJustPressed(0)) {
+      for (let i = 0; i < this.tabHitboxes.length; i++) {
+        const hb = this.tabHitboxes[i];
+        if (mouse.x >= hb.x && mouse.x <= hb.x + hb.w && mouse.y >= hb.y && mouse.y <= hb.y + hb.h) {
+          if (i !== this.tabIndex) this._selectTab(i);
+          break;
+        }
+      }
+    }
+
     // Mouse hover on BACK button
-    const mouse = input.getMousePos();
     if (this.backHitbox) {
       const hb = this.backHitbox;
       this.backHovered =
@@ -66,11 +108,14 @@ export class LeaderboardScene {
     ctx.textBaseline = 'middle';
     ctx.fillText('SCORES', cx, TITLE_Y);
 
+    // Board tabs
+    this._renderTabs(ctx, cx);
+
     // Header row
     this._renderHeader(ctx);
 
     // Entries
-    const entries = leaderboard.getEntries();
+    const entries = leaderboard.getEntries(this.board);
 
     if (leaderboard.loading && entries.length === 0) {
       ctx.fillStyle = '#666666';
@@ -83,7 +128,7 @@ export class LeaderboardScene {
       ctx.font = '10px "Press Start 2P"';
       ctx.textAlign = 'center';
       ctx.textBaseline = 'middle';
-      ctx.fillText('NO SCORES YET', cx, ENTRIES_START_Y + 60);
+      ctx.fillText(this.board === BOARDS.DAILY ? 'NO SCORES TODAY' : 'NO SCORES YET', cx, ENTRIES_START_Y + 60);
     } else {
       const count = Math.min(entries.length, MAX_DISPLAY);
       for (let i = 0; i < count; i++) {
@@ -91,10 +136,42 @@ export class LeaderboardScene {
       }
     }
 
+    // No backend for this board: only this browser's runs are on it
+    if (!leaderboard.isShared(this.board)) {
+      ctx.fillStyle = LOCAL_NOTE_COLOR;
+      ctx.font = '8px "Press Start 2P"';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText('LOCAL ONLY - SHOWS JUST THIS DEVICE\'S RUNS', cx, LOCAL_NOTE_Y);
+    }
+
     // BACK button
     this._renderBackButton(ctx, cx);
   }
 
+  _renderTabs(ctx, cx) {
+    this.tabHitboxes = [];
+    ctx.font = '10px "Press Start 2P"';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    for (let i = 0; i < TABS.length; i++) {
+      const x = cx + (i - (TABS.length - 1) / 2) * TAB_SPACING;
+      const selected = i === this.tabIndex;
+      const text = selected ? `> ${TABS[i].label} <` : TABS[i].label;
+      ctx.fillStyle = selected ? '#00ffff' : '#666666';
+      ctx.fillText(text, x, TABS_Y);
+
+      const w = ctx.measureText(text).width + TAB_HITBOX_PADDING * 2;
+      this.tabHitboxes.push({
+        x: x - w / 2,
+        y: TABS_Y - TAB_HITBOX_HEIGHT / 2,
+        w,
+        h: TAB_HITBOX_HEIGHT,
+      });
+    }
+  }
+
   _renderHeader(ctx) {
     ctx.fillStyle = '#666666';
     ctx.font = '8px "Press Start 2P"';
@@ -114,6 +191,12 @@ export class LeaderboardScene {
 
     ctx.textAlign = 'right';
     ctx.fillText('TIME', COL_TIME, HEADER_Y);
+
+    ctx.textAlign = 'right';
+    ctx.fillText('MUT', COL_MUTATORS, HEADER_Y);
+
+    ctx.textAlign = 'right';
+    ctx.fillText('RES', COL_RESUMED, HEADER_Y);
   }
 
   _renderEntry(ctx, entry, index) {
@@ -143,6 +226,21 @@ export class LeaderboardScene {
     // Time
     ctx.textAlign = 'right';
     ctx.fillText(this._formatTime(entry.runLength), COL_TIME, y);
+
+    // Mutators the run was played under
+    const mutatorCount = entry.mutators ? entry.mutators.length : 0;
+    if (mutatorCount > 0) {
+      ctx.fillStyle = MUTATOR_COLOR;
+      ctx.textAlign = 'right';
+      ctx.fillText(`+${mutatorCount}`, COL_MUTATORS, y);
+    }
+
+    // Continued from a mid-run save
+    if (entry.resumed) {
+      ctx.fillStyle = RESUMED_COLOR;
+      ctx.textAlign = 'right';
+      ctx.fillText('YES', COL_RESUMED, y);
+    }
   }
 
   _renderBackButton(ctx, cx) {
@@ -164,6 +262,12 @@ export class LeaderboardScene {
     };
   }
 
+  _selectTab(index) {
+    this.tabIndex = index;
+    audio.playSFX('menuHover');
+    leaderboard.fetchRemoteEntries(this.board);
+  }
+
   _formatTime(seconds) {
     const mins = Math.floor(seconds / 60);
     const secs = Math.floor(seconds % 60);
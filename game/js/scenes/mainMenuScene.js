@@ -7,6 +7,12 @@ import { ParticlePool } from '../systems/particles.js';
 import { ScreenFlash } from '../systems/screenFlash.js';
 import { audio } from '../systems/audio.js';
 import { tutorials } from '../systems/tutorials.js';
+import { mutators, MUTATORS } from '../systems/mutators.js';
+import { runSave, dailySave } from '../systems/runSave.js';
+import { controllerPacks } from '../qtes/controllerPacks.js';
+import { daily, getDailyKey } from '../systems/daily.js';
+import { savePrevious, applyInterpolation, restorePositions } from '../systems/interpolation.js';
+import { TOUCH_LAYOUTS } from '../touch.js';
 import {
   MENU_ROOM,
   MENU_HOLE,
@@ -18,6 +24,8 @@ import {
 const HOLE_COLOR = '#050510';
 const HOLE_BORDER_COLOR = '#44ff88';
 const HOLE_BORDER_WIDTH = 3;
+const MUTATOR_COLOR = '#ffaa44';
+const DAILY_DONE_COLOR = '#888888';
 
 const FALL_DURATION = 0.4;
 const LAND_DURATION = 0.35;
@@ -29,9 +37,15 @@ export class MainMenuScene {
     this.game = game;
     this._initialized = false;
     this._returnFromGameplay = false;
+    this.touchLayout = TOUCH_LAYOUTS.HUB;
   }
 
   enter() {
+    // Offer to continue a saved run (re-read: the last run may have saved or ended one)
+    this.savedRun = runSave.load();
+    this.savedDaily = dailySave.load();
+    this.objects = MENU_OBJECTS.filter(obj => obj.id !== 'continue' || this.savedRun);
+
     // Returning from gameplay — reset player + play landing animation
     if (this._returnFromGameplay) {
       this._returnFromGameplay = false;
@@ -90,6 +104,8 @@ export class MainMenuScene {
   exit() {}
 
   update(dt) {
+    savePrevious([this.camera, this.player]);
+
     // Transition animation overrides normal input
     if (this.transition) {
       this._updateTransition(dt);
@@ -131,7 +147,7 @@ export class MainMenuScene {
     // Proximity check for interactable objects
     this.nearestObject = null;
     let nearestDist = Infinity;
-    for (const obj of MENU_OBJECTS) {
+    for (const obj of this.objects) {
       const dx = this.player.x - obj.x;
       const dy = this.player.y - obj.y;
       const dist = Math.sqrt(dx * dx + dy * dy);
@@ -167,7 +183,7 @@ export class MainMenuScene {
     if (input.isMouseJustPressed(0)) {
       const screenMouse = input.getMousePos();
       const world = this.camera.screenToWorld(screenMouse.x, screenMouse.y);
-      for (const obj of MENU_OBJECTS) {
+      for (const obj of this.objects) {
         const half = obj.size / 2;
         if (world.x >= obj.x - half && world.x <= obj.x + half &&
             world.y >= obj.y - half && world.y <= obj.y + half) {
@@ -188,9 +204,7 @@ export class MainMenuScene {
       case 'falling':
         if (this.transition.timer >= FALL_DURATION && !this.transition.done) {
           this.transition.done = true;
-          import('./gameplayScene.js').then(({ GameplayScene }) => {
-            this.game.pushScene(new GameplayScene(this.game, { startWithLanding: true }));
-          });
+          this._startRun({});
         }
         break;
 
@@ -221,8 +235,38 @@ export class MainMenuScene {
     }
   }
 
+  /**
+   * Push a run once the controller packs are in (see controllerPacks.ready).
+   * @param {object} options - GameplayScene options besides startWithLanding
+   */
+  _startRun(options) {
+    controllerPacks.ready
+      .then(() => import('./gameplayScene.js'))
+      .then(({ GameplayScene }) => {
+        this.game.pushScene(new GameplayScene(this.game, { startWithLanding: true, ...options }));
+      });
+  }
+
   _openObjectScene(obj) {
-    if (obj.id === 'settings') {
+    if (obj.id === 'daily') {
+      // Today's Daily picks up from its own save (re-read: it expires at midnight)
+      this.savedDaily = dailySave.load();
+      if (this.savedDaily) {
+        this._startRun({ resume: this.savedDaily });
+        return;
+      }
+      if (daily.hasPlayedToday()) return;
+      this._startRun({ day: getDailyKey() });
+    } else if (obj.id === 'continue') {
+      // Re-read: a Daily save expires at midnight even with the hub open
+      const resume = runSave.load();
+      if (!resume) {
+        this.savedRun = null;
+        this.objects = this.objects.filter(o => o.id !== 'continue');
+        return;
+      }
+      this._startRun({ resume });
+    } else if (obj.id === 'settings') {
       import('./settingsScene.js').then(({ SettingsScene }) => {
         this.game.pushScene(new SettingsScene(this.game));
       });
@@ -234,6 +278,18 @@ export class MainMenuScene {
       import('./leaderboardScene.js').then(({ LeaderboardScene }) => {
         this.game.pushScene(new LeaderboardScene(this.game));
       });
+    } else if (obj.id === 'replays') {
+      import('./replaysScene.js').then(({ ReplaysScene }) => {
+        this.game.pushScene(new ReplaysScene(this.game));
+      });
+    } else if (obj.id === 'mutators') {
+      import('./mutatorsScene.js').then(({ MutatorsScene }) => {
+        this.game.pushScene(new MutatorsScene(this.game));
+      });
+    } else if (obj.id === 'practice') {
+      import('./practiceScene.js').then(({ PracticeScene }) => {
+        this.game.pushScene(new PracticeScene(this.game));
+      });
     } else {
       import('./placeholderScene.js').then(({ PlaceholderScene }) => {
         this.game.pushScene(new PlaceholderScene(this.game, { title: obj.label }));
@@ -241,7 +297,10 @@ export class MainMenuScene {
     }
   }
 
-  render(ctx) {
+  render(ctx, alpha = 1) {
+    const interpolated = [this.camera, this.player];
+    applyInterpolation(interpolated, alpha);
+
     // Clear background
     ctx.fillStyle = '#0e0e1a';
     ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
@@ -258,11 +317,14 @@ export class MainMenuScene {
     // Portal arrow label (always visible, above hole)
     this._renderPortalArrow(ctx);
 
+    // Mutators the next run will use, under the hole
+    this._renderActiveMutators(ctx);
+
     // Floor tutorial text
     if (this.floorText) this._renderFloorText(ctx);
 
     // Interactable objects
-    for (const obj of MENU_OBJECTS) {
+    for (const obj of this.objects) {
       this._renderObject(ctx, obj);
     }
 
@@ -283,6 +345,8 @@ export class MainMenuScene {
 
     // Screen-space UI (rendered in world pass — center-top distortion is minimal)
     this._renderUI(ctx);
+
+    restorePositions(interpolated);
   }
 
   _renderHole(ctx) {
@@ -329,6 +393,19 @@ export class MainMenuScene {
     ctx.globalAlpha = 1;
   }
 
+  _renderActiveMutators(ctx) {
+    const active = mutators.getActive();
+    if (active.length === 0) return;
+
+    const names = active.map(id => MUTATORS[id].name).join(' + ');
+    ctx.fillStyle = MUTATOR_COLOR;
+    ctx.font = '8px "Press Start 2P"';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.fillText(names, MENU_HOLE.x, MENU_HOLE.y + MENU_HOLE.radius + 10);
+    ctx.fillText(`SCORE x${mutators.scoreMultiplier.toFixed(2)}`, MENU_HOLE.x, MENU_HOLE.y + MENU_HOLE.radius + 22);
+  }
+
   _renderFloorText(ctx) {
     const { lines, x, y } = this.floorText;
     ctx.font = '10px "Press Start 2P"';
@@ -367,6 +444,26 @@ export class MainMenuScene {
     ctx.textBaseline = 'bottom';
     ctx.fillText(obj.label, obj.x, obj.y - half - 8);
 
+    // Floor the saved run picks up on
+    if (obj.id === 'continue') {
+      ctx.fillStyle = HOLE_BORDER_COLOR;
+      ctx.textBaseline = 'top';
+      ctx.fillText(`FLOOR ${this.savedRun.levelManager.levelDepth + 1}`, obj.x, obj.y + half + 8);
+    }
+
+    // One attempt per day, which can be continued like any saved run
+    if (obj.id === 'daily') {
+      const done = daily.hasPlayedToday();
+      ctx.textBaseline = 'top';
+      if (this.savedDaily) {
+        ctx.fillStyle = HOLE_BORDER_COLOR;
+        ctx.fillText(`FLOOR ${this.savedDaily.levelManager.levelDepth + 1}`, obj.x, obj.y + half + 8);
+      } else {
+        ctx.fillStyle = done ? DAILY_DONE_COLOR : obj.color;
+        ctx.fillText(done ? 'DONE TODAY' : 'NEW RUN', obj.x, obj.y + half + 8);
+      }
+    }
+
     // "Press E" prompt if this is the nearest object in range
     if (obj === this.nearestObject) {
       ctx.fillStyle = '#44ff88';
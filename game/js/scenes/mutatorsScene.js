@@ -0,0 +1,192 @@
+import { CANVAS_WIDTH, CANVAS_HEIGHT } from '../game.js';
+import { input } from '../input.js';
+import { audio } from '../systems/audio.js';
+import { mutators, MUTATORS } from '../systems/mutators.js';
+
+const TITLE_Y = 45;
+const TOTAL_Y = 85;
+const LIST_START_Y = 120;
+const LIST_SPACING = 48;
+const BACK_Y = 545;
+
+const ROW_X = 130;
+const ROW_W = 540;
+const ROW_H = 40;
+const BOX_X = 150;    // left edge of the on/off box
+const BOX_SIZE = 14;
+const TEXT_X = 184;
+const SCORE_X = 650;  // right edge of the score-multiplier column
+
+const SELECTED_COLOR = '#00ffff';
+const NORMAL_COLOR = '#ffffff';
+const DETAIL_COLOR = '#888888';
+const ACTIVE_COLOR = '#ffaa44';
+
+export class MutatorsScene {
+  constructor(game) {
+    this.game = game;
+    this.ids = Object.keys(MUTATORS);
+    this.selectedRow = 0;
+
+    this.rowHitboxes = [];
+    this.backHitbox = null;
+    this.backHovered = false;
+  }
+
+  enter() {}
+
+  exit() {}
+
+  update(dt) {
+    if (input.isKeyJustPressed('Escape')) {
+      this.game.popScene();
+      return;
+    }
+
+    // Keyboard navigation
+    if (input.isActionJustPressed('moveUp')) {
+      this.selectedRow = (this.selectedRow - 1 + this.ids.length) % this.ids.length;
+      audio.playSFX('menuHover');
+    } else if (input.isActionJustPressed('moveDown')) {
+      this.selectedRow = (this.selectedRow + 1) % this.ids.length;
+      audio.playSFX('menuHover');
+    }
+
+    if (input.isKeyJustPressed('Enter') || input.isActionJustPressed('interact')) {
+      this._toggle(this.ids[this.selectedRow]);
+    }
+
+    const mouse = input.getScreenMousePos();
+    const hit = (hb) => hb &&
+      mouse.x >= hb.x && mouse.x <= hb.x + hb.w &&
+      mouse.y >= hb.y && mouse.y <= hb.y + hb.h;
+
+    // Mouse hover
+    for (let i = 0; i < this.rowHitboxes.length; i++) {
+      if (hit(this.rowHitboxes[i]) && this.selectedRow !== i) {
+        this.selectedRow = i;
+        audio.playSFX('menuHover');
+        break;
+      }
+    }
+    this.backHovered = hit(this.backHitbox);
+
+    // Mouse click
+    if (input.isMouseJustPressed(0)) {
+      if (this.backHovered) {
+        this.game.popScene();
+        return;
+      }
+      for (let i = 0; i < this.rowHitboxes.length; i++) {
+        if (hit(this.rowHitboxes[i])) {
+          this._toggle(this.ids[i]);
+          break;
+        }
+      }
+    }
+  }
+
+  render(ctx) {
+    // Background fill (goes through CRT)
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+  }
+
+  renderOverlay(ctx) {
+    const cx = CANVAS_WIDTH / 2;
+
+    // Title
+    ctx.fillStyle = '#ffffff';
+    ctx.font = '20px "Press Start 2P"';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('MUTATORS', cx, TITLE_Y);
+
+    // Combined multiplier for the next run
+    const active = mutators.getActive().length > 0;
+    ctx.fillStyle = active ? ACTIVE_COLOR : DETAIL_COLOR;
+    ctx.font = '10px "Press Start 2P"';
+    ctx.fillText(`SCORE x${mutators.scoreMultiplier.toFixed(2)}`, cx, TOTAL_Y);
+
+    this.rowHitboxes = [];
+    for (let i = 0; i < this.ids.length; i++) {
+      this._renderRow(ctx, this.ids[i], i);
+    }
+
+    this._renderBackButton(ctx, cx);
+  }
+
+  _renderRow(ctx, id, index) {
+    const def = MUTATORS[id];
+    const on = mutators.isActive(id);
+    const y = LIST_START_Y + index * LIST_SPACING;
+    const selected = index === this.selectedRow;
+
+    // Row background
+    ctx.fillStyle = selected ? 'rgba(0, 255, 255, 0.08)' : 'rgba(255, 255, 255, 0.03)';
+    ctx.fillRect(ROW_X, y, ROW_W, ROW_H);
+    if (selected) {
+      ctx.strokeStyle = SELECTED_COLOR;
+      ctx.lineWidth = 1;
+      ctx.strokeRect(ROW_X + 0.5, y + 0.5, ROW_W - 1, ROW_H - 1);
+    }
+
+    // On/off box
+    const boxY = y + (ROW_H - BOX_SIZE) / 2;
+    ctx.strokeStyle = on ? ACTIVE_COLOR : DETAIL_COLOR;
+    ctx.lineWidth = 2;
+    ctx.strokeRect(BOX_X, boxY, BOX_SIZE, BOX_SIZE);
+    if (on) {
+      ctx.fillStyle = ACTIVE_COLOR;
+      ctx.fillRect(BOX_X + 3, boxY + 3, BOX_SIZE - 6, BOX_SIZE - 6);
+    }
+
+    // Name + description
+    ctx.fillStyle = on ? ACTIVE_COLOR : selected ? SELECTED_COLOR : NORMAL_COLOR;
+    ctx.font = '10px "Press Start 2P"';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText(def.name, TEXT_X, y + 8);
+
+    ctx.fillStyle = DETAIL_COLOR;
+    ctx.font = '7px "Press Start 2P"';
+    ctx.fillText(def.desc, TEXT_X, y + 24);
+
+    // Score multiplier
+    ctx.fillStyle = on ? ACTIVE_COLOR : NORMAL_COLOR;
+    ctx.font = '8px "Press Start 2P"';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(`x${def.score.toFixed(2)}`, SCORE_X, y + ROW_H / 2);
+
+    this.rowHitboxes.push({ x: ROW_X, y, w: ROW_W, h: ROW_H });
+  }
+
+  _renderBackButton(ctx, cx) {
+    const text = this.backHovered ? '> BACK <' : 'BACK';
+    ctx.fillStyle = this.backHovered ? '#00ffff' : '#ffffff';
+    ctx.font = '14px "Press Start 2P"';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, cx, BACK_Y);
+
+    // Cache hitbox
+    const metrics = ctx.measureText(text);
+    const w = metrics.width + 40;
+    this.backHitbox = {
+      x: cx - w / 2,
+      y: BACK_Y - 20,
+      w,
+      h: 40,
+    };
+  }
+
+  onInput(event) {}
+
+  // --- Actions ---
+
+  _toggle(id) {
+    mutators.toggle(id);
+    audio.playSFX(mutators.isActive(id) ? 'menuSelect' : 'menuBack');
+  }
+}
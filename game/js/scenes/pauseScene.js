@@ -1,6 +1,7 @@
 import { CANVAS_WIDTH, CANVAS_HEIGHT } from '../game.js';
 import { input } from '../input.js';
 import { audio } from '../systems/audio.js';
+import { PERKS } from '../systems/perks.js';
 
 const MENU_ITEMS = [
   { label: 'Resume',    enabled: true },
@@ -9,9 +10,21 @@ const MENU_ITEMS = [
   { label: 'Quit',      enabled: false },
 ];
 
+const PERKS_Y = 205;
+const PERKS_LINE_HEIGHT = 16;
+const PERKS_MAX_WIDTH = 640;
+
 class PauseScene {
-  constructor(game) {
+  /**
+   * @param {import('../game.js').Game} game
+   * @param {object} [opts]
+   * @param {import('../systems/perks.js').PerkSet} [opts.perks] - the run's perks, listed under the title
+   * @param {Function} [opts.onQuit] - called before leaving for the main menu
+   */
+  constructor(game, { perks = null, onQuit = null } = {}) {
     this.game = game;
+    this.perks = perks;
+    this.onQuit = onQuit;
     this.selectedIndex = 0;
     this.itemHitboxes = [];
   }
@@ -91,6 +104,8 @@ class PauseScene {
     ctx.textBaseline = 'middle';
     ctx.fillText('PAUSED', CANVAS_WIDTH / 2, 150);
 
+    if (this.perks) this._renderPerks(ctx);
+
     // Menu items
     const startY = 300;
     const spacing = 60;
@@ -130,6 +145,43 @@ class PauseScene {
     }
   }
 
+  /** Picked perks as wrapped lines of "NAME xN". */
+  _renderPerks(ctx) {
+    const perks = this.perks.list();
+    if (perks.length === 0) return;
+
+    ctx.font = '8px "Press Start 2P"';
+    ctx.fillStyle = '#888888';
+    ctx.fillText('PERKS', CANVAS_WIDTH / 2, PERKS_Y);
+
+    const lines = [[]];
+    for (const { id, count } of perks) {
+      const label = count > 1 ? `${PERKS[id].name} x${count}` : PERKS[id].name;
+      const line = lines[lines.length - 1];
+      const text = [...line.map(p => p.label), label].join('   ');
+      if (line.length > 0 && ctx.measureText(text).width > PERKS_MAX_WIDTH) {
+        lines.push([{ id, label }]);
+      } else {
+        line.push({ id, label });
+      }
+    }
+
+    // Each perk in its own color, centered line by line
+    ctx.textAlign = 'left';
+    const gap = ctx.measureText('   ').width;
+    lines.forEach((line, i) => {
+      const y = PERKS_Y + (i + 1) * PERKS_LINE_HEIGHT;
+      const width = line.reduce((w, p) => w + ctx.measureText(p.label).width, 0) + gap * (line.length - 1);
+      let x = CANVAS_WIDTH / 2 - width / 2;
+      for (const perk of line) {
+        ctx.fillStyle = PERKS[perk.id].color;
+        ctx.fillText(perk.label, x, y);
+        x += ctx.measureText(perk.label).width + gap;
+      }
+    });
+    ctx.textAlign = 'center';
+  }
+
   onInput(event) {}
 
   // --- Navigation helpers ---
@@ -173,6 +225,7 @@ class PauseScene {
         });
         break;
       case 2: // Main Menu
+        if (this.onQuit) this.onQuit();
         audio.stopGameplayMusic();
         this.game.scenes[0]._returnFromGameplay = true;
         this.game.popScene(); // remove PauseScene
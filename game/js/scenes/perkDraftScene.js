@@ -0,0 +1,162 @@
+import { CANVAS_WIDTH, CANVAS_HEIGHT } from '../game.js';
+import { input } from '../input.js';
+import { audio } from '../systems/audio.js';
+import { PERKS } from '../systems/perks.js';
+
+const TITLE_Y = 130;
+const CARD_Y = 190;
+const CARD_W = 200;
+const CARD_H = 220;
+const CARD_GAP = 30;
+const HINT_Y = 460;
+
+const SELECTED_COLOR = '#00ffff';
+const DETAIL_COLOR = '#aaaaaa';
+
+/**
+ * Pick one of a few perks between floors. Drawn over the gameplay scene,
+ * which waits underneath until a card is picked.
+ */
+export class PerkDraftScene {
+  /**
+   * @param {import('../game.js').Game} game
+   * @param {object} opts
+   * @param {string[]} opts.choices - perk ids on offer
+   * @param {import('../systems/perks.js').PerkSet} opts.perks - the run's perks, for stack counts
+   * @param {Function} opts.onPick - called with the chosen perk id
+   */
+  constructor(game, { choices, perks, onPick }) {
+    this.game = game;
+    this.choices = choices;
+    this.perks = perks;
+    this.onPick = onPick;
+    this.selectedIndex = 0;
+    this.cardHitboxes = [];
+  }
+
+  enter() {}
+
+  exit() {}
+
+  update(dt) {
+    // Keyboard navigation
+    if (input.isActionJustPressed('moveLeft')) {
+      this.selectedIndex = (this.selectedIndex - 1 + this.choices.length) % this.choices.length;
+      audio.playSFX('menuHover');
+    } else if (input.isActionJustPressed('moveRight')) {
+      this.selectedIndex = (this.selectedIndex + 1) % this.choices.length;
+      audio.playSFX('menuHover');
+    }
+
+    if (input.isKeyJustPressed('Enter') || input.isActionJustPressed('interact')) {
+      this.pick(this.selectedIndex);
+      return;
+    }
+
+    // Mouse hover + click
+    const mouse = input.getMousePos();
+    for (let i = 0; i < this.cardHitboxes.length; i++) {
+      const hb = this.cardHitboxes[i];
+      if (mouse.x >= hb.x && mouse.x <= hb.x + hb.w && mouse.y >= hb.y && mouse.y <= hb.y + hb.h) {
+        if (this.selectedIndex !== i) {
+          this.selectedIndex = i;
+          audio.playSFX('menuHover');
+        }
+        if (input.isMouseJustPressed(0)) {
+          this.pick(i);
+          return;
+        }
+        break;
+      }
+    }
+  }
+
+  /**
+   * Take the perk at `index` and hand back to the gameplay scene.
+   * @param {number} index
+   */
+  pick(index) {
+    audio.playSFX('menuSelect');
+    this.game.popScene();
+    if (this.onPick) this.onPick(this.choices[index]);
+  }
+
+  render(ctx) {
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+    ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+
+    ctx.fillStyle = '#ffffff';
+    ctx.font = '20px "Press Start 2P"';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('CHOOSE A PERK', CANVAS_WIDTH / 2, TITLE_Y);
+
+    const total = this.choices.length * CARD_W + (this.choices.length - 1) * CARD_GAP;
+    const startX = (CANVAS_WIDTH - total) / 2;
+    this.cardHitboxes = [];
+    for (let i = 0; i < this.choices.length; i++) {
+      const x = startX + i * (CARD_W + CARD_GAP);
+      this._renderCard(ctx, this.choices[i], x, i === this.selectedIndex);
+      this.cardHitboxes.push({ x, y: CARD_Y, w: CARD_W, h: CARD_H });
+    }
+
+    ctx.fillStyle = DETAIL_COLOR;
+    ctx.font = '8px "Press Start 2P"';
+    ctx.textAlign = 'center';
+    ctx.fillText('PERKS STACK AND LAST THE WHOLE RUN', CANVAS_WIDTH / 2, HINT_Y);
+  }
+
+  _renderCard(ctx, id, x, selected) {
+    const perk = PERKS[id];
+    const cx = x + CARD_W / 2;
+    const owned = this.perks.count(id);
+
+    ctx.fillStyle = selected ? 'rgba(0, 255, 255, 0.1)' : 'rgba(255, 255, 255, 0.04)';
+    ctx.fillRect(x, CARD_Y, CARD_W, CARD_H);
+    ctx.strokeStyle = selected ? SELECTED_COLOR : 'rgba(255, 255, 255, 0.3)';
+    ctx.lineWidth = selected ? 2 : 1;
+    ctx.strokeRect(x, CARD_Y, CARD_W, CARD_H);
+
+    // Emblem in the perk's color
+    ctx.fillStyle = perk.color;
+    ctx.fillRect(cx - 16, CARD_Y + 36, 32, 32);
+
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = '10px "Press Start 2P"';
+    ctx.fillStyle = selected ? SELECTED_COLOR : '#ffffff';
+    ctx.fillText(perk.name, cx, CARD_Y + 100);
+
+    ctx.font = '7px "Press Start 2P"';
+    ctx.fillStyle = DETAIL_COLOR;
+    _wrapText(ctx, perk.desc, CARD_W - 24).forEach((line, i) => {
+      ctx.fillText(line, cx, CARD_Y + 130 + i * 14);
+    });
+
+    if (owned > 0) {
+      ctx.fillStyle = perk.color;
+      ctx.fillText(`OWNED x${owned}`, cx, CARD_Y + CARD_H - 20);
+    }
+  }
+
+  onInput(event) {}
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────────
+
+/** Split text into lines no wider than maxWidth at the current font. */
+function _wrapText(ctx, text, maxWidth) {
+  const lines = [];
+  let line = '';
+  for (const word of text.split(' ')) {
+    const next = line ? `${line} ${word}` : word;
+    if (line && ctx.measureText(next).width > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = next;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
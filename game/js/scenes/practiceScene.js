@@ -0,0 +1,316 @@
+import { CANVAS_WIDTH, CANVAS_HEIGHT } from '../game.js';
+import { input } from '../input.js';
+import { audio } from '../systems/audio.js';
+import { practice } from '../systems/practice.js';
+import { qteRegistry } from '../qtes/qteRegistry.js';
+import { ENEMY_COLORS } from '../enemies/enemy.js';
+import { QTEScene } from './qteScene.js';
+
+const TITLE_Y = 45;
+const DEPTH_Y = 85;
+const HEADER_Y = 118;
+const LIST_START_Y = 130;
+const LIST_SPACING = 42;
+const VISIBLE_ROWS = 9;  // rows that fit above BACK; the rest scroll
+const BACK_Y = 545;
+
+const ROW_X = 100;
+const ROW_W = 600;
+const ROW_H = 36;
+const TEXT_X = 120;
+const BEST_X = 560;   // right edge of the best-time column
+const RATE_X = 680;   // right edge of the success-rate column
+const SCROLL_ARROW_X = 730;
+const SCROLL_ARROW_SIZE = 8;
+
+const MIN_DEPTH = 1;
+const MAX_DEPTH = 30;
+const DEPTH_ARROW_OFFSET = 110;  // px from centre to each depth arrow
+
+const SELECTED_COLOR = '#00ffff';
+const NORMAL_COLOR = '#ffffff';
+const DETAIL_COLOR = '#888888';
+const EMPTY_COLOR = '#555555';
+const DEFAULT_QTE_COLOR = '#ffaa00';
+
+export class PracticeScene {
+  constructor(game) {
+    this.game = game;
+    this.qteIds = qteRegistry.ids();
+    this.selectedRow = 0;
+    this.scrollTop = 0;  // first listed row shown
+    this.levelDepth = MIN_DEPTH;
+
+    this.rowHitboxes = [];     // visible rows: { x, y, w, h, index }
+    this.scrollHitboxes = [];  // [up, down], only while there's more that way
+    this.depthHitboxes = [];   // [decrease, increase]
+    this.backHitbox = null;
+    this.backHovered = false;
+  }
+
+  enter() {
+    // Pause → Main Menu inside a practice QTE flags a landing we don't want
+    if (this.game.scenes[0]) this.game.scenes[0]._returnFromGameplay = false;
+  }
+
+  exit() {}
+
+  update(dt) {
+    if (input.isKeyJustPressed('Escape')) {
+      this.game.popScene();
+      return;
+    }
+
+    // Keyboard navigation — QTEs vertically, floor depth horizontally
+    if (input.isActionJustPressed('moveUp')) {
+      this.selectedRow = (this.selectedRow - 1 + this.qteIds.length) % this.qteIds.length;
+      this._scrollToSelected();
+      audio.playSFX('menuHover');
+    } else if (input.isActionJustPressed('moveDown')) {
+      this.selectedRow = (this.selectedRow + 1) % this.qteIds.length;
+      this._scrollToSelected();
+      audio.playSFX('menuHover');
+    }
+    if (input.isActionJustPressed('moveLeft')) {
+      this._changeDepth(-1);
+    } else if (input.isActionJustPressed('moveRight')) {
+      this._changeDepth(1);
+    }
+
+    if (input.isKeyJustPressed('Enter') || input.isActionJustPressed('interact')) {
+      this._startQTE(this.qteIds[this.selectedRow]);
+      return;
+    }
+
+    const mouse = input.getScreenMousePos();
+    const hit = (hb) => hb &&
+      mouse.x >= hb.x && mouse.x <= hb.x + hb.w &&
+      mouse.y >= hb.y && mouse.y <= hb.y + hb.h;
+
+    // Mouse hover
+    for (const hb of this.rowHitboxes) {
+      if (hit(hb) && this.selectedRow !== hb.index) {
+        this.selectedRow = hb.index;
+        audio.playSFX('menuHover');
+        break;
+      }
+    }
+    this.backHovered = hit(this.backHitbox);
+
+    // Mouse click
+    if (input.isMouseJustPressed(0)) {
+      if (this.backHovered) {
+        this.game.popScene();
+        return;
+      }
+      if (hit(this.depthHitboxes[0])) this._changeDepth(-1);
+      if (hit(this.depthHitboxes[1])) this._changeDepth(1);
+      if (hit(this.scrollHitboxes[0])) this._scroll(-1);
+      if (hit(this.scrollHitboxes[1])) this._scroll(1);
+      for (const hb of this.rowHitboxes) {
+        if (hit(hb)) {
+          this._startQTE(this.qteIds[hb.index]);
+          return;
+        }
+      }
+    }
+  }
+
+  render(ctx) {
+    // Background fill (goes through CRT)
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+  }
+
+  renderOverlay(ctx) {
+    // A practice QTE (and its pause menu) draws over this scene
+    if (this.game.currentScene() !== this) return;
+
+    const cx = CANVAS_WIDTH / 2;
+
+    // Title
+    ctx.fillStyle = '#ffffff';
+    ctx.font = '20px "Press Start 2P"';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('PRACTICE', cx, TITLE_Y);
+
+    this._renderDepthSelector(ctx, cx);
+
+    // Column headers
+    ctx.fillStyle = DETAIL_COLOR;
+    ctx.font = '7px "Press Start 2P"';
+    ctx.textAlign = 'right';
+    ctx.fillText('BEST', BEST_X, HEADER_Y);
+    ctx.fillText('SUCCESS', RATE_X, HEADER_Y);
+
+    // QTE list — the rows in view
+    this.rowHitboxes = [];
+    const end = Math.min(this.qteIds.length, this.scrollTop + VISIBLE_ROWS);
+    for (let i = this.scrollTop; i < end; i++) {
+      this._renderRow(ctx, this.qteIds[i], i, LIST_START_Y + (i - this.scrollTop) * LIST_SPACING);
+    }
+    this._renderScrollArrows(ctx);
+
+    this._renderBackButton(ctx, cx);
+  }
+
+  _renderDepthSelector(ctx, cx) {
+    ctx.font = '12px "Press Start 2P"';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    ctx.fillStyle = NORMAL_COLOR;
+    ctx.fillText(`FLOOR ${this.levelDepth}`, cx, DEPTH_Y);
+
+    this.depthHitboxes = [];
+    const arrows = [
+      { text: '<', x: cx - DEPTH_ARROW_OFFSET, enabled: this.levelDepth > MIN_DEPTH },
+      { text: '>', x: cx + DEPTH_ARROW_OFFSET, enabled: this.levelDepth < MAX_DEPTH },
+    ];
+    for (const arrow of arrows) {
+      ctx.fillStyle = arrow.enabled ? SELECTED_COLOR : EMPTY_COLOR;
+      ctx.fillText(arrow.text, arrow.x, DEPTH_Y);
+      this.depthHitboxes.push({ x: arrow.x - 20, y: DEPTH_Y - 16, w: 40, h: 32 });
+    }
+  }
+
+  _renderRow(ctx, qteId, index, y) {
+    const def = qteRegistry.get(qteId);
+    const stats = practice.get(qteId);
+    const selected = index === this.selectedRow;
+
+    // Row background
+    ctx.fillStyle = selected ? 'rgba(0, 255, 255, 0.08)' : 'rgba(255, 255, 255, 0.03)';
+    ctx.fillRect(ROW_X, y, ROW_W, ROW_H);
+    if (selected) {
+      ctx.strokeStyle = SELECTED_COLOR;
+      ctx.lineWidth = 1;
+      ctx.strokeRect(ROW_X + 0.5, y + 0.5, ROW_W - 1, ROW_H - 1);
+    }
+
+    // Name + task
+    ctx.fillStyle = selected ? SELECTED_COLOR : NORMAL_COLOR;
+    ctx.font = '10px "Press Start 2P"';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText(def.name, TEXT_X, y + 7);
+
+    ctx.fillStyle = DETAIL_COLOR;
+    ctx.font = '7px "Press Start 2P"';
+    ctx.fillText(`${def.taskDesc} (${def.inputType})`, TEXT_X, y + 22);
+
+    // Best time + success rate
+    ctx.font = '8px "Press Start 2P"';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = stats.bestTime === null ? EMPTY_COLOR : NORMAL_COLOR;
+    ctx.fillText(stats.bestTime === null ? '--' : `${stats.bestTime.toFixed(2)}s`, BEST_X, y + ROW_H / 2);
+
+    ctx.fillStyle = stats.attempts === 0 ? EMPTY_COLOR : NORMAL_COLOR;
+    const rate = stats.attempts === 0
+      ? '--'
+      : `${Math.round((stats.successes / stats.attempts) * 100)}% (${stats.successes}/${stats.attempts})`;
+    ctx.fillText(rate, RATE_X, y + ROW_H / 2);
+
+    this.rowHitboxes.push({ x: ROW_X, y, w: ROW_W, h: ROW_H, index });
+  }
+
+  /** Up/down arrows beside the first and last rows in view, when the list goes on. */
+  _renderScrollArrows(ctx) {
+    const lastSlot = Math.min(VISIBLE_ROWS, this.qteIds.length) - 1;
+    const arrows = [
+      { y: LIST_START_Y + ROW_H / 2, dir: -1, enabled: this.scrollTop > 0 },
+      { y: LIST_START_Y + lastSlot * LIST_SPACING + ROW_H / 2, dir: 1, enabled: this.scrollTop < this._maxScroll() },
+    ];
+
+    this.scrollHitboxes = [];
+    ctx.fillStyle = SELECTED_COLOR;
+    for (const arrow of arrows) {
+      if (!arrow.enabled) {
+        this.scrollHitboxes.push(null);
+        continue;
+      }
+      const tip = arrow.y + arrow.dir * SCROLL_ARROW_SIZE;
+      const base = arrow.y - arrow.dir * SCROLL_ARROW_SIZE;
+      ctx.beginPath();
+      ctx.moveTo(SCROLL_ARROW_X, tip);
+      ctx.lineTo(SCROLL_ARROW_X - SCROLL_ARROW_SIZE, base);
+      ctx.lineTo(SCROLL_ARROW_X + SCROLL_ARROW_SIZE, base);
+      ctx.closePath();
+      ctx.fill();
+      this.scrollHitboxes.push({ x: SCROLL_ARROW_X - 20, y: arrow.y - ROW_H / 2, w: 40, h: ROW_H });
+    }
+  }
+
+  _renderBackButton(ctx, cx) {
+    const text = this.backHovered ? '> BACK <' : 'BACK';
+    ctx.fillStyle = this.backHovered ? '#00ffff' : '#ffffff';
+    ctx.font = '14px "Press Start 2P"';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, cx, BACK_Y);
+
+    // Cache hitbox
+    const metrics = ctx.measureText(text);
+    const w = metrics.width + 40;
+    this.backHitbox = {
+      x: cx - w / 2,
+      y: BACK_Y - 20,
+      w,
+      h: 40,
+    };
+  }
+
+  onInput(event) {}
+
+  // --- Actions ---
+
+  _maxScroll() {
+    return Math.max(0, this.qteIds.length - VISIBLE_ROWS);
+  }
+
+  /** Move the view by `delta` rows, keeping the selection on screen. */
+  _scroll(delta) {
+    const top = Math.max(0, Math.min(this._maxScroll(), this.scrollTop + delta));
+    if (top === this.scrollTop) return;
+    this.scrollTop = top;
+    this.selectedRow = Math.max(top, Math.min(top + VISIBLE_ROWS - 1, this.selectedRow));
+    audio.playSFX('menuHover');
+  }
+
+  /** Bring the selected row into view after keyboard navigation. */
+  _scrollToSelected() {
+    if (this.selectedRow < this.scrollTop) {
+      this.scrollTop = this.selectedRow;
+    } else if (this.selectedRow >= this.scrollTop + VISIBLE_ROWS) {
+      this.scrollTop = this.selectedRow - VISIBLE_ROWS + 1;
+    }
+  }
+
+  _changeDepth(delta) {
+    const depth = Math.max(MIN_DEPTH, Math.min(MAX_DEPTH, this.levelDepth + delta));
+    if (depth === this.levelDepth) return;
+    this.levelDepth = depth;
+    audio.playSFX('menuHover');
+  }
+
+  /** Play one QTE at the chosen depth and record how it went. */
+  _startQTE(qteId) {
+    audio.playSFX('menuSelect');
+
+    // Stand-in for the enemy that would normally trigger it
+    const proxy = {
+      color: ENEMY_COLORS[qteId] || DEFAULT_QTE_COLOR,
+      enemyType: qteId,
+      qtePool: { [qteId]: 1 },
+    };
+    const scene = new QTEScene(this.game, {
+      enemy: proxy,
+      levelDepth: this.levelDepth,
+      onSuccess: () => practice.record(qteId, true, scene.qte.elapsed),
+      onFail: () => practice.record(qteId, false, scene.qte.elapsed),
+    });
+    this.game.pushScene(scene);
+  }
+}
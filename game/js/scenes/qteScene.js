@@ -1,70 +1,62 @@
 import { CANVAS_WIDTH, CANVAS_HEIGHT } from '../game.js';
 import { input } from '../input.js';
+import { gamepad } from '../gamepad.js';
+import { TOUCH_LAYOUTS } from '../touch.js';
 import { PauseScene } from './pauseScene.js';
 import { audio } from '../systems/audio.js';
-import { QTE } from '../qtes/qte.js';
-import { BatQTE } from '../qtes/batQte.js';
-import { TapQTE } from '../qtes/tapQte.js';
-import { GopherQTE } from '../qtes/gopherQte.js';
-import { SpinningTopQTE } from '../qtes/spinningTopQte.js';
-import { LetterQTE } from '../qtes/letterQte.js';
-import { CowboyQTE } from '../qtes/cowboyQte.js';
-import { ControllerQTE } from '../qtes/controllerQte.js';
-import { HeartQTE } from '../qtes/heartQte.js';
-import { ClockQTE } from '../qtes/clockQte.js';
+import { QTE, QTE_GRADES, QTE_GRADE_LABELS, QTE_GRADE_COLORS } from '../qtes/qte.js';
+import { qteRegistry } from '../qtes/qteRegistry.js';
+import { ELITE_AFFIXES } from '../enemies/affixes.js';
+import '../qtes/builtinQtes.js';
 import { getQTETimeLimit } from '../systems/difficulty.js';
+import { rng, RNG_STREAMS } from '../systems/rng.js';
+
+const qteRng = rng.stream(RNG_STREAMS.QTE);
 
 const SPLASH_DURATION = 1.5;
+const GRADE_BANNER_DURATION = 0.5;  // seconds the grade shows after a success
+const GRADE_POP_DURATION = 0.12;    // banner scales down into place over this
+const CHAIN_SPLASH_DURATION = 0.75; // shorter splash between links of a chain
 
-const QTE_INPUT_TYPE = {
-  bat: 'MOUSE',
-  gopher: 'MOUSE',
-  spinningTop: 'MOUSE',
-  letter: 'KEYBOARD',
-  cowboy: 'MOUSE',
-  controller: 'KEYBOARD',
-  heart: 'MOUSE',
-  clock: 'MOUSE',
-  tap: 'KEYBOARD',
-  generator: 'KEYBOARD',
-};
-
-const QTE_TASK_DESC = {
-  bat: 'CLICK THE BAT',
-  gopher: 'WHACK A MOLE',
-  spinningTop: 'SPIN THE WHEEL',
-  letter: 'TYPE THE WORD',
-  cowboy: 'WAIT... CLICK!',
-  controller: 'REACH THE EXIT',
-  heart: 'HIT THE BEAT',
-  clock: 'SET THE TIME',
-  tap: 'TAP RAPIDLY',
-  generator: 'TAP RAPIDLY',
-};
+// Worst first — a chain is graded by its weakest link
+const GRADE_ORDER = [QTE_GRADES.GOOD, QTE_GRADES.GREAT, QTE_GRADES.PERFECT];
 
 class QTEScene {
   /**
    * @param {import('../game.js').Game} game
    * @param {object} [opts]
-   * @param {import('../enemies/enemy.js').Enemy} [opts.enemy]  - The enemy that triggered this QTE
-   * @param {Function} [opts.onSuccess] - Called when the QTE is completed successfully
-   * @param {Function} [opts.onFail]    - Called when the QTE times out / player fails
+   * @param {import('../enemies/enemy.js').Enemy} [opts.enemy]  - The enemy that triggered this QTE.
+   *   An enemy with a `qteChain` (bosses) runs those QTE ids back to back instead of one from its pool.
+   * @param {number} [opts.levelDepth=1] - Depth the QTE is tuned for; elites pass theirs bumped up
+   * @param {number} [opts.timeBonus=0] - Seconds added to each QTE's time limit (perks)
+   * @param {Function} [opts.onSuccess] - Called with (enemy, grade) when the QTE (or the whole chain) is completed
+   * @param {Function} [opts.onFail]    - Called when the QTE times out / player fails, including any link of a chain
    */
-  constructor(game, { enemy = null, levelDepth = 1, onSuccess = null, onFail = null } = {}) {
+  constructor(game, { enemy = null, levelDepth = 1, timeBonus = 0, onSuccess = null, onFail = null } = {}) {
     this.game = game;
     this.enemy = enemy;
     this.levelDepth = levelDepth;
+    this.timeBonus = timeBonus;
     this.onSuccess = onSuccess;
     this.onFail = onFail;
     this.qte = null;
+    this.qteType = null;  // registry id picked from the enemy's pool on enter()
+    this.chain = null;    // QTE ids to clear back to back, when the enemy has a qteChain
+    this.chainIndex = 0;
+    this.chainGrades = [];
     this.splashTimer = 0;
     this.splashDone = false;
+    this.gradeTimer = 0;
   }
 
   enter() {
     // Don't re-create when returning from pause
     if (this.qte) return;
 
+    this.chain = this.enemy?.qteChain ? [...this.enemy.qteChain] : null;
+    this.qteType = this.chain
+      ? this.chain[0]
+      : qteRegistry.pickFromPool(this.enemy?.qtePool, qteRng);
     this.qte = this._createQTE();
     // Don't init yet — wait for splash to finish
     audio.playSFX('qteStart');
@@ -89,6 +81,7 @@ class QTEScene {
     // Splash phase — wait before starting the QTE
     if (!this.splashDone) {
       this.splashTimer += dt;
+      this.qte.prepare();
       if (this.splashTimer >= SPLASH_DURATION) {
         this.splashDone = true;
         this.qte.init();
@@ -96,16 +89,28 @@ class QTEScene {
       return;
     }
 
-    this.qte.update(dt);
+    if (!this.qte.completed) {
+      this.qte.update(dt);
 
-    // Drive QTE slowdown → speedup progression
-    if (this.qte.timeLimit > 0) {
-      audio.setQTEProgress(this.qte.elapsed / this.qte.timeLimit);
+      // Drive QTE slowdown → speedup progression
+      if (this.qte.timeLimit > 0) {
+        audio.setQTEProgress(this.qte.elapsed / this.qte.timeLimit);
+      }
     }
 
     if (this.qte.completed) {
+      // Hold on the grade banner before handing back
+      if (this.qte.result === 'success' && this.gradeTimer < GRADE_BANNER_DURATION) {
+        this.gradeTimer += dt;
+        return;
+      }
+
       if (this.qte.result === 'success') {
-        if (this.onSuccess) this.onSuccess(this.enemy);
+        if (this.chain && this.chainIndex < this.chain.length - 1) {
+          this._nextInChain();
+          return;
+        }
+        if (this.onSuccess) this.onSuccess(this.enemy, this._finalGrade());
       } else {
         if (this.onFail) this.onFail(this.enemy);
       }
@@ -121,6 +126,7 @@ class QTEScene {
     if (!this.splashDone) {
       // ── Splash phase: enemy name + input type ──
       this._renderSplash(ctx);
+      if (this.chain) this._renderChainProgress(ctx);
       return;
     }
 
@@ -140,6 +146,38 @@ class QTEScene {
     // QTE renders timer bar + mini-game content
     if (this.qte) {
       this.qte.render(ctx);
+      if (this.qte.grade) this._renderGrade(ctx);
+    }
+    if (this.chain) this._renderChainProgress(ctx);
+  }
+
+  _renderGrade(ctx) {
+    const cy = CANVAS_HEIGHT / 2;
+    const pop = Math.max(0, 1 - this.gradeTimer / GRADE_POP_DURATION);
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(0, cy - 40, CANVAS_WIDTH, 80);
+
+    ctx.fillStyle = QTE_GRADE_COLORS[this.qte.grade];
+    ctx.font = `${Math.round(32 * (1 + pop * 0.5))}px "Press Start 2P"`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(`${QTE_GRADE_LABELS[this.qte.grade]}!`, CANVAS_WIDTH / 2, cy);
+  }
+
+  /** One pip per link above the timer bar — cleared links filled. */
+  _renderChainProgress(ctx) {
+    const pipSize = 10;
+    const pipGap = 6;
+    const total = this.chain.length;
+    const startX = CANVAS_WIDTH / 2 - (total * pipSize + (total - 1) * pipGap) / 2;
+    const y = 36;
+
+    for (let i = 0; i < total; i++) {
+      const x = startX + i * (pipSize + pipGap);
+      const cleared = i < this.chainIndex || (i === this.chainIndex && this.qte?.result === 'success');
+      ctx.fillStyle = cleared ? '#44ff88' : i === this.chainIndex ? '#ffffff' : 'rgba(255, 255, 255, 0.25)';
+      ctx.fillRect(x, y, pipSize, pipSize);
     }
   }
 
@@ -150,20 +188,34 @@ class QTEScene {
     ctx.textAlign = 'center';
     ctx.textBaseline = 'middle';
 
-    const qteType = this.enemy?.qteType || this.enemy?.enemyType;
+    const def = qteRegistry.get(this.qteType);
 
     // Task description (large)
-    const desc = QTE_TASK_DESC[qteType] || 'GET READY';
+    const desc = def ? def.taskDesc : 'GET READY';
     ctx.fillStyle = this.enemy?.color || '#ffffff';
     ctx.font = '20px "Press Start 2P"';
     ctx.fillText(desc, cx, cy - 10);
 
+    // Elite warning — the affixes that made this one harder
+    if (this.enemy?.isElite) {
+      ctx.fillStyle = ELITE_AFFIXES[this.enemy.affixes[0]].color;
+      ctx.font = '10px "Press Start 2P"';
+      const labels = this.enemy.affixes.map(id => ELITE_AFFIXES[id].label).join(' ');
+      ctx.fillText(`ELITE: ${labels}`, cx, cy - 50);
+    }
+
     // Input type indicator
-    const inputType = QTE_INPUT_TYPE[qteType] || 'MOUSE';
+    const inputType = def ? def.inputType : 'MOUSE';
     ctx.fillStyle = '#aaaaaa';
     ctx.font = '14px "Press Start 2P"';
     ctx.fillText(`USE ${inputType}`, cx, cy + 40);
 
+    if (gamepad.connected && def?.padHint) {
+      ctx.fillStyle = '#666666';
+      ctx.font = '8px "Press Start 2P"';
+      ctx.fillText(`GAMEPAD: ${def.padHint}`, cx, cy + 70);
+    }
+
     // Timer bar (always white, no red)
     const barW = 400;
     const barH = 12;
@@ -180,61 +232,45 @@ class QTEScene {
     ctx.strokeRect(barX, barY, barW, barH);
   }
 
+  /** On-screen touch controls: the running QTE's, or just pause during the splash. */
+  get touchLayout() {
+    return this.qte && this.splashDone ? this.qte.touchLayout : TOUCH_LAYOUTS.POINTER;
+  }
+
   onInput(event) {
     if (this.qte && this.splashDone) {
       this.qte.onInput(event);
     }
   }
 
-  /**
-   * Create the appropriate QTE subclass based on enemy type.
-   * Subclass mapping will be added as QTE mini-games are implemented (Steps 20+).
-   */
-  _createQTE() {
-    const type = this.enemy?.qteType;
-    const timeLimit = getQTETimeLimit(this.levelDepth);
-
-    if (type === 'bat') {
-      return new BatQTE({ enemy: this.enemy, timeLimit, levelDepth: this.levelDepth });
-    }
-
-    if (type === 'gopher') {
-      return new GopherQTE({ enemy: this.enemy, timeLimit, levelDepth: this.levelDepth });
-    }
-
-    if (type === 'spinningTop') {
-      return new SpinningTopQTE({ enemy: this.enemy, timeLimit });
-    }
-
-    if (type === 'letter') {
-      return new LetterQTE({ enemy: this.enemy, timeLimit, levelDepth: this.levelDepth });
-    }
-
-    if (type === 'cowboy') {
-      return new CowboyQTE({ enemy: this.enemy, timeLimit });
-    }
-
-    if (type === 'controller') {
-      return new ControllerQTE({ enemy: this.enemy, timeLimit });
-    }
-
-    if (type === 'heart') {
-      return new HeartQTE({ enemy: this.enemy, timeLimit, levelDepth: this.levelDepth });
-    }
+  /** Swap in the next QTE of the chain, with a shorter splash before it. */
+  _nextInChain() {
+    this.chainGrades.push(this.qte.grade);
+    this.qte.cleanup();
+    this.chainIndex++;
+    this.qteType = this.chain[this.chainIndex];
+    this.qte = this._createQTE();
+    this.splashTimer = SPLASH_DURATION - CHAIN_SPLASH_DURATION;
+    this.splashDone = false;
+    this.gradeTimer = 0;
+    audio.playSFX('qteStart');
+  }
 
-    if (type === 'clock') {
-      return new ClockQTE({ enemy: this.enemy, timeLimit });
-    }
+  /** The QTE's grade, or the worst grade across a chain. */
+  _finalGrade() {
+    if (!this.chain) return this.qte.grade;
+    const grades = [...this.chainGrades, this.qte.grade];
+    return grades.reduce((worst, g) => (GRADE_ORDER.indexOf(g) < GRADE_ORDER.indexOf(worst) ? g : worst));
+  }
 
-    if (type === 'tap') {
-      return new TapQTE({ enemy: this.enemy, timeLimit, levelDepth: this.levelDepth });
-    }
+  /** Build the picked QTE type from the registry, plus any bonus time. */
+  _createQTE() {
+    // Registry type, or the base QTE as a fallback (counts down and fails on timeout)
+    const qte = qteRegistry.create(this.qteType, { enemy: this.enemy, levelDepth: this.levelDepth })
+      || new QTE({ timeLimit: getQTETimeLimit(this.levelDepth), enemy: this.enemy });
 
-    // Fallback — base QTE (counts down and fails on timeout)
-    return new QTE({
-      timeLimit,
-      enemy: this.enemy,
-    });
+    if (qte.timeLimit > 0) qte.timeLimit += this.timeBonus;
+    return qte;
   }
 }
 
@@ -0,0 +1,307 @@
+import { CANVAS_WIDTH, CANVAS_HEIGHT } from '../game.js';
+import { input } from '../input.js';
+import { audio } from '../systems/audio.js';
+import { replay } from '../systems/replay.js';
+import { formatSeed } from '../systems/rng.js';
+import { controllerPacks } from '../qtes/controllerPacks.js';
+
+const TITLE_Y = 45;
+const LIST_START_Y = 95;
+const LIST_SPACING = 62;
+const ACTIONS_Y = 450;
+const STATUS_Y = 490;
+const BACK_Y = 545;
+
+const ROW_X = 100;
+const ROW_W = 600;
+const ROW_H = 50;
+const TEXT_X = 120;
+
+const ACTIONS = [
+  { id: 'play',   label: 'PLAY',   needsReplay: true },
+  { id: 'export', label: 'EXPORT', needsReplay: true },
+  { id: 'import', label: 'IMPORT', needsReplay: false },
+  { id: 'delete', label: 'DELETE', needsReplay: true },
+];
+const ACTION_SPACING = 150;
+
+const STATUS_DURATION = 2.5; // seconds
+
+const SELECTED_COLOR = '#00ffff';
+const NORMAL_COLOR = '#ffffff';
+const DISABLED_COLOR = '#444444';
+const DETAIL_COLOR = '#888888';
+
+export class ReplaysScene {
+  constructor(game) {
+    this.game = game;
+    this.replays = [];
+    this.selectedRow = 0;
+    this.selectedAction = 0;
+
+    this.rowHitboxes = [];
+    this.actionHitboxes = [];
+    this.backHitbox = null;
+    this.backHovered = false;
+
+    this.statusText = '';
+    this.statusTimer = 0;
+  }
+
+  enter() {
+    // Re-read on every enter — a finished playback or new run may have saved one
+    this.replays = replay.getSaved();
+    this.selectedRow = Math.min(this.selectedRow, Math.max(0, this.replays.length - 1));
+  }
+
+  exit() {}
+
+  update(dt) {
+    if (this.statusTimer > 0) this.statusTimer -= dt;
+
+    if (input.isKeyJustPressed('Escape')) {
+      this.game.popScene();
+      return;
+    }
+
+    // Keyboard navigation — rows vertically, actions horizontally
+    if (input.isActionJustPressed('moveUp') && this.replays.length > 0) {
+      this.selectedRow = (this.selectedRow - 1 + this.replays.length) % this.replays.length;
+      audio.playSFX('menuHover');
+    } else if (input.isActionJustPressed('moveDown') && this.replays.length > 0) {
+      this.selectedRow = (this.selectedRow + 1) % this.replays.length;
+      audio.playSFX('menuHover');
+    }
+    if (input.isActionJustPressed('moveLeft')) {
+      this.selectedAction = (this.selectedAction - 1 + ACTIONS.length) % ACTIONS.length;
+      audio.playSFX('menuHover');
+    } else if (input.isActionJustPressed('moveRight')) {
+      this.selectedAction = (this.selectedAction + 1) % ACTIONS.length;
+      audio.playSFX('menuHover');
+    }
+
+    if (input.isKeyJustPressed('Enter') || input.isActionJustPressed('interact')) {
+      this._executeAction(this.selectedAction);
+      return;
+    }
+
+    const mouse = input.getScreenMousePos();
+    const hit = (hb) => hb &&
+      mouse.x >= hb.x && mouse.x <= hb.x + hb.w &&
+      mouse.y >= hb.y && mouse.y <= hb.y + hb.h;
+
+    // Mouse hover
+    for (let i = 0; i < this.actionHitboxes.length; i++) {
+      if (hit(this.actionHitboxes[i])) {
+        this.selectedAction = i;
+        break;
+      }
+    }
+    this.backHovered = hit(this.backHitbox);
+
+    // Mouse click
+    if (input.isMouseJustPressed(0)) {
+      if (this.backHovered) {
+        this.game.popScene();
+        return;
+      }
+      for (let i = 0; i < this.rowHitboxes.length; i++) {
+        if (hit(this.rowHitboxes[i])) {
+          this.selectedRow = i;
+          audio.playSFX('menuHover');
+          return;
+        }
+      }
+      for (let i = 0; i < this.actionHitboxes.length; i++) {
+        if (hit(this.actionHitboxes[i])) {
+          this._executeAction(i);
+          return;
+        }
+      }
+    }
+  }
+
+  render(ctx) {
+    // Background fill (goes through CRT)
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+  }
+
+  renderOverlay(ctx) {
+    const cx = CANVAS_WIDTH / 2;
+
+    // Title
+    ctx.fillStyle = '#ffffff';
+    ctx.font = '20px "Press Start 2P"';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('REPLAYS', cx, TITLE_Y);
+
+    // Replay list
+    this.rowHitboxes = [];
+    if (this.replays.length === 0) {
+      ctx.fillStyle = '#666666';
+      ctx.font = '10px "Press Start 2P"';
+      ctx.fillText('NO REPLAYS YET', cx, LIST_START_Y + 120);
+    } else {
+      for (let i = 0; i < this.replays.length; i++) {
+        this._renderRow(ctx, this.replays[i], i);
+      }
+    }
+
+    this._renderActions(ctx, cx);
+
+    // Status message
+    if (this.statusTimer > 0) {
+      ctx.fillStyle = '#44ff88';
+      ctx.font = '8px "Press Start 2P"';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(this.statusText, cx, STATUS_Y);
+    }
+
+    this._renderBackButton(ctx, cx);
+  }
+
+  _renderRow(ctx, rep, index) {
+    const y = LIST_START_Y + index * LIST_SPACING;
+    const selected = index === this.selectedRow;
+
+    // Row background
+    ctx.fillStyle = selected ? 'rgba(0, 255, 255, 0.08)' : 'rgba(255, 255, 255, 0.03)';
+    ctx.fillRect(ROW_X, y, ROW_W, ROW_H);
+    if (selected) {
+      ctx.strokeStyle = SELECTED_COLOR;
+      ctx.lineWidth = 1;
+      ctx.strokeRect(ROW_X + 0.5, y + 0.5, ROW_W - 1, ROW_H - 1);
+    }
+
+    // Date + seed
+    const date = new Date(rep.date);
+    ctx.fillStyle = selected ? SELECTED_COLOR : NORMAL_COLOR;
+    ctx.font = '10px "Press Start 2P"';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText(
+      `${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`,
+      TEXT_X, y + 10,
+    );
+    ctx.textAlign = 'right';
+    ctx.fillText(`SEED ${formatSeed(rep.seed)}`, ROW_X + ROW_W - 20, y + 10);
+
+    // Run stats
+    ctx.fillStyle = DETAIL_COLOR;
+    ctx.font = '7px "Press Start 2P"';
+    ctx.textAlign = 'left';
+    ctx.fillText(
+      `FLOOR ${rep.levelDepth}   KILLS ${rep.enemiesKilled}   TIME ${this._formatTime(rep.duration)}`,
+      TEXT_X, y + 30,
+    );
+
+    this.rowHitboxes.push({ x: ROW_X, y, w: ROW_W, h: ROW_H });
+  }
+
+  _renderActions(ctx, cx) {
+    this.actionHitboxes = [];
+
+    ctx.font = '12px "Press Start 2P"';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    const startX = cx - ((ACTIONS.length - 1) * ACTION_SPACING) / 2;
+    for (let i = 0; i < ACTIONS.length; i++) {
+      const x = startX + i * ACTION_SPACING;
+      const enabled = this._isActionEnabled(i);
+      const selected = i === this.selectedAction;
+
+      let text = ACTIONS[i].label;
+      if (!enabled) {
+        ctx.fillStyle = DISABLED_COLOR;
+      } else if (selected) {
+        ctx.fillStyle = SELECTED_COLOR;
+        text = `>${text}<`;
+      } else {
+        ctx.fillStyle = NORMAL_COLOR;
+      }
+      ctx.fillText(text, x, ACTIONS_Y);
+
+      const w = ACTION_SPACING - 10;
+      this.actionHitboxes.push({ x: x - w / 2, y: ACTIONS_Y - 16, w, h: 32 });
+    }
+  }
+
+  _renderBackButton(ctx, cx) {
+    const text = this.backHovered ? '> BACK <' : 'BACK';
+    ctx.fillStyle = this.backHovered ? '#00ffff' : '#ffffff';
+    ctx.font = '14px "Press Start 2P"';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, cx, BACK_Y);
+
+    // Cache hitbox
+    const metrics = ctx.measureText(text);
+    const w = metrics.width + 40;
+    this.backHitbox = {
+      x: cx - w / 2,
+      y: BACK_Y - 20,
+      w,
+      h: 40,
+    };
+  }
+
+  onInput(event) {}
+
+  // --- Actions ---
+
+  _isActionEnabled(index) {
+    return !ACTIONS[index].needsReplay || this.replays.length > 0;
+  }
+
+  _executeAction(index) {
+    if (!this._isActionEnabled(index)) return;
+    audio.playSFX('menuSelect');
+
+    const selected = this.replays[this.selectedRow];
+    switch (ACTIONS[index].id) {
+      case 'play':
+        // A replay must pick the same ControllerQTE maps it was recorded with
+        controllerPacks.ready.then(() => import('./gameplayScene.js')).then(({ GameplayScene }) => {
+          replay.startPlayback(this.game, selected);
+          this.game.pushScene(new GameplayScene(this.game, { startWithLanding: true, seed: selected.seed }));
+        });
+        break;
+      case 'export':
+        replay.exportToFile(selected);
+        this._showStatus('REPLAY EXPORTED');
+        break;
+      case 'import':
+        replay.importFromFile().then((loaded) => {
+          if (!loaded) {
+            this._showStatus('NOT A VALID REPLAY FILE');
+            return;
+          }
+          replay.addSaved(loaded);
+          this.replays = replay.getSaved();
+          this.selectedRow = 0;
+          this._showStatus('REPLAY IMPORTED');
+        });
+        break;
+      case 'delete':
+        replay.deleteSaved(this.selectedRow);
+        this.replays = replay.getSaved();
+        this.selectedRow = Math.min(this.selectedRow, Math.max(0, this.replays.length - 1));
+        break;
+    }
+  }
+
+  _showStatus(text) {
+    this.statusText = text;
+    this.statusTimer = STATUS_DURATION;
+  }
+
+  _formatTime(seconds) {
+    const mins = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+    return `${mins}:${secs.toString().padStart(2, '0')}`;
+  }
+}
@@ -1,15 +1,18 @@
 import { CANVAS_WIDTH, CANVAS_HEIGHT } from '../game.js';
-import { input } from '../input.js';
+import { input, isPadCode } from '../input.js';
+import { gamepad, BINDABLE_PAD_CODES } from '../gamepad.js';
 import { audio } from '../systems/audio.js';
 import {
   VOLUME_STORAGE_KEY,
   DEFAULT_VOLUMES,
+  VOLUME_STEP,
   ACTIONS,
   VOLUME_ROWS,
   BOTTOM_ITEMS,
   BINDING_ROW_COUNT,
   VOLUME_ROW_START,
   BOTTOM_ROW_START,
+  TOTAL_ROWS,
   TITLE_Y,
   BINDINGS_START_Y,
   BINDINGS_SPACING,
@@ -18,10 +21,13 @@ import {
   BOTTOM_START_Y,
   BOTTOM_SPACING,
   LABEL_X,
-  SLOT1_X,
-  SLOT2_X,
   SLOT_WIDTH,
   SLOT_HEIGHT,
+  SLOT_XS,
+  KEY_SLOT_COUNT,
+  PAD_SLOT,
+  SLOT_HEADERS,
+  SLOT_HEADER_Y,
   VOLUME_BAR_X,
   VOLUME_BAR_WIDTH,
   VOLUME_BAR_HEIGHT,
@@ -42,6 +48,11 @@ import {
   getKeyDisplayName,
 } from '../menus/settings.js';
 
+// Cancel a rebind without binding anything
+const CANCEL_CODES = ['Escape', 'PadSelect'];
+// Clear the selected binding slot
+const CLEAR_CODES = ['Backspace', 'Delete', 'PadX'];
+
 export class SettingsScene {
   constructor(game) {
     this.game = game;
@@ -52,7 +63,7 @@ export class SettingsScene {
 
     // Hitboxes for mouse interaction (populated during render)
     this.rowHitboxes = [];
-    this.slotHitboxes = []; // array of { slot0: rect, slot1: rect } per binding row
+    this.slotHitboxes = []; // array of [rect per slot] per binding row
     this.volumeBarHitboxes = []; // array of rect per volume row
 
     // Mouse movement tracking — hover only updates selection when mouse moves
@@ -61,6 +72,10 @@ export class SettingsScene {
 
     // Volume slider drag state
     this._draggingVolume = null; // index into VOLUME_ROWS while dragging
+
+    // Set when a rebind just finished, so the key that did it isn't also
+    // read as a menu action on the next update
+    this._rebindEnded = false;
   }
 
   enter() {
@@ -73,6 +88,10 @@ export class SettingsScene {
 
   update(dt) {
     if (this.rebinding) return;
+    if (this._rebindEnded) {
+      this._rebindEnded = false;
+      return;
+    }
 
     // Escape → back
     if (input.isActionJustPressed('pause')) {
@@ -80,8 +99,10 @@ export class SettingsScene {
       return;
     }
 
+    this._handleNavigation();
+
     // Mouse hover — only when mouse has moved
-    const mouse = input.getMousePos();
+    const mouse = input.getScreenMousePos();
     const mouseMoved = mouse.x !== this._lastMouseX || mouse.y !== this._lastMouseY;
     if (mouseMoved) {
       this._lastMouseX = mouse.x;
@@ -143,13 +164,18 @@ export class SettingsScene {
     if (event.type !== 'keydown') return;
     if (event.repeat) return;
 
-    if (event.code === 'Escape') {
-      this.rebinding = false;
+    if (CANCEL_CODES.includes(event.code)) {
+      this._endRebind();
       return;
     }
 
+    // Keyboard slots take keys, the gamepad slot takes bindable buttons
+    const wantsPad = this.selectedSlot === PAD_SLOT;
+    if (wantsPad !== isPadCode(event.code)) return;
+    if (wantsPad && !BINDABLE_PAD_CODES.includes(event.code)) return;
+
     this._rebindSlot(event.code);
-    this.rebinding = false;
+    this._endRebind();
   }
 
   // ── Rendering ──────────────────────────────────────────────────────────
@@ -160,39 +186,39 @@ export class SettingsScene {
     ctx.font = '8px "Press Start 2P"';
     ctx.textBaseline = 'middle';
 
+    // Column headers
+    ctx.fillStyle = HINT_COLOR;
+    ctx.textAlign = 'center';
+    for (let s = 0; s < SLOT_XS.length; s++) {
+      ctx.fillText(SLOT_HEADERS[s], SLOT_XS[s] + SLOT_WIDTH / 2, SLOT_HEADER_Y);
+    }
+
     for (let i = 0; i < ACTIONS.length; i++) {
       const action = ACTIONS[i];
       const y = BINDINGS_START_Y + i * BINDINGS_SPACING;
       const isSelected = this.selectedRow === i;
-      const codes = actionMap[action.id] || [];
+      const slotCodes = this._getSlotCodes(actionMap[action.id] || []);
 
       // Label
       ctx.fillStyle = isSelected ? LABEL_SELECTED_COLOR : LABEL_COLOR;
       ctx.textAlign = 'left';
       ctx.fillText(action.label, LABEL_X, y);
 
-      // Slot boxes
-      const slot0Code = codes[0] || null;
-      const slot1Code = codes[1] || null;
-
-      const s0x = SLOT1_X;
-      const s1x = SLOT2_X;
+      // Slot boxes (+ hitboxes)
       const sy = y - SLOT_HEIGHT / 2;
-
-      this._renderSlot(ctx, s0x, sy, slot0Code, isSelected && this.selectedSlot === 0);
-      this._renderSlot(ctx, s1x, sy, slot1Code, isSelected && this.selectedSlot === 1);
-
-      // Store hitboxes
-      this.slotHitboxes.push({
-        slot0: { x: s0x, y: sy, w: SLOT_WIDTH, h: SLOT_HEIGHT },
-        slot1: { x: s1x, y: sy, w: SLOT_WIDTH, h: SLOT_HEIGHT },
-      });
+      const slots = [];
+      for (let s = 0; s < SLOT_XS.length; s++) {
+        this._renderSlot(ctx, SLOT_XS[s], sy, slotCodes[s], isSelected && this.selectedSlot === s);
+        slots.push({ x: SLOT_XS[s], y: sy, w: SLOT_WIDTH, h: SLOT_HEIGHT });
+      }
+      this.slotHitboxes.push(slots);
 
       // Row hitbox (entire row for hover)
+      const lastSlotX = SLOT_XS[SLOT_XS.length - 1];
       this.rowHitboxes.push({
         x: LABEL_X - 10,
         y: sy,
-        w: SLOT2_X + SLOT_WIDTH - LABEL_X + 20,
+        w: lastSlotX + SLOT_WIDTH - LABEL_X + 20,
         h: SLOT_HEIGHT,
       });
     }
@@ -322,51 +348,68 @@ export class SettingsScene {
     ctx.textAlign = 'center';
     ctx.textBaseline = 'middle';
 
-    if (this.rebinding) {
+    if (this.rebinding && this.selectedSlot === PAD_SLOT) {
+      ctx.fillText('Press a gamepad button to bind, SELECT or ESC to cancel', cx, CANVAS_HEIGHT - 25);
+    } else if (this.rebinding) {
       ctx.fillText('Press a key to bind, ESC to cancel', cx, CANVAS_HEIGHT - 25);
     } else if (this.selectedRow >= 0 && this.selectedRow < BINDING_ROW_COUNT) {
-      ctx.fillText('Click to rebind, right-click to clear', cx, CANVAS_HEIGHT - 25);
+      const text = gamepad.connected
+        ? 'A to rebind, X to clear'
+        : 'Click or ENTER to rebind, right-click or DEL to clear';
+      ctx.fillText(text, cx, CANVAS_HEIGHT - 25);
     } else if (this.selectedRow >= VOLUME_ROW_START && this.selectedRow < BOTTOM_ROW_START) {
-      ctx.fillText('Click and drag to adjust', cx, CANVAS_HEIGHT - 25);
+      ctx.fillText('Click and drag, or LEFT/RIGHT, to adjust', cx, CANVAS_HEIGHT - 25);
     }
   }
 
   // ── Binding logic ──────────────────────────────────────────────────────
 
-  _rebindSlot(code) {
-    const action = ACTIONS[this.selectedRow];
-    if (!action) return;
-
-    const currentCodes = input.getActionMap()[action.id] || [];
-    const newCodes = [...currentCodes];
+  /**
+   * Split an action's codes into display slots: keyboard codes fill the
+   * first KEY_SLOT_COUNT slots, the first gamepad code fills PAD_SLOT.
+   * @param {string[]} codes
+   * @returns {(string|null)[]} one code (or null) per slot
+   */
+  _getSlotCodes(codes) {
+    const keys = codes.filter(c => !isPadCode(c));
+    const slots = [];
+    for (let s = 0; s < KEY_SLOT_COUNT; s++) slots.push(keys[s] || null);
+    slots[PAD_SLOT] = codes.find(isPadCode) || null;
+    return slots;
+  }
 
-    // Ensure array has at least selectedSlot+1 entries
-    while (newCodes.length <= this.selectedSlot) {
-      newCodes.push(null);
+  /** Write slot codes back as an action's binding list (keys first). */
+  _setSlotCodes(actionId, slots) {
+    const codes = slots.filter(c => c != null);
+    if (codes.length > 0) {
+      input.setBinding(actionId, codes);
     }
+  }
 
-    newCodes[this.selectedSlot] = code;
+  _rebindSlot(code) {
+    const action = ACTIONS[this.selectedRow];
+    if (!action) return;
 
-    // Filter out nulls, then pass to setBinding
-    const filtered = newCodes.filter(c => c != null);
-    if (filtered.length > 0) {
-      input.setBinding(action.id, filtered);
-    }
+    const slots = this._getSlotCodes(input.getActionMap()[action.id] || []);
+    slots[this.selectedSlot] = code;
+    this._setSlotCodes(action.id, slots);
   }
 
   _clearBinding(rowIndex, slotIndex) {
     const action = ACTIONS[rowIndex];
     if (!action) return;
 
-    const currentCodes = input.getActionMap()[action.id] || [];
-    if (slotIndex >= currentCodes.length) return;
-
-    const newCodes = currentCodes.filter((_, i) => i !== slotIndex);
+    const slots = this._getSlotCodes(input.getActionMap()[action.id] || []);
+    if (!slots[slotIndex]) return;
+    slots[slotIndex] = null;
 
     // Don't allow clearing the last binding
-    if (newCodes.length === 0) return;
+    this._setSlotCodes(action.id, slots);
+  }
 
-    input.setBinding(action.id, newCodes);
+  _endRebind() {
+    this.rebinding = false;
+    this._rebindEnded = true;
   }
 
   // ── Volume logic ───────────────────────────────────────────────────────
@@ -391,6 +434,18 @@ export class SettingsScene {
     } catch { /* silent fail */ }
   }
 
+  /** Nudge a volume row by VOLUME_STEP in the given direction (±1). */
+  _stepVolume(volumeIndex, direction) {
+    const row = VOLUME_ROWS[volumeIndex];
+    if (!row) return;
+
+    const value = this.volumes[row.id] + direction * VOLUME_STEP;
+    this.volumes[row.id] = Math.round(Math.max(0, Math.min(1, value)) * 10) / 10;
+    this._saveVolumes();
+    audio.setSFXVolume(this.volumes.sfx);
+    audio.setMusicVolume(this.volumes.music);
+  }
+
   // ── Bottom buttons ─────────────────────────────────────────────────────
 
   _executeButton() {
@@ -412,22 +467,69 @@ export class SettingsScene {
     }
   }
 
+  // ── Keyboard / gamepad navigation ─────────────────────────────────────
+
+  _handleNavigation() {
+    // Up/down through every row
+    let rowStep = 0;
+    if (input.isActionJustPressed('moveUp')) rowStep = -1;
+    else if (input.isActionJustPressed('moveDown')) rowStep = 1;
+    if (rowStep !== 0) {
+      this.selectedRow = this.selectedRow < 0
+        ? 0
+        : (this.selectedRow + rowStep + TOTAL_ROWS) % TOTAL_ROWS;
+      if (this.selectedRow < BINDING_ROW_COUNT && this.selectedSlot < 0) {
+        this.selectedSlot = 0;
+      }
+      audio.playSFX('menuHover');
+      return;
+    }
+    if (this.selectedRow < 0) return;
+
+    const isBindingRow = this.selectedRow < BINDING_ROW_COUNT;
+    const isVolumeRow = this.selectedRow >= VOLUME_ROW_START && this.selectedRow < BOTTOM_ROW_START;
+
+    // Left/right between slots, or adjusts a volume
+    let colStep = 0;
+    if (input.isActionJustPressed('moveLeft')) colStep = -1;
+    else if (input.isActionJustPressed('moveRight')) colStep = 1;
+    if (colStep !== 0) {
+      if (isBindingRow) {
+        this.selectedSlot = Math.max(0, Math.min(SLOT_XS.length - 1, this.selectedSlot + colStep));
+        audio.playSFX('menuHover');
+      } else if (isVolumeRow) {
+        this._stepVolume(this.selectedRow - VOLUME_ROW_START, colStep);
+      }
+      return;
+    }
+
+    // Confirm
+    if (input.isKeyJustPressed('Enter') || input.isActionJustPressed('interact')) {
+      if (isBindingRow) {
+        this.rebinding = true;
+        audio.playSFX('menuSelect');
+      } else if (this.selectedRow >= BOTTOM_ROW_START) {
+        audio.playSFX('menuSelect');
+        this._executeButton();
+      }
+      return;
+    }
+
+    // Clear
+    if (isBindingRow && CLEAR_CODES.some(code => input.isKeyJustPressed(code))) {
+      this._clearBinding(this.selectedRow, this.selectedSlot);
+    }
+  }
+
   // ── Mouse ──────────────────────────────────────────────────────────────
 
   _handleMouseHover(mouse) {
     // Check slot hitboxes first (more specific than row hitboxes)
-    for (let i = 0; i < this.slotHitboxes.length; i++) {
-      const slots = this.slotHitboxes[i];
-      if (this._hitTest(mouse, slots.slot0)) {
-        this.selectedRow = i;
-        this.selectedSlot = 0;
-        return;
-      }
-      if (this._hitTest(mouse, slots.slot1)) {
-        this.selectedRow = i;
-        this.selectedSlot = 1;
-        return;
-      }
+    const slot = this._slotAt(mouse);
+    if (slot) {
+      this.selectedRow = slot.row;
+      this.selectedSlot = slot.slot;
+      return;
     }
 
     // Check general row hitboxes (volume + bottom items)
@@ -451,20 +553,12 @@ export class SettingsScene {
     }
 
     // Click on binding slot → start rebinding
-    for (let i = 0; i < this.slotHitboxes.length; i++) {
-      const slots = this.slotHitboxes[i];
-      if (this._hitTest(mouse, slots.slot0)) {
-        this.selectedRow = i;
-        this.selectedSlot = 0;
-        this.rebinding = true;
-        return;
-      }
-      if (this._hitTest(mouse, slots.slot1)) {
-        this.selectedRow = i;
-        this.selectedSlot = 1;
-        this.rebinding = true;
-        return;
-      }
+    const slot = this._slotAt(mouse);
+    if (slot) {
+      this.selectedRow = slot.row;
+      this.selectedSlot = slot.slot;
+      this.rebinding = true;
+      return;
     }
 
     // Click on bottom items → execute
@@ -478,17 +572,19 @@ export class SettingsScene {
   }
 
   _handleRightClick(mouse) {
-    for (let i = 0; i < this.slotHitboxes.length; i++) {
-      const slots = this.slotHitboxes[i];
-      if (this._hitTest(mouse, slots.slot0)) {
-        this._clearBinding(i, 0);
-        return;
-      }
-      if (this._hitTest(mouse, slots.slot1)) {
-        this._clearBinding(i, 1);
-        return;
+    const slot = this._slotAt(mouse);
+    if (slot) this._clearBinding(slot.row, slot.slot);
+  }
+
+  /** Binding slot under the mouse, as { row, slot }, or null. */
+  _slotAt(mouse) {
+    for (let row = 0; row < this.slotHitboxes.length; row++) {
+      const slots = this.slotHitboxes[row];
+      for (let slot = 0; slot < slots.length; slot++) {
+        if (this._hitTest(mouse, slots[slot])) return { row, slot };
       }
     }
+    return null;
   }
 
   _dragVolume(mouse) {
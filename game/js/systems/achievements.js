@@ -26,6 +26,9 @@ class AchievementManager {
     this.unlocked = new Set(JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]'));
     this.notifications = [];
 
+    // Set while a replay plays back so watched runs never unlock anything
+    this.suspended = false;
+
     // Per-run streak tracking
     this.exterminatorStreak = 0;
     this.pacifistStreak = 0;
@@ -42,6 +45,7 @@ class AchievementManager {
    * Queues a notification badge on first unlock.
    */
   unlock(id) {
+    if (this.suspended) return;
     if (this.unlocked.has(id)) return;
     this.unlocked.add(id);
     this._save();
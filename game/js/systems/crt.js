@@ -8,26 +8,26 @@ const SCANLINE_SPACING = 3;  // pixels between scanlines
 
 class CRTEffect {
   constructor() {
-    // Offscreen canvas — all game rendering goes here
-    this.offscreen = document.createElement('canvas');
-    this.offscreen.width = CANVAS_WIDTH;
-    this.offscreen.height = CANVAS_HEIGHT;
-    this.offCtx = this.offscreen.getContext('2d');
+    // Canvases are created on first use so importing this module never
+    // touches the DOM (the headless harness imports it under Node)
+    this.offscreen = null;
+    this.offCtx = null;
+    this.overlayCanvas = null;
 
     // Pre-compute barrel distortion grid (dest → source mapping)
     this.grid = this._buildGrid();
-
-    // Pre-render static overlay (scanlines + vignette)
-    this.overlayCanvas = this._buildOverlay();
   }
 
   /** Returns the offscreen context for game rendering */
   getContext() {
+    this._ensureCanvases();
     return this.offCtx;
   }
 
   /** Apply CRT effects and composite onto the destination canvas */
   apply(destCtx) {
+    this._ensureCanvases();
+
     // Barrel distortion — draw grid cells from offscreen with distorted source rects
     for (const cell of this.grid) {
       let { sx, sy, sw, sh, dx, dy, dw, dh } = cell;
@@ -124,6 +124,16 @@ class CRTEffect {
     return { x: dx, y: dy, rotation };
   }
 
+  /**
+   * Map a point on the displayed (distorted) canvas back to where it sits on
+   * the undistorted game canvas — e.g. to find what a click landed on.
+   * @returns {{ x: number, y: number }}
+   */
+  screenToGame(x, y) {
+    const p = this._distort(x / CANVAS_WIDTH, y / CANVAS_HEIGHT);
+    return { x: p.x * CANVAS_WIDTH, y: p.y * CANVAS_HEIGHT };
+  }
+
   /** Map normalized (0..1) dest position to source position via barrel distortion */
   _distort(nx, ny) {
     const cx = (nx - 0.5) * 2; // -1..1
@@ -136,6 +146,19 @@ class CRTEffect {
     };
   }
 
+  _ensureCanvases() {
+    if (this.offscreen) return;
+
+    // Offscreen canvas — all game rendering goes here
+    this.offscreen = document.createElement('canvas');
+    this.offscreen.width = CANVAS_WIDTH;
+    this.offscreen.height = CANVAS_HEIGHT;
+    this.offCtx = this.offscreen.getContext('2d');
+
+    // Pre-render static overlay (scanlines + vignette)
+    this.overlayCanvas = this._buildOverlay();
+  }
+
   // ── Static overlay ─────────────────────────────────────────────────────
 
   _buildOverlay() {
@@ -0,0 +1,62 @@
+import { seedFromText } from './rng.js';
+
+// Daily challenge — one shared run per calendar day (UTC). The seed comes
+// from the date, so everyone plays the same floors, and each player gets a
+// single attempt, tracked in localStorage. Daily runs play without mutators
+// and post to their own leaderboard board.
+
+const STORAGE_KEY = 'qta_daily';
+
+/**
+ * The day as "YYYY-MM-DD" (UTC) — the key for the seed, the attempt and the board.
+ * @param {Date} [date=new Date()]
+ */
+export function getDailyKey(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Seed everyone gets for a day.
+ * @param {string} [day=getDailyKey()]
+ */
+export function getDailySeed(day = getDailyKey()) {
+  return seedFromText(`daily:${day}`);
+}
+
+class DailyChallenge {
+  constructor() {
+    this._lastPlayed = undefined;  // date key of the last attempt; loaded on first use
+  }
+
+  /** Whether today's attempt has been used. */
+  hasPlayedToday() {
+    return this._load() === getDailyKey();
+  }
+
+  /**
+   * Use up a day's attempt. Called as the run starts, so quitting it
+   * doesn't earn a second try.
+   * @param {string} [day=getDailyKey()]
+   */
+  markPlayed(day = getDailyKey()) {
+    this._lastPlayed = day;
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ lastPlayed: day }));
+    } catch {
+      // Storage unavailable — silent fail
+    }
+  }
+
+  _load() {
+    if (this._lastPlayed !== undefined) return this._lastPlayed;
+    try {
+      const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+      this._lastPlayed = typeof parsed.lastPlayed === 'string' ? parsed.lastPlayed : null;
+    } catch {
+      this._lastPlayed = null;
+    }
+    return this._lastPlayed;
+  }
+}
+
+export const daily = new DailyChallenge();
@@ -1,3 +1,5 @@
+import { mutators } from './mutators.js';
+
 // ── Difficulty scaling based on level depth ──────────────────────────────
 
 // Helper: linear interpolation clamped to 0..1 over a level range
@@ -9,9 +11,10 @@ function _lerp(a, b, levelDepth, startLevel, endLevel) {
 /**
  * Level time limit: starts at 60s, drops 5s every 5 levels, min 30s.
  * L1-5: 60s, L6-10: 55s, L11-15: 50s, ... L31+: 30s
+ * Run mutators may shorten it (see mutators.js).
  */
 export function getLevelTimeLimit(levelDepth) {
-  return Math.max(30, 60 - Math.floor((levelDepth - 1) / 5) * 5);
+  return mutators.apply('levelTimeLimit', Math.max(30, 60 - Math.floor((levelDepth - 1) / 5) * 5));
 }
 
 /**
@@ -72,6 +75,53 @@ export function getHeartScrollSpeed(levelDepth) {
   return _lerp(120, 280, levelDepth, 1, 20);
 }
 
+// ── Simon QTE scaling ────────────────────────────────────────────────────
+
+/** Sequence length: 3 at L1 → 7 at L25 */
+export function getSimonSequenceLength(levelDepth) {
+  return Math.round(_lerp(3, 7, levelDepth, 1, 25));
+}
+
+/** Seconds each pad stays lit during playback: 0.5s at L1 → 0.25s at L20 */
+export function getSimonFlashDuration(levelDepth) {
+  return _lerp(0.5, 0.25, levelDepth, 1, 20);
+}
+
+// ── Lockpick QTE scaling ─────────────────────────────────────────────────
+
+/** Tumblers to set: 2 at L1 → 5 at L25 */
+export function getLockpickTumblerCount(levelDepth) {
+  return Math.round(_lerp(2, 5, levelDepth, 1, 25));
+}
+
+/** Tumbler spin speed: 2.5 rad/s at L1 → 5 rad/s at L20 */
+export function getLockpickSpinSpeed(levelDepth) {
+  return _lerp(2.5, 5, levelDepth, 1, 20);
+}
+
+/** Lockpick time limit: 7s at L1 → 6s at L20 */
+export function getLockpickTimeLimit(levelDepth) {
+  return _lerp(7, 6, levelDepth, 1, 20);
+}
+
+/** Locked hallway doors per floor: none before L3, 1 at L3 → 3 at L25 */
+export function getLockedDoorCount(levelDepth) {
+  if (levelDepth < 3) return 0;
+  return Math.round(_lerp(1, 3, levelDepth, 3, 25));
+}
+
+// ── Rune QTE scaling ─────────────────────────────────────────────────────
+
+/** Trace tolerance (mean error, fraction of rune size): 0.22 at L1 → 0.12 at L20 */
+export function getRuneTolerance(levelDepth) {
+  return _lerp(0.22, 0.12, levelDepth, 1, 20);
+}
+
+/** Rune time limit: 6s at L1 → 4s at L20 */
+export function getRuneTimeLimit(levelDepth) {
+  return _lerp(6, 4, levelDepth, 1, 20);
+}
+
 // ── Challenge room scaling ───────────────────────────────────────────────
 
 /** Challenge level duration: 20s before L10, 30s at L10+ */
@@ -96,12 +146,51 @@ export function getChallengeClumpSize(levelDepth) {
 
 // ── Boss room scaling ────────────────────────────────────────────────────
 
-/** Seconds between boss spawns: 4s at L5 → 1.5s at L30 */
+/** Seconds between boss minion spawns: 4s at L5 → 1.5s at L30 */
 export function getBossSpawnInterval(levelDepth) {
   return _lerp(4, 1.5, levelDepth, 5, 30);
 }
 
-/** Enemies per boss spawn: 1 at L5 → 3 at L25 */
+/** Minions per boss spawn: 1 at L5 → 3 at L25 */
 export function getBossClumpSize(levelDepth) {
   return Math.round(_lerp(1, 3, levelDepth, 5, 25));
 }
+
+/** Boss phases: 2 before L15, 3 from L15 */
+export function getBossPhaseCount(levelDepth) {
+  return levelDepth >= 15 ? 3 : 2;
+}
+
+// ── Elite scaling ────────────────────────────────────────────────────────
+
+/** Chance a spawned enemy is elite: none before L4, 0.05 at L4 → 0.3 at L25 */
+export function getEliteChance(levelDepth) {
+  return levelDepth < 4 ? 0 : _lerp(0.05, 0.3, levelDepth, 4, 25);
+}
+
+/** Affixes per elite: 1 before L15, 2 from L15 */
+export function getEliteAffixCount(levelDepth) {
+  return levelDepth >= 15 ? 2 : 1;
+}
+
+/** Levels of QTE difficulty an elite adds: 3 per affix */
+export function getEliteQTEBonus(affixCount) {
+  return affixCount * 3;
+}
+
+// ── Controller QTE map scaling (generated maps) ──────────────────────────
+
+/** Widest gap between platforms: 2 tiles at L1 → 4 tiles at L20 */
+export function getControllerMaxGap(levelDepth) {
+  return Math.round(_lerp(2, 4, levelDepth, 1, 20));
+}
+
+/** Chance each middle platform carries a spike: 0.1 at L1 → 0.45 at L20 */
+export function getControllerSpikeChance(levelDepth) {
+  return _lerp(0.1, 0.45, levelDepth, 1, 20);
+}
+
+/** Platforms from start to goal: 3 at L1 → 6 at L20 */
+export function getControllerPlatformCount(levelDepth) {
+  return Math.round(_lerp(3, 6, levelDepth, 1, 20));
+}
@@ -0,0 +1,50 @@
+// Render-time interpolation between fixed simulation steps.
+//
+// Scenes call savePrevious() on their moving objects at the start of each
+// step, then wrap world rendering in applyInterpolation()/restorePositions()
+// so objects are drawn partway between their last two simulated positions.
+
+const SNAP_DISTANCE = 64; // px — bigger jumps (teleports, level loads) are drawn as-is
+
+/**
+ * Remember each object's position before the step moves it.
+ * @param {Array<{x: number, y: number}>} objects
+ */
+export function savePrevious(objects) {
+  for (const o of objects) {
+    o.prevX = o.x;
+    o.prevY = o.y;
+  }
+}
+
+/**
+ * Temporarily move each object to its interpolated position.
+ * Must be paired with restorePositions() on the same list.
+ * @param {Array<{x: number, y: number}>} objects
+ * @param {number} alpha - 0 = previous step, 1 = current step
+ */
+export function applyInterpolation(objects, alpha) {
+  for (const o of objects) {
+    o._simX = o.x;
+    o._simY = o.y;
+    if (alpha >= 1 || o.prevX === undefined) continue;
+
+    const dx = o.x - o.prevX;
+    const dy = o.y - o.prevY;
+    if (dx * dx + dy * dy > SNAP_DISTANCE * SNAP_DISTANCE) continue;
+
+    o.x = o.prevX + dx * alpha;
+    o.y = o.prevY + dy * alpha;
+  }
+}
+
+/**
+ * Put objects back at their simulated positions after rendering.
+ * @param {Array<{x: number, y: number}>} objects
+ */
+export function restorePositions(objects) {
+  for (const o of objects) {
+    o.x = o._simX;
+    o.y = o._simY;
+  }
+}
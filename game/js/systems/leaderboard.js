@@ -1,14 +1,37 @@
-// Leaderboard module — dual storage: localStorage (always) + remote API (when configured)
-// Remote backend: Leaderboard Creator by danqzq (https://lcv2-server.danqzq.games)
+import { getDailyKey } from './daily.js';
+import { createBackend, BACKEND_TYPES } from './leaderboardBackends.js';
 
-// Set public key here after creating a leaderboard on Leaderboard Creator
-const PUBLIC_KEY = '40e0e746ba98c0cd919537602faf2adbea4a763cfa87556c84b295c7f19fd7c9';
+// Leaderboard module — dual storage: localStorage (always) + a remote backend
+// (see leaderboardBackends.js), picked by BACKEND_CONFIG below.
+// Two boards: all-time, and Daily challenge runs, which only ever show today's.
 
-const API_BASE = 'https://lcv2-server.danqzq.games';
-const STORAGE_KEY = 'qta_leaderboard';
 const GUID_KEY = 'qta_player_guid';
 const MAX_ENTRIES = 100;
 
+export const BOARDS = {
+  ALL_TIME: 'allTime',
+  DAILY: 'daily',
+};
+
+const STORAGE_KEYS = {
+  [BOARDS.ALL_TIME]: 'qta_leaderboard',
+  [BOARDS.DAILY]: 'qta_leaderboard_daily',
+};
+
+// Where scores are shared. Leaderboard Creator needs a public key per board
+// (create the leaderboards there first). Known gap: no Daily board has been
+// created yet, so its key is empty and Daily scores stay on this device —
+// the backend skips boards without a key and the leaderboard screen says so.
+// Paste the key in once the board exists. To self-host instead:
+//   { type: BACKEND_TYPES.REST, baseUrl: 'http://localhost:8787' }
+const BACKEND_CONFIG = {
+  type: BACKEND_TYPES.LEADERBOARD_CREATOR,
+  publicKeys: {
+    [BOARDS.ALL_TIME]: '40e0e746ba98c0cd919537602faf2adbea4a763cfa87556c84b295c7f19fd7c9',
+    [BOARDS.DAILY]: '',
+  },
+};
+
 function _generateGuid() {
   if (typeof crypto !== 'undefined' && crypto.randomUUID) {
     return crypto.randomUUID();
@@ -28,16 +51,23 @@ function _getGuid() {
   return guid;
 }
 
-function _loadEntries() {
+function _loadEntries(board) {
   try {
-    return JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return JSON.parse(localStorage.getItem(STORAGE_KEYS[board]) || '[]');
   } catch {
     return [];
   }
 }
 
-function _saveEntries(entries) {
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+function _saveEntries(board, entries) {
+  localStorage.setItem(STORAGE_KEYS[board], JSON.stringify(entries));
+}
+
+/** The Daily board only keeps today's runs. */
+function _dropStaleEntries(board, entries) {
+  if (board !== BOARDS.DAILY) return entries;
+  const today = getDailyKey();
+  return entries.filter(e => e.day === today);
 }
 
 function _sortEntries(entries) {
@@ -45,118 +75,122 @@ function _sortEntries(entries) {
 }
 
 export const leaderboard = {
-  entries: [],
+  boards: {},  // board id → entries, best first
+  backend: createBackend(BACKEND_CONFIG),
   playerGuid: '',
   loading: false,
   lastError: null,
 
   _init() {
     this.playerGuid = _getGuid();
-    this.entries = _loadEntries();
-    _sortEntries(this.entries);
+    for (const board of Object.values(BOARDS)) {
+      this.boards[board] = _dropStaleEntries(board, _loadEntries(board));
+      _sortEntries(this.boards[board]);
+    }
   },
 
-  submitEntry(nickname, levelDepth, enemiesKilled, runLength) {
+  /**
+   * Share scores somewhere else from now on — e.g. a fake server, offline.
+   * @param {object} backend - see leaderboardBackends.js
+   */
+  setBackend(backend) {
+    this.backend = backend;
+  },
+
+  /**
+   * Record a finished run, locally and (when the backend shares the board) remotely.
+   * @param {string} nickname
+   * @param {number} levelDepth
+   * @param {number} enemiesKilled
+   * @param {number} runLength - seconds
+   * @param {object} [opts]
+   * @param {string[]} [opts.mutators] - mutators the run was played under
+   * @param {boolean} [opts.resumed] - continued from a mid-run save
+   * @param {string|null} [opts.day] - date key of a Daily challenge run; puts
+   *   the entry on the Daily board instead of the all-time one
+   */
+  submitEntry(nickname, levelDepth, enemiesKilled, runLength, { mutators = [], resumed = false, day = null } = {}) {
     if (!this.playerGuid) this._init();
+    const board = day ? BOARDS.DAILY : BOARDS.ALL_TIME;
 
     const entry = {
       nickname,
       levelDepth,
       enemiesKilled,
       runLength,
+      mutators,
+      resumed,
+      day,
       timestamp: Date.now(),
       guid: this.playerGuid,
     };
 
-    this.entries.push(entry);
-    _sortEntries(this.entries);
-    if (this.entries.length > MAX_ENTRIES) {
-      this.entries.length = MAX_ENTRIES;
+    const entries = _dropStaleEntries(board, [...this.boards[board], entry]);
+    _sortEntries(entries);
+    if (entries.length > MAX_ENTRIES) {
+      entries.length = MAX_ENTRIES;
     }
-    _saveEntries(this.entries);
+    this.boards[board] = entries;
+    _saveEntries(board, entries);
 
     // Fire-and-forget remote submission
-    if (PUBLIC_KEY) {
-      this._submitRemote(entry);
+    if (this.backend.hasBoard(board)) {
+      this.backend.submitEntry(board, entry).catch(() => {
+        // Silently ignore — the local copy is already saved
+      });
     }
 
     return entry;
   },
 
-  getEntries() {
+  /**
+   * Whether a board's scores leave this browser — the scenes say so when not.
+   * @param {string} [board=BOARDS.ALL_TIME]
+   */
+  isShared(board = BOARDS.ALL_TIME) {
+    return this.backend.hasBoard(board);
+  },
+
+  /** @param {string} [board=BOARDS.ALL_TIME] */
+  getEntries(board = BOARDS.ALL_TIME) {
     if (!this.playerGuid) this._init();
-    return this.entries;
+    // The day may have rolled over since the board was loaded
+    this.boards[board] = _dropStaleEntries(board, this.boards[board]);
+    return this.boards[board];
   },
 
-  async fetchRemoteEntries() {
-    if (!PUBLIC_KEY) return;
+  /** @param {string} [board=BOARDS.ALL_TIME] */
+  async fetchRemoteEntries(board = BOARDS.ALL_TIME) {
+    if (!this.backend.hasBoard(board)) return;
     if (!this.playerGuid) this._init();
 
     this.loading = true;
     this.lastError = null;
 
     try {
-      const url = `${API_BASE}/get?publicKey=${encodeURIComponent(PUBLIC_KEY)}&userGuid=${encodeURIComponent(this.playerGuid)}`;
-      const res = await fetch(url);
-      if (!res.ok) throw new Error(`HTTP ${res.status}`);
-
-      const data = await res.json();
-
-      // API returns a plain array with PascalCase fields
-      const rawEntries = Array.isArray(data) ? data : (data.entries || []);
-      if (!Array.isArray(rawEntries) || rawEntries.length === 0) return;
-
-      // Map remote format to local format
-      const remoteEntries = rawEntries.map(e => {
-        let extra = {};
-        try { extra = JSON.parse(e.Extra || e.extra || '{}'); } catch { /* ignore */ }
-        return {
-          nickname: e.Username || e.username || '',
-          levelDepth: e.Score ?? e.score ?? 0,
-          enemiesKilled: extra.k || 0,
-          runLength: extra.t || 0,
-          timestamp: e.Date ? new Date(e.Date).getTime() : (e.date ? new Date(e.date).getTime() : 0),
-          guid: e.UserGuid || e.userGuid || '',
-          rank: e.Rank ?? e.rank ?? 0,
-        };
-      });
+      const day = board === BOARDS.DAILY ? getDailyKey() : null;
+      const fetched = await this.backend.fetchEntries(board, { guid: this.playerGuid, day });
+      const remoteEntries = _dropStaleEntries(board, fetched);
 
       // Merge: use remote entries as authoritative, keep local entries that aren't duplicates
       const remoteKeys = new Set(remoteEntries.map(e => `${e.nickname}_${e.levelDepth}`));
-      const uniqueLocal = this.entries.filter(e =>
+      const uniqueLocal = this.getEntries(board).filter(e =>
         !remoteKeys.has(`${e.nickname}_${e.levelDepth}`)
       );
 
-      this.entries = [...remoteEntries, ...uniqueLocal];
-      _sortEntries(this.entries);
-      if (this.entries.length > MAX_ENTRIES) {
-        this.entries.length = MAX_ENTRIES;
+      const entries = [...remoteEntries, ...uniqueLocal];
+      _sortEntries(entries);
+      if (entries.length > MAX_ENTRIES) {
+        entries.length = MAX_ENTRIES;
       }
-      _saveEntries(this.entries);
+      this.boards[board] = entries;
+      _saveEntries(board, entries);
     } catch (err) {
       this.lastError = err.message;
     } finally {
       this.loading = false;
     }
   },
-
-  async _submitRemote(entry) {
-    try {
-      const formData = new FormData();
-      formData.append('publicKey', PUBLIC_KEY);
-      formData.append('username', entry.nickname);
-      formData.append('score', String(entry.levelDepth));
-      formData.append('userGuid', this.playerGuid);
-      formData.append('extra', JSON.stringify({ k: entry.enemiesKilled, t: entry.runLength }));
-
-      await fetch(`${API_BASE}/entry/upload`, {
-        method: 'POST',
-        body: formData,
-      });
-    } catch {
-      // Fire-and-forget — silently ignore errors
-    }
-  },
 };
 
 // Auto-initialize
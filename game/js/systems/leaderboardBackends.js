@@ -0,0 +1,186 @@
+// Leaderboard backends — where scores are shared beyond this browser.
+// leaderboard.js always keeps its own localStorage copy and talks to exactly
+// one backend, picked by its BACKEND_CONFIG through createBackend().
+//
+// A backend implements:
+//   hasBoard(board)               → whether that board is shared at all
+//   fetchEntries(board, { guid, day })
+//                                 → Promise of entries in leaderboard.js's format,
+//                                   best first; rejects on any failure
+//   submitEntry(board, entry)     → Promise; rejects on any failure
+//
+// Types:
+//   local              — nothing shared; scores stay in this browser
+//   leaderboardCreator — Leaderboard Creator by danqzq (https://lcv2-server.danqzq.games),
+//                        one public key per board
+//   rest               — our own server; see server/leaderboardServer.js for the contract
+
+export const BACKEND_TYPES = {
+  LOCAL: 'local',
+  LEADERBOARD_CREATOR: 'leaderboardCreator',
+  REST: 'rest',
+};
+
+const LEADERBOARD_CREATOR_API = 'https://lcv2-server.danqzq.games';
+
+/**
+ * Build the backend a config asks for.
+ * @param {object} config
+ * @param {string} config.type - one of BACKEND_TYPES
+ * @param {Object<string, string>} [config.publicKeys] - leaderboardCreator: board → public key
+ * @param {string} [config.baseUrl] - rest: server root, e.g. 'http://localhost:8787'
+ */
+export function createBackend(config) {
+  switch (config.type) {
+    case BACKEND_TYPES.LOCAL:
+      return new LocalOnlyBackend();
+    case BACKEND_TYPES.LEADERBOARD_CREATOR:
+      return new LeaderboardCreatorBackend(config);
+    case BACKEND_TYPES.REST:
+      return new RestBackend(config);
+    default:
+      throw new Error(`Unknown leaderboard backend: ${config.type}`);
+  }
+}
+
+// ── Local only ───────────────────────────────────────────────────────────
+
+export class LocalOnlyBackend {
+  hasBoard() {
+    return false;
+  }
+
+  async fetchEntries() {
+    return [];
+  }
+
+  async submitEntry() {}
+}
+
+// ── Leaderboard Creator ──────────────────────────────────────────────────
+
+export class LeaderboardCreatorBackend {
+  /**
+   * @param {object} opts
+   * @param {Object<string, string>} opts.publicKeys - board → public key; boards
+   *   without a key stay local
+   * @param {string} [opts.apiBase]
+   * @param {Function} [opts.fetch] - fetch implementation (a fake, offline)
+   */
+  constructor({ publicKeys, apiBase = LEADERBOARD_CREATOR_API, fetch = (...args) => globalThis.fetch(...args) }) {
+    this.publicKeys = publicKeys;
+    this.apiBase = apiBase;
+    this._fetch = fetch;
+  }
+
+  hasBoard(board) {
+    return Boolean(this.publicKeys[board]);
+  }
+
+  async fetchEntries(board, { guid }) {
+    const url = `${this.apiBase}/get?publicKey=${encodeURIComponent(this.publicKeys[board])}&userGuid=${encodeURIComponent(guid)}`;
+    const res = await this._fetch(url);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+    const data = await res.json();
+
+    // API returns a plain array with PascalCase fields
+    const rawEntries = Array.isArray(data) ? data : (data.entries || []);
+    if (!Array.isArray(rawEntries)) return [];
+
+    return rawEntries.map(e => {
+      let extra = {};
+      try { extra = JSON.parse(e.Extra || e.extra || '{}'); } catch { /* ignore */ }
+      return {
+        nickname: e.Username || e.username || '',
+        levelDepth: e.Score ?? e.score ?? 0,
+        enemiesKilled: extra.k || 0,
+        runLength: extra.t || 0,
+        mutators: Array.isArray(extra.m) ? extra.m : [],
+        resumed: extra.r === 1,
+        day: extra.d || null,
+        timestamp: e.Date ? new Date(e.Date).getTime() : (e.date ? new Date(e.date).getTime() : 0),
+        guid: e.UserGuid || e.userGuid || '',
+        rank: e.Rank ?? e.rank ?? 0,
+      };
+    });
+  }
+
+  async submitEntry(board, entry) {
+    const formData = new FormData();
+    formData.append('publicKey', this.publicKeys[board]);
+    formData.append('username', entry.nickname);
+    formData.append('score', String(entry.levelDepth));
+    formData.append('userGuid', entry.guid);
+    // Everything but the floor rides along in the entry's "extra" string
+    const extra = { k: entry.enemiesKilled, t: entry.runLength };
+    if (entry.mutators.length > 0) extra.m = entry.mutators;
+    if (entry.resumed) extra.r = 1;
+    if (entry.day) extra.d = entry.day;
+    formData.append('extra', JSON.stringify(extra));
+
+    const res = await this._fetch(`${this.apiBase}/entry/upload`, {
+      method: 'POST',
+      body: formData,
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  }
+}
+
+// ── REST ─────────────────────────────────────────────────────────────────
+
+export class RestBackend {
+  /**
+   * @param {object} opts
+   * @param {string} opts.baseUrl - server root, without a trailing slash
+   * @param {Function} [opts.fetch] - fetch implementation (a fake, offline)
+   */
+  constructor({ baseUrl, fetch = (...args) => globalThis.fetch(...args) }) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this._fetch = fetch;
+  }
+
+  hasBoard() {
+    return true;
+  }
+
+  async fetchEntries(board, { day = null } = {}) {
+    const query = day ? `?day=${encodeURIComponent(day)}` : '';
+    const res = await this._fetch(`${this._entriesUrl(board)}${query}`);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+    const data = await res.json();
+    if (!data || !Array.isArray(data.entries)) throw new Error('Malformed response');
+    return data.entries.map(_normalizeEntry);
+  }
+
+  async submitEntry(board, entry) {
+    const res = await this._fetch(this._entriesUrl(board), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(entry),
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  }
+
+  _entriesUrl(board) {
+    return `${this.baseUrl}/boards/${encodeURIComponent(board)}/entries`;
+  }
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────────
+
+/** Fill in anything a server left out, so the scenes can trust every field. */
+function _normalizeEntry(e) {
+  return {
+    nickname: typeof e.nickname === 'string' ? e.nickname : '',
+    levelDepth: Number(e.levelDepth) || 0,
+    enemiesKilled: Number(e.enemiesKilled) || 0,
+    runLength: Number(e.runLength) || 0,
+    mutators: Array.isArray(e.mutators) ? e.mutators : [],
+    resumed: e.resumed === true,
+    day: typeof e.day === 'string' ? e.day : null,
+    timestamp: Number(e.timestamp) || 0,
+    guid: typeof e.guid === 'string' ? e.guid : '',
+  };
+}
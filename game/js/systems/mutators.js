@@ -0,0 +1,140 @@
+// Run mutators — optional rule changes picked in the main menu before a run,
+// each paying out a score multiplier. A mutator is a set of modifiers: hooks
+// that take a value from the system that owns it and return the changed one.
+// Systems ask through mutators.apply(hook, value), so they never need to
+// know which mutators exist.
+//
+// Hooks:
+//   startingLives   — lives at the start of a run          (Player)
+//   canDash         — whether the dash input works         (Player)
+//   moveAxis        — the {x, y} movement direction        (Player)
+//   levelTimeLimit  — seconds on a regular floor's timer   (difficulty.js)
+//   bulletSpawnRate — bullets spawned per bullet fired     (BulletPool)
+//   eliteChance     — chance a spawned enemy is elite      (enemySpawner)
+
+const STORAGE_KEY = 'qta_mutators';
+
+export const MUTATORS = {
+  glassCannon: {
+    name: 'GLASS CANNON',
+    desc: 'ONE LIFE',
+    score: 2,
+    modifiers: { startingLives: () => 1 },
+  },
+  bulletHell: {
+    name: 'BULLET HELL',
+    desc: 'TWICE THE BULLETS',
+    score: 1.5,
+    modifiers: { bulletSpawnRate: rate => rate * 2 },
+  },
+  speedrun: {
+    name: 'SPEEDRUN',
+    desc: 'HALF THE FLOOR TIMER',
+    score: 1.5,
+    modifiers: { levelTimeLimit: seconds => seconds / 2 },
+  },
+  noDash: {
+    name: 'NO DASH',
+    desc: 'DASH IS DISABLED',
+    score: 1.25,
+    modifiers: { canDash: () => false },
+  },
+  mirror: {
+    name: 'MIRROR',
+    desc: 'LEFT AND RIGHT SWAPPED',
+    score: 1.25,
+    modifiers: { moveAxis: axis => ({ x: -axis.x, y: axis.y }) },
+  },
+  eliteSquad: {
+    name: 'ELITE SQUAD',
+    desc: 'ELITES FROM FLOOR 1',
+    score: 1.5,
+    modifiers: { eliteChance: chance => Math.min(1, Math.max(0.2, chance * 2)) },
+  },
+};
+
+/**
+ * Combined score multiplier for a set of mutators.
+ * @param {string[]} ids
+ */
+export function getScoreMultiplier(ids) {
+  return ids.reduce((mult, id) => mult * (MUTATORS[id]?.score ?? 1), 1);
+}
+
+class MutatorManager {
+  constructor() {
+    this._active = null;  // mutator ids, in MUTATORS order; loaded on first use
+  }
+
+  /** @returns {string[]} ids of the active mutators */
+  getActive() {
+    return [...this._load()];
+  }
+
+  /** @param {string} id */
+  isActive(id) {
+    return this._load().includes(id);
+  }
+
+  /**
+   * Switch a mutator on or off for the next run.
+   * @param {string} id
+   */
+  toggle(id) {
+    if (!MUTATORS[id]) return;
+    const active = this._load();
+    const next = active.includes(id) ? active.filter(a => a !== id) : [...active, id];
+    this.setActive(next);
+  }
+
+  /**
+   * Replace the active set — e.g. with a replay's.
+   * @param {string[]} ids
+   * @param {object} [opts]
+   * @param {boolean} [opts.persist=true] - remember the choice for later sessions
+   */
+  setActive(ids, { persist = true } = {}) {
+    this._active = Object.keys(MUTATORS).filter(id => ids.includes(id));
+    if (persist) this._save();
+  }
+
+  /**
+   * Run `value` through every active mutator's modifier for `hook`.
+   * @param {string} hook
+   * @param {*} value
+   * @returns {*}
+   */
+  apply(hook, value) {
+    for (const id of this._load()) {
+      const modify = MUTATORS[id].modifiers[hook];
+      if (modify) value = modify(value);
+    }
+    return value;
+  }
+
+  /** Product of the active mutators' score multipliers. */
+  get scoreMultiplier() {
+    return getScoreMultiplier(this._load());
+  }
+
+  _load() {
+    if (this._active) return this._active;
+    try {
+      const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+      this._active = Array.isArray(parsed) ? Object.keys(MUTATORS).filter(id => parsed.includes(id)) : [];
+    } catch {
+      this._active = [];
+    }
+    return this._active;
+  }
+
+  _save() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this._active));
+    } catch {
+      // Storage unavailable — silent fail
+    }
+  }
+}
+
+export const mutators = new MutatorManager();
@@ -1,3 +1,7 @@
+import { rng, RNG_STREAMS } from './rng.js';
+
+const fxRng = rng.stream(RNG_STREAMS.COSMETIC);
+
 // ── Easing helpers (local, minimal) ──────────────────────────────────
 function easeOutQuad(t) { return t * (2 - t); }
 function easeInQuad(t) { return t * t; }
@@ -85,11 +89,11 @@ export class ParticlePool {
       if (this.particles.length >= this.max) break;
       this.particles.push(new Particle(x, y, {
         ...config,
-        vx: (config.vx || 0) + (config.vxRandom || 0) * (Math.random() - 0.5) * 2,
-        vy: (config.vy || 0) + (config.vyRandom || 0) * (Math.random() - 0.5) * 2,
-        life: (config.life || 0.5) + (config.lifeRandom || 0) * (Math.random() - 0.5) * 2,
-        size: (config.size || 4) + (config.sizeRandom || 0) * (Math.random() - 0.5) * 2,
-        rotationSpeed: config.rotationSpeed || (Math.random() - 0.5) * 6,
+        vx: (config.vx || 0) + (config.vxRandom || 0) * (fxRng.next() - 0.5) * 2,
+        vy: (config.vy || 0) + (config.vyRandom || 0) * (fxRng.next() - 0.5) * 2,
+        life: (config.life || 0.5) + (config.lifeRandom || 0) * (fxRng.next() - 0.5) * 2,
+        size: (config.size || 4) + (config.sizeRandom || 0) * (fxRng.next() - 0.5) * 2,
+        rotationSpeed: config.rotationSpeed || (fxRng.next() - 0.5) * 6,
       }));
     }
   }
@@ -0,0 +1,122 @@
+// Perks — upgrades drafted between floors. After a Boss or Power Up floor the
+// player picks one of three; picks stack and last for the rest of the run.
+// Like run mutators (mutators.js), a perk is a set of modifiers, and the
+// systems it touches ask through PerkSet.apply(hook, value) — each modifier
+// runs once per stack.
+//
+// Hooks:
+//   dashDuration — seconds a dash lasts                     (Player)
+//   dashCooldown — seconds between dashes                   (Player)
+//   maxLives     — cap on lives                             (Player)
+//   blastRadius  — px a QTE blast clears                    (GameplayScene)
+//   qteTime      — seconds added to every QTE               (QTEScene)
+//   bulletSlow   — speed factor for bullets near the player (BulletPool)
+
+export const PERK_DRAFT_SIZE = 3;
+
+export const PERKS = {
+  longDash: {
+    name: 'LONG DASH',
+    desc: 'DASH LASTS 30% LONGER',
+    color: '#00ffff',
+    modifiers: { dashDuration: seconds => seconds * 1.3 },
+  },
+  quickDash: {
+    name: 'QUICK DASH',
+    desc: 'DASH RECHARGES 25% FASTER',
+    color: '#44aaff',
+    modifiers: { dashCooldown: seconds => seconds * 0.75 },
+  },
+  bigBlast: {
+    name: 'BIG BLAST',
+    desc: 'QTE BLAST REACHES 20% FURTHER',
+    color: '#ffffff',
+    modifiers: { blastRadius: radius => radius * 1.2 },
+  },
+  extraTime: {
+    name: 'EXTRA TIME',
+    desc: '+1 SECOND ON EVERY QTE',
+    color: '#3498db',
+    modifiers: { qteTime: seconds => seconds + 1 },
+  },
+  slowField: {
+    name: 'SLOW FIELD',
+    desc: 'BULLETS SLOW DOWN NEAR YOU',
+    color: '#aa88ff',
+    modifiers: { bulletSlow: factor => factor * 0.75 },
+  },
+  extraHeart: {
+    name: 'EXTRA HEART',
+    desc: '+1 MAX LIFE, AND A LIFE NOW',
+    color: '#ff69b4',
+    modifiers: { maxLives: lives => lives + 1 },
+  },
+};
+
+/** The perks picked so far in one run. */
+export class PerkSet {
+  constructor() {
+    this.stacks = {};  // perk id → times picked, in the order first picked
+  }
+
+  /** @param {string} id - key of PERKS */
+  add(id) {
+    if (!PERKS[id]) return;
+    this.stacks[id] = this.count(id) + 1;
+  }
+
+  /** @param {string} id */
+  count(id) {
+    return this.stacks[id] || 0;
+  }
+
+  /** @returns {{ id: string, count: number }[]} picked perks, first pick first */
+  list() {
+    return Object.entries(this.stacks).map(([id, count]) => ({ id, count }));
+  }
+
+  /**
+   * Run `value` through every picked perk's modifier for `hook`, once per stack.
+   * @param {string} hook
+   * @param {*} value
+   * @returns {*}
+   */
+  apply(hook, value) {
+    for (const [id, count] of Object.entries(this.stacks)) {
+      const modify = PERKS[id].modifiers[hook];
+      if (!modify) continue;
+      for (let i = 0; i < count; i++) value = modify(value);
+    }
+    return value;
+  }
+
+  /** Snapshot of the picks, for a mid-run save. */
+  getState() {
+    return { ...this.stacks };
+  }
+
+  /** Restore a snapshot produced by getState(). */
+  setState(state) {
+    this.stacks = {};
+    for (const [id, count] of Object.entries(state)) {
+      if (PERKS[id]) this.stacks[id] = count;
+    }
+  }
+
+  /**
+   * Deal a hand of distinct perks to choose from.
+   * @param {{pick: Function}} stream - RNG stream to draw from
+   * @param {number} [size=PERK_DRAFT_SIZE]
+   * @returns {string[]}
+   */
+  draft(stream, size = PERK_DRAFT_SIZE) {
+    const pool = Object.keys(PERKS);
+    const hand = [];
+    while (hand.length < size && pool.length > 0) {
+      const id = stream.pick(pool);
+      pool.splice(pool.indexOf(id), 1);
+      hand.push(id);
+    }
+    return hand;
+  }
+}
@@ -0,0 +1,57 @@
+// Practice-mode records per QTE type: attempts, successes and best time,
+// persisted in localStorage. Practice never touches run stats or achievements.
+
+const STORAGE_KEY = 'qta_practice';
+
+class PracticeStats {
+  constructor() {
+    this._records = null;  // qteId → { attempts, successes, bestTime }, loaded on first use
+  }
+
+  /**
+   * @param {string} qteId
+   * @returns {{ attempts: number, successes: number, bestTime: number|null }}
+   */
+  get(qteId) {
+    const record = this._load()[qteId];
+    return record ? { ...record } : { attempts: 0, successes: 0, bestTime: null };
+  }
+
+  /**
+   * Record one finished practice attempt.
+   * @param {string} qteId
+   * @param {boolean} success
+   * @param {number} time - seconds the attempt took
+   */
+  record(qteId, success, time) {
+    const record = this.get(qteId);
+    record.attempts++;
+    if (success) {
+      record.successes++;
+      if (record.bestTime === null || time < record.bestTime) record.bestTime = time;
+    }
+    this._load()[qteId] = record;
+    this._save();
+  }
+
+  _load() {
+    if (this._records) return this._records;
+    try {
+      const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+      this._records = parsed && typeof parsed === 'object' ? parsed : {};
+    } catch {
+      this._records = {};
+    }
+    return this._records;
+  }
+
+  _save() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this._records));
+    } catch {
+      // Storage unavailable — silent fail
+    }
+  }
+}
+
+export const practice = new PracticeStats();
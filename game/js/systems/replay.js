@@ -0,0 +1,408 @@
+import { CANVAS_WIDTH, SIM_HZ, SIM_DT } from '../game.js';
+import { input } from '../input.js';
+import { audio } from './audio.js';
+import { achievements } from './achievements.js';
+import { mutators } from './mutators.js';
+import { formatSeed } from './rng.js';
+
+// Records a run as its seed + the raw input events that arrived before each
+// fixed simulation step, and plays it back by feeding the same events
+// through input.applyEvent() and Game.handleInput() on the same steps.
+
+const STORAGE_KEY = 'qta_replays';
+const MAX_SAVED_REPLAYS = 5;
+const REPLAY_VERSION = 3;  // 3: pointer positions are read through the CRT transform
+
+// Compact event type tags used in the saved JSON
+const TYPE_TAGS = {
+  keydown: 'kd',
+  keyup: 'ku',
+  mousedown: 'md',
+  mousemove: 'mm',
+  mouseup: 'mu',
+  padstick: 'ps',
+  blur: 'bl',
+};
+const TAG_TYPES = Object.fromEntries(Object.entries(TYPE_TAGS).map(([t, tag]) => [tag, t]));
+
+class ReplayManager {
+  constructor() {
+    this.recording = false;
+    this.playing = false;
+
+    // Recording state
+    this._scene = null;
+    this._header = null;
+    this._steps = 0;
+    this._events = [];
+    this._inStep = false;
+
+    // Playback state
+    this._game = null;
+    this._replay = null;
+    this._baseDepth = 0;
+    this._step = 0;
+    this._eventIndex = 0;
+    this._savedBindings = null;
+    this._savedMutators = null;
+  }
+
+  // ── Recording ──────────────────────────────────────────────────────────
+
+  /**
+   * Begin recording a run. No-op while a replay is playing back.
+   * @param {object} scene - the GameplayScene being recorded
+   * @param {number} seed - run seed
+   */
+  startRecording(scene, seed) {
+    if (this.playing) return;
+    this.recording = true;
+    this._scene = scene;
+    this._steps = 0;
+    this._events = [];
+    this._header = {
+      v: REPLAY_VERSION,
+      hz: SIM_HZ,
+      seed,
+      bindings: input.getActionMap(),
+      input: input.getState(),
+      mutators: mutators.getActive(),
+    };
+  }
+
+  /**
+   * Stop recording and save the replay. Run stats are read from the
+   * recorded scene.
+   * @returns {object|null} the finished replay
+   */
+  stopRecording() {
+    if (!this.recording) return null;
+    this.recording = false;
+
+    const scene = this._scene;
+    this._scene = null;
+
+    // Stopped from inside Game.update (e.g. on death) — keep that final step
+    const steps = this._steps + (this._inStep ? 1 : 0);
+    if (steps === 0) return null;
+
+    const replay = {
+      ...this._header,
+      date: Date.now(),
+      levelDepth: scene.levelManager ? scene.levelManager.levelDepth : 0,
+      enemiesKilled: scene.enemiesKilled || 0,
+      duration: steps * SIM_DT,
+      steps,
+      ev: this._events,
+    };
+    this._events = [];
+
+    this._save(replay);
+    return replay;
+  }
+
+  /**
+   * Record an input event forwarded to the game (a DOM event, or a gamepad.js
+   * event). Consecutive mouse moves before one step are coalesced — only the
+   * last position matters.
+   * @param {Event|object} e
+   */
+  captureEvent(e) {
+    if (!this.recording) return;
+    const encoded = _encodeEvent(this._steps, input.normalizeEvent(e));
+    if (!encoded) return;
+
+    const last = this._events[this._events.length - 1];
+    if (encoded[1] === 'mm' && last && last[0] === encoded[0] && last[1] === 'mm') {
+      this._events[this._events.length - 1] = encoded;
+    } else {
+      this._events.push(encoded);
+    }
+  }
+
+  // ── Step hooks (called by the main loop around each Game.update) ─────
+
+  /** Call before Game.update. During playback, injects this step's events. */
+  beginStep() {
+    this._inStep = true;
+    if (!this.playing) return;
+
+    const replay = this._replay;
+    if (this._step >= replay.steps) {
+      this.stopPlayback();
+      return;
+    }
+
+    while (this._eventIndex < replay.ev.length && replay.ev[this._eventIndex][0] === this._step) {
+      const ev = _decodeEvent(replay.ev[this._eventIndex++]);
+      input.applyEvent(ev);
+      if (ev.type !== 'blur') this._game.handleInput(ev);
+    }
+  }
+
+  /**
+   * Call after input.endFrame. Counts the step, and ends recording/playback
+   * once the run's scene has left the stack (e.g. quit from the pause menu).
+   * @param {import('../game.js').Game} game
+   */
+  endStep(game) {
+    this._inStep = false;
+    if (this.recording) {
+      this._steps++;
+      if (!game.scenes.includes(this._scene)) this.stopRecording();
+    }
+    if (this.playing) {
+      this._step++;
+      if (game.scenes.length <= this._baseDepth) this.stopPlayback();
+    }
+  }
+
+  // ── Playback ───────────────────────────────────────────────────────────
+
+  /**
+   * Prepare input for playback. The caller pushes a GameplayScene seeded
+   * with replay.seed immediately afterwards.
+   * @param {import('../game.js').Game} game
+   * @param {object} replay
+   */
+  startPlayback(game, replay) {
+    if (this.recording) this.stopRecording();
+
+    this.playing = true;
+    this._game = game;
+    this._replay = replay;
+    this._baseDepth = game.scenes.length;
+    this._step = 0;
+    this._eventIndex = 0;
+
+    this._savedBindings = input.getActionMap();
+    for (const [action, codes] of Object.entries(replay.bindings || {})) {
+      input.setBinding(action, codes);
+    }
+
+    // Play back under the run's mutators, not whatever is picked now
+    this._savedMutators = mutators.getActive();
+    mutators.setActive(replay.mutators || [], { persist: false });
+
+    input.setLiveInput(false);
+    input.setState(replay.input);
+    achievements.suspended = true;
+  }
+
+  /** Abort or finish playback and return to the scene that started it. */
+  stopPlayback() {
+    if (!this.playing) return;
+    this.playing = false;
+
+    const game = this._game;
+    while (game.scenes.length > this._baseDepth) {
+      game.popScene();
+    }
+    // Pause → Main Menu inside the replay flags a landing we don't want
+    if (game.scenes[0]) game.scenes[0]._returnFromGameplay = false;
+
+    for (const [action, codes] of Object.entries(this._savedBindings)) {
+      input.setBinding(action, codes);
+    }
+    mutators.setActive(this._savedMutators, { persist: false });
+    input.applyEvent({ type: 'blur' }); // release anything the replay held
+    input.setLiveInput(true);
+    achievements.suspended = false;
+    audio.stopGameplayMusic();
+
+    this._game = null;
+    this._replay = null;
+  }
+
+  /**
+   * Live input while a replay is playing. Escape (Start on a gamepad, the
+   * pause button on a touchscreen) exits playback.
+   * @param {Event|object} e
+   */
+  onLiveInput(e) {
+    const isExit = e.code === 'Escape' || e.code === 'PadStart' || e.code === 'TouchPause';
+    if (e.type === 'keydown' && isExit && !e.repeat) {
+      this.stopPlayback();
+    }
+  }
+
+  /** Playback progress in [0, 1]. */
+  get progress() {
+    if (!this.playing || this._replay.steps === 0) return 0;
+    return this._step / this._replay.steps;
+  }
+
+  // ── Rendering ──────────────────────────────────────────────────────────
+
+  /** Screen-space playback banner (drawn after CRT). */
+  render(ctx) {
+    if (!this.playing) return;
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(0, 0, CANVAS_WIDTH, 22);
+
+    ctx.font = '8px "Press Start 2P"';
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'left';
+    ctx.fillStyle = Math.floor(performance.now() / 500) % 2 === 0 ? '#ff4444' : '#aa2222';
+    ctx.fillText('● REPLAY', 10, 11);
+
+    ctx.fillStyle = '#aaaaaa';
+    ctx.fillText(`SEED ${formatSeed(this._replay.seed)}`, 110, 11);
+
+    ctx.textAlign = 'right';
+    ctx.fillText('ESC TO EXIT', CANVAS_WIDTH - 10, 11);
+
+    // Progress bar
+    ctx.fillStyle = '#00ffff';
+    ctx.fillRect(0, 20, CANVAS_WIDTH * this.progress, 2);
+    ctx.restore();
+  }
+
+  // ── Storage ────────────────────────────────────────────────────────────
+
+  /** Saved replays, newest first. */
+  getSaved() {
+    try {
+      const list = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+      return Array.isArray(list) ? list.filter(_isValidReplay) : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /** Remove a saved replay by index into getSaved(). */
+  deleteSaved(index) {
+    const list = this.getSaved();
+    list.splice(index, 1);
+    this._writeSaved(list);
+  }
+
+  /**
+   * Add an externally loaded replay to the saved list.
+   * @param {object} replay
+   */
+  addSaved(replay) {
+    this._save(replay);
+  }
+
+  /**
+   * Download a replay as a JSON file.
+   * @param {object} replay
+   */
+  exportToFile(replay) {
+    const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `qta-replay-${formatSeed(replay.seed)}-${replay.date}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Prompt the user for a replay JSON file.
+   * @returns {Promise<object|null>} the parsed replay, or null if cancelled/invalid
+   */
+  importFromFile() {
+    return new Promise((resolve) => {
+      const picker = document.createElement('input');
+      picker.type = 'file';
+      picker.accept = '.json,application/json';
+      picker.addEventListener('change', () => {
+        const file = picker.files && picker.files[0];
+        if (!file) {
+          resolve(null);
+          return;
+        }
+        file.text().then((text) => {
+          try {
+            const replay = JSON.parse(text);
+            resolve(_isValidReplay(replay) ? replay : null);
+          } catch {
+            resolve(null);
+          }
+        }, () => resolve(null));
+      });
+      picker.click();
+    });
+  }
+
+  _save(replay) {
+    const list = this.getSaved();
+    list.unshift(replay);
+    this._writeSaved(list.slice(0, MAX_SAVED_REPLAYS));
+  }
+
+  _writeSaved(list) {
+    // Long runs can exceed the quota — drop the oldest until it fits
+    while (list.length > 0) {
+      try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+        return;
+      } catch {
+        list.pop();
+      }
+    }
+    try {
+      localStorage.removeItem(STORAGE_KEY);
+    } catch {
+      // Storage unavailable — silent fail
+    }
+  }
+}
+
+export const replay = new ReplayManager();
+
+// ── Helpers ──────────────────────────────────────────────────────────────
+
+/** [frame, tag, ...fields] — see TYPE_TAGS. */
+function _encodeEvent(frame, ev) {
+  const tag = TYPE_TAGS[ev.type];
+  if (!tag) return null;
+  switch (ev.type) {
+    case 'keydown':
+      return [frame, tag, ev.code, ev.key, ev.repeat ? 1 : 0];
+    case 'keyup':
+      return [frame, tag, ev.code, ev.key];
+    case 'mousedown':
+    case 'mouseup':
+      return [frame, tag, ev.button, ev.x, ev.y, ev.onCanvas ? 1 : 0];
+    case 'mousemove':
+      return [frame, tag, ev.x, ev.y, ev.onCanvas ? 1 : 0];
+    case 'padstick':
+      return [frame, tag, ev.x, ev.y];
+    default:
+      return [frame, tag];
+  }
+}
+
+function _decodeEvent(arr) {
+  const type = TAG_TYPES[arr[1]];
+  switch (type) {
+    case 'keydown':
+      return { type, code: arr[2], key: arr[3], repeat: arr[4] === 1 };
+    case 'keyup':
+      return { type, code: arr[2], key: arr[3], repeat: false };
+    case 'mousedown':
+    case 'mouseup':
+      return { type, button: arr[2], x: arr[3], y: arr[4], onCanvas: arr[5] === 1 };
+    case 'mousemove':
+      return { type, button: 0, x: arr[2], y: arr[3], onCanvas: arr[4] === 1 };
+    case 'padstick':
+      return { type, x: arr[2], y: arr[3] };
+    default:
+      return { type };
+  }
+}
+
+function _isValidReplay(r) {
+  return !!r && typeof r === 'object'
+    && r.v === REPLAY_VERSION
+    && r.hz === SIM_HZ
+    && typeof r.seed === 'number'
+    && typeof r.steps === 'number'
+    && Array.isArray(r.ev)
+    && r.input && typeof r.input === 'object';
+}
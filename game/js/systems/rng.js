@@ -0,0 +1,163 @@
+// Seeded random number generation for reproducible runs.
+//
+// A run is identified by a single 32-bit seed. Each subsystem draws from its
+// own named stream derived from that seed, so extra draws in one place (e.g.
+// more particles on a faster machine) never shift the layouts or spawns that
+// another stream produces.
+
+// ── Streams ──────────────────────────────────────────────────────────────
+export const RNG_STREAMS = {
+  LAYOUT: 'layout',       // challenge types, layouts, key room
+  SPAWN: 'spawn',         // enemy types, spawn positions, drops
+  AI: 'ai',               // enemy movement / attack timing
+  QTE: 'qte',             // QTE words, targets, maps
+  COSMETIC: 'cosmetic',   // particles, shake, voicelines
+  PERK: 'perk',           // perk draft hands
+};
+
+export const SEED_LENGTH = 8; // hex digits shown to the player
+
+/**
+ * A single mulberry32 generator. State is one uint32, so it can be
+ * snapshotted and restored cheaply.
+ */
+export class RandomStream {
+  /** @param {number} state - initial uint32 state */
+  constructor(state) {
+    this.state = state >>> 0;
+  }
+
+  /** Uniform float in [0, 1). Drop-in replacement for Math.random(). */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /** Uniform float in [min, max). */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /** Uniform integer in [0, n). */
+  int(n) {
+    return Math.floor(this.next() * n);
+  }
+
+  /** Random element of a non-empty array. */
+  pick(arr) {
+    return arr[this.int(arr.length)];
+  }
+
+  /** True with probability p. */
+  chance(p) {
+    return this.next() < p;
+  }
+}
+
+class RNGManager {
+  constructor() {
+    this.seed = 0;
+    this._streams = {};
+    this.setSeed(generateSeed());
+  }
+
+  /**
+   * Reset every stream from a run seed.
+   * @param {number} seed - uint32
+   */
+  setSeed(seed) {
+    this.seed = seed >>> 0;
+    const names = new Set([...Object.values(RNG_STREAMS), ...Object.keys(this._streams)]);
+    for (const name of names) {
+      // Re-seed in place so modules may hold on to stream references
+      if (this._streams[name]) {
+        this._streams[name].state = _deriveState(this.seed, name);
+      } else {
+        this._streams[name] = new RandomStream(_deriveState(this.seed, name));
+      }
+    }
+  }
+
+  /**
+   * Get a named stream. Unknown names are created on demand from the seed.
+   * The returned object stays valid across setSeed()/setState().
+   * @param {string} name
+   * @returns {RandomStream}
+   */
+  stream(name) {
+    if (!this._streams[name]) {
+      this._streams[name] = new RandomStream(_deriveState(this.seed, name));
+    }
+    return this._streams[name];
+  }
+
+  /** Snapshot of the seed and every stream position. */
+  getState() {
+    const streams = {};
+    for (const name in this._streams) {
+      streams[name] = this._streams[name].state;
+    }
+    return { seed: this.seed, streams };
+  }
+
+  /** Restore a snapshot produced by getState(). */
+  setState(state) {
+    this.setSeed(state.seed);
+    for (const name in state.streams) {
+      this.stream(name).state = state.streams[name] >>> 0;
+    }
+  }
+}
+
+export const rng = new RNGManager();
+
+// ── Seeds ────────────────────────────────────────────────────────────────
+
+/** Fresh, non-deterministic seed for a new run. */
+export function generateSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * Seed derived from a string, the same on every machine (e.g. the Daily
+ * challenge's date).
+ * @param {string} text
+ * @returns {number}
+ */
+export function seedFromText(text) {
+  return _deriveState(0, text);
+}
+
+/** Format a seed as fixed-width uppercase hex, e.g. "0A1B2C3D". */
+export function formatSeed(seed) {
+  return (seed >>> 0).toString(16).toUpperCase().padStart(SEED_LENGTH, '0');
+}
+
+/**
+ * Parse a hex seed string. Returns null if it is empty or not valid hex.
+ * @param {string} text
+ * @returns {number|null}
+ */
+export function parseSeed(text) {
+  if (!text || text.length > SEED_LENGTH || !/^[0-9a-fA-F]+$/.test(text)) return null;
+  return parseInt(text, 16) >>> 0;
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────────
+
+/** Mix the run seed with an FNV-1a hash of the stream name. */
+function _deriveState(seed, name) {
+  let h = 0x811C9DC5;
+  for (let i = 0; i < name.length; i++) {
+    h ^= name.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  h ^= seed;
+  // Final avalanche so adjacent seeds diverge immediately
+  h = Math.imul(h ^ (h >>> 16), 0x85EBCA6B);
+  h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
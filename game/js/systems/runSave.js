@@ -0,0 +1,108 @@
+import { getDailyKey } from './daily.js';
+
+// Mid-run save — a snapshot of the run taken as each floor starts, persisted
+// in localStorage so closing the tab doesn't lose it. The main menu offers to
+// continue from it; the run's death deletes it. A Daily run saves to its own
+// slot, dailySave, so playing the Daily leaves a regular saved run alone; its
+// save expires with its day, as its score would land on a board that no
+// longer shows it.
+//
+// So a floor can't be retried, the save is marked in progress once the floor
+// begins. Quitting from the pause menu suspends it with the lives, timer and
+// RNG of that moment — a continued run rebuilds the floor and carries on from
+// those. A save still in progress was abandoned (tab closed mid-floor) and
+// counts as the run's death.
+
+const STORAGE_KEYS = {
+  run: 'qta_run_save',
+  daily: 'qta_run_save_daily',
+};
+const SAVE_VERSION = 1;
+
+class RunSave {
+  /** @param {string} storageKey - localStorage key of this slot */
+  constructor(storageKey) {
+    this.storageKey = storageKey;
+  }
+
+  /**
+   * The saved run, if there is one.
+   * @returns {object|null} a snapshot written by save()
+   */
+  load() {
+    try {
+      const state = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+      if (!_isValidSave(state)) return null;
+      if (state.inFloor || (state.day && state.day !== getDailyKey())) {
+        this.clear();
+        return null;
+      }
+      return state;
+    } catch {
+      return null;
+    }
+  }
+
+  /** Whether there is a run to continue. */
+  has() {
+    return this.load() !== null;
+  }
+
+  /**
+   * Replace the saved run.
+   * @param {object} state - GameplayScene run snapshot
+   */
+  save(state) {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify({ v: SAVE_VERSION, ...state }));
+    } catch {
+      // Storage unavailable — silent fail
+    }
+  }
+
+  /** The saved floor has begun: from now on only suspend() keeps it. */
+  markFloorStarted() {
+    this._update({ inFloor: true });
+  }
+
+  /**
+   * Keep the saved run after quitting mid-floor.
+   * @param {object} suspended - { lives, levelTimer, rng, runLength } at the moment of quitting
+   */
+  suspend(suspended) {
+    this._update({ inFloor: false, suspended });
+  }
+
+  /** Forget the saved run (it ended). */
+  clear() {
+    try {
+      localStorage.removeItem(this.storageKey);
+    } catch {
+      // Storage unavailable — silent fail
+    }
+  }
+
+  _update(fields) {
+    try {
+      const state = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+      if (!_isValidSave(state)) return;
+      localStorage.setItem(this.storageKey, JSON.stringify({ ...state, ...fields }));
+    } catch {
+      // Storage unavailable — silent fail
+    }
+  }
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────────
+
+function _isValidSave(state) {
+  return state !== null && typeof state === 'object'
+    && state.v === SAVE_VERSION
+    && typeof state.seed === 'number'
+    && state.rng && typeof state.rng === 'object'
+    && state.levelManager && typeof state.levelManager.levelDepth === 'number'
+    && typeof state.lives === 'number';
+}
+
+export const runSave = new RunSave(STORAGE_KEYS.run);
+export const dailySave = new RunSave(STORAGE_KEYS.daily);
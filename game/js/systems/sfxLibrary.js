@@ -51,6 +51,15 @@ function enemyKnockback(engine, pitchMult, volMult) {
     null, 0.2 * volMult);
 }
 
+function shieldBreak(engine, pitchMult, volMult) {
+  engine.playSweep(1200 * pitchMult, 400 * pitchMult, 0.12, 'triangle',
+    { attack: 0.002, decay: 0.03, sustain: 0.4, release: 0.04 },
+    null, 0.22 * volMult);
+  engine.playNoise(0.1,
+    { attack: 0.002, decay: 0.03, sustain: 0.2, release: 0.04 },
+    null, 0.15 * volMult);
+}
+
 function batLunge(engine, pitchMult, volMult) {
   engine.playNoise(0.15,
     { attack: 0.01, decay: 0.04, sustain: 0.3, release: 0.06 },
@@ -116,6 +125,15 @@ function qteClick(engine, pitchMult, volMult) {
     null, 0.18 * volMult);
 }
 
+function tumblerSet(engine, pitchMult, volMult) {
+  engine.playTone(1200 * pitchMult, 0.02, 'square',
+    { attack: 0.001, decay: 0.008, sustain: 0.2, release: 0.005 },
+    null, 0.15 * volMult);
+  engine.playNoise(0.02,
+    { attack: 0.001, decay: 0.008, sustain: 0.2, release: 0.005 },
+    null, 0.1 * volMult);
+}
+
 // ── Level SFX ─────────────────────────────────────────────────────────
 
 function holeOpen(engine, pitchMult, volMult) {
@@ -204,6 +222,24 @@ function generatorOn(engine, pitchMult, volMult) {
     null, 0.25 * volMult);
 }
 
+function doorUnlock(engine, pitchMult, volMult) {
+  engine.playSweep(300 * pitchMult, 150 * pitchMult, 0.12, 'square',
+    { attack: 0.005, decay: 0.03, sustain: 0.4, release: 0.03 },
+    null, 0.22 * volMult);
+  engine.playNoise(0.15,
+    { attack: 0.01, decay: 0.05, sustain: 0.3, release: 0.05 },
+    null, 0.15 * volMult);
+}
+
+function bossPhaseBreak(engine, pitchMult, volMult) {
+  engine.playSweep(520 * pitchMult, 130 * pitchMult, 0.3, 'sawtooth',
+    { attack: 0.005, decay: 0.05, sustain: 0.5, release: 0.08 },
+    null, 0.25 * volMult);
+  engine.playNoise(0.25,
+    { attack: 0.005, decay: 0.08, sustain: 0.3, release: 0.08 },
+    null, 0.2 * volMult);
+}
+
 function bossDefeat(engine, pitchMult, volMult) {
   const ctx = engine.ctx;
   const now = ctx.currentTime;
@@ -307,6 +343,7 @@ export const SFX = {
   bulletWallHit,
   enemyDeath,
   enemyKnockback,
+  shieldBreak,
   dash,
   batLunge,
   batWindup,
@@ -317,6 +354,7 @@ export const SFX = {
   qteStart,
   qteUrgent,
   qteClick,
+  tumblerSet,
   // Level
   holeOpen,
   falling,
@@ -327,6 +365,8 @@ export const SFX = {
   lifeGain,
   timeBonus,
   generatorOn,
+  doorUnlock,
+  bossPhaseBreak,
   bossDefeat,
   challengeSafe,
   fleePenalty,
@@ -11,7 +11,7 @@ const TUTORIAL_TEXT = {
     'TO OPEN THE EXIT',
   ],
   FIND_THE_KEY: [
-    'FIND THE KEY',
+    'FIND THE KEY, PICK ITS LOCK',
     'AND BRING IT BACK',
   ],
   COFFEE_BREAK: [
@@ -25,7 +25,7 @@ const TUTORIAL_TEXT = {
   ],
   BOSS: [
     'DEFEAT THE BOSS',
-    'COMPLETE 5 QTES TO WIN',
+    'BREAK EACH PHASE WITH A QTE CHAIN',
   ],
   POWER_UP: [
     'ACTIVATE ALL GENERATORS',
@@ -0,0 +1,349 @@
+import { CANVAS_WIDTH } from './game.js';
+import { input } from './input.js';
+
+// Touchscreen input. Touches are turned into the same plain events
+// input.normalizeEvent() produces and queued for the main loop (like
+// gamepad.js), so they reach scenes, InputManager and replays as ordinary
+// input. What a touch does depends on the current scene's `touchLayout`:
+//   none         → direct tap: mousemove/mousedown/mouseup at the touch point
+//   POINTER      → direct tap plus a pause button (mouse QTEs)
+//   TAP          → every finger is its own click, for mashing (TapQTE)
+//   WALK / HUB   → floating joystick on the left half ('padstick' events)
+//                  plus on-screen buttons; other touches are direct taps
+//   PLATFORMER   → left / right / jump buttons (ControllerQTE)
+//   KEYBOARD     → on-screen letter keyboard (LetterQTE)
+//   LOCKPICK     → USE button to set each tumbler (LockpickQTE)
+// Layouts are hit-tested and drawn in screen space, after the CRT pass.
+
+export const TOUCH_LAYOUTS = {
+  POINTER: 'pointer',
+  TAP: 'tap',
+  WALK: 'walk',
+  HUB: 'hub',
+  PLATFORMER: 'platformer',
+  KEYBOARD: 'keyboard',
+  LOCKPICK: 'lockpick',
+};
+
+// Joystick
+const JOYSTICK_RADIUS = 70;
+const JOYSTICK_DEADZONE = 0.15;
+const JOYSTICK_STEPS = 20;        // values rounded to 1/20ths, as for gamepad sticks
+const JOYSTICK_HINT = { x: 130, y: 470 };
+
+// Buttons (screen px). Codes are fixed action codes — see FIXED_CODES in input.js
+const DASH_BUTTON     = { code: 'TouchDash',     label: 'DASH', x: 700, y: 500, r: 50 };
+const INTERACT_BUTTON = { code: 'TouchInteract', label: 'USE',  x: 700, y: 500, r: 50 };
+const PAUSE_BUTTON    = { code: 'TouchPause',    label: 'II',   x: 690, y: 30,  r: 22 };
+const LEFT_BUTTON     = { code: 'TouchLeft',     label: '<',    x: 90,  y: 510, r: 48 };
+const RIGHT_BUTTON    = { code: 'TouchRight',    label: '>',    x: 210, y: 510, r: 48 };
+const JUMP_BUTTON     = { code: 'TouchJump',     label: 'JUMP', x: 700, y: 510, r: 56 };
+
+const LAYOUT_BUTTONS = {
+  [TOUCH_LAYOUTS.POINTER]: [PAUSE_BUTTON],
+  [TOUCH_LAYOUTS.TAP]: [PAUSE_BUTTON],
+  [TOUCH_LAYOUTS.WALK]: [DASH_BUTTON, PAUSE_BUTTON],
+  [TOUCH_LAYOUTS.HUB]: [INTERACT_BUTTON],
+  [TOUCH_LAYOUTS.PLATFORMER]: [LEFT_BUTTON, RIGHT_BUTTON, JUMP_BUTTON, PAUSE_BUTTON],
+  [TOUCH_LAYOUTS.KEYBOARD]: [PAUSE_BUTTON],
+  [TOUCH_LAYOUTS.LOCKPICK]: [INTERACT_BUTTON, PAUSE_BUTTON],
+};
+const JOYSTICK_LAYOUTS = [TOUCH_LAYOUTS.WALK, TOUCH_LAYOUTS.HUB];
+
+// Letter keyboard
+const KEY_ROWS = ['QWERTYUIOP', 'ASDFGHJKL', 'ZXCVBNM'];
+const KEY_W = 64;
+const KEY_H = 48;
+const KEY_GAP = 8;
+const KEYBOARD_Y = 400;
+const KEYS = _buildKeys();
+
+// Colors
+const CONTROL_FILL = 'rgba(255, 255, 255, 0.12)';
+const CONTROL_PRESSED = 'rgba(0, 255, 255, 0.35)';
+const CONTROL_STROKE = 'rgba(255, 255, 255, 0.45)';
+const CONTROL_TEXT = 'rgba(255, 255, 255, 0.8)';
+
+class TouchManager {
+  constructor() {
+    this.active = false;        // a touch was the most recent input — show controls
+
+    this._game = null;
+    this._queue = [];
+    this._layout = null;
+    this._touches = new Map();  // touch id → { kind, code?, originX?, originY?, x, y }
+    this._stick = { x: 0, y: 0 };
+  }
+
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {import('./game.js').Game} game - read for the current scene's layout
+   */
+  init(canvas, game) {
+    this._game = game;
+
+    // Non-passive so preventDefault stops scrolling, zooming and the
+    // emulated mouse events browsers send after a tap
+    const opts = { passive: false };
+    canvas.addEventListener('touchstart', (e) => this._onTouchStart(e), opts);
+    canvas.addEventListener('touchmove', (e) => this._onTouchMove(e), opts);
+    canvas.addEventListener('touchend', (e) => this._onTouchEnd(e), opts);
+    canvas.addEventListener('touchcancel', (e) => this._onTouchEnd(e), opts);
+
+    // Keyboard or mouse use hides the on-screen controls again
+    window.addEventListener('keydown', () => { this.active = false; });
+    window.addEventListener('mousedown', () => { this.active = false; });
+  }
+
+  /**
+   * Events produced by touches since the last call. Call once per rendered
+   * frame, before simulation steps.
+   * @returns {object[]} normalized events
+   */
+  poll() {
+    // A new layout (e.g. a QTE opened) lets go of everything held in the old one
+    const layout = this._currentLayout();
+    if (layout !== this._layout) {
+      for (const id of [...this._touches.keys()]) this._release(id);
+      this._layout = layout;
+    }
+
+    const events = this._queue;
+    this._queue = [];
+    return events;
+  }
+
+  /** Draw the on-screen controls for the current layout (screen space). */
+  render(ctx) {
+    if (!this.active) return;
+    const layout = this._currentLayout();
+    if (!layout) return;
+
+    ctx.save();
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    if (JOYSTICK_LAYOUTS.includes(layout)) this._renderJoystick(ctx);
+    if (layout === TOUCH_LAYOUTS.KEYBOARD) this._renderKeyboard(ctx);
+
+    for (const button of LAYOUT_BUTTONS[layout]) {
+      ctx.fillStyle = this._isHeld(button.code) ? CONTROL_PRESSED : CONTROL_FILL;
+      ctx.beginPath();
+      ctx.arc(button.x, button.y, button.r, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.strokeStyle = CONTROL_STROKE;
+      ctx.lineWidth = 2;
+      ctx.stroke();
+
+      ctx.fillStyle = CONTROL_TEXT;
+      ctx.font = `${button.r > 30 ? 12 : 10}px "Press Start 2P"`;
+      ctx.fillText(button.label, button.x, button.y);
+    }
+    ctx.restore();
+  }
+
+  // ── DOM handlers ───────────────────────────────────────────────────────
+
+  _onTouchStart(e) {
+    e.preventDefault();
+    this.active = true;
+    const layout = this._currentLayout();
+
+    for (const t of e.changedTouches) {
+      const pos = input.toCanvasPos(t);
+      const touch = this._classify(layout, pos);
+      if (!touch) continue;
+      this._touches.set(t.identifier, touch);
+
+      switch (touch.kind) {
+        case 'button':
+        case 'key':
+          this._queue.push(_keyEvent('keydown', touch.code, touch.key));
+          break;
+        case 'pointer':
+          this._queue.push(_mouseEvent('mousemove', pos), _mouseEvent('mousedown', pos));
+          break;
+      }
+    }
+  }
+
+  _onTouchMove(e) {
+    e.preventDefault();
+    for (const t of e.changedTouches) {
+      const touch = this._touches.get(t.identifier);
+      if (!touch) continue;
+      const pos = input.toCanvasPos(t);
+      touch.x = pos.x;
+      touch.y = pos.y;
+
+      if (touch.kind === 'joystick') {
+        this._setStick(_joystickValue(touch));
+      } else if (touch.kind === 'pointer') {
+        this._queue.push(_mouseEvent('mousemove', pos));
+      }
+    }
+  }
+
+  _onTouchEnd(e) {
+    e.preventDefault();
+    for (const t of e.changedTouches) {
+      this._release(t.identifier);
+    }
+  }
+
+  // ── Internal ───────────────────────────────────────────────────────────
+
+  _currentLayout() {
+    const scene = this._game ? this._game.currentScene() : null;
+    return (scene && scene.touchLayout) || null;
+  }
+
+  /** Decide what a new touch at `pos` controls, or null to ignore it. */
+  _classify(layout, pos) {
+    const base = { x: pos.x, y: pos.y };
+
+    if (layout) {
+      for (const button of LAYOUT_BUTTONS[layout]) {
+        if (Math.hypot(pos.x - button.x, pos.y - button.y) <= button.r) {
+          return { ...base, kind: 'button', code: button.code };
+        }
+      }
+    }
+
+    if (layout === TOUCH_LAYOUTS.KEYBOARD) {
+      const key = KEYS.find(k => pos.x >= k.x && pos.x <= k.x + KEY_W && pos.y >= k.y && pos.y <= k.y + KEY_H);
+      return key ? { ...base, kind: 'key', code: `Key${key.letter}`, key: key.letter.toLowerCase() } : null;
+    }
+    if (layout === TOUCH_LAYOUTS.PLATFORMER) return null;
+
+    if (JOYSTICK_LAYOUTS.includes(layout) && pos.x < CANVAS_WIDTH / 2 && !this._hasKind('joystick')) {
+      return { ...base, kind: 'joystick', originX: pos.x, originY: pos.y };
+    }
+
+    // One direct-tap pointer at a time, except when mashing
+    if (layout !== TOUCH_LAYOUTS.TAP && this._hasKind('pointer')) return null;
+    return { ...base, kind: 'pointer' };
+  }
+
+  _release(id) {
+    const touch = this._touches.get(id);
+    if (!touch) return;
+    this._touches.delete(id);
+
+    switch (touch.kind) {
+      case 'button':
+      case 'key':
+        this._queue.push(_keyEvent('keyup', touch.code, touch.key));
+        break;
+      case 'joystick':
+        this._setStick({ x: 0, y: 0 });
+        break;
+      case 'pointer':
+        this._queue.push(_mouseEvent('mouseup', touch));
+        break;
+    }
+  }
+
+  _setStick({ x, y }) {
+    if (x === this._stick.x && y === this._stick.y) return;
+    this._stick = { x, y };
+    this._queue.push({ type: 'padstick', x, y, fromGamepad: true });
+  }
+
+  _hasKind(kind) {
+    for (const touch of this._touches.values()) {
+      if (touch.kind === kind) return true;
+    }
+    return false;
+  }
+
+  _isHeld(code) {
+    for (const touch of this._touches.values()) {
+      if (touch.code === code) return true;
+    }
+    return false;
+  }
+
+  // ── Rendering ──────────────────────────────────────────────────────────
+
+  _renderJoystick(ctx) {
+    let joystick = null;
+    for (const touch of this._touches.values()) {
+      if (touch.kind === 'joystick') joystick = touch;
+    }
+
+    const ox = joystick ? joystick.originX : JOYSTICK_HINT.x;
+    const oy = joystick ? joystick.originY : JOYSTICK_HINT.y;
+    const knobX = ox + this._stick.x * JOYSTICK_RADIUS;
+    const knobY = oy + this._stick.y * JOYSTICK_RADIUS;
+
+    ctx.fillStyle = CONTROL_FILL;
+    ctx.strokeStyle = CONTROL_STROKE;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(ox, oy, JOYSTICK_RADIUS, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+
+    ctx.fillStyle = joystick ? CONTROL_PRESSED : CONTROL_FILL;
+    ctx.beginPath();
+    ctx.arc(knobX, knobY, JOYSTICK_RADIUS * 0.4, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+  }
+
+  _renderKeyboard(ctx) {
+    ctx.font = '16px "Press Start 2P"';
+    ctx.lineWidth = 2;
+    for (const key of KEYS) {
+      ctx.fillStyle = this._isHeld(`Key${key.letter}`) ? CONTROL_PRESSED : CONTROL_FILL;
+      ctx.fillRect(key.x, key.y, KEY_W, KEY_H);
+      ctx.strokeStyle = CONTROL_STROKE;
+      ctx.strokeRect(key.x, key.y, KEY_W, KEY_H);
+      ctx.fillStyle = CONTROL_TEXT;
+      ctx.fillText(key.letter, key.x + KEY_W / 2, key.y + KEY_H / 2);
+    }
+  }
+}
+
+export const touch = new TouchManager();
+
+// ── Helpers ──────────────────────────────────────────────────────────────
+
+function _keyEvent(type, code, key = code) {
+  return { type, code, key, repeat: false, fromGamepad: true };
+}
+
+function _mouseEvent(type, pos) {
+  return { type, button: 0, x: pos.x, y: pos.y, onCanvas: true, fromGamepad: true };
+}
+
+/** Joystick deflection from its origin, clamped to 1 with a deadzone. */
+function _joystickValue(touch) {
+  const dx = (touch.x - touch.originX) / JOYSTICK_RADIUS;
+  const dy = (touch.y - touch.originY) / JOYSTICK_RADIUS;
+  const mag = Math.hypot(dx, dy);
+  if (mag < JOYSTICK_DEADZONE) return { x: 0, y: 0 };
+  const scale = Math.min(1, mag) / mag;
+  return {
+    x: Math.round(dx * scale * JOYSTICK_STEPS) / JOYSTICK_STEPS || 0,
+    y: Math.round(dy * scale * JOYSTICK_STEPS) / JOYSTICK_STEPS || 0,
+  };
+}
+
+/** Key rects for the letter keyboard, rows centred. */
+function _buildKeys() {
+  const keys = [];
+  KEY_ROWS.forEach((row, r) => {
+    const rowWidth = row.length * (KEY_W + KEY_GAP) - KEY_GAP;
+    const startX = (CANVAS_WIDTH - rowWidth) / 2;
+    for (let i = 0; i < row.length; i++) {
+      keys.push({
+        letter: row[i],
+        x: startX + i * (KEY_W + KEY_GAP),
+        y: KEYBOARD_Y + r * (KEY_H + KEY_GAP),
+      });
+    }
+  });
+  return keys;
+}
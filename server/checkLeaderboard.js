@@ -0,0 +1,151 @@
+// Offline check of the leaderboard REST path — the game's RestBackend and
+// leaderboard.js merge, driven through the in-memory fake, plus the edge
+// cases of the contract in leaderboardApi.js. Runs every check under
+// node:test, one at a time, and exits non-zero if any failed.
+//
+//   node server/checkLeaderboard.js
+
+import '../game/js/headless/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeLeaderboard, FAKE_BASE_URL } from './fakeLeaderboard.js';
+import { LeaderboardStore, handleRequest } from './leaderboardApi.js';
+import { RestBackend } from '../game/js/systems/leaderboardBackends.js';
+import { leaderboard, BOARDS } from '../game/js/systems/leaderboard.js';
+import { getDailyKey } from '../game/js/systems/daily.js';
+
+function remoteEntry(nickname, levelDepth, extra = {}) {
+  return {
+    nickname, levelDepth, enemiesKilled: 0, runLength: 60, mutators: [],
+    resumed: false, day: null, timestamp: 1, guid: `guid-${nickname}`, ...extra,
+  };
+}
+
+/** Fresh fake and fresh leaderboard boards for each check. */
+function setup(boards = {}) {
+  const fake = createFakeLeaderboard({ boards });
+  leaderboard.setBackend(new RestBackend({ baseUrl: FAKE_BASE_URL, fetch: fake.fetch }));
+  localStorage.clear();
+  leaderboard._init();
+  return fake;
+}
+
+/** Let fire-and-forget submissions reach the fake. */
+function settle() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+// ── Contract ─────────────────────────────────────────────────────────────
+
+test('malformed board escape answers 400', () => {
+  const result = handleRequest(new LeaderboardStore(), { method: 'GET', url: '/boards/%E0/entries' });
+  assert.equal(result.status, 400);
+});
+
+test('unknown path answers 404', () => {
+  const result = handleRequest(new LeaderboardStore(), { method: 'GET', url: '/scores' });
+  assert.equal(result.status, 404);
+});
+
+test('bad JSON and bad entries answer 400', () => {
+  const store = new LeaderboardStore();
+  const post = body => handleRequest(store, { method: 'POST', url: '/boards/allTime/entries', body });
+  assert.equal(post('{').status, 400);
+  assert.equal(post(JSON.stringify({ nickname: '', levelDepth: 3 })).status, 400);
+  assert.equal(post(JSON.stringify({ nickname: 'AB', levelDepth: 1.5 })).status, 400);
+  assert.equal(post(JSON.stringify({ nickname: 'AB', levelDepth: 3, day: 'today' })).status, 400);
+});
+
+test('store keeps one best entry per player', () => {
+  const store = new LeaderboardStore();
+  store.add('allTime', remoteEntry('AB', 3));
+  store.add('allTime', remoteEntry('AB', 2));
+  store.add('allTime', remoteEntry('AB', 5));
+  store.add('allTime', remoteEntry('CD', 4));
+  assert.deepEqual(store.list('allTime').map(e => [e.nickname, e.levelDepth]), [['AB', 5], ['CD', 4]]);
+});
+
+// ── RestBackend through the fake ─────────────────────────────────────────
+
+test('submit reaches the fake and fetch reads it back', async () => {
+  const fake = setup();
+  leaderboard.submitEntry('AB', 7, 12, 95);
+  await settle();
+  assert.equal(fake.requests.length, 1);
+  assert.equal(fake.requests[0].method, 'POST');
+
+  await leaderboard.fetchRemoteEntries();
+  assert.equal(leaderboard.lastError, null);
+  const entries = leaderboard.getEntries();
+  assert.equal(entries.length, 1);
+  assert.equal(entries[0].levelDepth, 7);
+  assert.equal(entries[0].guid, leaderboard.playerGuid);
+});
+
+test('fetch merges remote entries with local ones, best first', async () => {
+  const fake = setup({ [BOARDS.ALL_TIME]: [remoteEntry('CD', 9), remoteEntry('EF', 2)] });
+  leaderboard.boards[BOARDS.ALL_TIME] = [remoteEntry('AB', 5), remoteEntry('CD', 9)];
+
+  await leaderboard.fetchRemoteEntries();
+  assert.equal(fake.requests.length, 1);
+  assert.deepEqual(
+    leaderboard.getEntries().map(e => [e.nickname, e.levelDepth]),
+    [['CD', 9], ['AB', 5], ['EF', 2]],  // CD not doubled; local-only AB kept
+  );
+});
+
+test('Daily fetch asks for today and drops other days', async () => {
+  const today = getDailyKey();
+  const fake = setup({
+    [BOARDS.DAILY]: [remoteEntry('AB', 4, { day: today }), remoteEntry('CD', 8, { day: '2000-01-01' })],
+  });
+  await leaderboard.fetchRemoteEntries(BOARDS.DAILY);
+  assert.ok(fake.requests[0].url.endsWith(`/boards/${BOARDS.DAILY}/entries?day=${today}`));
+  assert.deepEqual(leaderboard.getEntries(BOARDS.DAILY).map(e => e.nickname), ['AB']);
+});
+
+// ── Failure paths ────────────────────────────────────────────────────────
+
+test('server error: fetch records it and keeps local entries', async () => {
+  const fake = setup({ [BOARDS.ALL_TIME]: [remoteEntry('CD', 9)] });
+  leaderboard.boards[BOARDS.ALL_TIME] = [remoteEntry('AB', 5)];
+  fake.failNext = 1;
+  await leaderboard.fetchRemoteEntries();
+  assert.equal(leaderboard.lastError, 'HTTP 503');
+  assert.deepEqual(leaderboard.getEntries().map(e => e.nickname), ['AB']);
+  assert.equal(leaderboard.loading, false);
+
+  // The failure was one-off; the next fetch goes through
+  await leaderboard.fetchRemoteEntries();
+  assert.equal(leaderboard.lastError, null);
+  assert.deepEqual(leaderboard.getEntries().map(e => e.nickname), ['CD', 'AB']);
+});
+
+test('server error: submit still saves locally', async () => {
+  const fake = setup();
+  fake.failNext = 1;
+  leaderboard.submitEntry('AB', 3, 0, 20);
+  await settle();
+  assert.equal(fake.store.list(BOARDS.ALL_TIME).length, 0);
+  assert.equal(leaderboard.getEntries().length, 1);
+  assert.ok(localStorage.getItem('qta_leaderboard').includes('"AB"'));
+});
+
+test('offline: fetch and submit fail quietly', async () => {
+  const fake = setup();
+  fake.offline = true;
+  leaderboard.submitEntry('AB', 3, 0, 20);
+  await settle();
+  await leaderboard.fetchRemoteEntries();
+  assert.equal(leaderboard.lastError, 'Failed to fetch');
+  assert.deepEqual(leaderboard.getEntries().map(e => e.nickname), ['AB']);
+});
+
+test('malformed response: fetch records it and keeps local entries', async () => {
+  const fake = setup();
+  leaderboard.boards[BOARDS.ALL_TIME] = [remoteEntry('AB', 5)];
+  fake.malformed = true;
+  await leaderboard.fetchRemoteEntries();
+  assert.equal(leaderboard.lastError, 'Malformed response');
+  assert.deepEqual(leaderboard.getEntries().map(e => e.nickname), ['AB']);
+});
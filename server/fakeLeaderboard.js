@@ -0,0 +1,63 @@
+// In-memory stand-in for the reference server: a fetch() that answers the
+// REST contract in leaderboardApi.js without a network, plus switches for
+// the ways a real server fails. Hand its fetch to the game's RestBackend:
+//
+//   const fake = createFakeLeaderboard();
+//   leaderboard.setBackend(new RestBackend({ baseUrl: FAKE_BASE_URL, fetch: fake.fetch }));
+//   fake.failNext = 1;     // the next request answers 503
+//   fake.offline = true;   // every request rejects, as with no connection
+//
+// checkLeaderboard.js drives the game's leaderboard through it end to end.
+
+import { LeaderboardStore, handleRequest } from './leaderboardApi.js';
+
+export const FAKE_BASE_URL = 'http://leaderboard.fake';
+
+/**
+ * @param {object} [opts]
+ * @param {Object<string, object[]>} [opts.boards] - board → entries to start from
+ * @param {number} [opts.maxEntries] - entries kept per board
+ */
+export function createFakeLeaderboard({ boards = {}, maxEntries } = {}) {
+  const fake = {
+    store: new LeaderboardStore({ boards, maxEntries }),
+    requests: [],     // { method, url, body } of every request seen
+    failNext: 0,      // answer this many upcoming requests with failStatus
+    failStatus: 503,
+    offline: false,   // reject every request like a dropped connection
+    malformed: false, // answer 200 with a body that breaks the contract
+
+    /**
+     * Drop-in for window.fetch against FAKE_BASE_URL.
+     * @param {string} url
+     * @param {object} [init]
+     * @returns {Promise<Response>}
+     */
+    async fetch(url, init = {}) {
+      const method = (init.method || 'GET').toUpperCase();
+      const body = typeof init.body === 'string' ? init.body : '';
+      fake.requests.push({ method, url, body });
+
+      if (fake.offline) throw new TypeError('Failed to fetch');
+      if (fake.failNext > 0) {
+        fake.failNext--;
+        return _jsonResponse(fake.failStatus, { error: 'Fake failure' });
+      }
+      if (fake.malformed) return _jsonResponse(200, { unexpected: true });
+
+      const path = url.startsWith(FAKE_BASE_URL) ? url.slice(FAKE_BASE_URL.length) : url;
+      const result = handleRequest(fake.store, { method, url: path, body });
+      return _jsonResponse(result.status, result.body);
+    },
+  };
+  return fake;
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────────
+
+function _jsonResponse(status, body) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
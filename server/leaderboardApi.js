@@ -0,0 +1,137 @@
+// The leaderboard REST contract, shared by the reference server
+// (leaderboardServer.js) and the in-memory fake (fakeLeaderboard.js). The
+// game's RestBackend (game/js/systems/leaderboardBackends.js) is the client.
+//
+//   GET  /boards/:board/entries[?day=YYYY-MM-DD]
+//        → 200 { entries: Entry[] }, best first; with ?day, only that day's
+//   POST /boards/:board/entries   body: Entry
+//        → 201 { entry: Entry }
+//   Bad board name, bad entry or bad JSON → 400 { error }
+//   Anything else                          → 404 { error }
+//
+// Entry: { nickname, levelDepth, enemiesKilled, runLength, mutators,
+//          resumed, day, timestamp, guid } — the game's leaderboard.js format.
+// Boards are created on first submission; each keeps its best MAX_ENTRIES,
+// and — like Leaderboard Creator — only one entry per player: their best, per
+// Daily day. A player is their guid, or their nickname when they sent none.
+
+const MAX_ENTRIES = 100;
+const NICKNAME_MAX_LENGTH = 10;  // as menus/gameOver.js
+const BOARD_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export class LeaderboardStore {
+  /**
+   * @param {object} [opts]
+   * @param {Object<string, object[]>} [opts.boards] - board → entries to start from
+   * @param {number} [opts.maxEntries=MAX_ENTRIES] - entries kept per board
+   */
+  constructor({ boards = {}, maxEntries = MAX_ENTRIES } = {}) {
+    this.boards = boards;
+    this.maxEntries = maxEntries;
+  }
+
+  /**
+   * @param {string} board
+   * @param {string|null} [day] - only entries from this Daily
+   * @returns {object[]} best first
+   */
+  list(board, day = null) {
+    const entries = this.boards[board] || [];
+    return day ? entries.filter(e => e.day === day) : [...entries];
+  }
+
+  /**
+   * @param {string} board
+   * @param {object} entry - already validated; ignored if the player already
+   *   has an entry at least as deep
+   */
+  add(board, entry) {
+    const key = _playerKey(entry);
+    const current = this.boards[board] || [];
+    const previous = current.find(e => _playerKey(e) === key);
+    if (previous && previous.levelDepth >= entry.levelDepth) return;
+
+    const entries = [...current.filter(e => e !== previous), entry];
+    entries.sort((a, b) => b.levelDepth - a.levelDepth);
+    if (entries.length > this.maxEntries) entries.length = this.maxEntries;
+    this.boards[board] = entries;
+  }
+}
+
+/**
+ * Answer one request against a store.
+ * @param {LeaderboardStore} store
+ * @param {object} req
+ * @param {string} req.method
+ * @param {string} req.url - path and query, e.g. '/boards/daily/entries?day=2026-10-19'
+ * @param {string} [req.body] - raw request body
+ * @returns {{ status: number, body: object }}
+ */
+export function handleRequest(store, { method, url, body = '' }) {
+  const { pathname, searchParams } = new URL(url, 'http://localhost');
+  const match = pathname.match(/^\/boards\/([^/]+)\/entries\/?$/);
+  if (!match) return _error(404, 'Not found');
+
+  let board;
+  try {
+    board = decodeURIComponent(match[1]);
+  } catch {
+    return _error(400, 'Bad board name');  // malformed escape, e.g. %E0
+  }
+  if (!BOARD_PATTERN.test(board)) return _error(400, 'Bad board name');
+
+  if (method === 'GET') {
+    const day = searchParams.get('day');
+    if (day !== null && !DAY_PATTERN.test(day)) return _error(400, 'Bad day');
+    return { status: 200, body: { entries: store.list(board, day) } };
+  }
+
+  if (method === 'POST') {
+    let raw;
+    try {
+      raw = JSON.parse(body);
+    } catch {
+      return _error(400, 'Body is not JSON');
+    }
+    const entry = _validateEntry(raw);
+    if (!entry) return _error(400, 'Bad entry');
+    store.add(board, entry);
+    return { status: 201, body: { entry } };
+  }
+
+  return _error(404, 'Not found');
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────────
+
+/** Who an entry belongs to, for keeping one per player (and Daily day). */
+function _playerKey(e) {
+  return `${e.guid || `nick:${e.nickname}`}|${e.day ?? ''}`;
+}
+
+function _error(status, message) {
+  return { status, body: { error: message } };
+}
+
+/** A clean copy of a submitted entry, or null if it doesn't fit the contract. */
+function _validateEntry(e) {
+  if (!e || typeof e !== 'object') return null;
+
+  const nickname = typeof e.nickname === 'string' ? e.nickname.trim() : '';
+  if (nickname.length < 1 || nickname.length > NICKNAME_MAX_LENGTH) return null;
+  if (!Number.isInteger(e.levelDepth) || e.levelDepth < 0) return null;
+  if (e.day != null && !(typeof e.day === 'string' && DAY_PATTERN.test(e.day))) return null;
+
+  return {
+    nickname,
+    levelDepth: e.levelDepth,
+    enemiesKilled: Math.max(0, Math.floor(Number(e.enemiesKilled) || 0)),
+    runLength: Math.max(0, Number(e.runLength) || 0),
+    mutators: Array.isArray(e.mutators) ? e.mutators.filter(m => typeof m === 'string') : [],
+    resumed: e.resumed === true,
+    day: e.day ?? null,
+    timestamp: Date.now(),  // the server's clock, not the client's
+    guid: typeof e.guid === 'string' ? e.guid.slice(0, 64) : '',
+  };
+}
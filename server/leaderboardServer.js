@@ -0,0 +1,100 @@
+// Reference leaderboard server — the REST contract in leaderboardApi.js over
+// plain node:http, with no dependencies, for self-hosting scores.
+//
+//   node server/leaderboardServer.js
+//   node server/leaderboardServer.js --port 8787 --data scores.json
+//
+// Options:
+//   --port N      port to listen on (default 8787)
+//   --data FILE   keep the boards in this JSON file across restarts
+//                 (default: in memory only)
+//
+// Point the game at it with BACKEND_CONFIG in game/js/systems/leaderboard.js:
+//   { type: BACKEND_TYPES.REST, baseUrl: 'http://localhost:8787' }
+
+import { createServer } from 'node:http';
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { LeaderboardStore, handleRequest } from './leaderboardApi.js';
+
+const MAX_BODY_BYTES = 16 * 1024;
+
+// The game is served from another origin, so every answer allows any
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+};
+
+function parseArgs(argv) {
+  const opts = { port: 8787, data: null };
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, '');
+    const value = argv[i + 1];
+    if (!(key in opts) || value === undefined) {
+      throw new Error(`Unknown or incomplete option: ${argv[i]}`);
+    }
+    opts[key] = key === 'port' ? Number(value) : value;
+  }
+  if (!Number.isInteger(opts.port) || opts.port <= 0) throw new Error('--port must be a port number');
+  return opts;
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+
+  const boards = opts.data && existsSync(opts.data)
+    ? JSON.parse(readFileSync(opts.data, 'utf8'))
+    : {};
+  const store = new LeaderboardStore({ boards });
+
+  const server = createServer((req, res) => {
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, CORS_HEADERS);
+      res.end();
+      return;
+    }
+
+    const chunks = [];
+    let bytes = 0;
+    let tooLarge = false;
+    req.on('data', (chunk) => {
+      if (tooLarge) return;
+      bytes += chunk.length;
+      if (bytes > MAX_BODY_BYTES) {
+        // Answer now and stop reading, rather than swallowing the whole upload
+        tooLarge = true;
+        res.writeHead(413, { ...CORS_HEADERS, 'Content-Type': 'application/json', Connection: 'close' });
+        res.end(JSON.stringify({ error: 'Body too large' }), () => req.destroy());
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (tooLarge) return;
+      // One bad request must never take the server down with it
+      let result;
+      try {
+        const body = Buffer.concat(chunks).toString('utf8');
+        result = handleRequest(store, { method: req.method, url: req.url, body });
+        if (opts.data && req.method === 'POST' && result.status === 201) {
+          writeFileSync(opts.data, JSON.stringify(store.boards));
+        }
+      } catch (err) {
+        console.error(`${req.method} ${req.url}:`, err);
+        result = { status: 500, body: { error: 'Internal error' } };
+      }
+      res.writeHead(result.status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(result.body));
+    });
+  });
+
+  server.on('clientError', (err, socket) => {
+    if (socket.writable) socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+  });
+
+  server.listen(opts.port, () => {
+    console.log(`leaderboard server on http://localhost:${opts.port}${opts.data ? `  (data: ${opts.data})` : ''}`);
+  });
+}
+
+main();